@@ -0,0 +1,79 @@
+const User = require("../../models/User");
+const { suspendUser, unsuspendUser } = require("../adminController");
+const { runHandler, makeUser } = require("./helpers");
+
+describe("adminController", () => {
+  let admin;
+
+  beforeEach(() => {
+    admin = makeUser("admin");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Makes `User.findById` return the given user, whose saves resolve without the database.
+   * @param {import('../../models/User')} user - The user.
+   */
+  const stubUser = (user) => {
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+    jest.spyOn(user, "save").mockResolvedValue(user);
+  };
+
+  describe("suspendUser", () => {
+    it("suspends other users", async () => {
+      const author = makeUser("author");
+      stubUser(author);
+      const { status, body } = await runHandler(suspendUser, {
+        params: { id: author._id.toString() },
+        body: { days: 3, reason: "Spam" },
+        user: admin,
+      });
+      expect(status).toBe(200);
+      expect(body.accountStatus).toBe("suspended");
+      expect(author.suspensionReason).toBe("Spam");
+    });
+
+    it("refuses to suspend admins or the current user", async () => {
+      for (const user of [makeUser("admin"), admin]) {
+        stubUser(user);
+        const { status } = await runHandler(suspendUser, {
+          params: { id: user._id.toString() },
+          body: { days: 3 },
+          user: admin,
+        });
+        expect(status).toBe(400);
+        expect(user.save).not.toHaveBeenCalled();
+        jest.restoreAllMocks();
+      }
+    });
+  });
+
+  describe("unsuspendUser", () => {
+    it("reinstates a suspended user promoted to admin since", async () => {
+      const promoted = makeUser("admin", {
+        suspendedUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        suspensionReason: "Spam",
+      });
+      stubUser(promoted);
+      const { status, body } = await runHandler(unsuspendUser, {
+        params: { id: promoted._id.toString() },
+        user: admin,
+      });
+      expect(status).toBe(200);
+      expect(body.accountStatus).toBe("active");
+      expect(promoted.suspendedUntil).toBeNull();
+      expect(promoted.suspensionReason).toBe("");
+    });
+
+    it("returns 404 for unknown users", async () => {
+      const { status } = await runHandler(unsuspendUser, {
+        params: { id: "not-an-id" },
+        user: admin,
+      });
+      expect(status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const User = require("../../models/User");
+const { updateProfile } = require("../authController");
+const { runHandler, makeUser } = require("./helpers");
+
+describe("authController", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("updateProfile", () => {
+    let user;
+
+    beforeEach(() => {
+      user = makeUser("author");
+      jest.spyOn(User, "findById").mockResolvedValue(user);
+      jest.spyOn(User, "findOne").mockResolvedValue(null);
+      jest.spyOn(User, "exists").mockResolvedValue(null);
+    });
+
+    it("rejects an email or name that is not a string", async () => {
+      for (const body of [
+        { email: ["a@example.com", "b@example.com"] },
+        { email: { $ne: null } },
+        { name: ["Someone"] },
+      ]) {
+        const { status, error } = await runHandler(updateProfile, {
+          body,
+          user,
+        });
+        expect(status).toBe(400);
+        expect(error.message).toMatch(/must be a string/);
+      }
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it("names the field another account took in the meantime", async () => {
+      const clash = (field) =>
+        Object.assign(new Error("E11000 duplicate key error"), {
+          code: 11000,
+          keyPattern: { [field]: 1 },
+        });
+
+      jest.spyOn(user, "save").mockRejectedValueOnce(clash("email"));
+      const email = await runHandler(updateProfile, {
+        body: { email: "new@example.com" },
+        user,
+      });
+      expect(email.status).toBe(400);
+      expect(email.error.message).toBe(
+        "Another account already uses this email"
+      );
+
+      user.save.mockRejectedValueOnce(clash("handle"));
+      const handle = await runHandler(updateProfile, {
+        body: { handle: "new-handle" },
+        user,
+      });
+      expect(handle.status).toBe(400);
+      expect(handle.error.message).toBe("This handle is already taken");
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const mongoose = require("mongoose");
+const Blog = require("../../models/Blog");
+const BlogRevision = require("../../models/BlogRevision");
+const Category = require("../../models/Category");
+const Comment = require("../../models/Comment");
+const Reaction = require("../../models/Reaction");
+const Bookmark = require("../../models/Bookmark");
+const { getBlogs, createBlog, updateBlog } = require("../blogController");
+const {
+  runHandler,
+  makeUser,
+  makeBlog,
+  queryResult,
+  inMemory,
+  acceptWrites,
+} = require("./helpers");
+
+describe("blogController", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("getBlogs", () => {
+    let findQuery;
+
+    beforeEach(() => {
+      findQuery = null;
+      jest.spyOn(Blog, "countDocuments").mockResolvedValue(0);
+      jest.spyOn(Blog, "find").mockImplementation((query) => {
+        findQuery = query;
+        return queryResult([]);
+      });
+      jest.spyOn(Comment, "countByBlog").mockResolvedValue(new Map());
+      jest.spyOn(Reaction, "typesByUser").mockResolvedValue(new Map());
+      jest.spyOn(Bookmark, "bookmarkedBy").mockResolvedValue(new Set());
+    });
+
+    it("only lists published posts by default", async () => {
+      const { status } = await runHandler(getBlogs, {});
+      expect(status).toBe(200);
+      expect(findQuery).toEqual(Blog.publishedFilter());
+    });
+
+    it("caps the page size at 100 posts", async () => {
+      Blog.countDocuments.mockResolvedValue(250);
+      const { status, body } = await runHandler(getBlogs, {
+        query: { limit: "1000" },
+      });
+      expect(status).toBe(200);
+      expect(body.pages).toBe(3);
+    });
+
+    it("refuses unpublished posts to anonymous visitors", async () => {
+      const { status } = await runHandler(getBlogs, {
+        query: { status: "draft" },
+      });
+      expect(status).toBe(401);
+      expect(Blog.find).not.toHaveBeenCalled();
+    });
+
+    it("restricts unpublished posts to the user's own", async () => {
+      const user = makeUser("author");
+      const { status } = await runHandler(getBlogs, {
+        query: { status: "draft" },
+        user,
+      });
+      expect(status).toBe(200);
+      expect(findQuery).toEqual({ userId: user._id, status: "draft" });
+    });
+
+    it("allows filtering unpublished posts by the user's own ID", async () => {
+      const user = makeUser("author");
+      const { status } = await runHandler(getBlogs, {
+        query: { status: "all", authorId: user._id.toString() },
+        user,
+      });
+      expect(status).toBe(200);
+      expect(findQuery.userId).toBe(user._id.toString());
+    });
+
+    it("refuses another author's unpublished posts", async () => {
+      const otherId = new mongoose.Types.ObjectId().toString();
+      for (const status of ["draft", "archived", "all"]) {
+        const result = await runHandler(getBlogs, {
+          query: { status, authorId: otherId },
+          user: makeUser("author"),
+        });
+        expect(result.status).toBe(403);
+      }
+      expect(Blog.find).not.toHaveBeenCalled();
+    });
+
+    it("refuses another author's unpublished posts through the userId alias", async () => {
+      const user = makeUser("author");
+      const otherId = new mongoose.Types.ObjectId().toString();
+      const refused = await runHandler(getBlogs, {
+        query: { status: "draft", userId: otherId },
+        user,
+      });
+      expect(refused.status).toBe(403);
+
+      const allowed = await runHandler(getBlogs, {
+        query: { status: "draft", userId: user._id.toString() },
+        user,
+      });
+      expect(allowed.status).toBe(200);
+      expect(findQuery).toEqual({
+        userId: user._id.toString(),
+        status: "draft",
+      });
+    });
+
+    it("lists another author's published posts", async () => {
+      const otherId = new mongoose.Types.ObjectId().toString();
+      const { status } = await runHandler(getBlogs, {
+        query: { authorId: otherId },
+        user: makeUser("author"),
+      });
+      expect(status).toBe(200);
+      expect(findQuery).toEqual({ ...Blog.publishedFilter(), userId: otherId });
+    });
+
+    it("leaves another author's unlisted, draft and hidden posts out of their listing", async () => {
+      const author = makeUser("author");
+      const published = makeBlog(author);
+      const posts = [
+        published,
+        makeBlog(author, { status: "unlisted" }),
+        makeBlog(author, { status: "draft" }),
+        makeBlog(author, { hiddenAt: new Date() }),
+        makeBlog(makeUser("author")),
+      ];
+      jest.spyOn(Blog, "find").mockImplementation(inMemory(posts));
+      jest
+        .spyOn(Blog, "countDocuments")
+        .mockImplementation(inMemory(posts, true));
+
+      for (const query of [
+        { authorId: author._id.toString() },
+        { userId: author._id.toString(), status: "published" },
+      ]) {
+        const { status, body } = await runHandler(getBlogs, {
+          query,
+          user: makeUser("author"),
+        });
+        expect(status).toBe(200);
+        expect(body.count).toBe(1);
+        expect(body.blogs.map((blog) => blog._id)).toEqual([published._id]);
+      }
+    });
+
+    it("lists all of the user's own posts by their ID", async () => {
+      const author = makeUser("author");
+      const posts = [
+        makeBlog(author),
+        makeBlog(author, { status: "unlisted" }),
+        makeBlog(author, { status: "draft" }),
+      ];
+      jest.spyOn(Blog, "find").mockImplementation(inMemory(posts));
+      jest
+        .spyOn(Blog, "countDocuments")
+        .mockImplementation(inMemory(posts, true));
+
+      const { status, body } = await runHandler(getBlogs, {
+        query: { authorId: author._id.toString(), status: "all" },
+        user: author,
+      });
+      expect(status).toBe(200);
+      expect(body.count).toBe(3);
+    });
+  });
+
+  describe("post lifecycle", () => {
+    let author;
+    let posts;
+
+    beforeEach(() => {
+      author = makeUser("author");
+      posts = [];
+      acceptWrites(Blog);
+      jest.spyOn(Category, "exists").mockReturnValue(queryResult({ _id: 1 }));
+      // Every slug is free
+      jest.spyOn(Blog, "exists").mockReturnValue(queryResult(null));
+      jest
+        .spyOn(Blog, "findById")
+        .mockImplementation((id) =>
+          queryResult(posts.find((blog) => blog._id.equals(id)) || null)
+        );
+      jest.spyOn(Blog, "find").mockImplementation(inMemory(posts));
+      jest
+        .spyOn(Blog, "countDocuments")
+        .mockImplementation(inMemory(posts, true));
+      jest.spyOn(BlogRevision, "exists").mockResolvedValue(true);
+      jest.spyOn(BlogRevision, "record").mockResolvedValue({});
+      jest.spyOn(Comment, "countByBlog").mockResolvedValue(new Map());
+      jest.spyOn(Reaction, "typesByUser").mockResolvedValue(new Map());
+      jest.spyOn(Bookmark, "bookmarkedBy").mockResolvedValue(new Set());
+    });
+
+    const create = async (fields = {}) => {
+      const result = await runHandler(createBlog, {
+        body: {
+          title: "A post",
+          category: "Technology",
+          content: "Some content",
+          ...fields,
+        },
+        user: author,
+      });
+      if (result.body) posts.push(result.body);
+      return result;
+    };
+
+    const update = (blog, body) =>
+      runHandler(updateBlog, {
+        params: { id: blog._id.toString() },
+        body,
+        user: author,
+      });
+
+    const publicCount = async () =>
+      (await runHandler(getBlogs, { user: makeUser("reader") })).body.count;
+
+    it("keeps a draft out of the public listing until it is published", async () => {
+      const { status, body: draft } = await create({ status: "draft" });
+      expect(status).toBe(201);
+      expect(draft.status).toBe("draft");
+      expect(draft.publishedAt).toBeUndefined();
+      expect(await publicCount()).toBe(0);
+
+      const own = await runHandler(getBlogs, {
+        query: { status: "draft" },
+        user: author,
+      });
+      expect(own.body.count).toBe(1);
+
+      const published = await update(draft, { status: "published" });
+      expect(published.status).toBe(200);
+      expect(published.body.publishedAt).toBeInstanceOf(Date);
+      expect(await publicCount()).toBe(1);
+    });
+
+    it("keeps the first publish date when a post is archived and published again", async () => {
+      const { body: blog } = await create();
+      expect(blog.status).toBe("published");
+      const firstPublishedAt = blog.publishedAt;
+      expect(firstPublishedAt).toBeInstanceOf(Date);
+
+      await update(blog, { status: "archived" });
+      expect(await publicCount()).toBe(0);
+
+      const { body } = await update(blog, { status: "published" });
+      expect(body.publishedAt).toEqual(firstPublishedAt);
+      expect(await publicCount()).toBe(1);
+    });
+
+    it("rejects an unknown status", async () => {
+      const { body: blog } = await create();
+
+      const { status, error } = await update(blog, { status: "secret" });
+      expect(status).toBe(400);
+      expect(error.message).toMatch(/Status must be one of/);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+const sift = require("sift");
+const User = require("../../models/User");
+const Blog = require("../../models/Blog");
+
+// Fail fast if a test forgets to stub a query instead of waiting for a connection that never comes
+mongoose.set("bufferCommands", false);
+
+/**
+ * Runs an Express handler with a fake response and resolves with what it sent or passed on.
+ * @param {Function} handler - The controller function.
+ * @param {Object} req - The fake request (`params`, `query`, `body`, `user`).
+ * @returns {Promise<{ status: number, body?: *, error?: Error }>} The response status and body, or the error.
+ */
+const runHandler = (handler, req) =>
+  new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    // Filled in place, so tests can inspect what the handler set on the request (e.g. `req.user`)
+    const fullReq = Object.assign(req, {
+      params: {},
+      query: {},
+      body: {},
+      ...req,
+    });
+    Promise.resolve(
+      handler(fullReq, res, (error) =>
+        resolve({ status: res.statusCode, error })
+      )
+    ).catch((error) => resolve({ status: res.statusCode, error }));
+  });
+
+/**
+ * Creates an unsaved user document with the given role.
+ * The handle is set so validation never looks for a free one in the database.
+ * @param {string} role - The user's role.
+ * @param {Object} [fields] - Other fields.
+ * @returns {import('../../models/User')} The user.
+ */
+const makeUser = (role, fields = {}) => {
+  const id = new mongoose.Types.ObjectId();
+  return new User({
+    _id: id,
+    name: `${role} ${id}`,
+    email: `${id}@example.com`,
+    password: "secret123",
+    handle: `${role}-${id}`,
+    role,
+    ...fields,
+  });
+};
+
+/**
+ * Creates a blog post by the given author, as if loaded from the database (nothing is marked as modified).
+ * Saving it resolves without touching the database.
+ * @param {import('../../models/User')} author - The post's author.
+ * @param {Object} [fields] - Other fields (`status`, `hiddenAt`, `deletedAt`, ...).
+ * @returns {import('../../models/Blog')} The post.
+ */
+const makeBlog = (author, fields = {}) => {
+  const blog = Blog.hydrate(
+    new Blog({
+      title: "A post",
+      content: "Some content",
+      userId: author._id,
+      authorName: author.name,
+      status: "published",
+      ...fields,
+    }).toObject()
+  );
+  jest.spyOn(blog, "save").mockResolvedValue(blog);
+  return blog;
+};
+
+/**
+ * Returns a stand-in for a Mongoose query chain that resolves with the given value.
+ * @param {*} value - The query result.
+ * @returns {Object} A thenable with chainable `select`, `sort`, `limit`, `skip`, `populate`, `lean`,
+ *   `distinct` and `setOptions`.
+ */
+const queryResult = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  [
+    "select",
+    "sort",
+    "limit",
+    "skip",
+    "populate",
+    "lean",
+    "distinct",
+    "setOptions",
+  ].forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+/**
+ * Returns a stand-in for `Model.find` or `Model.countDocuments` over an in-memory collection:
+ * it resolves with the documents the filter matches, read the way MongoDB reads it.
+ * Sorting, paging and projections are ignored.
+ * @param {Array<Object>} docs - The collection.
+ * @param {boolean} [count=false] - Resolve with the number of matches instead.
+ * @returns {function(Object): Object} The stand-in, returning a query chain.
+ */
+const inMemory =
+  (docs, count = false) =>
+  (filter = {}) => {
+    const matches = docs.filter(sift(filter));
+    return queryResult(count ? matches.length : matches);
+  };
+
+/**
+ * Lets documents of a model be saved without a database: validation and save middleware still run,
+ * and the writes themselves are acknowledged without being stored anywhere.
+ * @param {import('mongoose').Model} Model - The model.
+ */
+const acceptWrites = (Model) => {
+  jest
+    .spyOn(Model.collection, "insertOne")
+    .mockResolvedValue({ acknowledged: true });
+  jest
+    .spyOn(Model.collection, "updateOne")
+    .mockResolvedValue({ acknowledged: true, matchedCount: 1 });
+};
+
+module.exports = {
+  runHandler,
+  makeUser,
+  makeBlog,
+  queryResult,
+  inMemory,
+  acceptWrites,
+};
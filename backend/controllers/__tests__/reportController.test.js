@@ -0,0 +1,179 @@
+const Blog = require("../../models/Blog");
+const Report = require("../../models/Report");
+const User = require("../../models/User");
+const {
+  createReport,
+  resolveReports,
+  unhideContent,
+} = require("../reportController");
+const { runHandler, makeUser, makeBlog } = require("./helpers");
+
+describe("reportController", () => {
+  let author;
+  let moderator;
+
+  beforeEach(() => {
+    author = makeUser("author");
+    moderator = makeUser("moderator");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("createReport", () => {
+    it("refuses reports of the user's own content", async () => {
+      const blog = makeBlog(author);
+      jest.spyOn(Blog, "findById").mockResolvedValue(blog);
+      const { status, error } = await runHandler(createReport, {
+        body: {
+          targetType: "blog",
+          targetId: blog._id.toString(),
+          reason: "spam",
+        },
+        user: author,
+      });
+      expect(status).toBe(400);
+      expect(error.message).toBe("You cannot report your own content");
+    });
+
+    it("treats posts the reporter cannot see as missing", async () => {
+      const create = jest.spyOn(Report, "create");
+      for (const fields of [{ status: "draft" }, { hiddenAt: new Date() }]) {
+        const blog = makeBlog(author, fields);
+        jest.spyOn(Blog, "findById").mockResolvedValue(blog);
+        const { status } = await runHandler(createReport, {
+          body: {
+            targetType: "blog",
+            targetId: blog._id.toString(),
+            reason: "spam",
+          },
+          user: makeUser("reader"),
+        });
+        expect(status).toBe(404);
+      }
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it("records a report of someone else's post", async () => {
+      const blog = makeBlog(author);
+      const reader = makeUser("reader");
+      jest.spyOn(Blog, "findById").mockResolvedValue(blog);
+      jest.spyOn(Report, "create").mockImplementation(async (report) => report);
+      const { status, body } = await runHandler(createReport, {
+        body: {
+          targetType: "blog",
+          targetId: blog._id.toString(),
+          reason: "spam",
+        },
+        user: reader,
+      });
+      expect(status).toBe(201);
+      expect(body).toMatchObject({
+        targetType: "blog",
+        targetId: blog._id,
+        targetAuthorId: author._id,
+        reporterId: reader._id,
+      });
+    });
+  });
+
+  describe("resolveReports", () => {
+    let blog;
+
+    beforeEach(() => {
+      blog = makeBlog(author);
+      jest.spyOn(Report, "exists").mockResolvedValue({ _id: blog._id });
+      jest.spyOn(Report, "updateMany").mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(Blog, "findById").mockResolvedValue(blog);
+    });
+
+    const resolve = (body, user = moderator) =>
+      runHandler(resolveReports, {
+        params: { targetType: "blog", targetId: blog._id.toString() },
+        body,
+        user,
+      });
+
+    it("rejects unknown actions", async () => {
+      const { status } = await resolve({ action: "delete" });
+      expect(status).toBe(400);
+      expect(Report.updateMany).not.toHaveBeenCalled();
+    });
+
+    it("dismisses reports without touching the content", async () => {
+      const { status, body } = await resolve({ action: "dismiss" });
+      expect(status).toBe(200);
+      expect(body.resolvedCount).toBe(2);
+      expect(blog.hiddenAt).toBeFalsy();
+      expect(Report.updateMany.mock.calls[0][1].status).toBe("dismissed");
+    });
+
+    it("hides the content", async () => {
+      const { status, body } = await resolve({ action: "hide" });
+      expect(status).toBe(200);
+      expect(blog.hiddenAt).toBeInstanceOf(Date);
+      expect(body.target.isHidden).toBe(true);
+      expect(Report.updateMany.mock.calls[0][1].status).toBe("actioned");
+    });
+
+    it("hides the content and suspends its author", async () => {
+      jest.spyOn(User, "findById").mockResolvedValue(author);
+      const save = jest.spyOn(author, "save").mockResolvedValue(author);
+      const { status } = await resolve({ action: "suspend", days: 3 });
+      expect(status).toBe(200);
+      expect(save).toHaveBeenCalled();
+      expect(author.suspendedUntil.getTime()).toBeGreaterThan(Date.now());
+      expect(blog.hiddenAt).toBeInstanceOf(Date);
+    });
+
+    it("refuses to suspend moderators", async () => {
+      const otherModerator = makeUser("moderator");
+      blog.userId = otherModerator._id;
+      jest.spyOn(User, "findById").mockResolvedValue(otherModerator);
+      const { status } = await resolve({ action: "suspend" });
+      expect(status).toBe(400);
+      expect(otherModerator.suspendedUntil).toBeFalsy();
+      expect(blog.hiddenAt).toBeFalsy();
+    });
+
+    it("rejects suspensions longer than 30 days", async () => {
+      const { status } = await resolve({ action: "suspend", days: 31 });
+      expect(status).toBe(400);
+    });
+  });
+
+  describe("unhideContent", () => {
+    const unhide = (blog) =>
+      runHandler(unhideContent, {
+        params: { targetType: "blog", targetId: blog._id.toString() },
+        user: moderator,
+      });
+
+    it("makes a hidden post visible again", async () => {
+      const blog = makeBlog(author, { hiddenAt: new Date() });
+      jest.spyOn(Blog, "findById").mockResolvedValue(blog);
+      const { status, body } = await unhide(blog);
+      expect(status).toBe(200);
+      expect(blog.hiddenAt).toBeNull();
+      expect(blog.save).toHaveBeenCalledWith({ timestamps: false });
+      expect(body.target.isHidden).toBe(false);
+      expect(blog.isVisibleTo(undefined)).toBe(true);
+    });
+
+    it("rejects content that is not hidden", async () => {
+      const blog = makeBlog(author);
+      jest.spyOn(Blog, "findById").mockResolvedValue(blog);
+      const { status } = await unhide(blog);
+      expect(status).toBe(400);
+      expect(blog.save).not.toHaveBeenCalled();
+    });
+
+    it("returns 404 for missing content", async () => {
+      const blog = makeBlog(author);
+      jest.spyOn(Blog, "findById").mockResolvedValue(null);
+      const { status } = await unhide(blog);
+      expect(status).toBe(404);
+    });
+  });
+});
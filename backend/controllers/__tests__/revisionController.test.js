@@ -0,0 +1,78 @@
+const Blog = require("../../models/Blog");
+const BlogRevision = require("../../models/BlogRevision");
+const Category = require("../../models/Category");
+const { restoreRevision } = require("../revisionController");
+const { runHandler, makeUser, makeBlog } = require("./helpers");
+
+describe("revisionController", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("restoreRevision", () => {
+    let author;
+    let blog;
+
+    beforeEach(() => {
+      author = makeUser("author");
+      blog = makeBlog(author, {
+        title: "New title",
+        category: "Technology",
+        content: "New content",
+      });
+      jest.spyOn(Blog, "findById").mockResolvedValue(blog);
+      jest.spyOn(BlogRevision, "findOne").mockResolvedValue({
+        number: 2,
+        title: "Old title",
+        category: "Travel",
+        content: "Old content",
+      });
+      jest.spyOn(BlogRevision, "record").mockResolvedValue({});
+    });
+
+    const restore = (user = author) =>
+      runHandler(restoreRevision, {
+        params: { id: blog._id.toString(), number: "2" },
+        user,
+      });
+
+    it("restores the revision's fields", async () => {
+      jest.spyOn(Category, "exists").mockResolvedValue({ _id: "c1" });
+      const { status } = await restore();
+      expect(status).toBe(200);
+      expect(blog).toMatchObject({
+        title: "Old title",
+        category: "Travel",
+        content: "Old content",
+      });
+      expect(BlogRevision.record).toHaveBeenCalledWith(
+        blog,
+        author,
+        ["title", "category", "content"],
+        2
+      );
+    });
+
+    it("keeps the current category if the revision's no longer exists", async () => {
+      jest.spyOn(Category, "exists").mockResolvedValue(null);
+      const { status } = await restore();
+      expect(status).toBe(200);
+      expect(Category.exists).toHaveBeenCalledWith({ name: "Travel" });
+      expect(blog).toMatchObject({
+        title: "Old title",
+        category: "Technology",
+        content: "Old content",
+      });
+      expect(BlogRevision.record.mock.calls[0][2]).toEqual([
+        "title",
+        "content",
+      ]);
+    });
+
+    it("refuses users who may not manage the post", async () => {
+      const { status } = await restore(makeUser("author"));
+      expect(status).toBe(403);
+      expect(blog.save).not.toHaveBeenCalled();
+    });
+  });
+});
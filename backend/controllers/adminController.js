@@ -0,0 +1,539 @@
+const mongoose = require("mongoose");
+const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const User = require("../models/User");
+const Comment = require("../models/Comment");
+const escapeRegExp = require("../utils/escapeRegExp");
+const { cancelScheduledPublish } = require("../utils/publishScheduler");
+const { announceBlog } = require("../utils/blogEvents");
+
+const { ROLES, ACCOUNT_STATUSES } = User;
+const { BLOG_STATUSES } = Blog;
+const { REVISION_FIELDS } = BlogRevision;
+
+// Maximum length of the search text of the user and post searches
+const MAX_SEARCH_LENGTH = 200;
+
+// Longest suspension an admin can set; longer ones should be bans
+const MAX_SUSPENSION_DAYS = 365;
+
+// Number of entries in the top categories and top authors lists
+const TOP_LIST_SIZE = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the `q` query parameter as a case-insensitive pattern matching any part of a field.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {RegExp|null} The pattern, or null without search text.
+ * @throws {Error} If the search text is too long (sets a 400 status).
+ */
+const parseSearch = (req, res) => {
+  const search = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (search.length > MAX_SEARCH_LENGTH) {
+    res.status(400);
+    throw new Error(
+      `Search text cannot be longer than ${MAX_SEARCH_LENGTH} characters`
+    );
+  }
+  return search ? new RegExp(escapeRegExp(search), "i") : null;
+};
+
+/**
+ * Reads a whole-number query parameter within bounds.
+ * @param {*} value - The raw query value.
+ * @param {number} fallback - The value used when the parameter is missing.
+ * @param {number} max - The largest allowed value.
+ * @returns {number} The number, between 1 and `max`.
+ */
+const parseCount = (value, fallback, max) =>
+  Math.min(Math.max(Math.floor(Number(value)) || fallback, 1), max);
+
+/**
+ * Builds the user data shown to admins: the public profile plus email, account status and post count.
+ * @param {Object} user - The user document.
+ * @param {number} [postCount=0] - The number of posts the user wrote, in any status.
+ * @returns {Object} The user data.
+ */
+const toAdminUser = (user, postCount = 0) => ({
+  ...user.toPublicProfile(),
+  email: user.email,
+  accountStatus: user.getAccountStatus(),
+  suspendedUntil: user.suspendedUntil,
+  bannedAt: user.bannedAt,
+  suspensionReason: user.suspensionReason,
+  postCount,
+});
+
+/**
+ * Loads the user from the `:id` route parameter.
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The user document.
+ * @throws {Error} If the user is not found (404).
+ */
+const findUserParam = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findById(req.params.id)
+    : null;
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+  return user;
+};
+
+/**
+ * Loads the user from the `:id` route parameter for a suspension or ban. Admins cannot suspend themselves
+ * or other admins (who have to be demoted first), so the site always keeps a working admin.
+ * @async
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The user document.
+ * @throws {Error} If the user is not found (404) or may not be suspended (400).
+ */
+const findSuspendableUser = async (req, res) => {
+  const user = await findUserParam(req, res);
+  if (user._id.toString() === req.user._id.toString()) {
+    res.status(400);
+    throw new Error("You cannot suspend or ban yourself");
+  }
+  if (user.role === "admin") {
+    res.status(400);
+    throw new Error(
+      "Admins cannot be suspended or banned; change their role first"
+    );
+  }
+  return user;
+};
+
+/**
+ * Reads the optional `reason` of a suspension or ban from the request body.
+ * @param {import('express').Request} req - Express request object
+ * @returns {string} The reason, or an empty string.
+ */
+const parseReason = (req) =>
+  typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+/**
+ * Lists the UTC days from `since` up to today, as YYYY-MM-DD strings.
+ * @param {Date} since - The first day, at midnight UTC.
+ * @param {number} days - The number of days.
+ * @returns {string[]} The days, oldest first.
+ */
+const listDays = (since, days) =>
+  Array.from({ length: days }, (_, i) =>
+    new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10)
+  );
+
+/**
+ * Returns midnight UTC of the Monday starting the week a date falls in.
+ * @param {Date} date - The date.
+ * @returns {Date} The start of the week.
+ */
+const startOfWeek = (date) => {
+  const day = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+/**
+ * Turns aggregated `{ _id: key, count }` buckets into a series with a zero for every missing key,
+ * so charts show quiet days and weeks too.
+ * @param {string[]} keys - Every key of the period, in order.
+ * @param {Array<{ _id: string, count: number }>} buckets - The aggregation results.
+ * @returns {Array<{ date: string, count: number }>} The series.
+ */
+const fillSeries = (keys, buckets) => {
+  const counts = new Map(buckets.map((bucket) => [bucket._id, bucket.count]));
+  return keys.map((date) => ({ date, count: counts.get(date) || 0 }));
+};
+
+/**
+ * @desc    Get site statistics: totals, new posts per day over the last `days` days (default 30),
+ *          signups per week over the last `weeks` weeks (default 12, weeks start on Monday, UTC),
+ *          and the categories and authors with the most published posts.
+ * @route   GET /api/admin/stats?days=:days&weeks=:weeks
+ * @access  Private (Admins only)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getStats = async (req, res, next) => {
+  try {
+    const days = parseCount(req.query.days, 30, 365);
+    const weeks = parseCount(req.query.weeks, 12, 104);
+    const now = new Date();
+    const today = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+    );
+    const daysSince = new Date(today.getTime() - (days - 1) * DAY_MS);
+    const weeksSince = new Date(
+      startOfWeek(now).getTime() - (weeks - 1) * 7 * DAY_MS
+    );
+
+    const [
+      userCount,
+      commentCount,
+      postsByStatus,
+      postsPerDay,
+      signupsPerWeek,
+      topCategories,
+      topAuthors,
+    ] = await Promise.all([
+      User.countDocuments(),
+      Comment.countDocuments({ deletedAt: null }),
+      Blog.aggregate([
+        {
+          $group: {
+            _id: { $ifNull: ["$status", "published"] },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+      Blog.aggregate([
+        { $match: { createdAt: { $gte: daysSince } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+      User.aggregate([
+        { $match: { createdAt: { $gte: weeksSince } } },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: "%Y-%m-%d",
+                date: {
+                  $dateTrunc: {
+                    date: "$createdAt",
+                    unit: "week",
+                    startOfWeek: "monday",
+                  },
+                },
+              },
+            },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+      Blog.aggregate([
+        { $match: Blog.publishedFilter() },
+        { $group: { _id: "$category", postCount: { $sum: 1 } } },
+        { $sort: { postCount: -1, _id: 1 } },
+        { $limit: TOP_LIST_SIZE },
+        { $project: { _id: 0, category: "$_id", postCount: 1 } },
+      ]),
+      Blog.aggregate([
+        { $match: Blog.publishedFilter() },
+        { $group: { _id: "$userId", postCount: { $sum: 1 } } },
+        { $sort: { postCount: -1, _id: 1 } },
+        { $limit: TOP_LIST_SIZE },
+        {
+          $lookup: {
+            from: User.collection.name,
+            localField: "_id",
+            foreignField: "_id",
+            as: "user",
+          },
+        },
+        { $unwind: "$user" },
+        {
+          $project: {
+            _id: "$user._id",
+            name: "$user.name",
+            handle: "$user.handle",
+            avatar: "$user.avatar",
+            postCount: 1,
+          },
+        },
+      ]),
+    ]);
+
+    const postCounts = Object.fromEntries(
+      BLOG_STATUSES.map((status) => [status, 0])
+    );
+    postsByStatus.forEach(({ _id, count }) => {
+      postCounts[_id] = count;
+    });
+
+    res.json({
+      totals: {
+        users: userCount,
+        posts: Object.values(postCounts).reduce((sum, count) => sum + count, 0),
+        postsByStatus: postCounts,
+        comments: commentCount,
+      },
+      postsPerDay: fillSeries(listDays(daysSince, days), postsPerDay),
+      signupsPerWeek: fillSeries(
+        Array.from({ length: weeks }, (_, i) =>
+          new Date(weeksSince.getTime() + i * 7 * DAY_MS)
+            .toISOString()
+            .slice(0, 10)
+        ),
+        signupsPerWeek
+      ),
+      topCategories,
+      topAuthors,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Search users by name, email or handle, optionally filtered by role and account status, newest first.
+ *          Each result includes the user's email, account status and number of posts.
+ * @route   GET /api/admin/users?q=:q&role=:role&status=:status&page=:page&limit=:limit
+ * @access  Private (Admins only)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const pageSize = Math.min(Number(req.query.limit) || 20, 100);
+    const page = Number(req.query.page) || 1;
+    const search = parseSearch(req, res);
+    const { role, status } = req.query;
+
+    const conditions = [];
+    if (search) {
+      conditions.push({
+        $or: [{ name: search }, { email: search }, { handle: search }],
+      });
+    }
+    if (role) {
+      if (!ROLES.includes(role)) {
+        res.status(400);
+        throw new Error(`Invalid role filter: ${role}`);
+      }
+      conditions.push({ role });
+    }
+    if (status) {
+      if (!ACCOUNT_STATUSES.includes(status)) {
+        res.status(400);
+        throw new Error(`Invalid status filter: ${status}`);
+      }
+      conditions.push(User.accountStatusFilter(status));
+    }
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+
+    const count = await User.countDocuments(query);
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1));
+    const postCounts = await Blog.aggregate([
+      { $match: { userId: { $in: users.map((user) => user._id) } } },
+      { $group: { _id: "$userId", count: { $sum: 1 } } },
+    ]);
+    const postCountsById = new Map(
+      postCounts.map(({ _id, count }) => [_id.toString(), count])
+    );
+
+    res.json({
+      users: users.map((user) =>
+        toAdminUser(user, postCountsById.get(user._id.toString()))
+      ),
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Suspend a user for a number of days (1 to 365). Suspended users cannot log in or act until it ends.
+ *          Replaces any earlier suspension or ban.
+ * @route   PUT /api/admin/users/:id/suspend
+ * @access  Private (Admins only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object (body: `days`, optional `reason`)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const suspendUser = async (req, res, next) => {
+  try {
+    const days = Number(req.body.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS) {
+      res.status(400);
+      throw new Error(
+        `Suspensions must last a whole number of days between 1 and ${MAX_SUSPENSION_DAYS}`
+      );
+    }
+    const user = await findSuspendableUser(req, res);
+    user.suspendedUntil = new Date(Date.now() + days * DAY_MS);
+    user.bannedAt = null;
+    user.suspensionReason = parseReason(req);
+    await user.save();
+    res.json(toAdminUser(user));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      res.status(400);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Ban a user until an admin lifts the ban. Banned users cannot log in or act.
+ * @route   PUT /api/admin/users/:id/ban
+ * @access  Private (Admins only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object (body: optional `reason`)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const banUser = async (req, res, next) => {
+  try {
+    const user = await findSuspendableUser(req, res);
+    user.bannedAt = new Date();
+    user.suspendedUntil = null;
+    user.suspensionReason = parseReason(req);
+    await user.save();
+    res.json(toAdminUser(user));
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      res.status(400);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Lift a user's suspension or ban. Unlike suspensions, this works for admins too,
+ *          e.g. a suspended user who was promoted since.
+ * @route   PUT /api/admin/users/:id/unsuspend
+ * @access  Private (Admins only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const unsuspendUser = async (req, res, next) => {
+  try {
+    const user = await findUserParam(req, res);
+    user.suspendedUntil = null;
+    user.bannedAt = null;
+    user.suspensionReason = "";
+    await user.save();
+    res.json(toAdminUser(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Search posts of every author and status by title or author name, newest first.
+ *          `status` filters by status ("all" or omitted for every status); `authorId` by author.
+ * @route   GET /api/admin/posts?q=:q&status=:status&authorId=:authorId&page=:page&limit=:limit
+ * @access  Private (Admins only)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getPosts = async (req, res, next) => {
+  try {
+    const pageSize = Math.min(Number(req.query.limit) || 20, 100);
+    const page = Number(req.query.page) || 1;
+    const search = parseSearch(req, res);
+    const { status = "all", authorId } = req.query;
+
+    const conditions = [];
+    if (search) {
+      conditions.push({ $or: [{ title: search }, { authorName: search }] });
+    }
+    if (status !== "all") {
+      if (!BLOG_STATUSES.includes(status)) {
+        res.status(400);
+        throw new Error(`Invalid status filter: ${status}`);
+      }
+      conditions.push(
+        // Hidden posts are included, unlike in public listings
+        status === "published"
+          ? { status: { $in: [status, null] } }
+          : { status }
+      );
+    }
+    if (authorId) {
+      if (!mongoose.isValidObjectId(authorId)) {
+        res.status(400);
+        throw new Error("Invalid author ID format");
+      }
+      conditions.push({ userId: authorId });
+    }
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+
+    const count = await Blog.countDocuments(query);
+    const blogs = await Blog.find(query)
+      .select("-content -contentHtml -slugHistory")
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1));
+
+    res.json({
+      blogs,
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unpublish a published or unlisted post, turning it back into a draft (and cancelling any schedule)
+ *          so only its author and moderators can see it. The change is recorded as a revision.
+ * @route   PUT /api/admin/posts/:id/unpublish
+ * @access  Private (Admins only)
+ * @param {import('express').Request & { user?: { _id: string, name: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const unpublishPost = async (req, res, next) => {
+  try {
+    const blog = mongoose.isValidObjectId(req.params.id)
+      ? await Blog.findById(req.params.id)
+      : null;
+    if (!blog) {
+      res.status(404);
+      throw new Error("Blog post not found");
+    }
+    if (!blog.isVisibleTo()) {
+      res.status(400);
+      throw new Error("Blog post is not published");
+    }
+
+    const previous = { status: blog.status };
+    blog.status = "draft";
+    blog.scheduledFor = null;
+    const changedFields = REVISION_FIELDS.filter((field) =>
+      blog.isModified(field)
+    );
+    const updatedBlog = await blog.save();
+    await BlogRevision.record(updatedBlog, req.user, changedFields);
+    cancelScheduledPublish(updatedBlog._id);
+
+    res.json(updatedBlog);
+    announceBlog(updatedBlog, previous);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStats,
+  getUsers,
+  suspendUser,
+  banUser,
+  unsuspendUser,
+  getPosts,
+  unpublishPost,
+};
@@ -1,5 +1,18 @@
 const User = require("../models/User");
 const generateToken = require("../utils/generateToken");
+const syncAuthorName = require("../utils/syncAuthorName");
+
+const { SOCIAL_NETWORKS } = User;
+
+/**
+ * Builds the user data sent to the account owner: their public profile plus private fields.
+ * @param {Object} user - The user document.
+ * @returns {Object} The user data (without a token).
+ */
+const toAccountJSON = (user) => ({
+  ...user.toPublicProfile(),
+  email: user.email,
+});
 
 /**
  * @desc    Register a new user
@@ -28,11 +41,8 @@ const signupUser = async (req, res, next) => {
 
     if (user) {
       res.status(201).json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
+        ...toAccountJSON(user),
         token: generateToken(user._id),
-        createdAt: user.createdAt,
       });
     } else {
       res.status(400);
@@ -44,7 +54,7 @@ const signupUser = async (req, res, next) => {
 };
 
 /**
- * @desc    Authenticate user & get token (Login)
+ * @desc    Authenticate user & get token (Login). Suspended and banned users are refused with the reason.
  * @route   POST /api/auth/login
  * @access  Public
  * @param {import('express').Request} req - Express request object
@@ -63,12 +73,16 @@ const loginUser = async (req, res, next) => {
     const user = await User.findOne({ email }).select("+password");
 
     if (user && (await user.comparePassword(password))) {
+      const suspensionMessage = user.getSuspensionMessage();
+      if (suspensionMessage) {
+        res.status(403); // Forbidden
+        throw new Error(suspensionMessage);
+      }
+      // Users created before handles existed get one on their next save
+      if (!user.handle) await user.save();
       res.json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
+        ...toAccountJSON(user),
         token: generateToken(user._id),
-        createdAt: user.createdAt,
       });
     } else {
       res.status(401); // Unauthorized
@@ -79,4 +93,177 @@ const loginUser = async (req, res, next) => {
   }
 };
 
-module.exports = { signupUser, loginUser };
+/**
+ * @desc    Get the currently authenticated user's profile
+ * @route   GET /api/auth/me
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property from auth middleware
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      res.status(404);
+      throw new Error("User not found");
+    }
+
+    res.json(toAccountJSON(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the current user's name, email and public profile (handle, bio, avatar, website, socialLinks).
+ *          Omitted fields are left unchanged. A new name is copied to the user's posts and comments in the background.
+ * @route   PUT /api/auth/profile
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property from auth middleware
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const updateProfile = async (req, res, next) => {
+  const { name, email, handle, socialLinks } = req.body;
+
+  try {
+    // Anything but text (e.g. an array or object) would reach string methods and queries below
+    ["name", "email"].forEach((field) => {
+      if (
+        req.body[field] !== undefined &&
+        typeof req.body[field] !== "string"
+      ) {
+        res.status(400); // Bad Request
+        throw new Error(`The ${field} must be a string`);
+      }
+    });
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      res.status(404);
+      throw new Error("User not found");
+    }
+
+    if (email && email.toLowerCase() !== user.email) {
+      const emailTaken = await User.findOne({
+        email: email.toLowerCase(),
+        _id: { $ne: user._id },
+      });
+
+      if (emailTaken) {
+        res.status(400); // Bad Request
+        throw new Error("Another account already uses this email");
+      }
+      user.email = email;
+    }
+
+    const nameChanged = !!name && name.trim() !== user.name;
+    user.name = name || user.name;
+
+    if (typeof handle === "string" && handle.toLowerCase() !== user.handle) {
+      const handleTaken = await User.exists({
+        handle: handle.toLowerCase(),
+        _id: { $ne: user._id },
+      });
+
+      if (handleTaken) {
+        res.status(400); // Bad Request
+        throw new Error("This handle is already taken");
+      }
+      user.handle = handle;
+    }
+
+    ["bio", "avatar", "website"].forEach((field) => {
+      if (req.body[field] !== undefined) user[field] = req.body[field];
+    });
+    if (socialLinks) {
+      SOCIAL_NETWORKS.forEach((network) => {
+        if (socialLinks[network] !== undefined) {
+          user.socialLinks[network] = socialLinks[network];
+        }
+      });
+    }
+
+    const updatedUser = await user.save();
+    res.json(toAccountJSON(updatedUser));
+
+    if (nameChanged) {
+      // Posts and comments store the author's name; update them without holding up the response
+      syncAuthorName(updatedUser._id).catch((err) =>
+        console.error("Error syncing author name:", err)
+      );
+    }
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      res.status(400);
+    } else if (error.code === 11000) {
+      // Another account took the email or handle since it was checked
+      res.status(400);
+      return next(
+        new Error(
+          error.keyPattern?.email
+            ? "Another account already uses this email"
+            : "This handle is already taken"
+        )
+      );
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change the current user's password and issue a fresh token
+ * @route   PUT /api/auth/change-password
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property from auth middleware
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const changePassword = async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    if (!currentPassword || !newPassword) {
+      res.status(400);
+      throw new Error("Please provide your current and new password");
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!user) {
+      res.status(404);
+      throw new Error("User not found");
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      res.status(401); // Unauthorized
+      throw new Error("Current password is incorrect");
+    }
+
+    // Saving triggers the pre-save hook, which hashes the password and sets passwordChangedAt,
+    // so every token issued before this point stops working.
+    user.password = newPassword;
+    await user.save();
+
+    res.json({
+      message: "Password changed successfully",
+      token: generateToken(user._id),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      res.status(400);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  signupUser,
+  loginUser,
+  getMe,
+  updateProfile,
+  changePassword,
+};
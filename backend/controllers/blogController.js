@@ -1,8 +1,144 @@
+const mongoose = require("mongoose");
 const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
 const User = require("../models/User");
+const Category = require("../models/Category");
+const Reaction = require("../models/Reaction");
+const Follow = require("../models/Follow");
+const Bookmark = require("../models/Bookmark");
+const {
+  schedulePublish,
+  cancelScheduledPublish,
+} = require("../utils/publishScheduler");
+
+const { renderMarkdown, stripMarkdown } = require("../utils/markdown");
+const {
+  parseSearchTerms,
+  highlightText,
+  buildSnippet,
+} = require("../utils/searchHighlight");
+
+const { BLOG_STATUSES } = Blog;
+const { REVISION_FIELDS } = BlogRevision;
+const normalizeTags = require("../utils/normalizeTags");
+const withListingDetails = require("../utils/listingDetails");
+const { announceBlog, announceBlogDeleted } = require("../utils/blogEvents");
+const {
+  getTrashRetentionDays,
+  getPurgeDate,
+  deleteBlogsPermanently,
+} = require("../utils/trash");
+
+// Longer search strings are rejected rather than passed on to MongoDB
+const MAX_SEARCH_LENGTH = 200;
+
+/**
+ * Parses the `scheduledFor` value of a request body.
+ * Sets a 400 status and throws if the value is not a valid date in the future.
+ * @param {*} value - The raw value from the request body.
+ * @param {import('express').Response} res - Express response object, used to set the error status.
+ * @returns {Date|null|undefined} The parsed date, null to clear the schedule, or undefined if not provided.
+ * @throws {Error} If the value is invalid or in the past.
+ */
+const parseScheduledFor = (value, res) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error("Invalid scheduled publish date");
+  }
+  if (date.getTime() <= Date.now()) {
+    res.status(400);
+    throw new Error("Scheduled publish date must be in the future");
+  }
+  return date;
+};
+
+/**
+ * Checks that a category with the given name exists.
+ * Sets a 400 status and throws if it does not.
+ * @async
+ * @param {string} name - The category name from the request body.
+ * @param {import('express').Response} res - Express response object, used to set the error status.
+ * @throws {Error} If there is no such category.
+ */
+const assertCategoryExists = async (name, res) => {
+  if (!(await Category.exists({ name }))) {
+    res.status(400);
+    throw new Error(`Unknown category: ${name}`);
+  }
+};
+
+/**
+ * Makes sure a blog post has rendered HTML before it is sent to the client.
+ * Posts saved before Markdown support have no `contentHtml` until their next save.
+ * @param {Object} blog - The blog post document.
+ * @returns {Object} The same document, with `contentHtml` filled in.
+ */
+const withContentHtml = (blog) => {
+  if (!blog.contentHtml) {
+    blog.contentHtml = renderMarkdown(blog.content);
+  }
+  return blog;
+};
+
+/**
+ * Prepares a single blog post for the client: fills in missing HTML and adds `myReactions`,
+ * the reaction types the current user left on it, and `isBookmarked` (empty and false for anonymous visitors).
+ * @async
+ * @param {Object} blog - The blog post document.
+ * @param {{ _id: string }} [user] - The requesting user, if any.
+ * @returns {Promise<Object>} The blog post as a plain object.
+ */
+const toBlogResponse = async (blog, user) => {
+  const [myReactions, isBookmarked] = user
+    ? await Promise.all([
+        Reaction.typesByUser([blog._id], user._id),
+        Bookmark.exists({ blogId: blog._id, userId: user._id }),
+      ])
+    : [new Map(), false];
+  return {
+    ...withContentHtml(blog).toObject(),
+    myReactions: myReactions.get(blog._id.toString()) || [],
+    isBookmarked: !!isBookmarked,
+  };
+};
+
+/**
+ * Encodes the position after a feed post as an opaque cursor.
+ * @param {Object} blog - The last blog post of a feed page.
+ * @returns {string} The cursor.
+ */
+const encodeFeedCursor = (blog) =>
+  Buffer.from(
+    JSON.stringify({ createdAt: blog.createdAt.toISOString(), id: blog._id })
+  ).toString("base64url");
+
+/**
+ * Decodes a feed cursor created by `encodeFeedCursor`.
+ * @param {string} cursor - The cursor from the query string.
+ * @returns {{ createdAt: Date, id: string }|null} The position, or null if the cursor is invalid.
+ */
+const decodeFeedCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString()
+    );
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return { createdAt: date, id };
+  } catch (error) {
+    return null;
+  }
+};
 
 /**
- * @desc    Create a new blog post
+ * @desc    Create a new blog post. Passing a future `scheduledFor` date saves it as a draft
+ *          that is published automatically at that time.
  * @route   POST /api/blogs
  * @access  Private (Requires authentication)
  * @param {import('express').Request & { user?: { _id: string, name: string } }} req - Express request object, augmented with user property from auth middleware
@@ -10,12 +146,18 @@ const User = require("../models/User");
  * @param {import('express').NextFunction} next - Express next middleware function
  */
 const createBlog = async (req, res, next) => {
-  const { title, category, content, image } = req.body;
+  const { title, category, content, image, status, tags } = req.body;
   try {
     if (!title || !category || !content) {
       res.status(400);
       throw new Error("Title, category, and content are required fields.");
     }
+    await assertCategoryExists(category, res);
+    const scheduledFor = parseScheduledFor(req.body.scheduledFor, res);
+    if (scheduledFor && status && status !== "draft") {
+      res.status(400);
+      throw new Error("Only drafts can be scheduled for publishing");
+    }
     if (!req.user || !req.user._id) {
       res.status(401);
       throw new Error("User not authenticated or user data incomplete.");
@@ -25,11 +167,18 @@ const createBlog = async (req, res, next) => {
       category,
       content,
       image: image || undefined,
+      tags,
+      // Scheduled posts stay drafts until the scheduler publishes them
+      status: scheduledFor ? "draft" : status || undefined,
+      scheduledFor: scheduledFor || undefined,
       userId: req.user._id,
       authorName: req.user.name,
     });
     const createdBlog = await blog.save();
+    await BlogRevision.record(createdBlog, req.user, REVISION_FIELDS);
+    schedulePublish(createdBlog);
     res.status(201).json(createdBlog);
+    announceBlog(createdBlog);
   } catch (error) {
     if (error.name === "ValidationError") {
       res.status(400);
@@ -39,30 +188,122 @@ const createBlog = async (req, res, next) => {
 };
 
 /**
- * @desc    Get all blog posts with optional filtering and pagination
- * @route   GET /api/blogs
- * @route   GET /api/blogs?category=:category&authorName=:authorName&page=:page&limit=:limit
- * @access  Public
+ * @desc    Get all blog posts with optional filtering and pagination (at most 100 posts per page).
+ *          Only published posts are listed, unless the `status` filter is used by an authenticated
+ *          user, in which case the results are restricted to that user's own posts (filtering by another
+ *          author is then refused with a 403).
+ *          With `q`, posts are searched by title and content using the text index (MongoDB search syntax:
+ *          "quoted phrases" and -excluded words), sorted by relevance, and each result gets a `score`
+ *          and `highlights` ({ title, snippet } as lists of { text, match } segments).
+ *          `tags` (comma-separated) filters by tags; `tagMatch=all` requires every tag instead of any of them.
+ *          `authorId` (or `userId`) filters by the author's user ID; prefer it over the `authorName` filter,
+ *          since names are not unique.
+ *          Every result includes its `commentCount`, `reactionCounts` and `myReactions` (the reaction types
+ *          the current user left on it).
+ * @route   GET /api/blogs?q=:q&category=:category&tags=:tags&tagMatch=:tagMatch&authorId=:authorId&authorName=:authorName&status=:status&page=:page&limit=:limit
+ * @access  Public (status other than "published" requires authentication)
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
  */
 const getBlogs = async (req, res, next) => {
   try {
-    const pageSize = Number(req.query.limit) || 10;
+    const pageSize = Math.min(Number(req.query.limit) || 10, 100);
     const page = Number(req.query.page) || 1;
-    const query = {};
+    const { status } = req.query;
+    const search = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (search.length > MAX_SEARCH_LENGTH) {
+      res.status(400);
+      throw new Error(
+        `Search text cannot be longer than ${MAX_SEARCH_LENGTH} characters`
+      );
+    }
+    let query = {};
+    if (!status || status === "published") {
+      query = Blog.publishedFilter();
+    } else {
+      if (!req.user) {
+        res.status(401);
+        throw new Error("Not authorized to list unpublished blog posts");
+      }
+      if (status !== "all" && !BLOG_STATUSES.includes(status)) {
+        res.status(400);
+        throw new Error(`Invalid status filter: ${status}`);
+      }
+      // Unpublished posts are only ever listed for their own author
+      query.userId = req.user._id;
+      if (status !== "all") {
+        query.status = status;
+      }
+    }
     if (req.query.category) {
       query.category = req.query.category;
     }
+    if (req.query.tags) {
+      const tags = normalizeTags(
+        [].concat(req.query.tags).flatMap((value) => String(value).split(","))
+      );
+      const { tagMatch = "any" } = req.query;
+      if (!["any", "all"].includes(tagMatch)) {
+        res.status(400);
+        throw new Error(`Invalid tagMatch: ${tagMatch}. Use "any" or "all"`);
+      }
+      if (tags.length > 0) {
+        query.tags = tagMatch === "all" ? { $all: tags } : { $in: tags };
+      }
+    }
+    const authorId = req.query.authorId || req.query.userId;
+    if (authorId) {
+      if (!mongoose.isValidObjectId(authorId)) {
+        res.status(400);
+        throw new Error("Invalid author ID format");
+      }
+      const isOwnId =
+        !!req.user && req.user._id.toString() === String(authorId);
+      if (!isOwnId) {
+        // The status filter already restricted the results to the user's own posts
+        if (query.userId) {
+          res.status(403);
+          throw new Error(
+            "Not authorized to list another user's unpublished blog posts"
+          );
+        }
+        // Other users' unlisted, draft and hidden posts never show up under their name
+        Object.assign(query, Blog.publishedFilter());
+      }
+      query.userId = authorId;
+    }
     if (req.query.authorName) {
       query.authorName = req.query.authorName;
     }
+    if (search) {
+      query.$text = { $search: search };
+    }
     const count = await Blog.countDocuments(query);
-    const blogs = await Blog.find(query)
-      .sort({ createdAt: -1 })
+    const docs = await Blog.find(query)
+      // Listings only need the source for snippets
+      .select(
+        search
+          ? { contentHtml: 0, score: { $meta: "textScore" } }
+          : "-contentHtml"
+      )
+      .sort(
+        search
+          ? { score: { $meta: "textScore" }, createdAt: -1 }
+          : { createdAt: -1 }
+      )
       .limit(pageSize)
       .skip(pageSize * (page - 1));
+    const terms = search ? parseSearchTerms(search) : null;
+    const blogs = (await withListingDetails(docs, req.user)).map((blog) => ({
+      ...blog,
+      ...(terms && {
+        highlights: {
+          title: highlightText(blog.title, terms),
+          snippet: buildSnippet(stripMarkdown(blog.content), terms),
+        },
+      }),
+    }));
     res.json({
       blogs,
       page,
@@ -75,7 +316,102 @@ const getBlogs = async (req, res, next) => {
 };
 
 /**
- * @desc    Get a single blog post by ID
+ * @desc    Get the current user's own blog posts in every status (drafts included), newest first.
+ *          `status` narrows the list to a single status.
+ * @route   GET /api/blogs/mine?status=:status&page=:page&limit=:limit
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getMyBlogs = async (req, res, next) => {
+  try {
+    const pageSize = Math.min(Number(req.query.limit) || 10, 100);
+    const page = Number(req.query.page) || 1;
+    const { status } = req.query;
+    const query = { userId: req.user._id };
+    if (status && status !== "all") {
+      if (!BLOG_STATUSES.includes(status)) {
+        res.status(400);
+        throw new Error(`Invalid status filter: ${status}`);
+      }
+      // Posts created before statuses existed count as published
+      query.status = status === "published" ? { $in: [status, null] } : status;
+    }
+
+    const [count, docs] = await Promise.all([
+      Blog.countDocuments(query),
+      Blog.find(query)
+        .select("-contentHtml")
+        .sort({ createdAt: -1 })
+        .limit(pageSize)
+        .skip(pageSize * (page - 1)),
+    ]);
+    res.json({
+      blogs: await withListingDetails(docs, req.user),
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the published posts of the authors the current user follows, newest first.
+ *          Uses cursor pagination: pass the returned `nextCursor` as `cursor` to get the next page,
+ *          which stays stable while new posts are published. `nextCursor` is null on the last page.
+ * @route   GET /api/feed?cursor=:cursor&limit=:limit
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getFeed = async (req, res, next) => {
+  try {
+    const pageSize = Math.min(Number(req.query.limit) || 10, 50);
+    const follows = await Follow.find({ followerId: req.user._id })
+      .select("followingId")
+      .lean();
+    const query = {
+      ...Blog.publishedFilter(),
+      userId: { $in: follows.map((follow) => follow.followingId) },
+    };
+    if (req.query.cursor) {
+      const cursor = decodeFeedCursor(req.query.cursor);
+      if (!cursor) {
+        res.status(400);
+        throw new Error("Invalid feed cursor");
+      }
+      query.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+      ];
+    }
+
+    // One extra post tells whether there is another page
+    const docs = await Blog.find(query)
+      .select("-contentHtml")
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1);
+    const pageDocs = docs.slice(0, pageSize);
+    res.json({
+      blogs: await withListingDetails(pageDocs, req.user),
+      nextCursor:
+        docs.length > pageSize
+          ? encodeFeedCursor(pageDocs[pageDocs.length - 1])
+          : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single blog post by ID, including its Markdown source, sanitized HTML and the current
+ *          user's `myReactions`.
+ *          Drafts and archived posts are only returned to their author.
  * @route   GET /api/blogs/:id
  * @access  Public
  * @param {import('express').Request} req - Express request object
@@ -85,8 +421,8 @@ const getBlogs = async (req, res, next) => {
 const getBlogById = async (req, res, next) => {
   try {
     const blog = await Blog.findById(req.params.id);
-    if (blog) {
-      res.json(blog);
+    if (blog && blog.isVisibleTo(req.user)) {
+      res.json(await toBlogResponse(blog, req.user));
     } else {
       res.status(404);
       throw new Error("Blog post not found");
@@ -101,31 +437,122 @@ const getBlogById = async (req, res, next) => {
 };
 
 /**
- * @desc    Update an existing blog post
+ * @desc    Get a single blog post by its slug.
+ *          Old slugs of renamed posts (and raw post IDs, for links created before slugs existed)
+ *          answer with a 301 redirect to the current slug.
+ * @route   GET /api/blogs/slug/:slug
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getBlogBySlug = async (req, res, next) => {
+  const { slug } = req.params;
+  try {
+    const blog = await Blog.findOne({ slug });
+    if (blog && blog.isVisibleTo(req.user)) {
+      return res.json(await toBlogResponse(blog, req.user));
+    }
+
+    const previous =
+      (await Blog.findOne({ slugHistory: slug })) ||
+      (mongoose.isValidObjectId(slug) ? await Blog.findById(slug) : null);
+    if (previous && previous.isVisibleTo(req.user)) {
+      // Posts created before slugs existed are served directly until their next save
+      if (!previous.slug) {
+        return res.json(await toBlogResponse(previous, req.user));
+      }
+      const location = `${req.baseUrl}/slug/${previous.slug}`;
+      return res.status(301).location(location).json({
+        message: "Blog post has moved",
+        slug: previous.slug,
+        location,
+      });
+    }
+
+    res.status(404);
+    throw new Error("Blog post not found");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Render Markdown to sanitized HTML without saving, for the editor's live preview
+ * @route   POST /api/blogs/preview
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const previewMarkdown = async (req, res, next) => {
+  try {
+    res.json({ html: renderMarkdown(req.body.content) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an existing blog post. `scheduledFor` sets or (with null) clears the publish schedule of a draft.
+ *          Every save that changes the post writes an immutable revision, recording who made the change.
  * @route   PUT /api/blogs/:id
- * @access  Private (Author only)
+ * @access  Private (Author, moderators and admins)
  * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
  */
 const updateBlog = async (req, res, next) => {
-  const { title, category, content, image } = req.body;
+  const { title, category, content, image, status, tags } = req.body;
   try {
     const blog = await Blog.findById(req.params.id);
     if (!blog) {
       res.status(404);
       throw new Error("Blog post not found");
     }
-    if (!req.user || blog.userId.toString() !== req.user._id.toString()) {
+    if (!blog.isManageableBy(req.user)) {
       res.status(403); // Forbidden
       throw new Error("User not authorized to update this blog post");
     }
+    // Posts created before revisions existed get their current state recorded first,
+    // so the pre-edit version is never lost
+    if (!(await BlogRevision.exists({ blogId: blog._id }))) {
+      await BlogRevision.record(
+        blog,
+        { _id: blog.userId, name: blog.authorName },
+        []
+      );
+    }
+    if (category && category !== blog.category) {
+      await assertCategoryExists(category, res);
+    }
     blog.title = title || blog.title;
     blog.category = category || blog.category;
     blog.content = content || blog.content;
     blog.image = image !== undefined ? image : blog.image;
+    if (tags !== undefined) {
+      blog.tags = tags;
+    }
+    const previous = { status: blog.status, hiddenAt: blog.hiddenAt };
+    blog.status = status || blog.status;
+    const scheduledFor = parseScheduledFor(req.body.scheduledFor, res);
+    if (scheduledFor !== undefined) {
+      if (scheduledFor && blog.status !== "draft") {
+        res.status(400);
+        throw new Error("Only drafts can be scheduled for publishing");
+      }
+      blog.scheduledFor = scheduledFor;
+    }
+    const changedFields = REVISION_FIELDS.filter((field) =>
+      blog.isModified(field)
+    );
     const updatedBlog = await blog.save();
+    if (changedFields.length > 0) {
+      await BlogRevision.record(updatedBlog, req.user, changedFields);
+    }
+    schedulePublish(updatedBlog);
     res.json(updatedBlog);
+    announceBlog(updatedBlog, previous);
   } catch (error) {
     if (error.name === "ValidationError") {
       res.status(400);
@@ -138,9 +565,24 @@ const updateBlog = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete a blog post
+ * Sets a 400 status for invalid blog post IDs before passing the error on.
+ * @param {Error} error - The error.
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const handleIdError = (error, res, next) => {
+  if (error.name === "CastError" && error.kind === "ObjectId") {
+    res.status(400);
+    return next(new Error("Invalid blog post ID format"));
+  }
+  next(error);
+};
+
+/**
+ * @desc    Delete a blog post by moving it to the trash. Trashed posts are left out of every listing and lookup
+ *          until they are restored, and are purged after the trash retention period.
  * @route   DELETE /api/blogs/:id
- * @access  Private (Author only)
+ * @access  Private (Author, moderators and admins)
  * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
@@ -154,26 +596,151 @@ const deleteBlog = async (req, res, next) => {
       throw new Error("Blog post not found");
     }
 
-    if (!req.user || blog.userId.toString() !== req.user._id.toString()) {
+    if (!blog.isManageableBy(req.user)) {
       res.status(403); // Forbidden
       throw new Error("User not authorized to delete this blog post");
     }
 
-    await Blog.findByIdAndDelete(req.params.id);
-    res.json({ message: "Blog post removed successfully" });
+    blog.deletedAt = new Date();
+    blog.deletedBy = req.user._id;
+    // Trashing is not an edit, so it leaves the post's last-updated time alone
+    await blog.save({ timestamps: false });
+    cancelScheduledPublish(blog._id);
+    res.json({
+      message: "Blog post moved to the trash",
+      purgeAt: getPurgeDate(blog.deletedAt),
+    });
+    announceBlogDeleted(blog._id);
+  } catch (error) {
+    handleIdError(error, res, next);
+  }
+};
+
+/**
+ * Finds a post in the trash that the current user may manage.
+ * @async
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object (`params.id` is the post ID)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The trashed blog post document.
+ * @throws {Error} If the post is not in the trash (404) or the user may not manage it (403).
+ */
+const findTrashedBlog = async (req, res) => {
+  const blog = await Blog.findOne({
+    _id: req.params.id,
+    deletedAt: { $ne: null },
+  });
+  if (!blog) {
+    res.status(404);
+    throw new Error("Blog post not found in the trash");
+  }
+  if (!blog.isManageableBy(req.user)) {
+    res.status(403);
+    throw new Error("User not authorized to manage this blog post");
+  }
+  return blog;
+};
+
+/**
+ * @desc    Get the current user's trashed blog posts, the most recently deleted first. Each post has
+ *          `purgeAt` (when it will be deleted for good) and `canRestore` (false for posts a moderator
+ *          or admin moved to the trash).
+ * @route   GET /api/blogs/trash?page=:page&limit=:limit
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const pageSize = Math.min(Number(req.query.limit) || 10, 100);
+    const page = Number(req.query.page) || 1;
+    const query = { userId: req.user._id, deletedAt: { $ne: null } };
+
+    const [count, docs] = await Promise.all([
+      Blog.countDocuments(query),
+      Blog.find(query)
+        .select("-content -contentHtml")
+        .sort({ deletedAt: -1 })
+        .limit(pageSize)
+        .skip(pageSize * (page - 1)),
+    ]);
+    res.json({
+      blogs: docs.map((blog) => ({
+        ...blog.toObject(),
+        purgeAt: getPurgeDate(blog.deletedAt),
+        canRestore: blog.isRestorableBy(req.user),
+      })),
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+      retentionDays: getTrashRetentionDays(),
+    });
   } catch (error) {
-    if (error.name === "CastError" && error.kind === "ObjectId") {
-      res.status(400);
-      return next(new Error("Invalid blog post ID format"));
-    }
     next(error);
   }
 };
 
+/**
+ * @desc    Restore a blog post from the trash with its previous status. Authors cannot restore posts
+ *          a moderator or admin moved to the trash.
+ * @route   PUT /api/blogs/:id/restore
+ * @access  Private (Author, moderators and admins)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const restoreBlog = async (req, res, next) => {
+  try {
+    const blog = await findTrashedBlog(req, res);
+    if (!blog.isRestorableBy(req.user)) {
+      res.status(403);
+      throw new Error(
+        "This blog post was removed by a moderator and cannot be restored"
+      );
+    }
+
+    blog.deletedAt = null;
+    blog.deletedBy = null;
+    await blog.save({ timestamps: false });
+    schedulePublish(blog);
+    res.json(blog);
+    // To other users the post is new again
+    announceBlog(blog, { status: "draft" });
+  } catch (error) {
+    handleIdError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Permanently delete a blog post from the trash, along with its revisions, comments, reactions,
+ *          bookmarks and notifications. Posts must be moved to the trash first.
+ * @route   DELETE /api/blogs/:id/permanent
+ * @access  Private (Author, moderators and admins)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const deleteBlogPermanently = async (req, res, next) => {
+  try {
+    const blog = await findTrashedBlog(req, res);
+    await deleteBlogsPermanently([blog._id]);
+    res.json({ message: "Blog post deleted permanently" });
+  } catch (error) {
+    handleIdError(error, res, next);
+  }
+};
+
 module.exports = {
   createBlog,
   getBlogs,
+  getMyBlogs,
+  getFeed,
   getBlogById,
+  getBlogBySlug,
+  previewMarkdown,
   updateBlog,
   deleteBlog,
+  getTrash,
+  restoreBlog,
+  deleteBlogPermanently,
 };
@@ -0,0 +1,109 @@
+const Blog = require("../models/Blog");
+const Bookmark = require("../models/Bookmark");
+const withListingDetails = require("../utils/listingDetails");
+
+/**
+ * Sets a 400 status for invalid ID formats before passing the error on.
+ * @param {Error & { kind?: string }} error - The caught error.
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const handleError = (error, res, next) => {
+  if (error.name === "CastError" && error.kind === "ObjectId") {
+    res.status(400);
+    return next(new Error("Invalid blog post ID format"));
+  }
+  next(error);
+};
+
+/**
+ * @desc    Get the current user's bookmarked posts, most recently saved first.
+ *          Each post has a `savedAt` date. Posts that are no longer visible to the user are left out.
+ * @route   GET /api/bookmarks?page=:page&limit=:limit
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getBookmarks = async (req, res, next) => {
+  try {
+    const pageSize = Math.min(Number(req.query.limit) || 10, 100);
+    const page = Number(req.query.page) || 1;
+    const query = { userId: req.user._id };
+
+    const [bookmarks, count] = await Promise.all([
+      Bookmark.find(query)
+        .sort({ createdAt: -1 })
+        .limit(pageSize)
+        .skip(pageSize * (page - 1))
+        .populate({ path: "blogId", select: "-contentHtml" }),
+      Bookmark.countDocuments(query),
+    ]);
+    // Skip posts that were deleted or unpublished by their author
+    const saved = bookmarks.filter(
+      ({ blogId }) => blogId && blogId.isVisibleTo(req.user)
+    );
+    const blogs = await withListingDetails(
+      saved.map(({ blogId }) => blogId),
+      req.user
+    );
+
+    res.json({
+      blogs: blogs.map((blog, i) => ({ ...blog, savedAt: saved[i].createdAt })),
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Bookmark a blog post. Idempotent: bookmarking a post again changes nothing.
+ * @route   PUT /api/bookmarks/:blogId
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const addBookmark = async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.blogId);
+    if (!blog || !blog.isVisibleTo(req.user)) {
+      res.status(404);
+      throw new Error("Blog post not found");
+    }
+
+    try {
+      await Bookmark.create({ userId: req.user._id, blogId: blog._id });
+    } catch (error) {
+      if (error.code !== 11000) throw error; // Already bookmarked
+    }
+    res.json({ blogId: blog._id, isBookmarked: true });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Remove a bookmark. Idempotent: removing a missing bookmark changes nothing.
+ * @route   DELETE /api/bookmarks/:blogId
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const removeBookmark = async (req, res, next) => {
+  try {
+    await Bookmark.deleteOne({
+      userId: req.user._id,
+      blogId: req.params.blogId,
+    });
+    res.json({ blogId: req.params.blogId, isBookmarked: false });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+module.exports = { getBookmarks, addBookmark, removeBookmark };
@@ -0,0 +1,151 @@
+const Blog = require("../models/Blog");
+const Category = require("../models/Category");
+
+/**
+ * Handles errors common to the category write endpoints.
+ * Validation errors and duplicate names or slugs become 400 Bad Request, malformed IDs a 400 with a clear message.
+ * @param {Error & { code?: number, kind?: string }} error - The error that was thrown.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ */
+const handleError = (error, res, next) => {
+  if (error.name === "ValidationError") {
+    res.status(400);
+  } else if (error.code === 11000) {
+    res.status(400);
+    return next(new Error("A category with this name already exists"));
+  } else if (error.name === "CastError" && error.kind === "ObjectId") {
+    res.status(400);
+    return next(new Error("Invalid category ID format"));
+  }
+  next(error);
+};
+
+/**
+ * @desc    Get all categories in display order, each with the number of published posts in it
+ * @route   GET /api/categories
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getCategories = async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, name: 1 }).lean(),
+      Blog.aggregate([
+        { $match: Blog.publishedFilter() },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const countByName = new Map(counts.map((c) => [c._id, c.count]));
+
+    res.json(
+      categories.map((category) => ({
+        ...category,
+        postCount: countByName.get(category.name) || 0,
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a category
+ * @route   POST /api/categories
+ * @access  Private (Admin only)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const createCategory = async (req, res, next) => {
+  const { name, description, order } = req.body;
+  try {
+    const category = await Category.create({ name, description, order });
+    res.status(201).json({ ...category.toObject(), postCount: 0 });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Update a category. Renaming it also renames the category on every blog post using it.
+ * @route   PUT /api/categories/:id
+ * @access  Private (Admin only)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const updateCategory = async (req, res, next) => {
+  const { name, description, order } = req.body;
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      res.status(404);
+      throw new Error("Category not found");
+    }
+
+    const previousName = category.name;
+    category.name = name || category.name;
+    category.description =
+      description !== undefined ? description : category.description;
+    category.order = order !== undefined ? order : category.order;
+    const updatedCategory = await category.save();
+
+    // Blog posts store the category name, so they follow the rename (trashed posts too, in case they are restored).
+    // A rename is not an edit of the posts, so it leaves their last-updated time alone.
+    if (updatedCategory.name !== previousName) {
+      await Blog.updateMany(
+        { category: previousName },
+        { $set: { category: updatedCategory.name } },
+        { includeTrashed: true, timestamps: false }
+      );
+    }
+
+    res.json(updatedCategory);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Delete a category. Categories that are still used by blog posts cannot be deleted.
+ * @route   DELETE /api/categories/:id
+ * @access  Private (Admin only)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      res.status(404);
+      throw new Error("Category not found");
+    }
+
+    // Trashed posts count, so they keep a valid category if they are restored
+    const postCount = await Blog.countDocuments({
+      category: category.name,
+    }).setOptions({ includeTrashed: true });
+    if (postCount > 0) {
+      res.status(400);
+      throw new Error(
+        `This category is used by ${postCount} blog post(s). Move them to another category (or delete them permanently from the trash) first.`
+      );
+    }
+
+    await category.deleteOne();
+    res.json({ message: "Category removed successfully" });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+module.exports = {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,287 @@
+const Blog = require("../models/Blog");
+const Comment = require("../models/Comment");
+const notify = require("../utils/notify");
+const { announceComment } = require("../utils/blogEvents");
+
+const { MAX_COMMENT_DEPTH } = Comment;
+
+/**
+ * Loads the blog post from the `:id` route parameter and checks that the current user may see it.
+ * Sets a 404 status and throws otherwise, so hidden posts look the same as missing ones.
+ * @async
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The blog post document.
+ * @throws {Error} If the post is not found or not visible to the user.
+ */
+const findVisibleBlog = async (req, res) => {
+  const blog = await Blog.findById(req.params.id);
+  if (!blog || !blog.isVisibleTo(req.user)) {
+    res.status(404);
+    throw new Error("Blog post not found");
+  }
+  return blog;
+};
+
+/**
+ * Loads a comment of the blog post from the `:commentId` route parameter.
+ * Sets a 404 status and throws if it does not exist, was deleted or was hidden by a moderator.
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The comment document.
+ * @throws {Error} If the comment is not found.
+ */
+const findComment = async (req, res) => {
+  const comment = await Comment.findOne({
+    _id: req.params.commentId,
+    blogId: req.params.id,
+    deletedAt: null,
+    hiddenAt: null,
+  });
+  if (!comment) {
+    res.status(404);
+    throw new Error("Comment not found");
+  }
+  return comment;
+};
+
+/**
+ * Converts a comment to the shape sent to clients. Deleted comments and comments hidden by a moderator
+ * lose their body and author.
+ * @param {Object} comment - The comment document or plain object.
+ * @returns {Object} The comment, with `isDeleted`, `isHidden` and an empty `replies` list.
+ */
+const toCommentJSON = (comment) => {
+  const data = comment.toObject ? comment.toObject() : { ...comment };
+  const isHidden = !data.deletedAt && !!data.hiddenAt;
+  if (data.deletedAt || isHidden) {
+    Object.assign(data, { body: "", userId: null, authorName: null });
+  }
+  return { ...data, isDeleted: !!data.deletedAt, isHidden, replies: [] };
+};
+
+/**
+ * Sets a 400 status for invalid ID formats and validation errors before passing the error on.
+ * @param {Error & { kind?: string }} error - The caught error.
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const handleError = (error, res, next) => {
+  if (error.name === "ValidationError") {
+    res.status(400);
+  } else if (error.name === "CastError" && error.kind === "ObjectId") {
+    res.status(400);
+    return next(new Error("Invalid blog post or comment ID format"));
+  }
+  next(error);
+};
+
+/**
+ * @desc    Get the comments of a blog post as threads. Top-level comments are paginated (oldest first),
+ *          and each comes with all of its replies nested in `replies`.
+ * @route   GET /api/blogs/:id/comments?page=:page&limit=:limit
+ * @access  Public (comments of drafts and archived posts are only visible to the post's author)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getComments = async (req, res, next) => {
+  try {
+    const blog = await findVisibleBlog(req, res);
+    const pageSize = Math.min(Number(req.query.limit) || 20, 100);
+    const page = Number(req.query.page) || 1;
+    const topLevel = { blogId: blog._id, parentId: null };
+
+    const [roots, count, total] = await Promise.all([
+      Comment.find(topLevel)
+        .sort({ createdAt: 1 })
+        .limit(pageSize)
+        .skip(pageSize * (page - 1))
+        .lean(),
+      Comment.countDocuments(topLevel),
+      Comment.countDocuments({
+        blogId: blog._id,
+        deletedAt: null,
+        hiddenAt: null,
+      }),
+    ]);
+    const replies = await Comment.find({
+      rootId: { $in: roots.map((root) => root._id) },
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Replies are sorted by creation, so every parent is in the map before its children
+    const byId = new Map();
+    const threads = roots.map((root) => {
+      const node = toCommentJSON(root);
+      byId.set(root._id.toString(), node);
+      return node;
+    });
+    replies.forEach((reply) => {
+      const node = toCommentJSON(reply);
+      byId.set(reply._id.toString(), node);
+      const parent = byId.get(reply.parentId.toString());
+      if (parent) parent.replies.push(node);
+    });
+
+    res.json({
+      comments: threads,
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+      total,
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Add a comment to a blog post, or a reply to another comment (with `parentId`).
+ *          The post's author and the author of the comment replied to are notified.
+ * @route   POST /api/blogs/:id/comments
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string, name: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const createComment = async (req, res, next) => {
+  const { body, parentId } = req.body;
+  try {
+    const blog = await findVisibleBlog(req, res);
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, blogId: blog._id });
+      if (!parent || parent.deletedAt || parent.hiddenAt) {
+        res.status(400);
+        throw new Error("The comment you are replying to no longer exists");
+      }
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        res.status(400);
+        throw new Error("Replies cannot be nested any deeper");
+      }
+    }
+
+    const comment = await Comment.create({
+      blogId: blog._id,
+      userId: req.user._id,
+      authorName: req.user.name,
+      parentId: parent ? parent._id : null,
+      rootId: parent ? parent.rootId || parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      body,
+    });
+
+    const created = toCommentJSON(comment);
+    res.status(201).json(created);
+    announceComment(blog, created);
+
+    // Tell the author of the comment replied to, and the post's author unless that is the same person
+    const notification = { actorId: req.user._id, blogId: blog._id };
+    if (parent) {
+      notify({
+        ...notification,
+        recipientId: parent.userId,
+        type: "reply",
+        commentId: comment._id,
+      });
+    }
+    if (!parent || parent.userId.toString() !== blog.userId.toString()) {
+      notify({
+        ...notification,
+        recipientId: blog.userId,
+        type: "comment",
+        commentId: comment._id,
+      });
+    }
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Edit the text of a comment
+ * @route   PUT /api/blogs/:id/comments/:commentId
+ * @access  Private (Comment author only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    await findVisibleBlog(req, res);
+    const comment = await findComment(req, res);
+
+    if (comment.userId.toString() !== req.user._id.toString()) {
+      res.status(403); // Forbidden
+      throw new Error("User not authorized to edit this comment");
+    }
+
+    if (req.body.body !== undefined && req.body.body !== comment.body) {
+      comment.body = req.body.body;
+      comment.editedAt = new Date();
+    }
+    const updatedComment = await comment.save();
+
+    res.json(toCommentJSON(updatedComment));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Delete a comment. Comments with replies are blanked out instead of removed so the
+ *          thread stays readable; blanked comments are removed once their last reply is gone.
+ * @route   DELETE /api/blogs/:id/comments/:commentId
+ * @access  Private (Comment author, blog post author, moderators and admins)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const blog = await findVisibleBlog(req, res);
+    const comment = await findComment(req, res);
+
+    const userId = req.user._id.toString();
+    if (
+      comment.userId.toString() !== userId &&
+      blog.userId.toString() !== userId &&
+      !req.user.canModerate()
+    ) {
+      res.status(403); // Forbidden
+      throw new Error("User not authorized to delete this comment");
+    }
+
+    if (await Comment.exists({ parentId: comment._id })) {
+      comment.deletedAt = new Date();
+      comment.body = undefined;
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+      // Remove blanked-out ancestors that no longer have any replies
+      let parentId = comment.parentId;
+      while (parentId) {
+        const parent = await Comment.findById(parentId);
+        if (
+          !parent ||
+          !parent.deletedAt ||
+          (await Comment.exists({ parentId: parent._id }))
+        ) {
+          break;
+        }
+        await parent.deleteOne();
+        parentId = parent.parentId;
+      }
+    }
+
+    res.json({ message: "Comment removed successfully" });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+module.exports = { getComments, createComment, updateComment, deleteComment };
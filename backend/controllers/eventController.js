@@ -0,0 +1,17 @@
+const { addClient } = require("../utils/realtime");
+
+/**
+ * @desc    Open a Server-Sent Events stream of live changes. Everyone receives "blog:published",
+ *          "blog:updated", "blog:deleted" and "comment:created"; logged-in users (`token` query parameter,
+ *          since EventSource cannot send headers) also receive their own "notification:created" events.
+ *          A "ready" event confirms the connection.
+ * @route   GET /api/events?token=:token
+ * @access  Public (notifications require a valid token)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+const streamEvents = (req, res) => {
+  addClient(req, res, req.user);
+};
+
+module.exports = { streamEvents };
@@ -0,0 +1,196 @@
+const User = require("../models/User");
+const Follow = require("../models/Follow");
+const notify = require("../utils/notify");
+
+/**
+ * Loads the user from the `:id` route parameter. Sets a 404 status and throws if it does not exist.
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The user document (name only).
+ * @throws {Error} If the user is not found.
+ */
+const findUser = async (req, res) => {
+  const user = await User.findById(req.params.id).select("name");
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+  return user;
+};
+
+/**
+ * Sends a user's follower/following counts and whether the current user follows them.
+ * @async
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {Object} user - The user document.
+ */
+const sendFollowState = async (req, res, user) => {
+  const [counts, isFollowing] = await Promise.all([
+    Follow.countsFor(user._id),
+    req.user
+      ? Follow.exists({ followerId: req.user._id, followingId: user._id })
+      : null,
+  ]);
+  res.json({ ...counts, isFollowing: !!isFollowing });
+};
+
+/**
+ * Lists one side of a user's follow relationships, newest first.
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {"followers"|"following"} direction - Which list to send.
+ */
+const sendFollowList = async (req, res, direction) => {
+  const user = await findUser(req, res);
+  const pageSize = Math.min(Number(req.query.limit) || 20, 100);
+  const page = Number(req.query.page) || 1;
+  // Followers are found by who they follow, and vice versa
+  const [matchField, userField] =
+    direction === "followers"
+      ? ["followingId", "followerId"]
+      : ["followerId", "followingId"];
+  const query = { [matchField]: user._id };
+
+  const [follows, count] = await Promise.all([
+    Follow.find(query)
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1))
+      .populate(userField, "name")
+      .lean(),
+    Follow.countDocuments(query),
+  ]);
+
+  res.json({
+    users: follows
+      .filter((follow) => follow[userField]) // Skip accounts that no longer exist
+      .map((follow) => ({
+        _id: follow[userField]._id,
+        name: follow[userField].name,
+        followedAt: follow.createdAt,
+      })),
+    page,
+    pages: Math.ceil(count / pageSize),
+    count,
+  });
+};
+
+/**
+ * Sets a 400 status for invalid ID formats before passing the error on.
+ * @param {Error & { kind?: string }} error - The caught error.
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const handleError = (error, res, next) => {
+  if (error.name === "CastError" && error.kind === "ObjectId") {
+    res.status(400);
+    return next(new Error("Invalid user ID format"));
+  }
+  next(error);
+};
+
+/**
+ * @desc    Get a user's follower and following counts, and whether the current user follows them
+ * @route   GET /api/users/:id/follow
+ * @access  Public
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getFollowStatus = async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    await sendFollowState(req, res, user);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Follow a user and notify them. Idempotent: following someone again changes nothing.
+ * @route   PUT /api/users/:id/follow
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const followUser = async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (user._id.toString() === req.user._id.toString()) {
+      res.status(400);
+      throw new Error("You cannot follow yourself");
+    }
+
+    try {
+      await Follow.create({ followerId: req.user._id, followingId: user._id });
+      notify({ recipientId: user._id, actorId: req.user._id, type: "follow" });
+    } catch (error) {
+      if (error.code !== 11000) throw error; // Already following
+    }
+    await sendFollowState(req, res, user);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Unfollow a user. Idempotent: unfollowing someone not followed changes nothing.
+ * @route   DELETE /api/users/:id/follow
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const unfollowUser = async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    await Follow.deleteOne({ followerId: req.user._id, followingId: user._id });
+    await sendFollowState(req, res, user);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Get the users following a user, newest first
+ * @route   GET /api/users/:id/followers?page=:page&limit=:limit
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getFollowers = async (req, res, next) => {
+  try {
+    await sendFollowList(req, res, "followers");
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Get the users a user follows, newest first
+ * @route   GET /api/users/:id/following?page=:page&limit=:limit
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getFollowing = async (req, res, next) => {
+  try {
+    await sendFollowList(req, res, "following");
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+module.exports = {
+  getFollowStatus,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+};
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const Media = require("../models/Media");
+const { getStorage } = require("../utils/storage");
+const { getPublicUrl } = require("../utils/urls");
+
+// Image formats accepted after inspecting the file contents, with their MIME type and extension
+const IMAGE_FORMATS = {
+  jpeg: { mimeType: "image/jpeg", ext: "jpg" },
+  png: { mimeType: "image/png", ext: "png" },
+  gif: { mimeType: "image/gif", ext: "gif" },
+  webp: { mimeType: "image/webp", ext: "webp" },
+};
+
+// Thumbnails fit inside this box (in pixels) and are never enlarged
+const THUMBNAIL_SIZE = 400;
+
+/**
+ * @desc    Upload an image to the current user's media library.
+ *          The file contents are verified, EXIF orientation is applied (and metadata stripped),
+ *          and a resized thumbnail is generated. Files already stored are removed if the upload fails.
+ * @route   POST /api/media (multipart/form-data, field "file")
+ * @access  Private (Authors, moderators and admins)
+ * @param {import('express').Request & { user?: { _id: string }, file?: Object }} req - Express request object, augmented with user and file properties
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const uploadMedia = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      res.status(400);
+      throw new Error("Please choose an image to upload");
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(req.file.buffer).metadata();
+    } catch (error) {
+      metadata = null;
+    }
+    const format = metadata && IMAGE_FORMATS[metadata.format];
+    if (!format) {
+      res.status(400);
+      throw new Error("The uploaded file is not a valid image");
+    }
+
+    // GIFs are kept as-is to preserve animation; other formats are re-encoded,
+    // which applies the EXIF orientation and drops metadata such as GPS location.
+    const image =
+      metadata.format === "gif"
+        ? { data: req.file.buffer, info: metadata }
+        : await sharp(req.file.buffer)
+            .rotate()
+            .toFormat(metadata.format)
+            .toBuffer({ resolveWithObject: true });
+    const thumbnail = await sharp(req.file.buffer, { animated: false })
+      .rotate()
+      .resize({
+        width: THUMBNAIL_SIZE,
+        height: THUMBNAIL_SIZE,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    const storage = getStorage();
+    const baseUrl = getPublicUrl();
+    const id = crypto.randomUUID();
+    const key = `${req.user._id}/${id}.${format.ext}`;
+    const thumbnailKey = `${req.user._id}/${id}-thumb.webp`;
+
+    let media;
+    try {
+      const url = await storage.save(key, image.data, {
+        contentType: format.mimeType,
+        baseUrl,
+      });
+      const thumbnailUrl = await storage.save(thumbnailKey, thumbnail, {
+        contentType: "image/webp",
+        baseUrl,
+      });
+
+      media = await Media.create({
+        userId: req.user._id,
+        originalName: req.file.originalname,
+        mimeType: format.mimeType,
+        size: image.data.length,
+        width: image.info.width,
+        height: image.info.height,
+        storage: storage.name,
+        key,
+        url,
+        thumbnailKey,
+        thumbnailUrl,
+      });
+    } catch (error) {
+      // Don't leave files behind that no Media document points to
+      await Promise.all(
+        [key, thumbnailKey].map((k) => storage.remove(k).catch(() => {}))
+      );
+      throw error;
+    }
+
+    res.status(201).json(media);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's media library, newest first, with pagination
+ * @route   GET /api/media?page=:page&limit=:limit
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getMyMedia = async (req, res, next) => {
+  try {
+    const pageSize = Math.min(Number(req.query.limit) || 24, 100);
+    const page = Number(req.query.page) || 1;
+    const query = { userId: req.user._id };
+
+    const count = await Media.countDocuments(query);
+    const media = await Media.find(query)
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1));
+
+    res.json({
+      media,
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an item from the current user's media library, including its stored files.
+ *          Posts that still reference the image will show a broken image.
+ * @route   DELETE /api/media/:id
+ * @access  Private (Owner only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const deleteMedia = async (req, res, next) => {
+  try {
+    const media = await Media.findById(req.params.id);
+
+    if (!media) {
+      res.status(404);
+      throw new Error("Media not found");
+    }
+
+    if (media.userId.toString() !== req.user._id.toString()) {
+      res.status(403); // Forbidden
+      throw new Error("User not authorized to delete this media");
+    }
+
+    const storage = getStorage(media.storage);
+    await storage.remove(media.key);
+    await storage.remove(media.thumbnailKey);
+    await media.deleteOne();
+
+    res.json({ message: "Media removed successfully" });
+  } catch (error) {
+    if (error.name === "CastError" && error.kind === "ObjectId") {
+      res.status(400);
+      return next(new Error("Invalid media ID format"));
+    }
+    next(error);
+  }
+};
+
+module.exports = { uploadMedia, getMyMedia, deleteMedia };
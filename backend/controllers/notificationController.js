@@ -0,0 +1,213 @@
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+
+const { NOTIFICATION_TYPES } = Notification;
+
+/**
+ * Counts the unread notifications of a user.
+ * @param {import('mongoose').Types.ObjectId|string} userId - The user's ID.
+ * @returns {Promise<number>} The number of unread notifications.
+ */
+const countUnread = (userId) =>
+  Notification.countDocuments({ recipientId: userId, readAt: null });
+
+/**
+ * Returns a user's notification preferences with every type filled in.
+ * @param {Object} user - The user document.
+ * @returns {Object<string, boolean>} Whether each notification type is on.
+ */
+const toPreferences = (user) =>
+  Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      user.notificationPreferences?.[type] !== false,
+    ])
+  );
+
+/**
+ * @desc    Get the current user's notifications, newest first, with the number of unread ones.
+ *          `unread=true` lists only unread notifications.
+ * @route   GET /api/notifications?unread=:unread&page=:page&limit=:limit
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const pageSize = Math.min(Number(req.query.limit) || 20, 100);
+    const page = Number(req.query.page) || 1;
+    const query = { recipientId: req.user._id };
+    if (req.query.unread === "true") query.readAt = null;
+
+    const [notifications, count, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(pageSize)
+        .skip(pageSize * (page - 1))
+        .populate("actorId", "name handle avatar")
+        .populate("blogId", "title slug"),
+      Notification.countDocuments(query),
+      countUnread(req.user._id),
+    ]);
+
+    res.json({
+      // Skip notifications from accounts that no longer exist
+      notifications: notifications
+        .filter((notification) => notification.actorId)
+        .map((notification) => notification.toClientJSON()),
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+      unreadCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the number of unread notifications of the current user
+ * @route   GET /api/notifications/unread-count
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getUnreadCount = async (req, res, next) => {
+  try {
+    res.json({ unreadCount: await countUnread(req.user._id) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark one of the current user's notifications as read. Idempotent.
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private (Recipient only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const markRead = async (req, res, next) => {
+  try {
+    // Other users' notifications look the same as missing ones
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipientId: req.user._id,
+    });
+    if (!notification) {
+      res.status(404);
+      throw new Error("Notification not found");
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.json({
+      _id: notification._id,
+      isRead: true,
+      unreadCount: await countUnread(req.user._id),
+    });
+  } catch (error) {
+    if (error.name === "CastError" && error.kind === "ObjectId") {
+      res.status(400);
+      return next(new Error("Invalid notification ID format"));
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const markAllRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipientId: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ markedRead: result.modifiedCount, unreadCount: 0 });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get which types of notifications the current user receives
+ * @route   GET /api/notifications/preferences
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "notificationPreferences"
+    );
+    res.json(toPreferences(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Turn types of notifications on or off for the current user, e.g. `{ "reaction": false }`.
+ *          Omitted types are left unchanged. Notifications already received are kept.
+ * @route   PUT /api/notifications/preferences
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const updatePreferences = async (req, res, next) => {
+  try {
+    const changes = req.body || {};
+    const unknown = Object.keys(changes).filter(
+      (type) => !NOTIFICATION_TYPES.includes(type)
+    );
+    if (unknown.length > 0) {
+      res.status(400);
+      throw new Error(
+        `Unknown notification type: ${unknown[0]}. Use one of: ${NOTIFICATION_TYPES.join(", ")}`
+      );
+    }
+    if (Object.values(changes).some((value) => typeof value !== "boolean")) {
+      res.status(400);
+      throw new Error("Notification preferences must be true or false");
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        $set: Object.fromEntries(
+          Object.entries(changes).map(([type, value]) => [
+            `notificationPreferences.${type}`,
+            value,
+          ])
+        ),
+      },
+      { new: true, projection: "notificationPreferences" }
+    );
+    res.json(toPreferences(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+};
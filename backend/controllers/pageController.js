@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+const Blog = require("../models/Blog");
+const User = require("../models/User");
+const { toExcerpt } = require("../utils/markdown");
+const { loadTemplate, injectHead } = require("../utils/htmlShell");
+const {
+  getSiteName,
+  getSiteUrl,
+  getBlogUrl,
+  getAuthorUrl,
+} = require("../utils/urls");
+
+// Maximum length of the page description shown in link previews, in characters
+const DESCRIPTION_LENGTH = 160;
+
+// Link previews are fetched once per share; a short cache keeps edits showing up quickly
+const PAGE_MAX_AGE = 5 * 60;
+
+/**
+ * Finds the post a `/blog/:slug` URL points at, mirroring GET /api/blogs/slug/:slug for anonymous readers:
+ * its current slug, an old slug or (for posts created before slugs existed) its ID.
+ * @param {string} slug - The slug from the URL.
+ * @returns {Promise<{ blog: Object|null, movedTo?: string }>} The post if it is publicly viewable,
+ *   and its current slug if the URL used an old one.
+ */
+const findBlogForPage = async (slug) => {
+  const blog = await Blog.findOne({ slug });
+  if (blog && blog.isVisibleTo()) return { blog };
+
+  const previous =
+    (await Blog.findOne({ slugHistory: slug })) ||
+    (mongoose.isValidObjectId(slug) ? await Blog.findById(slug) : null);
+  if (!previous || !previous.isVisibleTo()) return { blog: null };
+  return previous.slug
+    ? { blog: previous, movedTo: previous.slug }
+    : { blog: previous };
+};
+
+/**
+ * Builds the link preview (Open Graph and Twitter card) tags, canonical URL and JSON-LD Article data of a post.
+ * @param {Object} blog - The blog post document.
+ * @param {Object|null} author - The author, with `name` and `handle`, if found.
+ * @returns {import('../utils/htmlShell').HeadTags} The page metadata.
+ */
+const toBlogHead = (blog, author) => {
+  const siteName = getSiteName();
+  const url = getBlogUrl(blog);
+  const description = toExcerpt(blog.content, DESCRIPTION_LENGTH);
+  const published = (blog.publishedAt || blog.createdAt).toISOString();
+  const modified = blog.updatedAt.toISOString();
+  const authorUrl = author ? getAuthorUrl(author) : undefined;
+
+  return {
+    title: `${blog.title} - ${siteName}`,
+    meta: [
+      { name: "description", content: description },
+      // Unlisted posts are shared by link but kept out of search results
+      { name: "robots", content: blog.status === "unlisted" && "noindex" },
+      { property: "og:type", content: "article" },
+      { property: "og:site_name", content: siteName },
+      { property: "og:title", content: blog.title },
+      { property: "og:description", content: description },
+      { property: "og:url", content: url },
+      { property: "og:image", content: blog.image },
+      { property: "og:image:alt", content: blog.image && blog.title },
+      { property: "article:published_time", content: published },
+      { property: "article:modified_time", content: modified },
+      { property: "article:author", content: authorUrl },
+      { property: "article:section", content: blog.category },
+      ...blog.tags.map((tag) => ({ property: "article:tag", content: tag })),
+      {
+        name: "twitter:card",
+        content: blog.image ? "summary_large_image" : "summary",
+      },
+      { name: "twitter:title", content: blog.title },
+      { name: "twitter:description", content: description },
+      { name: "twitter:image", content: blog.image },
+    ],
+    links: [{ rel: "canonical", href: url }],
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@type": "BlogPosting",
+      headline: blog.title,
+      description,
+      ...(blog.image && { image: [blog.image] }),
+      datePublished: published,
+      dateModified: modified,
+      author: {
+        "@type": "Person",
+        name: blog.authorName,
+        ...(authorUrl && { url: authorUrl }),
+      },
+      publisher: {
+        "@type": "Organization",
+        name: siteName,
+        url: `${getSiteUrl()}/`,
+      },
+      mainEntityOfPage: { "@type": "WebPage", "@id": url },
+      articleSection: blog.category,
+      ...(blog.tags.length > 0 && { keywords: blog.tags.join(", ") }),
+    },
+  };
+};
+
+/**
+ * @desc    Serve the frontend's page for a blog post with the post's title, description, canonical URL,
+ *          Open Graph / Twitter card tags and JSON-LD Article data in its `<head>`, so shared links get a preview.
+ *          The page still loads the React app. Old slugs are redirected to the current one; posts that are not
+ *          publicly viewable get the plain page with a 404 status, since drafts can only be shown to their
+ *          author once the app has loaded. Answers 503 Service Unavailable while the frontend's page cannot be loaded.
+ * @route   GET /blog/:slug
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const renderBlogPage = async (req, res, next) => {
+  try {
+    const [template, { blog, movedTo }] = await Promise.all([
+      loadTemplate(),
+      findBlogForPage(req.params.slug),
+    ]);
+
+    if (template === null) {
+      res.status(503);
+      throw new Error(
+        "The frontend page is not available; build the frontend or set FRONTEND_INDEX"
+      );
+    }
+    if (movedTo) {
+      return res.redirect(301, `/blog/${encodeURIComponent(movedTo)}`);
+    }
+    if (!blog) {
+      return res
+        .status(404)
+        .type("html")
+        .send(
+          injectHead(template, {
+            meta: [{ name: "robots", content: "noindex" }],
+          })
+        );
+    }
+
+    const author = await User.findById(blog.userId).select("name handle");
+    res.set("Cache-Control", `public, max-age=${PAGE_MAX_AGE}`);
+    res.type("html").send(injectHead(template, toBlogHead(blog, author)));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { renderBlogPage };
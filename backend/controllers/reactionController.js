@@ -0,0 +1,231 @@
+const Blog = require("../models/Blog");
+const Reaction = require("../models/Reaction");
+const notify = require("../utils/notify");
+
+const { REACTION_TYPES } = Reaction;
+
+/**
+ * Loads the blog post from the `:id` route parameter and checks that the current user may see it.
+ * Sets a 404 status and throws otherwise, so hidden posts look the same as missing ones.
+ * @async
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The blog post document.
+ * @throws {Error} If the post is not found or not visible to the user.
+ */
+const findVisibleBlog = async (req, res) => {
+  const blog = await Blog.findById(req.params.id);
+  if (!blog || !blog.isVisibleTo(req.user)) {
+    res.status(404);
+    throw new Error("Blog post not found");
+  }
+  return blog;
+};
+
+/**
+ * Validates a reaction type. Sets a 400 status and throws for unknown types.
+ * @param {string} type - The reaction type from the request.
+ * @param {import('express').Response} res - Express response object
+ * @returns {string} The reaction type.
+ * @throws {Error} If the type is not one of REACTION_TYPES.
+ */
+const parseReactionType = (type, res) => {
+  if (!REACTION_TYPES.includes(type)) {
+    res.status(400);
+    throw new Error(
+      `Invalid reaction type: ${type}. Use one of: ${REACTION_TYPES.join(", ")}`
+    );
+  }
+  return type;
+};
+
+/**
+ * Adds or removes one reaction of a user and keeps the post's counter in step.
+ * The counter is only incremented when the reaction was actually inserted (the unique index
+ * rejects duplicates) and only decremented when a reaction was actually deleted, so repeated
+ * or concurrent requests never skew it. A new reaction notifies the post's author.
+ * @async
+ * @param {Object} blog - The blog post document.
+ * @param {string} userId - The reacting user's ID.
+ * @param {string} type - The reaction type.
+ * @param {boolean} active - True to add the reaction, false to remove it.
+ * @returns {Promise<Object>} The post's reaction counts after the change.
+ */
+const setReaction = async (blog, userId, type, active) => {
+  const key = { blogId: blog._id, userId, type };
+  let changed = false;
+  if (active) {
+    try {
+      await Reaction.create(key);
+      changed = true;
+    } catch (error) {
+      if (error.code !== 11000) throw error; // Already reacted
+    }
+  } else {
+    changed = !!(await Reaction.findOneAndDelete(key));
+  }
+
+  if (!changed) return blog.reactionCounts;
+  if (active) {
+    notify({
+      recipientId: blog.userId,
+      actorId: userId,
+      type: "reaction",
+      blogId: blog._id,
+      reactionType: type,
+    });
+  }
+  const updated = await Blog.findByIdAndUpdate(
+    blog._id,
+    { $inc: { [`reactionCounts.${type}`]: active ? 1 : -1 } },
+    // Reacting is not an edit, so it leaves the post's last-updated time alone
+    { new: true, projection: "reactionCounts", timestamps: false }
+  );
+  // The post may have been deleted in the meantime
+  return updated ? updated.reactionCounts : blog.reactionCounts;
+};
+
+/**
+ * Sends the outcome of a reaction change: the post's counts and the user's current reactions.
+ * @async
+ * @param {import('express').Request & { user: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {Object} blog - The blog post document.
+ * @param {Object} reactionCounts - The post's reaction counts.
+ */
+const sendReactionState = async (req, res, blog, reactionCounts) => {
+  const myReactions = await Reaction.typesByUser([blog._id], req.user._id);
+  res.json({
+    reactionCounts,
+    myReactions: myReactions.get(blog._id.toString()) || [],
+  });
+};
+
+/**
+ * Sets a 400 status for invalid ID formats and validation errors before passing the error on.
+ * @param {Error & { kind?: string }} error - The caught error.
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const handleError = (error, res, next) => {
+  if (error.name === "ValidationError") {
+    res.status(400);
+  } else if (error.name === "CastError" && error.kind === "ObjectId") {
+    res.status(400);
+    return next(new Error("Invalid blog post ID format"));
+  }
+  next(error);
+};
+
+/**
+ * @desc    Get the reactions of a blog post: counts per type, the current user's reactions and a
+ *          paginated list of who reacted (newest first), optionally for a single `type`.
+ * @route   GET /api/blogs/:id/reactions?type=:type&page=:page&limit=:limit
+ * @access  Public (reactions on drafts and archived posts are only visible to the post's author)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getReactions = async (req, res, next) => {
+  try {
+    const blog = await findVisibleBlog(req, res);
+    const pageSize = Math.min(Number(req.query.limit) || 20, 100);
+    const page = Number(req.query.page) || 1;
+    const query = { blogId: blog._id };
+    if (req.query.type) {
+      query.type = parseReactionType(req.query.type, res);
+    }
+
+    const [reactions, count, myReactions] = await Promise.all([
+      Reaction.find(query)
+        .sort({ createdAt: -1 })
+        .limit(pageSize)
+        .skip(pageSize * (page - 1))
+        .populate("userId", "name")
+        .lean(),
+      Reaction.countDocuments(query),
+      req.user ? Reaction.typesByUser([blog._id], req.user._id) : new Map(),
+    ]);
+
+    res.json({
+      reactionCounts: blog.reactionCounts,
+      myReactions: myReactions.get(blog._id.toString()) || [],
+      reactions: reactions.map(({ _id, type, userId, createdAt }) => ({
+        _id,
+        type,
+        // The user may have deleted their account
+        user: userId ? { _id: userId._id, name: userId.name } : null,
+        createdAt,
+      })),
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Toggle one of the current user's reactions on a blog post
+ * @route   POST /api/blogs/:id/reactions
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, with `type` in the body
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const toggleReaction = async (req, res, next) => {
+  try {
+    const blog = await findVisibleBlog(req, res);
+    const type = parseReactionType(req.body?.type, res);
+    const exists = await Reaction.exists({
+      blogId: blog._id,
+      userId: req.user._id,
+      type,
+    });
+    const reactionCounts = await setReaction(blog, req.user._id, type, !exists);
+    await sendReactionState(req, res, blog, reactionCounts);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Add a reaction to a blog post. Idempotent: reacting again with the same type changes nothing.
+ * @route   PUT /api/blogs/:id/reactions/:type
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const addReaction = async (req, res, next) => {
+  try {
+    const blog = await findVisibleBlog(req, res);
+    const type = parseReactionType(req.params.type, res);
+    const reactionCounts = await setReaction(blog, req.user._id, type, true);
+    await sendReactionState(req, res, blog, reactionCounts);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Remove a reaction from a blog post. Idempotent: removing a missing reaction changes nothing.
+ * @route   DELETE /api/blogs/:id/reactions/:type
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const removeReaction = async (req, res, next) => {
+  try {
+    const blog = await findVisibleBlog(req, res);
+    const type = parseReactionType(req.params.type, res);
+    const reactionCounts = await setReaction(blog, req.user._id, type, false);
+    await sendReactionState(req, res, blog, reactionCounts);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+module.exports = { getReactions, toggleReaction, addReaction, removeReaction };
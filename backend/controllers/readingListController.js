@@ -0,0 +1,316 @@
+const mongoose = require("mongoose");
+const Blog = require("../models/Blog");
+const ReadingList = require("../models/ReadingList");
+const withListingDetails = require("../utils/listingDetails");
+
+/**
+ * Loads the reading list from the `:id` route parameter and checks that the current user may see it.
+ * Sets a 404 status and throws otherwise, so private lists look the same as missing ones.
+ * @async
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The reading list document.
+ * @throws {Error} If the list is not found or not visible to the user.
+ */
+const findVisibleList = async (req, res) => {
+  const list = await ReadingList.findById(req.params.id);
+  if (!list || !list.isVisibleTo(req.user)) {
+    res.status(404);
+    throw new Error("Reading list not found");
+  }
+  return list;
+};
+
+/**
+ * Loads the reading list from the `:id` route parameter and checks that the current user owns it.
+ * Sets a 404 status for missing or private lists and a 403 status for other users' public lists.
+ * @async
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The reading list document.
+ * @throws {Error} If the list is not found or not owned by the user.
+ */
+const findOwnList = async (req, res) => {
+  const list = await findVisibleList(req, res);
+  if (!list.isOwnedBy(req.user)) {
+    res.status(403); // Forbidden
+    throw new Error("User not authorized to change this reading list");
+  }
+  return list;
+};
+
+/**
+ * Prepares a reading list after a change for the client: its summary and the IDs of its posts in order.
+ * @param {Object} list - The reading list document.
+ * @returns {Object} The list as a plain object.
+ */
+const toListResponse = (list) => ({
+  ...list.toSummary(),
+  blogIds: list.items.map(({ blogId }) => blogId),
+});
+
+/**
+ * Sets a 400 status for invalid ID formats, validation errors and duplicate list names before passing the error on.
+ * @param {Error & { kind?: string, code?: number }} error - The caught error.
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const handleError = (error, res, next) => {
+  if (error.name === "ValidationError") {
+    res.status(400);
+  } else if (error.code === 11000) {
+    res.status(400);
+    return next(new Error("You already have a list with this name"));
+  } else if (error.name === "CastError" && error.kind === "ObjectId") {
+    res.status(400);
+    return next(new Error("Invalid reading list or blog post ID format"));
+  }
+  next(error);
+};
+
+/**
+ * @desc    Get the current user's reading lists, most recently changed first, with their `itemCount`.
+ *          With `blogId`, each list also says whether it contains that post (`containsBlog`).
+ * @route   GET /api/lists?blogId=:blogId
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getMyLists = async (req, res, next) => {
+  try {
+    const { blogId } = req.query;
+    if (blogId && !mongoose.isValidObjectId(blogId)) {
+      res.status(400);
+      throw new Error("Invalid blog post ID format");
+    }
+
+    const lists = await ReadingList.find({ userId: req.user._id }).sort({
+      updatedAt: -1,
+    });
+    res.json({
+      lists: lists.map((list) => ({
+        ...list.toSummary(),
+        ...(blogId && {
+          containsBlog: list.items.some((item) => item.blogId.equals(blogId)),
+        }),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a reading list
+ * @route   POST /api/lists
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const createList = async (req, res, next) => {
+  try {
+    const { name, description, isPublic } = req.body || {};
+    const list = await ReadingList.create({
+      userId: req.user._id,
+      name,
+      description,
+      isPublic: isPublic === true,
+    });
+    res.status(201).json(toListResponse(list));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Get a reading list with its posts in order. Each post has an `addedAt` date.
+ *          Posts that are no longer visible to the user are left out.
+ * @route   GET /api/lists/:id
+ * @access  Public for public lists, otherwise the owner only
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getList = async (req, res, next) => {
+  try {
+    const list = await findVisibleList(req, res);
+    await list.populate([
+      { path: "userId", select: "name handle" },
+      { path: "items.blogId", select: "-contentHtml" },
+    ]);
+    // Skip posts that were deleted or unpublished by their author
+    const items = list.items.filter(
+      ({ blogId }) => blogId && blogId.isVisibleTo(req.user)
+    );
+    const blogs = await withListingDetails(
+      items.map(({ blogId }) => blogId),
+      req.user
+    );
+
+    const { userId: owner, _id, name, description, isPublic } = list;
+    res.json({
+      _id,
+      name,
+      description,
+      isPublic,
+      createdAt: list.createdAt,
+      updatedAt: list.updatedAt,
+      owner: owner && {
+        _id: owner._id,
+        name: owner.name,
+        handle: owner.handle,
+      },
+      isOwner: list.isOwnedBy(req.user),
+      blogs: blogs.map((blog, i) => ({ ...blog, addedAt: items[i].addedAt })),
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Rename a reading list, change its description or make it public or private.
+ *          Omitted fields are left unchanged.
+ * @route   PUT /api/lists/:id
+ * @access  Private (Owner only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const updateList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    const { name, description, isPublic } = req.body || {};
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (typeof isPublic === "boolean") list.isPublic = isPublic;
+    await list.save();
+    res.json(toListResponse(list));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Delete a reading list. The posts themselves and the user's bookmarks are not affected.
+ * @route   DELETE /api/lists/:id
+ * @access  Private (Owner only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const deleteList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    await list.deleteOne();
+    res.json({ message: "Reading list removed successfully" });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Add a post to the end of a reading list. Idempotent: a post already in the list keeps its place.
+ * @route   PUT /api/lists/:id/items/:blogId
+ * @access  Private (Owner only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const addListItem = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    const blog = await Blog.findById(req.params.blogId);
+    if (!blog || !blog.isVisibleTo(req.user)) {
+      res.status(404);
+      throw new Error("Blog post not found");
+    }
+
+    if (!list.items.some(({ blogId }) => blogId.equals(blog._id))) {
+      list.items.push({ blogId: blog._id });
+      await list.save();
+    }
+    res.json(toListResponse(list));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Remove a post from a reading list. Idempotent: removing a post not in the list changes nothing.
+ * @route   DELETE /api/lists/:id/items/:blogId
+ * @access  Private (Owner only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const removeListItem = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!mongoose.isValidObjectId(req.params.blogId)) {
+      res.status(400);
+      throw new Error("Invalid blog post ID format");
+    }
+
+    const items = list.items.filter(
+      ({ blogId }) => !blogId.equals(req.params.blogId)
+    );
+    if (items.length !== list.items.length) {
+      list.items = items;
+      await list.save();
+    }
+    res.json(toListResponse(list));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Reorder the posts of a reading list. `blogIds` names posts of the list, each at most once, in their new order.
+ *          Posts it leaves out (such as posts the owner can no longer see) keep their relative order after them.
+ * @route   PUT /api/lists/:id/items
+ * @access  Private (Owner only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const reorderListItems = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    const blogIds = req.body?.blogIds;
+    const itemsById = new Map(
+      list.items.map((item) => [item.blogId.toString(), item])
+    );
+    const isValidOrder =
+      Array.isArray(blogIds) &&
+      new Set(blogIds.map(String)).size === blogIds.length &&
+      blogIds.every((id) => itemsById.has(String(id)));
+    if (!isValidOrder) {
+      res.status(400);
+      throw new Error("blogIds must only name posts in the list, each once");
+    }
+
+    const named = new Set(blogIds.map(String));
+    list.items = [
+      ...blogIds.map((id) => itemsById.get(String(id))),
+      ...list.items.filter((item) => !named.has(item.blogId.toString())),
+    ].map((item) => item.toObject());
+    await list.save();
+    res.json(toListResponse(list));
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+module.exports = {
+  getMyLists,
+  createList,
+  getList,
+  updateList,
+  deleteList,
+  addListItem,
+  removeListItem,
+  reorderListItems,
+};
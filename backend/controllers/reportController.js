@@ -0,0 +1,405 @@
+const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const Blog = require("../models/Blog");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const { announceBlog } = require("../utils/blogEvents");
+
+const { REPORT_TARGET_TYPES, MODERATION_ACTIONS } = Report;
+
+// Default length of a suspension given from the moderation queue, in days
+const DEFAULT_SUSPENSION_DAYS = 7;
+
+// Longest suspension a moderator can give from the queue; longer ones are up to admins
+const MAX_SUSPENSION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Loads reported content by type and ID.
+ * @async
+ * @param {string} targetType - "blog" or "comment".
+ * @param {string} targetId - The ID of the post or comment.
+ * @returns {Promise<Object|null>} The post or comment document, or null if it does not exist (or the comment was deleted).
+ */
+const findTarget = async (targetType, targetId) => {
+  if (!mongoose.isValidObjectId(targetId)) return null;
+  if (targetType === "blog") return Blog.findById(targetId);
+  return Comment.findOne({ _id: targetId, deletedAt: null });
+};
+
+/**
+ * Reads and checks the `targetType` and `targetId` of a report from an object.
+ * @param {Object} source - The request body or route parameters.
+ * @param {import('express').Response} res - Express response object
+ * @returns {{ targetType: string, targetId: string }} The target.
+ * @throws {Error} If the type or ID is invalid (sets a 400 status).
+ */
+const parseTarget = ({ targetType, targetId }, res) => {
+  if (!REPORT_TARGET_TYPES.includes(targetType)) {
+    res.status(400);
+    throw new Error(
+      `Invalid target type: ${targetType}. Must be one of ${REPORT_TARGET_TYPES.join(", ")}`
+    );
+  }
+  if (!mongoose.isValidObjectId(targetId)) {
+    res.status(400);
+    throw new Error("Invalid target ID format");
+  }
+  return { targetType, targetId };
+};
+
+/**
+ * Builds the summary of reported content shown in the moderation queue.
+ * @param {string} targetType - "blog" or "comment".
+ * @param {Object|null} target - The post or comment, if it still exists.
+ * @returns {Object|null} The summary, or null if the content is gone.
+ */
+const toTargetSummary = (targetType, target) => {
+  if (!target) return null;
+  if (targetType === "blog") {
+    return {
+      _id: target._id,
+      title: target.title,
+      slug: target.slug,
+      excerpt: target.content.slice(0, 300),
+      authorId: target.userId,
+      authorName: target.authorName,
+      status: target.status,
+      isHidden: !!target.hiddenAt,
+    };
+  }
+  return {
+    _id: target._id,
+    blogId: target.blogId,
+    excerpt: target.body.slice(0, 300),
+    authorId: target.userId,
+    authorName: target.authorName,
+    isHidden: !!target.hiddenAt,
+  };
+};
+
+/**
+ * Hides reported content from everyone but its author and moderators.
+ * @async
+ * @param {string} targetType - "blog" or "comment".
+ * @param {Object} target - The post or comment document.
+ */
+const hideTarget = async (targetType, target) => {
+  if (target.hiddenAt) return;
+  const previous = { status: target.status, hiddenAt: target.hiddenAt };
+  target.hiddenAt = new Date();
+  // Hiding is not an edit, so it leaves the post's last-updated time alone
+  await target.save({ timestamps: false });
+  if (targetType === "blog") announceBlog(target, previous);
+};
+
+/**
+ * Makes hidden content visible again.
+ * @async
+ * @param {string} targetType - "blog" or "comment".
+ * @param {Object} target - The post or comment document.
+ */
+const unhideTarget = async (targetType, target) => {
+  const previous = { status: target.status, hiddenAt: target.hiddenAt };
+  target.hiddenAt = null;
+  await target.save({ timestamps: false });
+  if (targetType === "blog") announceBlog(target, previous);
+};
+
+/**
+ * @desc    Report a post or comment to the moderators. Each user can have one open report per post or comment,
+ *          and cannot report their own content.
+ * @route   POST /api/reports
+ * @access  Private (Requires authentication)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ *   (body: `targetType` ("blog" or "comment"), `targetId`, `reason` and optional `details`)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const createReport = async (req, res, next) => {
+  try {
+    const { targetType, targetId } = parseTarget(req.body, res);
+    const target = await findTarget(targetType, targetId);
+    // Content the reporter cannot see is treated as missing
+    const blog =
+      target &&
+      (targetType === "blog" ? target : await Blog.findById(target.blogId));
+    if (!target || target.hiddenAt || !blog || !blog.isVisibleTo(req.user)) {
+      res.status(404);
+      throw new Error(
+        targetType === "blog" ? "Blog post not found" : "Comment not found"
+      );
+    }
+    if (target.userId.toString() === req.user._id.toString()) {
+      res.status(400);
+      throw new Error("You cannot report your own content");
+    }
+
+    const report = await Report.create({
+      targetType,
+      targetId: target._id,
+      targetAuthorId: target.userId,
+      reporterId: req.user._id,
+      reason: req.body.reason,
+      details: req.body.details,
+    });
+    res.status(201).json(report);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      res.status(400);
+    } else if (error.code === 11000) {
+      res.status(400);
+      return next(new Error("You have already reported this"));
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the moderation queue: open reports grouped by the reported post or comment, the most reported first.
+ *          Each entry has the content's summary (null if it was deleted since), the number of reports, the
+ *          reasons given with each reporter's name, and when it was first and last reported.
+ * @route   GET /api/reports/queue?page=:page&limit=:limit
+ * @access  Private (Moderators and admins)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getModerationQueue = async (req, res, next) => {
+  try {
+    const pageSize = Math.min(Number(req.query.limit) || 20, 100);
+    const page = Number(req.query.page) || 1;
+
+    const [result] = await Report.aggregate([
+      { $match: { status: "open" } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { targetType: "$targetType", targetId: "$targetId" },
+          reportCount: { $sum: 1 },
+          firstReportedAt: { $first: "$createdAt" },
+          lastReportedAt: { $last: "$createdAt" },
+          reports: {
+            $push: {
+              _id: "$_id",
+              reason: "$reason",
+              details: "$details",
+              reporterId: "$reporterId",
+              createdAt: "$createdAt",
+            },
+          },
+        },
+      },
+      { $sort: { reportCount: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: pageSize * (page - 1) }, { $limit: pageSize }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+    const groups = result.items;
+    const count = result.total[0]?.count || 0;
+
+    const idsOf = (type) =>
+      groups
+        .filter((group) => group._id.targetType === type)
+        .map((group) => group._id.targetId);
+    const [blogs, comments, reporters] = await Promise.all([
+      Blog.find({ _id: { $in: idsOf("blog") } }).select(
+        "title slug content userId authorName status hiddenAt"
+      ),
+      Comment.find({ _id: { $in: idsOf("comment") }, deletedAt: null }).select(
+        "blogId body userId authorName hiddenAt"
+      ),
+      User.find({
+        _id: {
+          $in: groups.flatMap((group) =>
+            group.reports.map((report) => report.reporterId)
+          ),
+        },
+      }).select("name handle"),
+    ]);
+    const targetsById = new Map(
+      [...blogs, ...comments].map((target) => [target._id.toString(), target])
+    );
+    const reportersById = new Map(
+      reporters.map((reporter) => [reporter._id.toString(), reporter])
+    );
+
+    res.json({
+      items: groups.map(({ _id, reports, ...group }) => ({
+        targetType: _id.targetType,
+        targetId: _id.targetId,
+        target: toTargetSummary(
+          _id.targetType,
+          targetsById.get(_id.targetId.toString())
+        ),
+        ...group,
+        reports: reports.map((report) => {
+          const reporter = reportersById.get(report.reporterId.toString());
+          return {
+            ...report,
+            reporterName: reporter ? reporter.name : null,
+            reporterHandle: reporter ? reporter.handle : null,
+          };
+        }),
+      })),
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Act on reported content, closing all of its open reports with the decision recorded on each:
+ *          "dismiss" keeps the content, "hide" hides it from everyone but its author and moderators,
+ *          and "suspend" also suspends its author for `days` days (default 7, at most 30).
+ *          Moderators and admins cannot be suspended from the queue.
+ * @route   PUT /api/reports/queue/:targetType/:targetId
+ * @access  Private (Moderators and admins)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ *   (body: `action`, optional `note` and, for "suspend", optional `days`)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const resolveReports = async (req, res, next) => {
+  try {
+    const { targetType, targetId } = parseTarget(req.params, res);
+    const { action } = req.body;
+    const note = typeof req.body.note === "string" ? req.body.note.trim() : "";
+    if (!MODERATION_ACTIONS.includes(action)) {
+      res.status(400);
+      throw new Error(
+        `Invalid action: ${action}. Must be one of ${MODERATION_ACTIONS.join(", ")}`
+      );
+    }
+    const days =
+      req.body.days === undefined
+        ? DEFAULT_SUSPENSION_DAYS
+        : Number(req.body.days);
+    if (
+      action === "suspend" &&
+      (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS)
+    ) {
+      res.status(400);
+      throw new Error(
+        `Suspensions must last a whole number of days between 1 and ${MAX_SUSPENSION_DAYS}`
+      );
+    }
+
+    const filter = { targetType, targetId, status: "open" };
+    if (!(await Report.exists(filter))) {
+      res.status(404);
+      throw new Error("No open reports for this content");
+    }
+
+    const target = await findTarget(targetType, targetId);
+    if (action !== "dismiss") {
+      if (!target) {
+        res.status(400);
+        throw new Error(
+          "The reported content no longer exists; dismiss the reports instead"
+        );
+      }
+      if (action === "suspend") {
+        const author = await User.findById(target.userId);
+        if (!author) {
+          res.status(400);
+          throw new Error("The author's account no longer exists");
+        }
+        if (author._id.toString() === req.user._id.toString()) {
+          res.status(400);
+          throw new Error("You cannot suspend yourself");
+        }
+        if (author.canModerate()) {
+          res.status(400);
+          throw new Error(
+            "Moderators and admins cannot be suspended from the queue"
+          );
+        }
+        // Keeps a longer suspension or a ban already in place
+        const until = new Date(Date.now() + days * DAY_MS);
+        if (!author.bannedAt && !(author.suspendedUntil > until)) {
+          author.suspendedUntil = until;
+          author.suspensionReason = note;
+          await author.save();
+        }
+      }
+      await hideTarget(targetType, target);
+    }
+
+    const { modifiedCount } = await Report.updateMany(
+      filter,
+      {
+        status: action === "dismiss" ? "dismissed" : "actioned",
+        resolution: {
+          action,
+          moderatorId: req.user._id,
+          note,
+          resolvedAt: new Date(),
+        },
+      },
+      { runValidators: true }
+    );
+
+    res.json({
+      targetType,
+      targetId,
+      action,
+      resolvedCount: modifiedCount,
+      target: toTargetSummary(targetType, target),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      res.status(400);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Make a post or comment hidden by a moderator visible again, e.g. after a wrong decision or an appeal.
+ *          The closed reports keep the decision that was recorded on them.
+ * @route   PUT /api/reports/unhide/:targetType/:targetId
+ * @access  Private (Moderators and admins)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const unhideContent = async (req, res, next) => {
+  try {
+    const { targetType, targetId } = parseTarget(req.params, res);
+    const target = await findTarget(targetType, targetId);
+    if (!target) {
+      res.status(404);
+      throw new Error(
+        targetType === "blog" ? "Blog post not found" : "Comment not found"
+      );
+    }
+    if (!target.hiddenAt) {
+      res.status(400);
+      throw new Error("This content is not hidden");
+    }
+
+    await unhideTarget(targetType, target);
+    res.json({
+      targetType,
+      targetId,
+      target: toTargetSummary(targetType, target),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createReport,
+  getModerationQueue,
+  resolveReports,
+  unhideContent,
+};
@@ -0,0 +1,187 @@
+const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const Category = require("../models/Category");
+const { diffSnapshots } = require("../utils/textDiff");
+const { schedulePublish } = require("../utils/publishScheduler");
+
+const { REVISION_FIELDS } = BlogRevision;
+// Visibility is managed separately, so restoring only brings back the post's content
+const RESTORED_FIELDS = REVISION_FIELDS.filter((field) => field !== "status");
+
+/**
+ * Loads the blog post from the `:id` route parameter and checks that the current user may manage it
+ * (its author, a moderator or an admin). Sets the matching status code and throws otherwise.
+ * @async
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The blog post document.
+ * @throws {Error} If the post is not found or the user may not manage it.
+ */
+const findManagedBlog = async (req, res) => {
+  const blog = await Blog.findById(req.params.id);
+  if (!blog) {
+    res.status(404);
+    throw new Error("Blog post not found");
+  }
+  if (!blog.isManageableBy(req.user)) {
+    res.status(403); // Forbidden
+    throw new Error("User not authorized to view this blog post's history");
+  }
+  return blog;
+};
+
+/**
+ * Loads a revision of the given blog post by its revision number.
+ * Sets a 404 status and throws if it does not exist.
+ * @async
+ * @param {Object} blog - The blog post document.
+ * @param {string|number} number - The revision number.
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Object>} The revision document.
+ * @throws {Error} If the revision is not found.
+ */
+const findRevision = async (blog, number, res) => {
+  const revision = await BlogRevision.findOne({
+    blogId: blog._id,
+    number: Number(number),
+  });
+  if (!revision) {
+    res.status(404);
+    throw new Error(`Revision ${number} not found`);
+  }
+  return revision;
+};
+
+/**
+ * Sets a 400 status for invalid ID formats before passing the error on.
+ * @param {Error} error - The caught error.
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const handleError = (error, res, next) => {
+  if (error.name === "CastError") {
+    res.status(400);
+    return next(new Error("Invalid blog post ID or revision number"));
+  }
+  next(error);
+};
+
+/**
+ * @desc    List the revisions of a blog post, newest first (without content)
+ * @route   GET /api/blogs/:id/revisions
+ * @access  Private (Author, moderators and admins)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getRevisions = async (req, res, next) => {
+  try {
+    const blog = await findManagedBlog(req, res);
+    const revisions = await BlogRevision.find({ blogId: blog._id })
+      .sort({ number: -1 })
+      .select("-content");
+    res.json(revisions);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Get a single revision of a blog post, including its content
+ * @route   GET /api/blogs/:id/revisions/:number
+ * @access  Private (Author, moderators and admins)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getRevision = async (req, res, next) => {
+  try {
+    const blog = await findManagedBlog(req, res);
+    const revision = await findRevision(blog, req.params.number, res);
+    res.json(revision);
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Diff two revisions of a blog post. `to` defaults to the current state of the post.
+ * @route   GET /api/blogs/:id/revisions/diff?from=:number&to=:number
+ * @access  Private (Author, moderators and admins)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const diffRevisions = async (req, res, next) => {
+  try {
+    const blog = await findManagedBlog(req, res);
+    if (!req.query.from) {
+      res.status(400);
+      throw new Error("Please provide the revision to compare from");
+    }
+    const from = await findRevision(blog, req.query.from, res);
+    const to = req.query.to
+      ? await findRevision(blog, req.query.to, res)
+      : blog;
+
+    res.json({
+      from: from.number,
+      to: req.query.to ? to.number : "current",
+      changes: diffSnapshots(from, to, REVISION_FIELDS),
+    });
+  } catch (error) {
+    handleError(error, res, next);
+  }
+};
+
+/**
+ * @desc    Restore the title, category, content and image of a blog post from an older revision.
+ *          The post's status is kept, and the restore itself is recorded as a new revision.
+ *          If the revision's category has since been renamed or deleted, the post keeps its current category.
+ * @route   POST /api/blogs/:id/revisions/:number/restore
+ * @access  Private (Author, moderators and admins)
+ * @param {import('express').Request & { user?: { _id: string, name: string } }} req - Express request object, augmented with user property
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const restoreRevision = async (req, res, next) => {
+  try {
+    const blog = await findManagedBlog(req, res);
+    const revision = await findRevision(blog, req.params.number, res);
+
+    const categoryExists =
+      revision.category === blog.category ||
+      !!(await Category.exists({ name: revision.category }));
+    RESTORED_FIELDS.forEach((field) => {
+      if (field === "category" && !categoryExists) return;
+      if (revision[field] !== undefined) {
+        blog[field] = revision[field];
+      }
+    });
+    const changedFields = REVISION_FIELDS.filter((field) =>
+      blog.isModified(field)
+    );
+    const restoredBlog = await blog.save();
+    await BlogRevision.record(
+      restoredBlog,
+      req.user,
+      changedFields,
+      revision.number
+    );
+    schedulePublish(restoredBlog);
+
+    res.json(restoredBlog);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      res.status(400);
+    }
+    handleError(error, res, next);
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+};
@@ -0,0 +1,254 @@
+const Blog = require("../models/Blog");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const {
+  MAX_SITEMAP_URLS,
+  buildUrlSet,
+  buildSitemapIndex,
+} = require("../utils/sitemapXml");
+const {
+  getSiteUrl,
+  getPublicUrl,
+  getBlogUrl,
+  getAuthorUrl,
+} = require("../utils/urls");
+
+// Search engines fetch sitemaps rarely; let proxies reuse them for an hour
+const SITEMAP_MAX_AGE = 60 * 60;
+
+/**
+ * Sections of a split sitemap, served as `/sitemaps/pages.xml`, `/sitemaps/authors-<n>.xml` and `/sitemaps/posts-<n>.xml`.
+ * The pages section (home page and categories) is always small enough for a single file.
+ * @type {string[]}
+ */
+const SITEMAP_SECTIONS = ["pages", "authors", "posts"];
+
+/**
+ * Returns the latest of some dates.
+ * @param {Array<Date|undefined>} dates - The dates; missing ones are ignored.
+ * @returns {Date|undefined} The latest date, or undefined if there is none.
+ */
+const latest = (dates) =>
+  dates.reduce(
+    (newest, date) => (date && (!newest || date > newest) ? date : newest),
+    undefined
+  );
+
+/**
+ * Lists the home page and category pages, each last modified when one of its published posts last changed.
+ * @returns {Promise<Object[]>} The sitemap entries.
+ */
+const findPageEntries = async () => {
+  const [categories, lastmods] = await Promise.all([
+    Category.find().sort({ order: 1, name: 1 }).select("name").lean(),
+    Blog.aggregate([
+      { $match: Blog.publishedFilter() },
+      { $group: { _id: "$category", lastmod: { $max: "$updatedAt" } } },
+    ]),
+  ]);
+  const lastmodByCategory = new Map(
+    lastmods.map(({ _id, lastmod }) => [_id, lastmod])
+  );
+  const siteUrl = getSiteUrl();
+
+  return [
+    { loc: `${siteUrl}/`, lastmod: latest(lastmods.map((c) => c.lastmod)) },
+    ...categories.map((category) => ({
+      loc: `${siteUrl}/?category=${encodeURIComponent(category.name)}`,
+      lastmod: lastmodByCategory.get(category.name),
+    })),
+  ];
+};
+
+/**
+ * Counts the authors with at least one published post.
+ * @returns {Promise<number>} The number of authors.
+ */
+const countAuthors = async () => {
+  const [result] = await Blog.aggregate([
+    { $match: Blog.publishedFilter() },
+    { $group: { _id: "$userId" } },
+    { $count: "count" },
+  ]);
+  return result ? result.count : 0;
+};
+
+/**
+ * Lists the profile pages of authors with published posts, each last modified when one of those posts last changed.
+ * @param {number} skip - Number of authors to skip.
+ * @param {number} limit - Maximum number of authors.
+ * @returns {Promise<Object[]>} The sitemap entries, in a stable order.
+ */
+const findAuthorEntries = async (skip, limit) => {
+  const authors = await Blog.aggregate([
+    { $match: Blog.publishedFilter() },
+    { $group: { _id: "$userId", lastmod: { $max: "$updatedAt" } } },
+    { $sort: { _id: 1 } },
+    { $skip: skip },
+    { $limit: limit },
+  ]);
+  const users = await User.find({
+    _id: { $in: authors.map((author) => author._id) },
+  }).select("handle");
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  return authors
+    .filter((author) => usersById.has(author._id.toString()))
+    .map((author) => ({
+      loc: getAuthorUrl(usersById.get(author._id.toString())),
+      lastmod: author.lastmod,
+    }));
+};
+
+/**
+ * Lists published posts.
+ * @param {number} skip - Number of posts to skip.
+ * @param {number} limit - Maximum number of posts.
+ * @returns {Promise<Object[]>} The sitemap entries, in a stable order.
+ */
+const findPostEntries = async (skip, limit) => {
+  const blogs = await Blog.find(Blog.publishedFilter())
+    .select("slug updatedAt")
+    .sort({ _id: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  return blogs.map((blog) => ({
+    loc: getBlogUrl(blog),
+    lastmod: blog.updatedAt,
+  }));
+};
+
+/**
+ * Sends an XML sitemap document. Express adds an ETag and answers conditional requests with 304 Not Modified.
+ * @param {import('express').Response} res - Express response object
+ * @param {string} xml - The XML document.
+ * @param {Date} [lastModified] - When any listed page last changed.
+ */
+const sendXml = (res, xml, lastModified) => {
+  res.set({
+    "Content-Type": "application/xml; charset=utf-8",
+    "Cache-Control": `public, max-age=${SITEMAP_MAX_AGE}`,
+  });
+  if (lastModified) res.set("Last-Modified", lastModified.toUTCString());
+  res.send(xml);
+};
+
+/**
+ * @desc    Get the sitemap of the home page, category pages, author profiles and published posts.
+ *          Up to 50,000 URLs this is a single sitemap; beyond that it is a sitemap index of `/sitemaps/...` files.
+ * @route   GET /sitemap.xml
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getSitemap = async (req, res, next) => {
+  try {
+    const [pages, authorCount, postCount] = await Promise.all([
+      findPageEntries(),
+      countAuthors(),
+      Blog.countDocuments(Blog.publishedFilter()),
+    ]);
+
+    if (pages.length + authorCount + postCount <= MAX_SITEMAP_URLS) {
+      const urls = [
+        ...pages,
+        ...(await findAuthorEntries(0, MAX_SITEMAP_URLS)),
+        ...(await findPostEntries(0, MAX_SITEMAP_URLS)),
+      ];
+      return sendXml(
+        res,
+        buildUrlSet(urls),
+        latest(urls.map((url) => url.lastmod))
+      );
+    }
+
+    const baseUrl = `${getPublicUrl()}/sitemaps`;
+    const chunks = (section, count) =>
+      Array.from({ length: Math.ceil(count / MAX_SITEMAP_URLS) }, (_, i) => ({
+        loc: `${baseUrl}/${section}-${i + 1}.xml`,
+      }));
+    sendXml(
+      res,
+      buildSitemapIndex([
+        { loc: `${baseUrl}/pages.xml`, lastmod: pages[0].lastmod },
+        ...chunks("authors", authorCount),
+        ...chunks("posts", postCount),
+      ]),
+      pages[0].lastmod // The home page changes whenever any published post does
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get one part of a split sitemap: `pages` (home page and categories), `authors-<n>` or `posts-<n>`,
+ *          each with at most 50,000 URLs.
+ * @route   GET /sitemaps/:name.xml
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getSitemapSection = async (req, res, next) => {
+  try {
+    const [, section, number] =
+      /^([a-z]+)(?:-([1-9]\d*))?$/.exec(req.params.name) || [];
+    const isValid =
+      section === "pages"
+        ? !number
+        : SITEMAP_SECTIONS.includes(section) && Boolean(number);
+    if (!isValid) {
+      res.status(404);
+      throw new Error("Sitemap not found");
+    }
+
+    const skip = (Number(number) - 1) * MAX_SITEMAP_URLS;
+    let urls;
+    if (section === "pages") {
+      urls = await findPageEntries();
+    } else if (section === "authors") {
+      urls = await findAuthorEntries(skip, MAX_SITEMAP_URLS);
+    } else {
+      urls = await findPostEntries(skip, MAX_SITEMAP_URLS);
+    }
+    if (urls.length === 0 && section !== "pages") {
+      res.status(404);
+      throw new Error("Sitemap not found");
+    }
+    sendXml(res, buildUrlSet(urls), latest(urls.map((url) => url.lastmod)));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get robots.txt for this host, pointing crawlers at the sitemap. Paths listed in ROBOTS_DISALLOW
+ *          (comma-separated, default "/api/") are disallowed; set it to "/" to keep crawlers out entirely,
+ *          or to an empty value to allow everything.
+ * @route   GET /robots.txt
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+const getRobotsTxt = (req, res) => {
+  const disallowed = (process.env.ROBOTS_DISALLOW ?? "/api/")
+    .split(",")
+    .map((path) => path.trim())
+    .filter(Boolean);
+  const lines = [
+    "User-agent: *",
+    ...(disallowed.length > 0
+      ? disallowed.map((path) => `Disallow: ${path}`)
+      : ["Disallow:"]),
+    "",
+    `Sitemap: ${getPublicUrl()}/sitemap.xml`,
+    "",
+  ];
+  res.set("Cache-Control", `public, max-age=${SITEMAP_MAX_AGE}`);
+  res.type("text/plain").send(lines.join("\n"));
+};
+
+module.exports = { getSitemap, getSitemapSection, getRobotsTxt };
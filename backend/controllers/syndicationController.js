@@ -0,0 +1,243 @@
+const Blog = require("../models/Blog");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const { toExcerpt } = require("../utils/markdown");
+const {
+  absolutizeUrls,
+  buildRssFeed,
+  buildAtomFeed,
+} = require("../utils/feedXml");
+const {
+  getSiteName,
+  getSiteUrl,
+  getPublicUrl,
+  getBlogUrl,
+  getAuthorUrl,
+} = require("../utils/urls");
+
+/**
+ * Returns the number of posts in each feed (the most recently created): FEED_ITEM_LIMIT if configured, at most 100.
+ * @returns {number} The feed size.
+ */
+const getFeedSize = () =>
+  Math.min(Number(process.env.FEED_ITEM_LIMIT) || 20, 100);
+
+// Maximum length of the plain-text excerpt of each post, in characters
+const EXCERPT_LENGTH = 300;
+
+// Feed readers poll often; let them and any proxies reuse a feed for a few minutes
+const FEED_MAX_AGE = 10 * 60;
+
+/**
+ * Serializers and content types per feed format.
+ * @type {Object<string, { build: function(Object): string, contentType: string }>}
+ */
+const FEED_FORMATS = {
+  rss: { build: buildRssFeed, contentType: "application/rss+xml" },
+  atom: { build: buildAtomFeed, contentType: "application/atom+xml" },
+};
+
+/**
+ * Returns the format of the requested feed: every feed is served as `feed.xml` (RSS) and `atom.xml` (Atom).
+ * @param {import('express').Request} req - Express request object
+ * @returns {"rss"|"atom"} The feed format.
+ */
+const getFormat = (req) => (req.path.endsWith("/atom.xml") ? "atom" : "rss");
+
+/**
+ * Reads the `content` query parameter: "excerpt" (default) or "full" to include each post's full HTML.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {boolean} Whether to include full content.
+ */
+const wantsFullContent = (req, res) => {
+  const { content = "excerpt" } = req.query;
+  if (!["excerpt", "full"].includes(content)) {
+    res.status(400);
+    throw new Error(`Invalid content: ${content}. Use "excerpt" or "full"`);
+  }
+  return content === "full";
+};
+
+/**
+ * Builds a permanent entry ID for a post as a tag URI (RFC 4151), so readers don't show it again
+ * when its title, and with it its link, changes.
+ * @param {Object} blog - The blog post.
+ * @returns {string} The entry ID.
+ */
+const toEntryId = (blog) => {
+  const host = new URL(getSiteUrl()).hostname;
+  const date = blog.createdAt.toISOString().slice(0, 10);
+  return `tag:${host},${date}:blog:${blog._id}`;
+};
+
+/**
+ * Loads the newest published posts matching a filter, as feed items.
+ * @param {Object} filter - Additional MongoDB filter (e.g. category or author).
+ * @param {boolean} fullContent - Whether to include each post's full HTML.
+ * @returns {Promise<Object[]>} The feed items, newest first.
+ */
+const findFeedItems = async (filter, fullContent) => {
+  const blogs = await Blog.find({ ...Blog.publishedFilter(), ...filter })
+    .select(fullContent ? "-slugHistory" : "-slugHistory -contentHtml")
+    .sort({ createdAt: -1 })
+    .limit(getFeedSize())
+    .lean();
+  const authors = await User.find({
+    _id: { $in: [...new Set(blogs.map((blog) => blog.userId.toString()))] },
+  }).select("handle");
+  const authorsById = new Map(
+    authors.map((author) => [author._id.toString(), author])
+  );
+  const siteUrl = getSiteUrl();
+
+  return blogs.map((blog) => {
+    const author = authorsById.get(blog.userId.toString());
+    return {
+      id: toEntryId(blog),
+      title: blog.title,
+      link: getBlogUrl(blog),
+      published: blog.publishedAt || blog.createdAt,
+      updated: blog.updatedAt,
+      authorName: blog.authorName,
+      authorUrl: author && getAuthorUrl(author),
+      categories: [blog.category, ...(blog.tags || [])],
+      summary: toExcerpt(blog.content, EXCERPT_LENGTH),
+      contentHtml:
+        fullContent && blog.contentHtml
+          ? absolutizeUrls(blog.contentHtml, siteUrl)
+          : undefined,
+    };
+  });
+};
+
+/**
+ * Sends a feed in the requested format. Last-Modified is the newest change to any entry;
+ * Express adds an ETag and answers conditional requests with 304 Not Modified.
+ * An empty feed has no Last-Modified, and the current time as its own update time.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {{ title: string, description: string, link: string }} channel - The feed's title, description and HTML page.
+ * @param {Object[]} items - The feed items.
+ */
+const sendFeed = (req, res, channel, items) => {
+  const format = FEED_FORMATS[getFormat(req)];
+  const updated =
+    items.length > 0
+      ? new Date(Math.max(...items.map((item) => item.updated.getTime())))
+      : new Date();
+  const xml = format.build({
+    ...channel,
+    selfUrl: `${getPublicUrl()}${req.originalUrl}`,
+    updated,
+    items,
+  });
+
+  res.set({
+    "Content-Type": `${format.contentType}; charset=utf-8`,
+    "Cache-Control": `public, max-age=${FEED_MAX_AGE}`,
+  });
+  if (items.length > 0) {
+    res.set("Last-Modified", updated.toUTCString());
+  }
+  res.send(xml);
+};
+
+/**
+ * @desc    Get the newest published posts of the whole site as an RSS 2.0 (`/feed.xml`) or Atom (`/atom.xml`) feed.
+ *          `content=full` includes each post's full HTML next to the excerpt.
+ * @route   GET /feed.xml?content=:content
+ * @route   GET /atom.xml?content=:content
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getSiteFeed = async (req, res, next) => {
+  try {
+    const fullContent = wantsFullContent(req, res);
+    const items = await findFeedItems({}, fullContent);
+    sendFeed(
+      req,
+      res,
+      {
+        title: getSiteName(),
+        description: `The latest posts on ${getSiteName()}`,
+        link: `${getSiteUrl()}/`,
+      },
+      items
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the newest published posts of a category as an RSS 2.0 or Atom feed.
+ * @route   GET /feeds/categories/:slug/feed.xml?content=:content
+ * @route   GET /feeds/categories/:slug/atom.xml?content=:content
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getCategoryFeed = async (req, res, next) => {
+  try {
+    const fullContent = wantsFullContent(req, res);
+    const category = await Category.findOne({ slug: req.params.slug });
+    if (!category) {
+      res.status(404);
+      throw new Error("Category not found");
+    }
+    const items = await findFeedItems({ category: category.name }, fullContent);
+    sendFeed(
+      req,
+      res,
+      {
+        title: `${category.name} - ${getSiteName()}`,
+        description:
+          category.description ||
+          `The latest ${category.name} posts on ${getSiteName()}`,
+        link: `${getSiteUrl()}/?category=${encodeURIComponent(category.name)}`,
+      },
+      items
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the newest published posts of an author as an RSS 2.0 or Atom feed.
+ * @route   GET /feeds/authors/:handle/feed.xml?content=:content
+ * @route   GET /feeds/authors/:handle/atom.xml?content=:content
+ * @access  Public
+ * @param {import('express').Request} req - Express request object (`handle` may also be a user ID)
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getAuthorFeed = async (req, res, next) => {
+  try {
+    const fullContent = wantsFullContent(req, res);
+    const author = await User.findByIdOrHandle(req.params.handle);
+    if (!author) {
+      res.status(404);
+      throw new Error("Author not found");
+    }
+    const items = await findFeedItems({ userId: author._id }, fullContent);
+    sendFeed(
+      req,
+      res,
+      {
+        title: `${author.name} - ${getSiteName()}`,
+        description: author.bio || `The latest posts by ${author.name}`,
+        link: getAuthorUrl(author),
+      },
+      items
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getSiteFeed, getCategoryFeed, getAuthorFeed };
@@ -0,0 +1,43 @@
+const Blog = require("../models/Blog");
+const normalizeTags = require("../utils/normalizeTags");
+const escapeRegExp = require("../utils/escapeRegExp");
+
+/**
+ * @desc    Get the tags used by published blog posts with their usage counts, most used first.
+ *          `q` narrows the list to tags starting with the given text (for autocomplete).
+ * @route   GET /api/tags
+ * @route   GET /api/tags?q=:q&limit=:limit
+ * @access  Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getTags = async (req, res, next) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const [prefix] = normalizeTags(req.query.q ? [req.query.q] : []);
+
+    const pipeline = [
+      { $match: { ...Blog.publishedFilter(), "tags.0": { $exists: true } } },
+      { $unwind: "$tags" },
+    ];
+    if (prefix) {
+      pipeline.push({
+        $match: { tags: { $regex: `^${escapeRegExp(prefix)}` } },
+      });
+    }
+    pipeline.push(
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, name: "$_id", count: 1 } }
+    );
+
+    const tags = await Blog.aggregate(pipeline);
+    res.json(tags);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getTags };
@@ -0,0 +1,79 @@
+const User = require("../models/User");
+const Blog = require("../models/Blog");
+const Follow = require("../models/Follow");
+
+/**
+ * @desc    Get a user's public profile by ID or handle, with their published post count,
+ *          follower/following counts and whether the current user follows them
+ * @route   GET /api/users/:id
+ * @access  Public
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const getUserProfile = async (req, res, next) => {
+  try {
+    const user = await User.findByIdOrHandle(req.params.id);
+    if (!user) {
+      res.status(404);
+      throw new Error("User not found");
+    }
+    // Users created before handles existed get one on their next save
+    if (!user.handle) await user.save();
+
+    const [postCount, followCounts, isFollowing] = await Promise.all([
+      Blog.countDocuments({ ...Blog.publishedFilter(), userId: user._id }),
+      Follow.countsFor(user._id),
+      req.user
+        ? Follow.exists({ followerId: req.user._id, followingId: user._id })
+        : null,
+    ]);
+
+    res.json({
+      ...user.toPublicProfile(),
+      postCount,
+      ...followCounts,
+      isFollowing: !!isFollowing,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a user's role. Admins cannot change their own role, so the site always keeps an admin.
+ * @route   PUT /api/users/:id/role
+ * @access  Private (Admins only)
+ * @param {import('express').Request & { user?: { _id: string } }} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    if (!User.ROLES.includes(role)) {
+      res.status(400);
+      throw new Error(
+        `Invalid role: ${role}. Must be one of ${User.ROLES.join(", ")}`
+      );
+    }
+
+    const user = await User.findByIdOrHandle(req.params.id);
+    if (!user) {
+      res.status(404);
+      throw new Error("User not found");
+    }
+    if (user._id.toString() === req.user._id.toString()) {
+      res.status(400);
+      throw new Error("You cannot change your own role");
+    }
+
+    user.role = role;
+    await user.save();
+    res.json(user.toPublicProfile());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getUserProfile, updateUserRole };
@@ -0,0 +1,112 @@
+const jwt = require("jsonwebtoken");
+const User = require("../../models/User");
+const { protect, queryTokenAuth } = require("../authMiddleware");
+const {
+  runHandler,
+  makeUser,
+  queryResult,
+} = require("../../controllers/__tests__/helpers");
+
+describe("authMiddleware", () => {
+  let user;
+  let token;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = "test-secret";
+  });
+
+  beforeEach(() => {
+    user = makeUser("author");
+    token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    jest.spyOn(User, "findById").mockReturnValue(queryResult(user));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("protect", () => {
+    it("lets active users through", async () => {
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const { error } = await runHandler(protect, req);
+      expect(error).toBeUndefined();
+      expect(req.user).toBe(user);
+    });
+
+    it("rejects tokens issued shortly before a password change", async () => {
+      const now = Date.now();
+      user.passwordChangedAt = new Date(now - 100);
+      const before = jwt.sign(
+        { id: user._id, iatMs: now - 500 },
+        process.env.JWT_SECRET
+      );
+      const after = jwt.sign(
+        { id: user._id, iatMs: now },
+        process.env.JWT_SECRET
+      );
+
+      const rejected = await runHandler(protect, {
+        headers: { authorization: `Bearer ${before}` },
+      });
+      expect(rejected.status).toBe(401);
+      const accepted = await runHandler(protect, {
+        headers: { authorization: `Bearer ${after}` },
+      });
+      expect(accepted.error).toBeUndefined();
+    });
+
+    it("rejects older tokens without a millisecond issue time from the second of the change", async () => {
+      const iat = Math.floor(Date.now() / 1000);
+      user.passwordChangedAt = new Date(iat * 1000 + 999);
+      const { status } = await runHandler(protect, {
+        headers: {
+          authorization: `Bearer ${jwt.sign({ id: user._id, iat }, process.env.JWT_SECRET)}`,
+        },
+      });
+      expect(status).toBe(401);
+    });
+
+    it("refuses suspended users", async () => {
+      user.suspendedUntil = new Date(Date.now() + 60 * 60 * 1000);
+      const { status, error } = await runHandler(protect, {
+        headers: { authorization: `Bearer ${token}` },
+      });
+      expect(status).toBe(403);
+      expect(error.message).toMatch(/suspended/);
+    });
+  });
+
+  describe("queryTokenAuth", () => {
+    it("continues anonymously without a token", async () => {
+      const req = { headers: {} };
+      const { error } = await runHandler(queryTokenAuth, req);
+      expect(error).toBeUndefined();
+      expect(req.user).toBeUndefined();
+    });
+
+    it("identifies the user from the query string", async () => {
+      const req = { headers: {}, query: { token } };
+      const { error } = await runHandler(queryTokenAuth, req);
+      expect(error).toBeUndefined();
+      expect(req.user).toBe(user);
+    });
+
+    it("rejects invalid tokens", async () => {
+      const { status } = await runHandler(queryTokenAuth, {
+        headers: {},
+        query: { token: "not-a-token" },
+      });
+      expect(status).toBe(401);
+    });
+
+    it("refuses banned users", async () => {
+      user.bannedAt = new Date();
+      const { status, error } = await runHandler(queryTokenAuth, {
+        headers: {},
+        query: { token },
+      });
+      expect(status).toBe(403);
+      expect(error.message).toMatch(/banned/);
+    });
+  });
+});
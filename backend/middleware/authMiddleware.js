@@ -1,11 +1,27 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { getTokenIssuedAt } = require("../utils/generateToken");
+
+/**
+ * Refuses suspended and banned users, who keep their token but cannot act until reinstated.
+ * @param {import('../models/User')} user - The authenticated user.
+ * @param {import('express').Response} res - The Express response object, used to set the error status.
+ * @throws {Error} If the account is suspended or banned (sets a 403 status).
+ */
+const assertAccountActive = (user, res) => {
+  const suspensionMessage = user.getSuspensionMessage();
+  if (suspensionMessage) {
+    res.status(403); // Forbidden
+    throw new Error(suspensionMessage);
+  }
+};
 
 /**
  * Middleware to protect routes by verifying JWT token.
  * Expects a Bearer token in the Authorization header.
  * If the token is valid, it attaches the user object (excluding password) to the request object.
- * Throws an error if the token is missing, invalid, or the user is not found.
+ * Throws an error if the token is missing, invalid, issued before the last password change, or the user is not found,
+ * and a 403 error if the user is suspended or banned.
  * @param {import('express').Request} req - The Express request object.
  * @param {import('express').Response} res - The Express response object.
  * @param {import('express').NextFunction} next - The Express next middleware function.
@@ -27,14 +43,20 @@ const protect = async (req, res, next) => {
 
       // Get user from the token (payload has user id)
       // Attach user to the request object, excluding the password
-      req.user = await User.findById(decoded.id).select("-password");
+      req.user = await User.findById(decoded.id).select(
+        "-password +passwordChangedAt"
+      );
 
       if (!req.user) {
         res.status(401); // Unauthorized
         throw new Error("Not authorized, user not found");
       }
 
-      next(); // Proceed to the next middleware or route handler
+      // Reject tokens issued before the user's last password change
+      if (req.user.changedPasswordAfter(getTokenIssuedAt(decoded))) {
+        res.status(401); // Unauthorized
+        throw new Error("Not authorized, password was changed");
+      }
     } catch (error) {
       console.error("Authentication error:", error.message);
       res.status(401); // Unauthorized
@@ -42,6 +64,10 @@ const protect = async (req, res, next) => {
       // but log the specific error on the server (done by console.error)
       throw new Error("Not authorized, token failed or expired");
     }
+
+    assertAccountActive(req.user, res);
+
+    next(); // Proceed to the next middleware or route handler
   }
 
   if (!token) {
@@ -50,14 +76,89 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Optional: Middleware for admin authorization (if needed in the future)
-// const admin = (req, res, next) => {
-//   if (req.user && req.user.isAdmin) { // Assuming you add an isAdmin field to your User model
-//     next();
-//   } else {
-//     res.status(403); // Forbidden
-//     throw new Error('Not authorized as an admin');
-//   }
-// };
-
-module.exports = { protect };
+/**
+ * Looks up the user a token was issued to.
+ * @async
+ * @param {string} token - The JWT.
+ * @returns {Promise<Object|null>} The user (without password), or null if the token is invalid or expired,
+ *   the user no longer exists or the password was changed after the token was issued.
+ */
+const findTokenUser = async (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select(
+      "-password +passwordChangedAt"
+    );
+    return user && !user.changedPasswordAfter(getTokenIssuedAt(decoded))
+      ? user
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Middleware that identifies the user when a valid Bearer token is present, without requiring one.
+ * Used on public routes whose response depends on who is asking (e.g. authors seeing their own drafts).
+ * Invalid or expired tokens are ignored and the request continues anonymously.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - The Express next middleware function.
+ */
+const optionalAuth = async (req, res, next) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith("Bearer")
+  ) {
+    const user = await findTokenUser(req.headers.authorization.split(" ")[1]);
+    if (user) req.user = user;
+  }
+
+  next();
+};
+
+/**
+ * Middleware for streams opened with the browser's EventSource, which cannot send headers:
+ * the token comes from the `token` query parameter instead. Requests without a token continue
+ * anonymously, but a token that fails verification is rejected so the client knows to log in again,
+ * and suspended and banned users are refused as by `protect`.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - The Express next middleware function.
+ * @throws {Error} If a token is given but invalid (sends 401 Unauthorized) or its user is suspended or banned
+ *   (sends 403 Forbidden).
+ */
+const queryTokenAuth = async (req, res, next) => {
+  const { token } = req.query;
+  if (token) {
+    req.user = await findTokenUser(String(token));
+    if (!req.user) {
+      res.status(401); // Unauthorized
+      throw new Error("Not authorized, token failed or expired");
+    }
+    assertAccountActive(req.user, res);
+  }
+
+  next();
+};
+
+/**
+ * Creates middleware that only lets users with one of the given roles through. Must run after `protect`.
+ * @example router.post("/", protect, authorize("admin"), createCategory);
+ * @param {...string} roles - The allowed roles (see User.ROLES).
+ * @returns {import('express').RequestHandler} The middleware, which sends 403 Forbidden to anyone else.
+ */
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (req.user && roles.includes(req.user.role)) {
+      next();
+    } else {
+      res.status(403); // Forbidden
+      throw new Error(
+        `Not authorized, requires the ${roles.join(" or ")} role`
+      );
+    }
+  };
+
+module.exports = { protect, optionalAuth, queryTokenAuth, authorize };
@@ -0,0 +1,61 @@
+const multer = require("multer");
+
+/**
+ * MIME types accepted for image uploads. The actual file contents are verified again
+ * in the media controller, since the client controls this header.
+ * @type {string[]}
+ */
+const ALLOWED_IMAGE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+
+/**
+ * Returns the maximum upload size in megabytes: MAX_UPLOAD_SIZE_MB if configured, 5 by default.
+ * Read on use, since .env is loaded after the modules are required.
+ * @returns {number} The maximum size in MB.
+ */
+const getMaxUploadSizeMb = () => Number(process.env.MAX_UPLOAD_SIZE_MB) || 5;
+
+/**
+ * Creates the multer instance for image uploads with the configured size limit.
+ * Files are kept in memory so they can be validated and resized before anything is written to storage.
+ * @returns {import('multer').Multer} The multer instance.
+ */
+const createUpload = () =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxUploadSizeMb() * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error("Only JPEG, PNG, GIF and WebP images can be uploaded"));
+      }
+    },
+  });
+
+/**
+ * Middleware that parses a single image from the multipart field `file` into `req.file`.
+ * Upload errors (wrong type, too large, ...) are reported as 400 Bad Request.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - The Express next middleware function.
+ */
+const uploadImage = (req, res, next) => {
+  createUpload().single("file")(req, res, (error) => {
+    if (!error) return next();
+
+    res.status(400); // Bad Request
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return next(
+        new Error(`Image must be smaller than ${getMaxUploadSizeMb()} MB`)
+      );
+    }
+    next(error);
+  });
+};
+
+module.exports = { uploadImage, ALLOWED_IMAGE_TYPES };
@@ -1,21 +1,54 @@
 const mongoose = require("mongoose");
+const slugify = require("../utils/slugify");
+const { renderMarkdown } = require("../utils/markdown");
+const normalizeTags = require("../utils/normalizeTags");
+const { REACTION_TYPES } = require("./Reaction");
+
+/**
+ * Lifecycle statuses a blog post can be in.
+ * - draft: only visible to its author
+ * - published: listed publicly
+ * - unlisted: reachable by direct link but not listed
+ * - archived: hidden from everyone but its author
+ */
+const BLOG_STATUSES = ["draft", "published", "unlisted", "archived"];
+
+/** Maximum number of tags per blog post. */
+const MAX_TAGS = 10;
+
+/** Maximum length of a single tag, after normalization. */
+const MAX_TAG_LENGTH = 30;
 
 /**
  * Mongoose schema for Blog posts.
  * @typedef {Object} BlogSchema
  * @property {string} title - The title of the blog post. Required.
- * @property {string} category - The category of the blog post. Required.
+ * @property {string} slug - Unique, URL-safe identifier generated from the title.
+ * @property {string[]} slugHistory - Previous slugs of the post, kept so old links keep resolving.
+ * @property {string} category - The name of the post's Category. Required.
+ * @property {string[]} tags - Normalized topic tags (lowercase, deduplicated). At most MAX_TAGS, each at most MAX_TAG_LENGTH characters.
  * @property {string} authorName - The name of the user who authored the blog post. Required.
- * @property {string} content - The main content of the blog post. Required.
+ * @property {string} content - The Markdown source of the blog post. Required.
+ * @property {string} [contentHtml] - Sanitized HTML rendered from `content` on save.
  * @property {string} [image] - URL of an image associated with the blog post. Optional, must be a valid URL.
  * @property {mongoose.Schema.Types.ObjectId} userId - Reference to the User who created the blog post. Required.
+ * @property {string} status - Lifecycle status: "draft", "published", "unlisted" or "archived". Defaults to "published".
+ * @property {Date} [publishedAt] - Timestamp of the first time the blog post was published.
+ * @property {Date} [scheduledFor] - When a draft should be published automatically. Cleared once published.
+ * @property {Date} [hiddenAt] - When a moderator hid the post after it was reported. Hidden posts are only
+ *   visible to their author and moderators, whatever their status.
+ * @property {Date} [deletedAt] - When the post was moved to the trash. Trashed posts are left out of every query
+ *   (see the query middleware below) and purged after the trash retention period.
+ * @property {mongoose.Schema.Types.ObjectId} [deletedBy] - Reference to the User who moved the post to the trash.
+ * @property {Object<string, number>} reactionCounts - Number of reactions per type (see Reaction.REACTION_TYPES).
+ *   Only changed with atomic `$inc` updates by the reaction controller.
  * @property {Date} createdAt - Timestamp of blog post creation (auto-generated).
  * @property {Date} updatedAt - Timestamp of last blog post update (auto-generated).
  */
 
 /**
  * Mongoose model for Blog.
- * Includes indexes on category, userId, and a text index on title and content.
+ * Includes indexes on category, tags, userId, and a text index on title and content.
  * @class Blog
  */
 const blogSchema = new mongoose.Schema(
@@ -25,13 +58,37 @@ const blogSchema = new mongoose.Schema(
       required: [true, "Please provide a title for your blog post"],
       trim: true,
     },
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true, // Posts created before slugs existed get one on their next save
+    },
+    slugHistory: {
+      type: [String],
+      default: [],
+    },
     category: {
       type: String,
       required: [true, "Please specify a category for your blog post"],
-      // Consider using an enum if categories are strictly predefined, e.g.
-      // enum: ['Career', 'Finance', 'Travel', 'Technology', 'Lifestyle', 'Other'],
+      // Name of a Category document; checked by the blog controller, and renamed along with the category
       trim: true,
     },
+    tags: {
+      type: [String],
+      default: [],
+      set: normalizeTags,
+      validate: [
+        {
+          validator: (tags) => tags.length <= MAX_TAGS,
+          message: `A blog post can have at most ${MAX_TAGS} tags`,
+        },
+        {
+          validator: (tags) =>
+            tags.every((tag) => tag.length <= MAX_TAG_LENGTH),
+          message: `Tags cannot be longer than ${MAX_TAG_LENGTH} characters`,
+        },
+      ],
+    },
     authorName: {
       // Storing author's name for quick display
       type: String,
@@ -41,6 +98,9 @@ const blogSchema = new mongoose.Schema(
       type: String,
       required: [true, "Please provide content for your blog post"],
     },
+    contentHtml: {
+      type: String,
+    },
     image: {
       type: String, // URL to the image
       trim: true,
@@ -55,6 +115,36 @@ const blogSchema = new mongoose.Schema(
       required: true,
       ref: "User", // Reference to the User model
     },
+    status: {
+      type: String,
+      enum: {
+        values: BLOG_STATUSES,
+        message: "Status must be one of: " + BLOG_STATUSES.join(", "),
+      },
+      default: "published",
+    },
+    publishedAt: {
+      type: Date,
+    },
+    scheduledFor: {
+      type: Date,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reactionCounts: Object.fromEntries(
+      REACTION_TYPES.map((type) => [type, { type: Number, default: 0 }])
+    ),
     // createdAt and updatedAt will be automatically added by timestamps: true
   },
   {
@@ -62,11 +152,166 @@ const blogSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Pre-validate middleware for the blog schema.
+ * Generates a unique slug from the title for new posts, posts without a slug and renamed posts.
+ * The previous slug is kept in `slugHistory`, and slugs in any other post's history are treated as taken
+ * so old links never start pointing at a different post.
+ * @param {import('mongoose').NextFunction} next - Mongoose next function.
+ */
+blogSchema.pre("validate", async function (next) {
+  if (this.slug && !this.isModified("title")) return next();
+
+  const base = slugify(this.title) || "post";
+  // Keep the current slug if the new title slugifies to the same base (possibly with a numeric suffix).
+  // The base only contains [a-z0-9-], so it is safe to use in a pattern.
+  if (this.slug && new RegExp(`^${base}(-\\d+)?$`).test(this.slug)) {
+    return next();
+  }
+
+  let candidate = base;
+  let suffix = 2;
+  // Trashed posts keep their slugs, so they can be restored under the same links
+  while (
+    await this.constructor
+      .exists({
+        _id: { $ne: this._id },
+        $or: [{ slug: candidate }, { slugHistory: candidate }],
+      })
+      .setOptions({ includeTrashed: true })
+  ) {
+    candidate = `${base}-${suffix++}`;
+  }
+
+  if (this.slug) {
+    this.slugHistory.addToSet(this.slug);
+  }
+  // Reclaiming one of the post's own old slugs removes it from the history
+  this.slugHistory.pull(candidate);
+  this.slug = candidate;
+  next();
+});
+
+/**
+ * Pre-save middleware for the blog schema.
+ * Renders the Markdown content to sanitized HTML, stamps `publishedAt` the first time a post becomes published
+ * and drops the schedule of non-draft posts.
+ * @param {import('mongoose').NextFunction} next - Mongoose next function.
+ */
+blogSchema.pre("save", function (next) {
+  if (this.isModified("content") || !this.contentHtml) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+  if (this.status === "published" && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  // A schedule only applies to drafts
+  if (this.status !== "draft") {
+    this.scheduledFor = undefined;
+  }
+  next();
+});
+
+/**
+ * Query middleware leaving trashed posts out of every find, count and update.
+ * Queries that filter on `deletedAt` themselves (such as the trash listing) and queries run with the
+ * `includeTrashed` option (`query.setOptions({ includeTrashed: true })`) are left untouched.
+ */
+blogSchema.pre(
+  [
+    "find",
+    "findOne",
+    "findOneAndUpdate",
+    "findOneAndDelete",
+    "countDocuments",
+    "distinct",
+    "updateOne",
+    "updateMany",
+    "deleteOne",
+    "deleteMany",
+  ],
+  function () {
+    if (this.getOptions().includeTrashed || "deletedAt" in this.getFilter()) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  }
+);
+
+/**
+ * Aggregation middleware leaving trashed posts out of every aggregation, unless the pipeline
+ * starts by matching on `deletedAt` itself.
+ */
+blogSchema.pre("aggregate", function () {
+  const [first] = this.pipeline();
+  if (first && first.$match && "deletedAt" in first.$match) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+/**
+ * Instance method checking whether a user may restore the post from the trash: anyone who may manage it,
+ * except that authors cannot restore posts a moderator or admin moved to the trash.
+ * @param {import('./User')} [user] - The requesting user document, if any.
+ * @returns {boolean} True if the user may restore the post.
+ */
+blogSchema.methods.isRestorableBy = function (user) {
+  if (!this.isManageableBy(user)) return false;
+  return (
+    user.canModerate() ||
+    !this.deletedBy ||
+    this.deletedBy.toString() === this.userId.toString()
+  );
+};
+
+/**
+ * Static helper returning the query filter for publicly listed posts.
+ * Posts created before statuses existed have no status and are treated as published; hidden posts are left out.
+ * @returns {Object} A Mongoose filter object.
+ */
+blogSchema.statics.publishedFilter = function () {
+  return { status: { $in: ["published", null] }, hiddenAt: null };
+};
+
+/**
+ * Instance method checking whether a user may view the blog post given its status.
+ * Published and unlisted posts are viewable by anyone; drafts, archived posts and posts hidden by a moderator
+ * only by their author and by moderators, who may manage them.
+ * @param {import('./User')} [user] - The requesting user document, if any.
+ * @returns {boolean} True if the post may be shown to the user.
+ */
+blogSchema.methods.isVisibleTo = function (user) {
+  if (
+    !this.hiddenAt &&
+    (!this.status || ["published", "unlisted"].includes(this.status))
+  ) {
+    return true;
+  }
+  return this.isManageableBy(user);
+};
+
+/**
+ * Instance method checking whether a user may edit and delete the blog post: its author, moderators and admins.
+ * @param {import('./User')} [user] - The requesting user document, if any.
+ * @returns {boolean} True if the user may manage the post.
+ */
+blogSchema.methods.isManageableBy = function (user) {
+  if (!user) return false;
+  return this.userId.toString() === user._id.toString() || user.canModerate();
+};
+
 // Indexing for fields commonly used in queries to improve performance
 blogSchema.index({ category: 1 });
-blogSchema.index({ userId: 1 });
-blogSchema.index({ title: "text", content: "text" }); // For text search capabilities if needed later
+blogSchema.index({ tags: 1 });
+blogSchema.index({ userId: 1, createdAt: -1 }); // An author's posts, newest first (also the following feed)
+blogSchema.index({ status: 1, createdAt: -1 });
+blogSchema.index({ status: 1, scheduledFor: 1 });
+blogSchema.index({ slugHistory: 1 });
+blogSchema.index({ deletedAt: 1 }); // The trash, and purging it
+blogSchema.index({ title: "text", content: "text" }); // Full-text search (`q` parameter of GET /api/blogs)
 
 const Blog = mongoose.model("Blog", blogSchema);
 
 module.exports = Blog;
+module.exports.BLOG_STATUSES = BLOG_STATUSES;
+module.exports.MAX_TAGS = MAX_TAGS;
+module.exports.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+
+/**
+ * Fields of a blog post that are snapshotted in every revision and compared in diffs.
+ * @type {string[]}
+ */
+const REVISION_FIELDS = ["title", "category", "content", "image", "status"];
+
+/**
+ * Mongoose schema for blog post revisions.
+ * A revision is an immutable snapshot of a blog post written on every save.
+ * @typedef {Object} BlogRevisionSchema
+ * @property {mongoose.Schema.Types.ObjectId} blogId - Reference to the Blog the revision belongs to. Required.
+ * @property {number} number - Sequential revision number per blog post, starting at 1. Required.
+ * @property {string} title - The title at the time of the revision.
+ * @property {string} category - The category at the time of the revision.
+ * @property {string} content - The content at the time of the revision.
+ * @property {string} [image] - The image URL at the time of the revision.
+ * @property {string} [status] - The status at the time of the revision.
+ * @property {string[]} changedFields - Fields that changed compared to the previous revision.
+ * @property {mongoose.Schema.Types.ObjectId} editedBy - Reference to the User who made the change. Required.
+ * @property {string} editorName - The editor's name at the time of the change, for quick display.
+ * @property {number} [restoredFrom] - Revision number this revision restored, if it was created by a restore.
+ * @property {Date} createdAt - Timestamp of the revision (auto-generated).
+ */
+
+/**
+ * Mongoose model for BlogRevision.
+ * Every field is immutable and update queries are rejected, so history cannot be rewritten.
+ * @class BlogRevision
+ */
+const blogRevisionSchema = new mongoose.Schema(
+  {
+    blogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Blog",
+      immutable: true,
+    },
+    number: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    title: { type: String, immutable: true },
+    category: { type: String, immutable: true },
+    content: { type: String, immutable: true },
+    image: { type: String, immutable: true },
+    status: { type: String, immutable: true },
+    changedFields: {
+      type: [String],
+      default: [],
+      immutable: true,
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+      immutable: true,
+    },
+    editorName: {
+      type: String,
+      immutable: true,
+    },
+    restoredFrom: {
+      type: Number,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+blogRevisionSchema.index({ blogId: 1, number: -1 }, { unique: true });
+
+/**
+ * Query middleware rejecting any attempt to modify existing revisions.
+ * @throws {Error} Always.
+ */
+blogRevisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function () {
+    throw new Error("Blog revisions are immutable");
+  }
+);
+
+// How often a revision is retried when another save of the same post took its number first
+const MAX_RECORD_ATTEMPTS = 5;
+
+/**
+ * Static method that writes a new revision snapshot of a blog post.
+ * Two saves of the same post at once can pick the same number; the unique index rejects the second,
+ * which then retries with the next number.
+ * @async
+ * @param {Object} blog - The saved blog post document.
+ * @param {{ _id: string, name: string }} editor - The user who made the change.
+ * @param {string[]} changedFields - Fields that changed with this save.
+ * @param {number} [restoredFrom] - Revision number being restored, if any.
+ * @returns {Promise<Object>} The created revision.
+ */
+blogRevisionSchema.statics.record = async function (
+  blog,
+  editor,
+  changedFields,
+  restoredFrom
+) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = blog[field];
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ blogId: blog._id })
+      .sort({ number: -1 })
+      .select("number");
+
+    try {
+      return await this.create({
+        ...snapshot,
+        blogId: blog._id,
+        number: latest ? latest.number + 1 : 1,
+        changedFields,
+        editedBy: editor._id,
+        editorName: editor.name,
+        restoredFrom,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const BlogRevision = mongoose.model("BlogRevision", blogRevisionSchema);
+
+module.exports = BlogRevision;
+module.exports.REVISION_FIELDS = REVISION_FIELDS;
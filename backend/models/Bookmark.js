@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+/**
+ * Mongoose schema for bookmarks (posts a user saved for later).
+ * @typedef {Object} BookmarkSchema
+ * @property {mongoose.Schema.Types.ObjectId} userId - Reference to the User who saved the post. Required.
+ * @property {mongoose.Schema.Types.ObjectId} blogId - Reference to the saved Blog post. Required.
+ * @property {Date} createdAt - When the post was saved (auto-generated).
+ * @property {Date} updatedAt - Timestamp of last update (auto-generated).
+ */
+
+/**
+ * Mongoose model for Bookmark.
+ * A unique index on the pair makes bookmarking idempotent.
+ * @class Bookmark
+ */
+const bookmarkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    blogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Blog",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One bookmark per user and post
+bookmarkSchema.index({ userId: 1, blogId: 1 }, { unique: true });
+// A user's bookmarks, newest first
+bookmarkSchema.index({ userId: 1, createdAt: -1 });
+// Removing a deleted post's bookmarks
+bookmarkSchema.index({ blogId: 1 });
+
+/**
+ * Static method returning which of several blog posts a user bookmarked, in one query.
+ * @async
+ * @param {Array<mongoose.Types.ObjectId|string>} blogIds - The blog post IDs.
+ * @param {mongoose.Types.ObjectId|string} userId - The user's ID.
+ * @returns {Promise<Set<string>>} The IDs of the bookmarked posts.
+ */
+bookmarkSchema.statics.bookmarkedBy = async function (blogIds, userId) {
+  const bookmarks = await this.find({ blogId: { $in: blogIds }, userId })
+    .select("blogId")
+    .lean();
+  return new Set(bookmarks.map(({ blogId }) => blogId.toString()));
+};
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+
+module.exports = Bookmark;
@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+const slugify = require("../utils/slugify");
+const Blog = require("./Blog");
+
+/**
+ * Categories created on first start, matching the options the app offered before categories
+ * were stored in the database.
+ * @type {string[]}
+ */
+const DEFAULT_CATEGORIES = [
+  "Career",
+  "Finance",
+  "Travel",
+  "Technology",
+  "Lifestyle",
+  "Health",
+  "Education",
+  "Other",
+];
+
+/**
+ * Mongoose schema for blog post categories.
+ * @typedef {Object} CategorySchema
+ * @property {string} name - Display name of the category. Required and unique. Blog posts store this name.
+ * @property {string} slug - Unique, URL-safe identifier generated from the name.
+ * @property {string} [description] - Short description of the category.
+ * @property {number} order - Position in category lists; lower comes first, ties are sorted by name. Defaults to 0.
+ * @property {Date} createdAt - Timestamp of category creation (auto-generated).
+ * @property {Date} updatedAt - Timestamp of last category update (auto-generated).
+ */
+
+/**
+ * Mongoose model for Category.
+ * @class Category
+ */
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide a category name"],
+      unique: true,
+      trim: true,
+      maxlength: [50, "Category name cannot be longer than 50 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot be longer than 500 characters"],
+      default: "",
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Pre-validate middleware for the category schema.
+ * Generates the slug from the name whenever the name changes.
+ * @param {import('mongoose').NextFunction} next - Mongoose next function.
+ */
+categorySchema.pre("validate", function (next) {
+  if (this.isModified("name") || !this.slug) {
+    this.slug = slugify(this.name, 60) || undefined;
+  }
+  next();
+});
+
+categorySchema.index({ order: 1, name: 1 });
+
+/**
+ * Static method that creates the initial categories when the collection is empty.
+ * Besides the defaults, every category already used by a blog post is added,
+ * so existing posts keep a valid category.
+ * @async
+ * @returns {Promise<number>} The number of categories created.
+ */
+categorySchema.statics.seedDefaults = async function () {
+  if (await this.exists({})) return 0;
+
+  const used = await Blog.distinct("category").setOptions({
+    includeTrashed: true,
+  });
+  // Names that would clash on their slug or fail validation are skipped
+  const bySlug = new Map();
+  [...DEFAULT_CATEGORIES, ...used].forEach((name) => {
+    const slug = slugify(name, 60);
+    if (slug && name.trim().length <= 50 && !bySlug.has(slug)) {
+      bySlug.set(slug, name.trim());
+    }
+  });
+  const names = [...bySlug.values()];
+  // "Other" stays last, like it did in the hard-coded list
+  const categories = names.map((name, index) => ({
+    name,
+    order: name === "Other" ? names.length : index,
+  }));
+
+  // create() runs the validate hook that generates slugs
+  await this.create(categories);
+  return categories.length;
+};
+
+const Category = mongoose.model("Category", categorySchema);
+
+module.exports = Category;
+module.exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+/**
+ * Maximum nesting depth of replies. Top-level comments have depth 0.
+ * @type {number}
+ */
+const MAX_COMMENT_DEPTH = 5;
+
+/**
+ * Mongoose schema for comments on blog posts.
+ * @typedef {Object} CommentSchema
+ * @property {mongoose.Schema.Types.ObjectId} blogId - Reference to the Blog the comment belongs to. Required.
+ * @property {mongoose.Schema.Types.ObjectId} userId - Reference to the User who wrote the comment. Required.
+ * @property {string} authorName - The commenter's name, stored for quick display. Required.
+ * @property {mongoose.Schema.Types.ObjectId} [parentId] - The comment this one replies to; null for top-level comments.
+ * @property {mongoose.Schema.Types.ObjectId} [rootId] - The top-level comment of the thread; null for top-level comments.
+ * @property {number} depth - Nesting depth, 0 for top-level comments. At most MAX_COMMENT_DEPTH.
+ * @property {string} body - The comment text. Required unless deleted, at most 5000 characters.
+ * @property {Date} [editedAt] - When the body was last edited, if ever.
+ * @property {Date} [deletedAt] - When the comment was deleted. Deleted comments that have replies are kept
+ *   (without body or author) so the thread stays intact.
+ * @property {Date} [hiddenAt] - When a moderator hid the comment after it was reported. Hidden comments are shown
+ *   like deleted ones.
+ * @property {Date} createdAt - Timestamp of comment creation (auto-generated).
+ * @property {Date} updatedAt - Timestamp of last comment update (auto-generated).
+ */
+
+/**
+ * Mongoose model for Comment.
+ * @class Comment
+ */
+const commentSchema = new mongoose.Schema(
+  {
+    blogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Blog",
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    authorName: {
+      type: String,
+      required: true,
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    rootId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      max: [MAX_COMMENT_DEPTH, "Replies cannot be nested any deeper"],
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Comments cannot be longer than 5000 characters"],
+      required: [
+        function () {
+          return !this.deletedAt;
+        },
+        "Please write a comment",
+      ],
+    },
+    editedAt: {
+      type: Date,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    hiddenAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Top-level comments of a post, in order
+commentSchema.index({ blogId: 1, parentId: 1, createdAt: 1 });
+// Every reply in a thread
+commentSchema.index({ rootId: 1, createdAt: 1 });
+
+/**
+ * Static method counting the (non-deleted, non-hidden) comments of several blog posts in one query.
+ * @async
+ * @param {Array<mongoose.Types.ObjectId|string>} blogIds - The blog post IDs.
+ * @returns {Promise<Map<string, number>>} Comment counts keyed by blog ID; posts without comments are missing.
+ */
+commentSchema.statics.countByBlog = async function (blogIds) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        blogId: {
+          $in: blogIds.map((id) => new mongoose.Types.ObjectId(id)),
+        },
+        deletedAt: null,
+        hiddenAt: null,
+      },
+    },
+    { $group: { _id: "$blogId", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((c) => [c._id.toString(), c.count]));
+};
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+module.exports = Comment;
+module.exports.MAX_COMMENT_DEPTH = MAX_COMMENT_DEPTH;
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+/**
+ * Mongoose schema for follow relationships between users.
+ * @typedef {Object} FollowSchema
+ * @property {mongoose.Schema.Types.ObjectId} followerId - Reference to the User who follows. Required.
+ * @property {mongoose.Schema.Types.ObjectId} followingId - Reference to the User being followed. Required.
+ * @property {Date} createdAt - When the follow started (auto-generated).
+ * @property {Date} updatedAt - Timestamp of last update (auto-generated).
+ */
+
+/**
+ * Mongoose model for Follow.
+ * A unique index on the pair makes following idempotent.
+ * @class Follow
+ */
+const followSchema = new mongoose.Schema(
+  {
+    followerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    followingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Who a user follows, newest first; also enforces one follow per pair
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+followSchema.index({ followerId: 1, createdAt: -1 });
+// A user's followers, newest first
+followSchema.index({ followingId: 1, createdAt: -1 });
+
+/**
+ * Static method counting a user's followers and the users they follow.
+ * @async
+ * @param {mongoose.Types.ObjectId|string} userId - The user's ID.
+ * @returns {Promise<{ followerCount: number, followingCount: number }>} The counts.
+ */
+followSchema.statics.countsFor = async function (userId) {
+  const [followerCount, followingCount] = await Promise.all([
+    this.countDocuments({ followingId: userId }),
+    this.countDocuments({ followerId: userId }),
+  ]);
+  return { followerCount, followingCount };
+};
+
+const Follow = mongoose.model("Follow", followSchema);
+
+module.exports = Follow;
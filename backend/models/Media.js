@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+/**
+ * Mongoose schema for uploaded media (images).
+ * @typedef {Object} MediaSchema
+ * @property {mongoose.Schema.Types.ObjectId} userId - Reference to the User who uploaded the file. Required.
+ * @property {string} originalName - The file name on the uploader's machine.
+ * @property {string} mimeType - The MIME type of the stored file. Required.
+ * @property {number} size - Size of the stored file in bytes. Required.
+ * @property {number} width - Image width in pixels.
+ * @property {number} height - Image height in pixels.
+ * @property {string} storage - Name of the storage driver holding the files (e.g. "local"). Required.
+ * @property {string} key - Storage key of the image. Required.
+ * @property {string} url - Public URL of the image. Required.
+ * @property {string} thumbnailKey - Storage key of the thumbnail. Required.
+ * @property {string} thumbnailUrl - Public URL of the thumbnail. Required.
+ * @property {Date} createdAt - Timestamp of the upload (auto-generated).
+ * @property {Date} updatedAt - Timestamp of the last update (auto-generated).
+ */
+
+/**
+ * Mongoose model for Media.
+ * @class Media
+ */
+const mediaSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    originalName: {
+      type: String,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    storage: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: {
+      type: String,
+      required: true,
+    },
+    thumbnailUrl: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Media library listing: a user's uploads, newest first
+mediaSchema.index({ userId: 1, createdAt: -1 });
+
+const Media = mongoose.model("Media", mediaSchema);
+
+module.exports = Media;
@@ -0,0 +1,120 @@
+const mongoose = require("mongoose");
+
+/**
+ * What a notification is about:
+ * - "comment": someone commented on one of the recipient's posts.
+ * - "reply": someone replied to one of the recipient's comments.
+ * - "reaction": someone reacted to one of the recipient's posts.
+ * - "follow": someone started following the recipient.
+ */
+const NOTIFICATION_TYPES = ["comment", "reply", "reaction", "follow"];
+
+/**
+ * Types sent at most once per actor and target, so toggling a reaction or following again
+ * does not notify the recipient repeatedly.
+ */
+const ONCE_PER_ACTOR_TYPES = ["reaction", "follow"];
+
+/**
+ * Mongoose schema for in-app notifications.
+ * @typedef {Object} NotificationSchema
+ * @property {mongoose.Schema.Types.ObjectId} recipientId - Reference to the User being notified. Required.
+ * @property {mongoose.Schema.Types.ObjectId} actorId - Reference to the User whose action caused it. Required.
+ * @property {string} type - One of NOTIFICATION_TYPES. Required.
+ * @property {mongoose.Schema.Types.ObjectId} [blogId] - Reference to the Blog post concerned (all types but "follow").
+ * @property {mongoose.Schema.Types.ObjectId} [commentId] - Reference to the new Comment ("comment" and "reply").
+ * @property {string} [reactionType] - The reaction left ("reaction").
+ * @property {Date} [readAt] - When the recipient read it; null while unread.
+ * @property {Date} createdAt - Timestamp of creation (auto-generated).
+ * @property {Date} updatedAt - Timestamp of last update (auto-generated).
+ */
+
+/**
+ * Mongoose model for Notification.
+ * @class Notification
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: NOTIFICATION_TYPES,
+    },
+    blogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      default: null,
+    },
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    reactionType: {
+      type: String,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A user's notifications, newest first
+notificationSchema.index({ recipientId: 1, createdAt: -1 });
+// Unread counts
+notificationSchema.index({ recipientId: 1, readAt: 1 });
+// Removing a deleted post's notifications
+notificationSchema.index({ blogId: 1 });
+// At most one reaction or follow notification per actor and target
+notificationSchema.index(
+  { recipientId: 1, actorId: 1, type: 1, blogId: 1, reactionType: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { type: { $in: ONCE_PER_ACTOR_TYPES } },
+  }
+);
+
+/**
+ * Instance method preparing the notification for the client, with the actor's name, handle and avatar
+ * and the post's title and slug. Expects `actorId` and `blogId` to be populated.
+ * @returns {Object} The notification as a plain object.
+ */
+notificationSchema.methods.toClientJSON = function () {
+  const { actorId: actor, blogId: blog } = this;
+  return {
+    _id: this._id,
+    type: this.type,
+    actor: actor && {
+      _id: actor._id,
+      name: actor.name,
+      handle: actor.handle,
+      avatar: actor.avatar,
+    },
+    blog: blog && { _id: blog._id, title: blog.title, slug: blog.slug },
+    commentId: this.commentId,
+    reactionType: this.reactionType,
+    isRead: !!this.readAt,
+    createdAt: this.createdAt,
+  };
+};
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+module.exports = Notification;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+module.exports.ONCE_PER_ACTOR_TYPES = ONCE_PER_ACTOR_TYPES;
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+/**
+ * Reaction types readers can leave on a blog post. Each user can leave each type once per post.
+ */
+const REACTION_TYPES = ["like", "love", "laugh", "wow", "insightful"];
+
+/**
+ * Mongoose schema for reactions on blog posts.
+ * The per-type totals are denormalized into `Blog.reactionCounts`, which the reaction controller
+ * updates atomically whenever a reaction is actually added or removed.
+ * @typedef {Object} ReactionSchema
+ * @property {mongoose.Schema.Types.ObjectId} blogId - Reference to the Blog reacted to. Required.
+ * @property {mongoose.Schema.Types.ObjectId} userId - Reference to the User who reacted. Required.
+ * @property {string} type - One of REACTION_TYPES. Required.
+ * @property {Date} createdAt - Timestamp of the reaction (auto-generated).
+ * @property {Date} updatedAt - Timestamp of last update (auto-generated).
+ */
+
+/**
+ * Mongoose model for Reaction.
+ * A unique index on blogId, userId and type makes reacting idempotent.
+ * @class Reaction
+ */
+const reactionSchema = new mongoose.Schema(
+  {
+    blogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Blog",
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      required: [true, "Please specify a reaction type"],
+      enum: {
+        values: REACTION_TYPES,
+        message: "Reaction type must be one of: " + REACTION_TYPES.join(", "),
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One reaction of each type per user and post; also serves "my reactions" lookups
+reactionSchema.index({ blogId: 1, userId: 1, type: 1 }, { unique: true });
+// Reactions of a post, newest first
+reactionSchema.index({ blogId: 1, createdAt: -1 });
+
+/**
+ * Static method returning the reaction types a user left on several blog posts in one query.
+ * @async
+ * @param {Array<mongoose.Types.ObjectId|string>} blogIds - The blog post IDs.
+ * @param {mongoose.Types.ObjectId|string} userId - The user's ID.
+ * @returns {Promise<Map<string, string[]>>} Reaction types keyed by blog ID; posts without reactions are missing.
+ */
+reactionSchema.statics.typesByUser = async function (blogIds, userId) {
+  const reactions = await this.find({ blogId: { $in: blogIds }, userId })
+    .select("blogId type")
+    .lean();
+  const types = new Map();
+  reactions.forEach(({ blogId, type }) => {
+    const key = blogId.toString();
+    types.set(key, [...(types.get(key) || []), type]);
+  });
+  return types;
+};
+
+const Reaction = mongoose.model("Reaction", reactionSchema);
+
+module.exports = Reaction;
+module.exports.REACTION_TYPES = REACTION_TYPES;
@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+
+// A list holds at most this many posts
+const MAX_LIST_ITEMS = 500;
+
+/**
+ * Mongoose schema for a post in a reading list.
+ * @typedef {Object} ReadingListItemSchema
+ * @property {mongoose.Schema.Types.ObjectId} blogId - Reference to the Blog post. Required.
+ * @property {Date} addedAt - When the post was added to the list.
+ */
+const readingListItemSchema = new mongoose.Schema(
+  {
+    blogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Blog",
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose schema for named reading lists.
+ * @typedef {Object} ReadingListSchema
+ * @property {mongoose.Schema.Types.ObjectId} userId - Reference to the User who owns the list. Required.
+ * @property {string} name - The list name, unique per user. Required, max 100 characters.
+ * @property {string} [description] - A short description, max 500 characters.
+ * @property {boolean} isPublic - Whether anyone with the link may view the list. Defaults to false.
+ * @property {Array<ReadingListItemSchema>} items - The posts in the list, in the owner's order.
+ * @property {Date} createdAt - Timestamp of creation (auto-generated).
+ * @property {Date} updatedAt - Timestamp of last update (auto-generated).
+ */
+
+/**
+ * Mongoose model for ReadingList.
+ * @class ReadingList
+ */
+const readingListSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a list name"],
+      trim: true,
+      maxlength: [100, "List name cannot be more than 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+      default: "",
+    },
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+    items: {
+      type: [readingListItemSchema],
+      validate: {
+        validator: (items) => items.length <= MAX_LIST_ITEMS,
+        message: `A list cannot hold more than ${MAX_LIST_ITEMS} posts`,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A user's lists, most recently changed first; names are unique per user
+readingListSchema.index({ userId: 1, name: 1 }, { unique: true });
+readingListSchema.index({ userId: 1, updatedAt: -1 });
+// Removing a deleted post from every list
+readingListSchema.index({ "items.blogId": 1 });
+
+/**
+ * Instance method checking whether a user may view the list.
+ * Public lists are viewable by anyone; private lists only by their owner.
+ * @param {{ _id: string }} [user] - The requesting user, if any.
+ * @returns {boolean} True if the list may be shown to the user.
+ */
+readingListSchema.methods.isVisibleTo = function (user) {
+  return this.isPublic || this.isOwnedBy(user);
+};
+
+/**
+ * Instance method checking whether a user owns the list.
+ * @param {{ _id: string }} [user] - The requesting user, if any.
+ * @returns {boolean} True if the user owns the list.
+ */
+readingListSchema.methods.isOwnedBy = function (user) {
+  return !!user && this.userId.toString() === user._id.toString();
+};
+
+/**
+ * Instance method returning the list without its items, with `itemCount` instead.
+ * @returns {Object} The list summary as a plain object.
+ */
+readingListSchema.methods.toSummary = function () {
+  const { items, ...list } = this.toObject();
+  return { ...list, itemCount: items.length };
+};
+
+const ReadingList = mongoose.model("ReadingList", readingListSchema);
+
+module.exports = ReadingList;
+module.exports.MAX_LIST_ITEMS = MAX_LIST_ITEMS;
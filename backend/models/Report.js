@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+
+/**
+ * Kinds of content that can be reported.
+ */
+const REPORT_TARGET_TYPES = ["blog", "comment"];
+
+/**
+ * Reasons a reader can give for a report.
+ */
+const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate",
+  "misinformation",
+  "other",
+];
+
+/**
+ * Statuses of a report.
+ * - open: waiting in the moderation queue
+ * - dismissed: a moderator found nothing wrong
+ * - actioned: a moderator hid the content (and possibly suspended its author)
+ */
+const REPORT_STATUSES = ["open", "dismissed", "actioned"];
+
+/**
+ * Actions a moderator can take on reported content, closing every open report of it.
+ * - dismiss: keep the content
+ * - hide: hide the content from everyone but its author and moderators
+ * - suspend: hide the content and suspend its author
+ */
+const MODERATION_ACTIONS = ["dismiss", "hide", "suspend"];
+
+/**
+ * Mongoose schema for reports of posts and comments.
+ * @typedef {Object} ReportSchema
+ * @property {string} targetType - What was reported (see REPORT_TARGET_TYPES). Required.
+ * @property {mongoose.Schema.Types.ObjectId} targetId - The reported Blog post or Comment. Required.
+ * @property {mongoose.Schema.Types.ObjectId} targetAuthorId - The User who wrote the reported content. Required.
+ * @property {mongoose.Schema.Types.ObjectId} reporterId - Reference to the User who reported it. Required.
+ * @property {string} reason - Why it was reported (see REPORT_REASONS). Required.
+ * @property {string} [details] - The reporter's explanation, at most 1000 characters.
+ * @property {string} status - The report's status (see REPORT_STATUSES). Defaults to "open".
+ * @property {Object} [resolution] - The moderator's decision, set when the report is closed:
+ *   `action` (see MODERATION_ACTIONS), `moderatorId`, `note` and `resolvedAt`.
+ * @property {Date} createdAt - When the report was made (auto-generated).
+ * @property {Date} updatedAt - Timestamp of last update (auto-generated).
+ */
+
+/**
+ * Mongoose model for Report.
+ * @class Report
+ */
+const reportSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      required: true,
+      enum: {
+        values: REPORT_TARGET_TYPES,
+        message:
+          "Target type must be one of: " + REPORT_TARGET_TYPES.join(", "),
+      },
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    targetAuthorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      required: [true, "Please choose a reason"],
+      enum: {
+        values: REPORT_REASONS,
+        message: "Reason must be one of: " + REPORT_REASONS.join(", "),
+      },
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Details cannot be longer than 1000 characters"],
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: "open",
+    },
+    resolution: {
+      action: { type: String, enum: MODERATION_ACTIONS },
+      moderatorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Notes cannot be longer than 500 characters"],
+      },
+      resolvedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open report per reader and piece of content
+reportSchema.index(
+  { targetType: 1, targetId: 1, reporterId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+// The moderation queue
+reportSchema.index({ status: 1, createdAt: -1 });
+
+const Report = mongoose.model("Report", reportSchema);
+
+module.exports = Report;
+module.exports.REPORT_TARGET_TYPES = REPORT_TARGET_TYPES;
+module.exports.REPORT_REASONS = REPORT_REASONS;
+module.exports.REPORT_STATUSES = REPORT_STATUSES;
+module.exports.MODERATION_ACTIONS = MODERATION_ACTIONS;
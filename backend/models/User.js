@@ -1,5 +1,49 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const slugify = require("../utils/slugify");
+const { NOTIFICATION_TYPES } = require("./Notification");
+
+/**
+ * Roles a user can have, from least to most privileged.
+ * - reader: can read, comment, react and follow, but not write posts
+ * - author: can also write posts (the default)
+ * - moderator: can also edit and delete anyone's posts and comments
+ * - admin: can also manage categories and change users' roles
+ */
+const ROLES = ["reader", "author", "moderator", "admin"];
+
+/** Roles allowed to write blog posts. */
+const WRITER_ROLES = ["author", "moderator", "admin"];
+
+/** Roles allowed to edit and delete other users' content. */
+const MODERATOR_ROLES = ["moderator", "admin"];
+
+/**
+ * Account statuses, derived from the suspension fields.
+ * - active: the user can log in and use the site
+ * - suspended: the user cannot log in or act until `suspendedUntil`
+ * - banned: the user cannot log in or act until an admin lifts the ban
+ */
+const ACCOUNT_STATUSES = ["active", "suspended", "banned"];
+
+/**
+ * Networks a user can link to from their public profile.
+ */
+const SOCIAL_NETWORKS = ["twitter", "github", "linkedin"];
+
+/**
+ * Allowed handles: 3-30 lowercase letters, digits, hyphens and underscores, starting with a letter or digit.
+ * Handles that look like user IDs are rejected so profile URLs can take either.
+ */
+const HANDLE_PATTERN = /^(?![0-9a-f]{24}$)[a-z0-9][a-z0-9_-]{2,29}$/;
+
+// Basic URL validation for profile links
+const urlField = {
+  type: String,
+  trim: true,
+  match: [/^(https?):\/\/[^ "]+$/, "Please enter a valid URL"],
+  default: "",
+};
 
 /**
  * Mongoose schema for User.
@@ -7,6 +51,19 @@ const bcrypt = require("bcryptjs");
  * @property {string} name - User's full name. Required.
  * @property {string} email - User's email address. Required, unique, lowercase. Must be a valid email format.
  * @property {string} password - User's password. Required, min length 6. Not selected by default in queries.
+ * @property {Date} [passwordChangedAt] - Timestamp of the last password change. Tokens issued before it are rejected.
+ * @property {string} role - The user's role (see ROLES), which decides what they may do. Defaults to "author".
+ * @property {Date} [suspendedUntil] - Set while the user is suspended; the suspension ends at this time.
+ * @property {Date} [bannedAt] - Set while the user is banned; bans last until lifted.
+ * @property {string} [suspensionReason] - Why the user was suspended or banned, shown to them when they log in.
+ * @property {string} handle - Unique public username used in profile URLs (see HANDLE_PATTERN).
+ *   Generated from the name when not chosen; users created before handles existed get one on their next save.
+ * @property {string} [bio] - Short public biography, at most 500 characters.
+ * @property {string} [avatar] - URL of the user's avatar image.
+ * @property {string} [website] - URL of the user's website.
+ * @property {Object<string, string>} socialLinks - Profile URLs keyed by network (see SOCIAL_NETWORKS).
+ * @property {Object<string, boolean>} notificationPreferences - Whether the user wants each type of in-app
+ *   notification, keyed by type (see NOTIFICATION_TYPES). All are on by default.
  * @property {Date} createdAt - Timestamp of user creation (auto-generated).
  * @property {Date} updatedAt - Timestamp of last user update (auto-generated).
  */
@@ -38,12 +95,180 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters long"],
       select: false, // Do not return password by default when querying users
     },
+    passwordChangedAt: {
+      type: Date,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: "Role must be one of: " + ROLES.join(", "),
+      },
+      default: "author", // Changed by admins only; users cannot change their own role
+    },
+    suspendedUntil: {
+      type: Date,
+      default: null,
+    },
+    bannedAt: {
+      type: Date,
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot be longer than 500 characters"],
+      default: "",
+    },
+    handle: {
+      type: String,
+      unique: true,
+      sparse: true, // Users created before handles existed get one on their next save
+      lowercase: true,
+      trim: true,
+      match: [
+        HANDLE_PATTERN,
+        "Handles must be 3-30 letters, digits, hyphens or underscores",
+      ],
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Bio cannot be longer than 500 characters"],
+      default: "",
+    },
+    avatar: urlField,
+    website: urlField,
+    socialLinks: Object.fromEntries(
+      SOCIAL_NETWORKS.map((network) => [network, urlField])
+    ),
+    notificationPreferences: Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [type, { type: Boolean, default: true }])
+    ),
   },
   {
     timestamps: true, // This will add createdAt and updatedAt fields automatically
   }
 );
 
+/**
+ * Pre-validate middleware for the user schema.
+ * Gives users without a handle one generated from their name, with a numeric suffix if it is taken.
+ * @param {import('mongoose').NextFunction} next - Mongoose next function.
+ */
+userSchema.pre("validate", async function (next) {
+  if (this.handle) return next();
+
+  const base = slugify(this.name, 24);
+  const root = base.length >= 3 ? base : base ? `${base}-user` : "user";
+  let candidate = root;
+  let suffix = 2;
+  while (
+    await this.constructor.exists({ _id: { $ne: this._id }, handle: candidate })
+  ) {
+    candidate = `${root}-${suffix++}`;
+  }
+  this.handle = candidate;
+  next();
+});
+
+/**
+ * Static helper finding a user by ID or by handle, as used in profile URLs.
+ * @param {string} idOrHandle - A user ID or handle.
+ * @returns {import('mongoose').Query} The query for the user.
+ */
+userSchema.statics.findByIdOrHandle = function (idOrHandle) {
+  return /^[0-9a-f]{24}$/i.test(idOrHandle)
+    ? this.findById(idOrHandle)
+    : this.findOne({ handle: String(idOrHandle).toLowerCase() });
+};
+
+/**
+ * Instance method returning the fields of a user that anyone may see.
+ * @returns {Object} The public profile fields.
+ */
+userSchema.methods.toPublicProfile = function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    handle: this.handle,
+    bio: this.bio,
+    avatar: this.avatar,
+    website: this.website,
+    socialLinks: this.socialLinks,
+    role: this.role,
+    createdAt: this.createdAt,
+  };
+};
+
+/**
+ * Instance method checking whether the user may edit and delete other users' posts and comments.
+ * @returns {boolean} True for moderators and admins.
+ */
+userSchema.methods.canModerate = function () {
+  return MODERATOR_ROLES.includes(this.role);
+};
+
+/**
+ * Instance method returning the user's account status (see ACCOUNT_STATUSES).
+ * Suspensions end by themselves once `suspendedUntil` has passed.
+ * @returns {string} "active", "suspended" or "banned".
+ */
+userSchema.methods.getAccountStatus = function () {
+  if (this.bannedAt) return "banned";
+  if (this.suspendedUntil && this.suspendedUntil > Date.now()) {
+    return "suspended";
+  }
+  return "active";
+};
+
+/**
+ * Instance method describing why the user may not log in or act, for error messages.
+ * @returns {string|null} The message, or null if the account is active.
+ */
+userSchema.methods.getSuspensionMessage = function () {
+  const status = this.getAccountStatus();
+  if (status === "active") return null;
+  const message =
+    status === "banned"
+      ? "Your account has been banned"
+      : `Your account is suspended until ${this.suspendedUntil.toISOString()}`;
+  return this.suspensionReason
+    ? `${message}: ${this.suspensionReason}`
+    : message;
+};
+
+/**
+ * Static helper building the MongoDB filter for users with an account status.
+ * @param {string} status - One of ACCOUNT_STATUSES.
+ * @returns {Object} The filter.
+ */
+userSchema.statics.accountStatusFilter = function (status) {
+  const now = new Date();
+  if (status === "banned") return { bannedAt: { $ne: null } };
+  if (status === "suspended") {
+    return { bannedAt: null, suspendedUntil: { $gt: now } };
+  }
+  return {
+    bannedAt: null,
+    $or: [{ suspendedUntil: null }, { suspendedUntil: { $lte: now } }],
+  };
+};
+
+/**
+ * Static method giving users created before roles existed the default "author" role. Safe to run on every start.
+ * @returns {Promise<number>} The number of users migrated.
+ */
+userSchema.statics.migrateRoles = async function () {
+  const result = await this.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: "author" } },
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
 /**
  * Pre-save middleware for the user schema.
  * Hashes the user's password before saving if it has been modified.
@@ -56,6 +281,11 @@ userSchema.pre("save", async function (next) {
   // Hash the password with cost of 12
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Record when an existing user's password changed so older tokens can be rejected
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
@@ -68,6 +298,22 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Instance method on the User schema to check whether the password was changed after a token was issued.
+ * Requires `passwordChangedAt` to be selected on the document.
+ * @param {number} tokenIssuedAt - When the JWT was issued, in milliseconds since epoch (see `getTokenIssuedAt`).
+ * @returns {boolean} True if the password was changed after the token was issued, false otherwise.
+ */
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return this.passwordChangedAt.getTime() > tokenIssuedAt;
+};
+
 const User = mongoose.model("User", userSchema);
 
 module.exports = User;
+module.exports.SOCIAL_NETWORKS = SOCIAL_NETWORKS;
+module.exports.ROLES = ROLES;
+module.exports.WRITER_ROLES = WRITER_ROLES;
+module.exports.MODERATOR_ROLES = MODERATOR_ROLES;
+module.exports.ACCOUNT_STATUSES = ACCOUNT_STATUSES;
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const Blog = require("../Blog");
+const { makeUser, makeBlog } = require("../../controllers/__tests__/helpers");
+
+describe("Blog", () => {
+  let author;
+  let moderator;
+  let reader;
+
+  beforeEach(() => {
+    author = makeUser("author");
+    moderator = makeUser("moderator");
+    reader = makeUser("reader");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("isVisibleTo", () => {
+    it("shows published and unlisted posts to everyone", () => {
+      expect(makeBlog(author).isVisibleTo(undefined)).toBe(true);
+      expect(makeBlog(author, { status: "unlisted" }).isVisibleTo(reader)).toBe(
+        true
+      );
+    });
+
+    it("shows drafts, archived and hidden posts only to their author and moderators", () => {
+      [
+        { status: "draft" },
+        { status: "archived" },
+        { hiddenAt: new Date() },
+      ].forEach((fields) => {
+        const blog = makeBlog(author, fields);
+        expect(blog.isVisibleTo(undefined)).toBe(false);
+        expect(blog.isVisibleTo(reader)).toBe(false);
+        expect(blog.isVisibleTo(author)).toBe(true);
+        expect(blog.isVisibleTo(moderator)).toBe(true);
+      });
+    });
+  });
+
+  describe("isRestorableBy", () => {
+    it("lets authors restore posts they deleted themselves", () => {
+      const blog = makeBlog(author, {
+        deletedAt: new Date(),
+        deletedBy: author._id,
+      });
+      expect(blog.isRestorableBy(author)).toBe(true);
+      expect(blog.isRestorableBy(reader)).toBe(false);
+    });
+
+    it("keeps posts a moderator deleted from their author", () => {
+      const blog = makeBlog(author, {
+        deletedAt: new Date(),
+        deletedBy: moderator._id,
+      });
+      expect(blog.isRestorableBy(author)).toBe(false);
+      expect(blog.isRestorableBy(moderator)).toBe(true);
+    });
+  });
+
+  describe("publishedFilter", () => {
+    it("leaves out unpublished and hidden posts", () => {
+      expect(Blog.publishedFilter()).toEqual({
+        status: { $in: ["published", null] },
+        hiddenAt: null,
+      });
+    });
+  });
+
+  describe("trash filter", () => {
+    /**
+     * Runs a query's middleware (the query itself then fails, as there is no connection) and returns its filter.
+     * @param {import('mongoose').Query} query - The query.
+     * @returns {Promise<Object>} The filter the query would have run with.
+     */
+    const filterOf = async (query) => {
+      await query.exec().catch(() => {});
+      return query.getFilter();
+    };
+
+    it("leaves trashed posts out of queries", async () => {
+      expect(await filterOf(Blog.find({ status: "published" }))).toEqual({
+        status: "published",
+        deletedAt: null,
+      });
+      expect(await filterOf(Blog.countDocuments({}))).toEqual({
+        deletedAt: null,
+      });
+    });
+
+    it("keeps queries on deletedAt or with includeTrashed as they are", async () => {
+      const trash = { deletedAt: { $ne: null } };
+      expect(await filterOf(Blog.find(trash))).toEqual(trash);
+      const id = new mongoose.Types.ObjectId();
+      expect(
+        await filterOf(
+          Blog.findOne({ _id: id }).setOptions({ includeTrashed: true })
+        )
+      ).toEqual({ _id: id });
+    });
+
+    it("leaves trashed posts out of aggregations", async () => {
+      const aggregate = Blog.aggregate([{ $match: { status: "published" } }]);
+      await aggregate.exec().catch(() => {});
+      expect(aggregate.pipeline()[0]).toEqual({ $match: { deletedAt: null } });
+    });
+  });
+});
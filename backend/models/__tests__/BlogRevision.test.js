@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+const BlogRevision = require("../BlogRevision");
+const { queryResult } = require("../../controllers/__tests__/helpers");
+
+/**
+ * Creates the duplicate key error MongoDB reports when a revision number is already taken.
+ * @returns {Error} The error.
+ */
+const duplicateKeyError = () =>
+  Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+describe("BlogRevision", () => {
+  describe("record", () => {
+    const blog = {
+      _id: new mongoose.Types.ObjectId(),
+      title: "A post",
+      category: "Technology",
+      content: "Some content",
+      status: "published",
+    };
+    const editor = { _id: new mongoose.Types.ObjectId(), name: "Editor" };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("numbers revisions after the latest one", async () => {
+      jest
+        .spyOn(BlogRevision, "findOne")
+        .mockReturnValue(queryResult({ number: 3 }));
+      jest.spyOn(BlogRevision, "create").mockImplementation(async (doc) => doc);
+
+      const revision = await BlogRevision.record(blog, editor, ["content"]);
+      expect(revision).toMatchObject({
+        blogId: blog._id,
+        number: 4,
+        content: "Some content",
+        changedFields: ["content"],
+        editorName: "Editor",
+      });
+    });
+
+    it("retries with the next number when another save took it", async () => {
+      jest
+        .spyOn(BlogRevision, "findOne")
+        .mockReturnValueOnce(queryResult({ number: 3 }))
+        .mockReturnValueOnce(queryResult({ number: 4 }));
+      jest
+        .spyOn(BlogRevision, "create")
+        .mockRejectedValueOnce(duplicateKeyError())
+        .mockImplementationOnce(async (doc) => doc);
+
+      const revision = await BlogRevision.record(blog, editor, ["title"]);
+      expect(revision.number).toBe(5);
+      expect(BlogRevision.create).toHaveBeenCalledTimes(2);
+    });
+
+    it("gives up after repeated collisions", async () => {
+      jest
+        .spyOn(BlogRevision, "findOne")
+        .mockReturnValue(queryResult({ number: 3 }));
+      jest.spyOn(BlogRevision, "create").mockRejectedValue(duplicateKeyError());
+
+      await expect(BlogRevision.record(blog, editor, [])).rejects.toThrow(
+        "E11000"
+      );
+      expect(BlogRevision.create).toHaveBeenCalledTimes(5);
+    });
+
+    it("does not retry other errors", async () => {
+      jest.spyOn(BlogRevision, "findOne").mockReturnValue(queryResult(null));
+      jest
+        .spyOn(BlogRevision, "create")
+        .mockRejectedValue(new Error("Validation failed"));
+
+      await expect(BlogRevision.record(blog, editor, [])).rejects.toThrow(
+        "Validation failed"
+      );
+      expect(BlogRevision.create).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,22 @@
+const User = require("../User");
+
+describe("User", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("migrateRoles", () => {
+    it("makes users without a role authors", async () => {
+      const updateMany = jest
+        .spyOn(User, "updateMany")
+        .mockResolvedValue({ modifiedCount: 3 });
+
+      expect(await User.migrateRoles()).toBe(3);
+      expect(updateMany).toHaveBeenCalledWith(
+        { role: { $exists: false } },
+        { $set: { role: "author" } },
+        { timestamps: false }
+      );
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const Blog = require("../../models/Blog");
+const BlogRevision = require("../../models/BlogRevision");
+const User = require("../../models/User");
+const blogRoutes = require("../blogRoutes");
+const { errorHandler } = require("../../middleware/errorMiddleware");
+const {
+  makeUser,
+  makeBlog,
+  queryResult,
+} = require("../../controllers/__tests__/helpers");
+
+describe("blogRoutes", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = "test-secret";
+    const app = express();
+    app.use(express.json());
+    app.use("/api/blogs", blogRoutes);
+    app.use(errorHandler);
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/blogs`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Sends a request as the given user.
+   * @param {string} method - The HTTP method.
+   * @param {string} path - The path below /api/blogs.
+   * @param {import('../../models/User')} user - The user, looked up from the token.
+   * @param {Object} [body] - The JSON body.
+   * @returns {Promise<Response>} The response.
+   */
+  const send = (method, path, user, body = {}) => {
+    jest.spyOn(User, "findById").mockReturnValue(queryResult(user));
+    return fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+  };
+
+  describe("writing posts", () => {
+    let reader;
+    let blog;
+
+    beforeEach(() => {
+      // A former author demoted to reader, who still owns a post
+      reader = makeUser("reader");
+      blog = makeBlog(reader, { status: "draft" });
+      jest.spyOn(Blog, "findById").mockResolvedValue(blog);
+      jest.spyOn(BlogRevision, "exists").mockResolvedValue(true);
+      jest.spyOn(BlogRevision, "record").mockResolvedValue({});
+    });
+
+    it("stops readers from creating posts", async () => {
+      const res = await send("POST", "/", reader, { title: "T", content: "C" });
+      expect(res.status).toBe(403);
+    });
+
+    it("stops readers from editing or republishing their own posts", async () => {
+      const res = await send("PUT", `/${blog._id}`, reader, {
+        status: "published",
+      });
+      expect(res.status).toBe(403);
+      expect(blog.save).not.toHaveBeenCalled();
+      expect(blog.status).toBe("draft");
+    });
+
+    it("stops readers from restoring posts from the trash or older revisions", async () => {
+      expect((await send("PUT", `/${blog._id}/restore`, reader)).status).toBe(
+        403
+      );
+      expect(
+        (await send("POST", `/${blog._id}/revisions/1/restore`, reader)).status
+      ).toBe(403);
+      expect(blog.save).not.toHaveBeenCalled();
+    });
+
+    it("lets authors edit their own posts", async () => {
+      const author = makeUser("author");
+      blog.userId = author._id;
+      const res = await send("PUT", `/${blog._id}`, author, {
+        content: "Edited",
+      });
+      expect(res.status).toBe(200);
+      expect(blog.content).toBe("Edited");
+      expect(blog.save).toHaveBeenCalled();
+    });
+
+    it("lets readers delete their own posts", async () => {
+      const res = await send("DELETE", `/${blog._id}`, reader);
+      expect(res.status).toBe(200);
+      expect(blog.deletedAt).toBeInstanceOf(Date);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const sharp = require("sharp");
+const Media = require("../../models/Media");
+const User = require("../../models/User");
+const localStorage = require("../../utils/storage/localStorage");
+const mediaRoutes = require("../mediaRoutes");
+const { errorHandler } = require("../../middleware/errorMiddleware");
+const {
+  makeUser,
+  queryResult,
+} = require("../../controllers/__tests__/helpers");
+
+describe("mediaRoutes", () => {
+  let server;
+  let baseUrl;
+  let image;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = "test-secret";
+    process.env.PUBLIC_URL = "https://api.example.com/";
+    const app = express();
+    app.use("/api/media", mediaRoutes);
+    app.use(errorHandler);
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/media`;
+    image = await sharp({
+      create: { width: 2, height: 2, channels: 3, background: "#f00" },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  afterAll(async () => {
+    delete process.env.PUBLIC_URL;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest
+      .spyOn(localStorage, "save")
+      .mockImplementation(
+        async (key, buffer, { baseUrl: base }) => `${base}/uploads/${key}`
+      );
+    jest.spyOn(localStorage, "remove").mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Uploads the test image as the given user.
+   * @param {import('../../models/User')} user - The user, looked up from the token.
+   * @returns {Promise<Response>} The response.
+   */
+  const upload = (user) => {
+    jest.spyOn(User, "findById").mockReturnValue(queryResult(user));
+    const body = new FormData();
+    body.append("file", new Blob([image], { type: "image/png" }), "red.png");
+    return fetch(baseUrl, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`,
+      },
+      body,
+    });
+  };
+
+  it("rejects uploads from readers", async () => {
+    const res = await upload(makeUser("reader"));
+
+    expect(res.status).toBe(403);
+    expect(localStorage.save).not.toHaveBeenCalled();
+  });
+
+  it("builds file URLs from PUBLIC_URL rather than the request host", async () => {
+    jest.spyOn(Media, "create").mockImplementation(async (fields) => fields);
+
+    const res = await upload(makeUser("author"));
+
+    expect(res.status).toBe(201);
+    const media = await res.json();
+    expect(media.url).toMatch(/^https:\/\/api\.example\.com\/uploads\//);
+    expect(media.thumbnailUrl).toMatch(
+      /^https:\/\/api\.example\.com\/uploads\/.+-thumb\.webp$/
+    );
+  });
+
+  it("removes the stored files when the upload cannot be recorded", async () => {
+    jest.spyOn(Media, "create").mockRejectedValue(new Error("Database down"));
+
+    const res = await upload(makeUser("author"));
+
+    expect(res.status).toBe(500);
+    const savedKeys = localStorage.save.mock.calls.map(([key]) => key);
+    expect(savedKeys).toHaveLength(2);
+    expect(localStorage.remove.mock.calls.map(([key]) => key)).toEqual(
+      savedKeys
+    );
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const Blog = require("../../models/Blog");
+const User = require("../../models/User");
+const pageRoutes = require("../pageRoutes");
+const { errorHandler } = require("../../middleware/errorMiddleware");
+const {
+  makeUser,
+  makeBlog,
+  queryResult,
+} = require("../../controllers/__tests__/helpers");
+
+describe("pageRoutes", () => {
+  let server;
+  let baseUrl;
+  let dir;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "frontend-"));
+    process.env.FRONTEND_INDEX = path.join(dir, "index.html");
+    const app = express();
+    app.use("/", pageRoutes);
+    app.use(errorHandler);
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    delete process.env.FRONTEND_INDEX;
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("answers 503 until the frontend is built, then serves the post's page", async () => {
+    const author = makeUser("author");
+    const blog = makeBlog(author, {
+      slug: "a-post",
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    jest.spyOn(Blog, "findOne").mockResolvedValue(blog);
+    jest.spyOn(User, "findById").mockReturnValue(queryResult(author));
+
+    const missing = await fetch(`${baseUrl}/blog/a-post`);
+    expect(missing.status).toBe(503);
+    expect((await missing.json()).message).toMatch(/frontend page/);
+
+    fs.writeFileSync(
+      process.env.FRONTEND_INDEX,
+      "<html><head><title>App</title></head><body></body></html>"
+    );
+    const built = await fetch(`${baseUrl}/blog/a-post`);
+    expect(built.status).toBe(200);
+    expect(await built.text()).toContain("<title>A post - BlogApp</title>");
+  });
+});
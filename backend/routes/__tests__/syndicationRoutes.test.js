@@ -0,0 +1,75 @@
+const express = require("express");
+const Blog = require("../../models/Blog");
+const User = require("../../models/User");
+const syndicationRoutes = require("../syndicationRoutes");
+const { errorHandler } = require("../../middleware/errorMiddleware");
+const {
+  makeUser,
+  makeBlog,
+  queryResult,
+} = require("../../controllers/__tests__/helpers");
+
+describe("syndicationRoutes", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use("/", syndicationRoutes);
+    app.use(errorHandler);
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Serves the given posts as the newest published ones.
+   * @param {Array<Object>} blogs - The posts.
+   */
+  const withPosts = (blogs) => {
+    jest
+      .spyOn(Blog, "find")
+      .mockReturnValue(queryResult(blogs.map((blog) => blog.toObject())));
+    jest.spyOn(User, "find").mockReturnValue(queryResult([]));
+  };
+
+  it("dates an empty feed now and sends no Last-Modified", async () => {
+    withPosts([]);
+    const before = Date.now();
+
+    const res = await fetch(`${baseUrl}/atom.xml`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get("last-modified")).toBeNull();
+    const [, updated] = /<updated>([^<]+)<\/updated>/.exec(await res.text());
+    expect(new Date(updated).getTime()).toBeGreaterThanOrEqual(
+      Math.floor(before / 1000) * 1000
+    );
+  });
+
+  it("sends the newest change to any post as Last-Modified", async () => {
+    const author = makeUser("author");
+    const newest = new Date("2024-03-01T12:00:00Z");
+    withPosts([
+      makeBlog(author, { createdAt: newest, updatedAt: newest }),
+      makeBlog(author, {
+        createdAt: new Date("2024-01-01T00:00:00Z"),
+        updatedAt: new Date("2024-02-01T00:00:00Z"),
+      }),
+    ]);
+
+    const res = await fetch(`${baseUrl}/feed.xml`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get("last-modified")).toBe(newest.toUTCString());
+  });
+});
@@ -0,0 +1,119 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getStats,
+  getUsers,
+  suspendUser,
+  banUser,
+  unsuspendUser,
+  getPosts,
+  unpublishPost,
+} = require("../controllers/adminController");
+const { deleteBlog } = require("../controllers/blogController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+/**
+ * Route to get site statistics.
+ * @name GET /api/admin/stats
+ * @function
+ * @memberof module:routes/adminRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/stats", protect, authorize("admin"), getStats);
+
+/**
+ * Route to search users.
+ * @name GET /api/admin/users
+ * @function
+ * @memberof module:routes/adminRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/users", protect, authorize("admin"), getUsers);
+
+/**
+ * Route to suspend a user for a number of days.
+ * @name PUT /api/admin/users/:id/suspend
+ * @function
+ * @memberof module:routes/adminRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/users/:id/suspend", protect, authorize("admin"), suspendUser);
+
+/**
+ * Route to ban a user.
+ * @name PUT /api/admin/users/:id/ban
+ * @function
+ * @memberof module:routes/adminRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/users/:id/ban", protect, authorize("admin"), banUser);
+
+/**
+ * Route to lift a user's suspension or ban.
+ * @name PUT /api/admin/users/:id/unsuspend
+ * @function
+ * @memberof module:routes/adminRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/users/:id/unsuspend", protect, authorize("admin"), unsuspendUser);
+
+/**
+ * Route to search posts of every author and status.
+ * @name GET /api/admin/posts
+ * @function
+ * @memberof module:routes/adminRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/posts", protect, authorize("admin"), getPosts);
+
+/**
+ * Route to unpublish a post, turning it back into a draft.
+ * @name PUT /api/admin/posts/:id/unpublish
+ * @function
+ * @memberof module:routes/adminRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/posts/:id/unpublish", protect, authorize("admin"), unpublishPost);
+
+/**
+ * Route to delete a post, moving it to the trash as DELETE /api/blogs/:id does for its author.
+ * @name DELETE /api/admin/posts/:id
+ * @function
+ * @memberof module:routes/adminRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/posts/:id", protect, authorize("admin"), deleteBlog);
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require("express");
 const router = express.Router();
-const { signupUser, loginUser } = require("../controllers/authController");
+const {
+  signupUser,
+  loginUser,
+  getMe,
+  updateProfile,
+  changePassword,
+} = require("../controllers/authController");
+const { protect } = require("../middleware/authMiddleware");
 
 /**
  * Route to register a new user.
@@ -24,4 +31,40 @@ router.post("/signup", signupUser);
  */
 router.post("/login", loginUser);
 
+/**
+ * Route to get the currently authenticated user's profile.
+ * @name GET /api/auth/me
+ * @function
+ * @memberof module:routes/authRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/me", protect, getMe);
+
+/**
+ * Route to update the current user's name and/or email.
+ * @name PUT /api/auth/profile
+ * @function
+ * @memberof module:routes/authRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/profile", protect, updateProfile);
+
+/**
+ * Route to change the current user's password. Tokens issued before the change are invalidated.
+ * @name PUT /api/auth/change-password
+ * @function
+ * @memberof module:routes/authRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/change-password", protect, changePassword);
+
 module.exports = router;
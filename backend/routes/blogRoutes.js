@@ -3,60 +3,134 @@ const router = express.Router();
 const {
   createBlog,
   getBlogs,
+  getMyBlogs,
   getBlogById,
+  getBlogBySlug,
+  previewMarkdown,
   updateBlog,
   deleteBlog,
+  getTrash,
+  restoreBlog,
+  deleteBlogPermanently,
 } = require("../controllers/blogController");
-const { protect } = require("../middleware/authMiddleware");
+const {
+  protect,
+  optionalAuth,
+  authorize,
+} = require("../middleware/authMiddleware");
+const { WRITER_ROLES } = require("../models/User");
+const revisionRoutes = require("./revisionRoutes");
+const commentRoutes = require("./commentRoutes");
+const reactionRoutes = require("./reactionRoutes");
 
 /**
- * Route to create a new blog post.
+ * Route to create a new blog post. Readers may not write posts.
  * @name POST /api/blogs
  * @function
  * @memberof module:routes/blogRoutes
  * @inner
  * @param {string} path - Express path
  * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (authors, moderators and admins).
  * @param {callback} middleware - Express middleware (controller function).
  */
-router.post("/", protect, createBlog);
+router.post("/", protect, authorize(...WRITER_ROLES), createBlog);
+
+/**
+ * Route to render Markdown to sanitized HTML for the editor preview.
+ * @name POST /api/blogs/preview
+ * @function
+ * @memberof module:routes/blogRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.post("/preview", protect, previewMarkdown);
 
 /**
  * Route to get all blog posts, with optional filtering and pagination.
+ * Authenticated users may also list their own unpublished posts via the `status` filter.
+ * The `q` parameter runs a full-text search ranked by relevance, with highlighted matches.
  * @name GET /api/blogs
  * @function
  * @memberof module:routes/blogRoutes
  * @inner
  * @param {string} path - Express path
+ * @param {callback} middleware - Optional authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", optionalAuth, getBlogs);
+
+/**
+ * Route to get the authenticated user's own blog posts in every status.
+ * Must be registered before `/:id` so "mine" is not treated as an ID.
+ * @name GET /api/blogs/mine
+ * @function
+ * @memberof module:routes/blogRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/mine", protect, getMyBlogs);
+
+/**
+ * Route to get the authenticated user's trashed blog posts.
+ * Must be registered before `/:id` so "trash" is not treated as an ID.
+ * @name GET /api/blogs/trash
+ * @function
+ * @memberof module:routes/blogRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/trash", protect, getTrash);
+
+/**
+ * Route to get a single blog post by its slug.
+ * Old slugs of renamed posts answer with a 301 redirect to the current slug.
+ * Must be registered before `/:id` so "slug" is not treated as an ID.
+ * @name GET /api/blogs/slug/:slug
+ * @function
+ * @memberof module:routes/blogRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Optional authentication middleware.
  * @param {callback} middleware - Express middleware (controller function).
  */
-router.get("/", getBlogs);
+router.get("/slug/:slug", optionalAuth, getBlogBySlug);
 
 /**
  * Route to get a single blog post by its ID.
+ * Drafts and archived posts are only returned to their author.
  * @name GET /api/blogs/:id
  * @function
  * @memberof module:routes/blogRoutes
  * @inner
  * @param {string} path - Express path
+ * @param {callback} middleware - Optional authentication middleware.
  * @param {callback} middleware - Express middleware (controller function).
  */
-router.get("/:id", getBlogById);
+router.get("/:id", optionalAuth, getBlogById);
 
 /**
- * Route to update an existing blog post by its ID.
+ * Route to update an existing blog post by its ID. Readers may not edit posts, even their own
+ * from before they became readers, but can still delete them.
  * @name PUT /api/blogs/:id
  * @function
  * @memberof module:routes/blogRoutes
  * @inner
  * @param {string} path - Express path
  * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (authors, moderators and admins).
  * @param {callback} middleware - Express middleware (controller function).
  */
-router.put("/:id", protect, updateBlog);
+router.put("/:id", protect, authorize(...WRITER_ROLES), updateBlog);
 
 /**
- * Route to delete a blog post by its ID.
+ * Route to delete a blog post by its ID, moving it to the trash.
  * @name DELETE /api/blogs/:id
  * @function
  * @memberof module:routes/blogRoutes
@@ -67,6 +141,53 @@ router.put("/:id", protect, updateBlog);
  */
 router.delete("/:id", protect, deleteBlog);
 
-// Future routes for blogs (DELETE) will be added here
+/**
+ * Route to restore a blog post from the trash. Readers may not restore posts.
+ * @name PUT /api/blogs/:id/restore
+ * @function
+ * @memberof module:routes/blogRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (authors, moderators and admins).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:id/restore", protect, authorize(...WRITER_ROLES), restoreBlog);
+
+/**
+ * Route to permanently delete a blog post from the trash.
+ * @name DELETE /api/blogs/:id/permanent
+ * @function
+ * @memberof module:routes/blogRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/:id/permanent", protect, deleteBlogPermanently);
+
+/**
+ * Revision history routes for a blog post (list, get, diff, restore).
+ * @name /api/blogs/:id/revisions
+ * @memberof module:routes/blogRoutes
+ * @inner
+ */
+router.use("/:id/revisions", revisionRoutes);
+
+/**
+ * Comment routes for a blog post (list threads, create, edit, delete).
+ * @name /api/blogs/:id/comments
+ * @memberof module:routes/blogRoutes
+ * @inner
+ */
+router.use("/:id/comments", commentRoutes);
+
+/**
+ * Reaction routes for a blog post (list, toggle, add, remove).
+ * @name /api/blogs/:id/reactions
+ * @memberof module:routes/blogRoutes
+ * @inner
+ */
+router.use("/:id/reactions", reactionRoutes);
 
 module.exports = router;
@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getBookmarks,
+  addBookmark,
+  removeBookmark,
+} = require("../controllers/bookmarkController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * Route to get the current user's bookmarked posts, most recently saved first.
+ * @name GET /api/bookmarks
+ * @function
+ * @memberof module:routes/bookmarkRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", protect, getBookmarks);
+
+/**
+ * Route to bookmark a blog post (idempotent).
+ * @name PUT /api/bookmarks/:blogId
+ * @function
+ * @memberof module:routes/bookmarkRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:blogId", protect, addBookmark);
+
+/**
+ * Route to remove a bookmark (idempotent).
+ * @name DELETE /api/bookmarks/:blogId
+ * @function
+ * @memberof module:routes/bookmarkRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/:blogId", protect, removeBookmark);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../controllers/categoryController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+/**
+ * Route to get all categories with their post counts.
+ * @name GET /api/categories
+ * @function
+ * @memberof module:routes/categoryRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", getCategories);
+
+/**
+ * Route to create a category.
+ * @name POST /api/categories
+ * @function
+ * @memberof module:routes/categoryRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.post("/", protect, authorize("admin"), createCategory);
+
+/**
+ * Route to update a category.
+ * @name PUT /api/categories/:id
+ * @function
+ * @memberof module:routes/categoryRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:id", protect, authorize("admin"), updateCategory);
+
+/**
+ * Route to delete a category.
+ * @name DELETE /api/categories/:id
+ * @function
+ * @memberof module:routes/categoryRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/:id", protect, authorize("admin"), deleteCategory);
+
+module.exports = router;
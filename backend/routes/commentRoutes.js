@@ -0,0 +1,60 @@
+const express = require("express");
+// mergeParams exposes the parent router's `:id` (the blog post ID)
+const router = express.Router({ mergeParams: true });
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} = require("../controllers/commentController");
+const { protect, optionalAuth } = require("../middleware/authMiddleware");
+
+/**
+ * Route to get the comment threads of a blog post, paginated by top-level comment.
+ * @name GET /api/blogs/:id/comments
+ * @function
+ * @memberof module:routes/commentRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Optional authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", optionalAuth, getComments);
+
+/**
+ * Route to comment on a blog post or reply to a comment.
+ * @name POST /api/blogs/:id/comments
+ * @function
+ * @memberof module:routes/commentRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.post("/", protect, createComment);
+
+/**
+ * Route to edit a comment.
+ * @name PUT /api/blogs/:id/comments/:commentId
+ * @function
+ * @memberof module:routes/commentRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:commentId", protect, updateComment);
+
+/**
+ * Route to delete a comment.
+ * @name DELETE /api/blogs/:id/comments/:commentId
+ * @function
+ * @memberof module:routes/commentRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/:commentId", protect, deleteComment);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const { streamEvents } = require("../controllers/eventController");
+const { queryTokenAuth } = require("../middleware/authMiddleware");
+
+/**
+ * Route to open the Server-Sent Events stream of live changes.
+ * @name GET /api/events
+ * @function
+ * @memberof module:routes/eventRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Query-string token authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", queryTokenAuth, streamEvents);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const { getFeed } = require("../controllers/blogController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * Route to get the published posts of the authors the current user follows, with cursor pagination.
+ * @name GET /api/feed
+ * @function
+ * @memberof module:routes/feedRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", protect, getFeed);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const {
+  uploadMedia,
+  getMyMedia,
+  deleteMedia,
+} = require("../controllers/mediaController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { WRITER_ROLES } = require("../models/User");
+const { uploadImage } = require("../middleware/uploadMiddleware");
+
+/**
+ * Route to upload an image to the current user's media library.
+ * @name POST /api/media
+ * @function
+ * @memberof module:routes/mediaRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (authors, moderators and admins).
+ * @param {callback} middleware - Multipart upload middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.post("/", protect, authorize(...WRITER_ROLES), uploadImage, uploadMedia);
+
+/**
+ * Route to list the current user's media library.
+ * @name GET /api/media
+ * @function
+ * @memberof module:routes/mediaRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", protect, getMyMedia);
+
+/**
+ * Route to delete an item from the current user's media library.
+ * @name DELETE /api/media/:id
+ * @function
+ * @memberof module:routes/mediaRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/:id", protect, deleteMedia);
+
+module.exports = router;
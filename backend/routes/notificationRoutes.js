@@ -0,0 +1,85 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+} = require("../controllers/notificationController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * Route to get the current user's notifications, newest first.
+ * @name GET /api/notifications
+ * @function
+ * @memberof module:routes/notificationRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", protect, getNotifications);
+
+/**
+ * Route to get the number of unread notifications of the current user.
+ * @name GET /api/notifications/unread-count
+ * @function
+ * @memberof module:routes/notificationRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/unread-count", protect, getUnreadCount);
+
+/**
+ * Route to mark all of the current user's notifications as read.
+ * @name PUT /api/notifications/read-all
+ * @function
+ * @memberof module:routes/notificationRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/read-all", protect, markAllRead);
+
+/**
+ * Route to get which types of notifications the current user receives.
+ * @name GET /api/notifications/preferences
+ * @function
+ * @memberof module:routes/notificationRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/preferences", protect, getPreferences);
+
+/**
+ * Route to turn types of notifications on or off for the current user.
+ * @name PUT /api/notifications/preferences
+ * @function
+ * @memberof module:routes/notificationRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/preferences", protect, updatePreferences);
+
+/**
+ * Route to mark one notification as read (idempotent).
+ * @name PUT /api/notifications/:id/read
+ * @function
+ * @memberof module:routes/notificationRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:id/read", protect, markRead);
+
+module.exports = router;
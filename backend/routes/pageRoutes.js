@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const { renderBlogPage } = require("../controllers/pageController");
+
+/**
+ * Route to serve the frontend's page for a blog post, with the post's link preview metadata.
+ * @name GET /blog/:slug
+ * @function
+ * @memberof module:routes/pageRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/blog/:slug", renderBlogPage);
+
+module.exports = router;
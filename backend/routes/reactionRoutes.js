@@ -0,0 +1,60 @@
+const express = require("express");
+// mergeParams exposes the parent router's `:id` (the blog post ID)
+const router = express.Router({ mergeParams: true });
+const {
+  getReactions,
+  toggleReaction,
+  addReaction,
+  removeReaction,
+} = require("../controllers/reactionController");
+const { protect, optionalAuth } = require("../middleware/authMiddleware");
+
+/**
+ * Route to get the reaction counts of a blog post, the user's own reactions and who reacted.
+ * @name GET /api/blogs/:id/reactions
+ * @function
+ * @memberof module:routes/reactionRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Optional authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", optionalAuth, getReactions);
+
+/**
+ * Route to toggle one of the user's reactions on a blog post.
+ * @name POST /api/blogs/:id/reactions
+ * @function
+ * @memberof module:routes/reactionRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.post("/", protect, toggleReaction);
+
+/**
+ * Route to add a reaction to a blog post (idempotent).
+ * @name PUT /api/blogs/:id/reactions/:type
+ * @function
+ * @memberof module:routes/reactionRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:type", protect, addReaction);
+
+/**
+ * Route to remove a reaction from a blog post (idempotent).
+ * @name DELETE /api/blogs/:id/reactions/:type
+ * @function
+ * @memberof module:routes/reactionRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/:type", protect, removeReaction);
+
+module.exports = router;
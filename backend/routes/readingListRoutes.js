@@ -0,0 +1,111 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getMyLists,
+  createList,
+  getList,
+  updateList,
+  deleteList,
+  addListItem,
+  removeListItem,
+  reorderListItems,
+} = require("../controllers/readingListController");
+const { protect, optionalAuth } = require("../middleware/authMiddleware");
+
+/**
+ * Route to get the current user's reading lists.
+ * @name GET /api/lists
+ * @function
+ * @memberof module:routes/readingListRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", protect, getMyLists);
+
+/**
+ * Route to create a reading list.
+ * @name POST /api/lists
+ * @function
+ * @memberof module:routes/readingListRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.post("/", protect, createList);
+
+/**
+ * Route to get a reading list with its posts. Public lists can be viewed by anyone with the link.
+ * @name GET /api/lists/:id
+ * @function
+ * @memberof module:routes/readingListRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Optional authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/:id", optionalAuth, getList);
+
+/**
+ * Route to update a reading list's name, description or visibility.
+ * @name PUT /api/lists/:id
+ * @function
+ * @memberof module:routes/readingListRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:id", protect, updateList);
+
+/**
+ * Route to delete a reading list.
+ * @name DELETE /api/lists/:id
+ * @function
+ * @memberof module:routes/readingListRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/:id", protect, deleteList);
+
+/**
+ * Route to reorder the posts of a reading list.
+ * @name PUT /api/lists/:id/items
+ * @function
+ * @memberof module:routes/readingListRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:id/items", protect, reorderListItems);
+
+/**
+ * Route to add a post to a reading list (idempotent).
+ * @name PUT /api/lists/:id/items/:blogId
+ * @function
+ * @memberof module:routes/readingListRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:id/items/:blogId", protect, addListItem);
+
+/**
+ * Route to remove a post from a reading list (idempotent).
+ * @name DELETE /api/lists/:id/items/:blogId
+ * @function
+ * @memberof module:routes/readingListRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/:id/items/:blogId", protect, removeListItem);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createReport,
+  getModerationQueue,
+  resolveReports,
+  unhideContent,
+} = require("../controllers/reportController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { MODERATOR_ROLES } = require("../models/User");
+
+/**
+ * Route to report a post or comment to the moderators.
+ * @name POST /api/reports
+ * @function
+ * @memberof module:routes/reportRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.post("/", protect, createReport);
+
+/**
+ * Route to get the moderation queue of open reports, grouped by reported content.
+ * @name GET /api/reports/queue
+ * @function
+ * @memberof module:routes/reportRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (moderators and admins).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get(
+  "/queue",
+  protect,
+  authorize(...MODERATOR_ROLES),
+  getModerationQueue
+);
+
+/**
+ * Route to dismiss the reports of a post or comment, hide it, or hide it and suspend its author.
+ * @name PUT /api/reports/queue/:targetType/:targetId
+ * @function
+ * @memberof module:routes/reportRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (moderators and admins).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put(
+  "/queue/:targetType/:targetId",
+  protect,
+  authorize(...MODERATOR_ROLES),
+  resolveReports
+);
+
+/**
+ * Route to make a post or comment hidden by a moderator visible again.
+ * @name PUT /api/reports/unhide/:targetType/:targetId
+ * @function
+ * @memberof module:routes/reportRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (moderators and admins).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put(
+  "/unhide/:targetType/:targetId",
+  protect,
+  authorize(...MODERATOR_ROLES),
+  unhideContent
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require("express");
+// mergeParams exposes the parent router's `:id` (the blog post ID)
+const router = express.Router({ mergeParams: true });
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+} = require("../controllers/revisionController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { WRITER_ROLES } = require("../models/User");
+
+/**
+ * Route to list the revisions of a blog post.
+ * @name GET /api/blogs/:id/revisions
+ * @function
+ * @memberof module:routes/revisionRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", protect, getRevisions);
+
+/**
+ * Route to diff two revisions of a blog post (or a revision against the current post).
+ * Must be registered before `/:number` so "diff" is not treated as a revision number.
+ * @name GET /api/blogs/:id/revisions/diff
+ * @function
+ * @memberof module:routes/revisionRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/diff", protect, diffRevisions);
+
+/**
+ * Route to get a single revision of a blog post.
+ * @name GET /api/blogs/:id/revisions/:number
+ * @function
+ * @memberof module:routes/revisionRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/:number", protect, getRevision);
+
+/**
+ * Route to restore a blog post to an older revision. Readers may not restore revisions.
+ * @name POST /api/blogs/:id/revisions/:number/restore
+ * @function
+ * @memberof module:routes/revisionRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (authors, moderators and admins).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.post(
+  "/:number/restore",
+  protect,
+  authorize(...WRITER_ROLES),
+  restoreRevision
+);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getSitemap,
+  getSitemapSection,
+  getRobotsTxt,
+} = require("../controllers/sitemapController");
+
+/**
+ * Route to get the sitemap, or the sitemap index when there are more than 50,000 URLs.
+ * @name GET /sitemap.xml
+ * @function
+ * @memberof module:routes/sitemapRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/sitemap.xml", getSitemap);
+
+/**
+ * Route to get one part of a split sitemap (`pages`, `authors-<n>` or `posts-<n>`).
+ * @name GET /sitemaps/:name.xml
+ * @function
+ * @memberof module:routes/sitemapRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/sitemaps/:name.xml", getSitemapSection);
+
+/**
+ * Route to get robots.txt.
+ * @name GET /robots.txt
+ * @function
+ * @memberof module:routes/sitemapRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/robots.txt", getRobotsTxt);
+
+module.exports = router;
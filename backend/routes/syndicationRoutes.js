@@ -0,0 +1,48 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getSiteFeed,
+  getCategoryFeed,
+  getAuthorFeed,
+} = require("../controllers/syndicationController");
+
+/**
+ * Route to get the site-wide RSS 2.0 (`feed.xml`) or Atom (`atom.xml`) feed.
+ * @name GET /feed.xml
+ * @function
+ * @memberof module:routes/syndicationRoutes
+ * @inner
+ * @param {string[]} path - Express paths
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get(["/feed.xml", "/atom.xml"], getSiteFeed);
+
+/**
+ * Route to get the RSS 2.0 or Atom feed of a category, by its slug.
+ * @name GET /feeds/categories/:slug/feed.xml
+ * @function
+ * @memberof module:routes/syndicationRoutes
+ * @inner
+ * @param {string[]} path - Express paths
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get(
+  ["/feeds/categories/:slug/feed.xml", "/feeds/categories/:slug/atom.xml"],
+  getCategoryFeed
+);
+
+/**
+ * Route to get the RSS 2.0 or Atom feed of an author, by handle or user ID.
+ * @name GET /feeds/authors/:handle/feed.xml
+ * @function
+ * @memberof module:routes/syndicationRoutes
+ * @inner
+ * @param {string[]} path - Express paths
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get(
+  ["/feeds/authors/:handle/feed.xml", "/feeds/authors/:handle/atom.xml"],
+  getAuthorFeed
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { getTags } = require("../controllers/tagController");
+
+/**
+ * Route to get the tags used by published blog posts with their usage counts.
+ * Supports a `q` prefix filter for autocomplete.
+ * @name GET /api/tags
+ * @function
+ * @memberof module:routes/tagRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/", getTags);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getFollowStatus,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+} = require("../controllers/followController");
+const {
+  getUserProfile,
+  updateUserRole,
+} = require("../controllers/userController");
+const {
+  protect,
+  optionalAuth,
+  authorize,
+} = require("../middleware/authMiddleware");
+
+/**
+ * Route to get a user's public profile by ID or handle.
+ * @name GET /api/users/:id
+ * @function
+ * @memberof module:routes/userRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Optional authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/:id", optionalAuth, getUserProfile);
+
+/**
+ * Route to change a user's role.
+ * @name PUT /api/users/:id/role
+ * @function
+ * @memberof module:routes/userRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Role authorization middleware (admins only).
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:id/role", protect, authorize("admin"), updateUserRole);
+
+/**
+ * Route to get a user's follower/following counts and whether the current user follows them.
+ * @name GET /api/users/:id/follow
+ * @function
+ * @memberof module:routes/userRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Optional authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/:id/follow", optionalAuth, getFollowStatus);
+
+/**
+ * Route to follow a user (idempotent).
+ * @name PUT /api/users/:id/follow
+ * @function
+ * @memberof module:routes/userRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.put("/:id/follow", protect, followUser);
+
+/**
+ * Route to unfollow a user (idempotent).
+ * @name DELETE /api/users/:id/follow
+ * @function
+ * @memberof module:routes/userRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Authentication middleware.
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.delete("/:id/follow", protect, unfollowUser);
+
+/**
+ * Route to list the users following a user.
+ * @name GET /api/users/:id/followers
+ * @function
+ * @memberof module:routes/userRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/:id/followers", getFollowers);
+
+/**
+ * Route to list the users a user follows.
+ * @name GET /api/users/:id/following
+ * @function
+ * @memberof module:routes/userRoutes
+ * @inner
+ * @param {string} path - Express path
+ * @param {callback} middleware - Express middleware (controller function).
+ */
+router.get("/:id/following", getFollowing);
+
+module.exports = router;
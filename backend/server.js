@@ -3,9 +3,16 @@
  *
  * This file initializes and configures the Express application. It includes:
  * - Loading environment variables using dotenv.
- * - Establishing a connection to the MongoDB database.
+ * - Establishing a connection to the MongoDB database, creating the default categories on first start
+ *   and starting the scheduled-publishing timers and the trash purger.
  * - Setting up essential middleware: body parser (express.json) and CORS.
- * - Mounting authentication (`/api/auth`) and blog (`/api/blogs`) routes.
+ * - Mounting authentication (`/api/auth`), blog (`/api/blogs`), media (`/api/media`), tag (`/api/tags`),
+ *   category (`/api/categories`), user (`/api/users`), following feed (`/api/feed`), bookmark (`/api/bookmarks`),
+ *   reading list (`/api/lists`), notification (`/api/notifications`), live event stream (`/api/events`),
+ *   admin (`/api/admin`) and report/moderation queue (`/api/reports`) routes,
+ *   RSS and Atom feeds (`/feed.xml`, `/atom.xml` and `/feeds/...`), the sitemap (`/sitemap.xml` and `/sitemaps/...`)
+ *   and `/robots.txt`, blog post pages with link preview metadata (`/blog/:slug`), and serving locally stored
+ *   uploads under `/uploads`.
  * - Implementing a basic test route (`/`).
  * - Adding custom error handling middleware (404 Not Found and a general error handler).
  * - Starting the Express server on the configured port (from environment variables or default 5000).
@@ -17,7 +24,30 @@ const cors = require("cors");
 const dotenv = require("dotenv");
 const authRoutes = require("./routes/authRoutes");
 const blogRoutes = require("./routes/blogRoutes");
+const mediaRoutes = require("./routes/mediaRoutes");
+const tagRoutes = require("./routes/tagRoutes");
+const categoryRoutes = require("./routes/categoryRoutes");
+const userRoutes = require("./routes/userRoutes");
+const feedRoutes = require("./routes/feedRoutes");
+const bookmarkRoutes = require("./routes/bookmarkRoutes");
+const readingListRoutes = require("./routes/readingListRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const eventRoutes = require("./routes/eventRoutes");
+const syndicationRoutes = require("./routes/syndicationRoutes");
+const sitemapRoutes = require("./routes/sitemapRoutes");
+const pageRoutes = require("./routes/pageRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const reportRoutes = require("./routes/reportRoutes");
+const Category = require("./models/Category");
+const User = require("./models/User");
+const { getUploadDir } = require("./utils/storage/localStorage");
 const { notFound, errorHandler } = require("./middleware/errorMiddleware"); // Import error handlers
+const {
+  startPublishScheduler,
+  stopPublishScheduler,
+} = require("./utils/publishScheduler");
+const { startTrashPurger, stopTrashPurger } = require("./utils/trash");
+const { closeAllClients } = require("./utils/realtime");
 
 // Load env vars
 dotenv.config();
@@ -28,10 +58,19 @@ const app = express();
 app.use(express.json());
 
 // Debug middleware - Add more detailed logging
+// Tokens (in the Authorization header, or the query string of the live event stream) are kept out of the logs
+const REDACTED = "[redacted]";
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-  console.log("Request Headers:", req.headers);
-  console.log("Request Query:", req.query);
+  const url = req.url.replace(/([?&]token=)[^&]*/g, `$1${REDACTED}`);
+  console.log(`[${new Date().toISOString()}] ${req.method} ${url}`);
+  console.log("Request Headers:", {
+    ...req.headers,
+    ...(req.headers.authorization && { authorization: REDACTED }),
+  });
+  console.log("Request Query:", {
+    ...req.query,
+    ...(req.query.token && { token: REDACTED }),
+  });
   next();
 });
 
@@ -64,6 +103,22 @@ app.get("/", (req, res) => {
 console.log("Mounting routes...");
 app.use("/api/auth", authRoutes);
 app.use("/api/blogs", blogRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/feed", feedRoutes);
+app.use("/api/bookmarks", bookmarkRoutes);
+app.use("/api/lists", readingListRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/", syndicationRoutes);
+app.use("/", sitemapRoutes);
+app.use("/", pageRoutes);
+// Files uploaded with the local storage driver; names are random, so they can be cached for long
+app.use("/uploads", express.static(getUploadDir(), { maxAge: "30d" }));
 console.log("Routes mounted successfully");
 
 // Connect to MongoDB with improved options
@@ -73,7 +128,27 @@ mongoose
     socketTimeoutMS: 45000,
     connectTimeoutMS: 10000,
   })
-  .then(() => console.log("MongoDB Connected:", process.env.MONGO_URI))
+  .then(() => {
+    console.log("MongoDB Connected:", process.env.MONGO_URI);
+    Category.seedDefaults()
+      .then((created) => {
+        if (created > 0) console.log(`Created ${created} default categories`);
+      })
+      .catch((err) => console.error("Error creating default categories:", err));
+    User.migrateRoles()
+      .then((migrated) => {
+        if (migrated > 0) console.log(`Assigned roles to ${migrated} users`);
+      })
+      .catch((err) => console.error("Error assigning user roles:", err));
+    // Re-arm publish timers for scheduled posts now that pending jobs can be read
+    startPublishScheduler().catch((err) =>
+      console.error("Error starting publish scheduler:", err)
+    );
+    // Purge posts left in the trash past the retention period, now and periodically
+    startTrashPurger().catch((err) =>
+      console.error("Error starting trash purger:", err)
+    );
+  })
   .catch((err) => {
     console.error("Error connecting to MongoDB:", err);
     process.exit(1);
@@ -114,6 +189,9 @@ const server = app.listen(PORT, () => {
 // Handle process termination signals
 process.on("SIGTERM", () => {
   console.log("SIGTERM received. Shutting down gracefully...");
+  stopPublishScheduler();
+  stopTrashPurger();
+  closeAllClients(); // Open event streams would keep the server from closing
   server.close(() => {
     console.log("Process terminated");
     mongoose.connection.close(false, () => {
@@ -125,6 +203,9 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
   console.log("SIGINT received. Shutting down gracefully...");
+  stopPublishScheduler();
+  stopTrashPurger();
+  closeAllClients(); // Open event streams would keep the server from closing
   server.close(() => {
     console.log("Process terminated");
     mongoose.connection.close(false, () => {
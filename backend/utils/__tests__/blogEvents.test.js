@@ -0,0 +1,115 @@
+const { EventEmitter } = require("events");
+const { addClient, closeAllClients } = require("../realtime");
+const { announceBlog } = require("../blogEvents");
+const { makeUser, makeBlog } = require("../../controllers/__tests__/helpers");
+
+/**
+ * Opens a fake event stream and collects the events written to it.
+ * @param {Object} [user] - The logged-in user of the stream.
+ * @returns {Array<{ event: string, data: Object }>} The events received, filled as they arrive.
+ */
+const connect = (user) => {
+  const events = [];
+  const res = {
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    end: jest.fn(),
+    write(chunk) {
+      const match = /^event: (.+)\ndata: (.+)\n\n$/.exec(chunk);
+      if (match && match[1] !== "ready") {
+        events.push({ event: match[1], data: JSON.parse(match[2]) });
+      }
+    },
+  };
+  addClient(new EventEmitter(), res, user);
+  return events;
+};
+
+describe("announceBlog", () => {
+  const author = makeUser("user");
+  let authorEvents;
+  let readerEvents;
+  let guestEvents;
+
+  beforeEach(() => {
+    authorEvents = connect(author);
+    readerEvents = connect(makeUser("user"));
+    guestEvents = connect();
+  });
+
+  afterEach(() => {
+    closeAllClients();
+  });
+
+  it("broadcasts published posts without server-only fields", () => {
+    const blog = makeBlog(author, {
+      slugHistory: ["old-slug"],
+      contentHtml: "<p>Body</p>",
+      scheduledFor: new Date(),
+    });
+    announceBlog(blog, { status: "draft" });
+
+    for (const events of [authorEvents, readerEvents, guestEvents]) {
+      expect(events).toHaveLength(1);
+      expect(events[0].event).toBe("blog:published");
+      expect(events[0].data).toMatchObject({
+        _id: blog._id.toString(),
+        title: blog.title,
+      });
+      expect(events[0].data).not.toHaveProperty("slugHistory");
+      expect(events[0].data).not.toHaveProperty("contentHtml");
+      expect(events[0].data).not.toHaveProperty("deletedBy");
+      expect(events[0].data).not.toHaveProperty("scheduledFor");
+    }
+  });
+
+  it("broadcasts changes to listed posts", () => {
+    const blog = makeBlog(author);
+    announceBlog(blog, { status: "published" });
+
+    expect(readerEvents.map((e) => e.event)).toEqual(["blog:updated"]);
+    expect(guestEvents.map((e) => e.event)).toEqual(["blog:updated"]);
+  });
+
+  it("only tells the author about changes to unlisted posts", () => {
+    const blog = makeBlog(author, { status: "unlisted" });
+    announceBlog(blog, { status: "unlisted" });
+
+    expect(readerEvents).toEqual([]);
+    expect(guestEvents).toEqual([]);
+    expect(authorEvents).toHaveLength(1);
+    expect(authorEvents[0].event).toBe("blog:updated");
+    expect(authorEvents[0].data.status).toBe("unlisted");
+  });
+
+  it("drops a post that became unlisted from everyone else's listings", () => {
+    const blog = makeBlog(author, { status: "unlisted" });
+    announceBlog(blog, { status: "published" });
+
+    for (const events of [readerEvents, guestEvents]) {
+      expect(events).toEqual([
+        { event: "blog:deleted", data: { _id: blog._id.toString() } },
+      ]);
+    }
+    expect(authorEvents.map((e) => e.event)).toEqual(["blog:updated"]);
+  });
+
+  it("drops a post that became a draft from every listing", () => {
+    const blog = makeBlog(author, { status: "draft" });
+    announceBlog(blog, { status: "published" });
+
+    for (const events of [authorEvents, readerEvents, guestEvents]) {
+      expect(events).toEqual([
+        { event: "blog:deleted", data: { _id: blog._id.toString() } },
+      ]);
+    }
+  });
+
+  it("sends nothing for drafts", () => {
+    announceBlog(makeBlog(author, { status: "draft" }));
+
+    expect(authorEvents).toEqual([]);
+    expect(readerEvents).toEqual([]);
+    expect(guestEvents).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+const Blog = require("../../models/Blog");
+const BlogRevision = require("../../models/BlogRevision");
+const {
+  schedulePublish,
+  stopPublishScheduler,
+} = require("../publishScheduler");
+const { makeUser, makeBlog } = require("../../controllers/__tests__/helpers");
+
+// Lets the publish timer fire and the publish finish
+const flushTimers = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+describe("publishScheduler", () => {
+  const author = makeUser("user");
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(BlogRevision, "record").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    stopPublishScheduler();
+    jest.restoreAllMocks();
+  });
+
+  it("publishes a due post without overwriting an earlier publish date", async () => {
+    const scheduledFor = new Date(Date.now() - 1000);
+    const draft = makeBlog(author, { status: "draft", scheduledFor });
+    const published = makeBlog(author, {
+      _id: draft._id,
+      publishedAt: new Date("2024-01-01T00:00:00Z"),
+    });
+    const update = jest
+      .spyOn(Blog, "findOneAndUpdate")
+      .mockResolvedValue(published);
+
+    schedulePublish(draft);
+    await flushTimers();
+
+    const [filter, pipeline] = update.mock.calls[0];
+    expect(filter).toEqual({
+      _id: draft._id.toString(),
+      status: "draft",
+      scheduledFor,
+    });
+    expect(pipeline[0].$set.publishedAt).toEqual({
+      $ifNull: ["$publishedAt", scheduledFor],
+    });
+    expect(BlogRevision.record).toHaveBeenCalledWith(
+      published,
+      { _id: author._id, name: author.name },
+      ["status"]
+    );
+  });
+
+  it("records nothing when the post no longer qualifies", async () => {
+    const draft = makeBlog(author, {
+      status: "draft",
+      scheduledFor: new Date(Date.now() - 1000),
+    });
+    jest.spyOn(Blog, "findOneAndUpdate").mockResolvedValue(null);
+
+    schedulePublish(draft);
+    await flushTimers();
+
+    expect(Blog.findOneAndUpdate).toHaveBeenCalled();
+    expect(BlogRevision.record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+const { diffLines, diffSnapshots } = require("../textDiff");
+
+/**
+ * Rebuilds both texts from diff operations.
+ * @param {Array<{ type: string, value: string }>} ops - The diff operations.
+ * @returns {{ from: string, to: string }} The original and changed texts.
+ */
+const applyDiff = (ops) => ({
+  from: ops
+    .filter((op) => op.type !== "added")
+    .map((op) => op.value)
+    .join("\n"),
+  to: ops
+    .filter((op) => op.type !== "removed")
+    .map((op) => op.value)
+    .join("\n"),
+});
+
+const count = (ops, type) => ops.filter((op) => op.type === type).length;
+
+describe("textDiff", () => {
+  describe("diffLines", () => {
+    it("marks every line of identical texts as equal", () => {
+      expect(diffLines("a\nb", "a\nb")).toEqual([
+        { type: "equal", value: "a" },
+        { type: "equal", value: "b" },
+      ]);
+    });
+
+    it("finds changed lines between unchanged ones", () => {
+      expect(diffLines("a\nb\nc\nd", "a\nx\nc\nd\ne")).toEqual([
+        { type: "equal", value: "a" },
+        { type: "removed", value: "b" },
+        { type: "added", value: "x" },
+        { type: "equal", value: "c" },
+        { type: "equal", value: "d" },
+        { type: "added", value: "e" },
+      ]);
+    });
+
+    it("finds the fewest edits", () => {
+      const from = "a\nb\nc\na\nb\nb\na";
+      const to = "c\nb\na\nb\na\nc";
+      const ops = diffLines(from, to);
+      expect(applyDiff(ops)).toEqual({ from, to });
+      expect(count(ops, "removed") + count(ops, "added")).toBe(5);
+    });
+
+    it("handles empty texts", () => {
+      expect(applyDiff(diffLines("", "a\nb"))).toEqual({
+        from: "",
+        to: "a\nb",
+      });
+      expect(applyDiff(diffLines("a\nb", undefined))).toEqual({
+        from: "a\nb",
+        to: "",
+      });
+    });
+
+    it("diffs long texts with few changes exactly", () => {
+      const lines = Array.from({ length: 50000 }, (_, i) => `line ${i}`);
+      const changed = [...lines];
+      changed[100] = "edited";
+      changed.splice(30000, 1);
+      const ops = diffLines(lines.join("\n"), changed.join("\n"));
+      expect(count(ops, "removed")).toBe(2);
+      expect(count(ops, "added")).toBe(1);
+    });
+
+    it("shows a rewritten text as removed and added when it differs too much", () => {
+      const from = Array.from({ length: 5000 }, (_, i) => `old ${i}`);
+      const to = Array.from({ length: 5000 }, (_, i) => `new ${i}`);
+      const ops = diffLines(
+        ["same", ...from, "end"].join("\n"),
+        ["same", ...to, "end"].join("\n")
+      );
+      expect(ops[0]).toEqual({ type: "equal", value: "same" });
+      expect(ops[ops.length - 1]).toEqual({ type: "equal", value: "end" });
+      expect(count(ops, "removed")).toBe(5000);
+      expect(count(ops, "added")).toBe(5000);
+    });
+  });
+
+  describe("diffSnapshots", () => {
+    it("only lists changed fields, with line diffs for content", () => {
+      const changes = diffSnapshots(
+        { title: "A", content: "x\ny", image: "" },
+        { title: "A", content: "x\nz", image: null },
+        ["title", "content", "image"]
+      );
+      expect(Object.keys(changes)).toEqual(["content"]);
+      expect(changes.content.lines).toHaveLength(3);
+    });
+  });
+});
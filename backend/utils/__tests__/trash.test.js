@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const Blog = require("../../models/Blog");
+const BlogRevision = require("../../models/BlogRevision");
+const Comment = require("../../models/Comment");
+const Reaction = require("../../models/Reaction");
+const Bookmark = require("../../models/Bookmark");
+const Notification = require("../../models/Notification");
+const ReadingList = require("../../models/ReadingList");
+const Report = require("../../models/Report");
+const {
+  getTrashRetentionDays,
+  getPurgeDate,
+  deleteBlogsPermanently,
+} = require("../trash");
+const { queryResult } = require("../../controllers/__tests__/helpers");
+
+describe("trash", () => {
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION_DAYS;
+    jest.restoreAllMocks();
+  });
+
+  describe("getTrashRetentionDays", () => {
+    it("defaults to 30 days", () => {
+      expect(getTrashRetentionDays()).toBe(30);
+      process.env.TRASH_RETENTION_DAYS = "-1";
+      expect(getTrashRetentionDays()).toBe(30);
+    });
+
+    it("reads TRASH_RETENTION_DAYS", () => {
+      process.env.TRASH_RETENTION_DAYS = "7";
+      expect(getTrashRetentionDays()).toBe(7);
+      expect(getPurgeDate(new Date("2024-01-01T00:00:00Z"))).toEqual(
+        new Date("2024-01-08T00:00:00Z")
+      );
+    });
+  });
+
+  describe("deleteBlogsPermanently", () => {
+    const cleanups = [
+      [Blog, "deleteMany"],
+      [BlogRevision, "deleteMany"],
+      [Comment, "deleteMany"],
+      [Reaction, "deleteMany"],
+      [Bookmark, "deleteMany"],
+      [Notification, "deleteMany"],
+      [Report, "deleteMany"],
+      [ReadingList, "updateMany"],
+    ];
+
+    beforeEach(() => {
+      cleanups.forEach(([model, method]) =>
+        jest.spyOn(model, method).mockResolvedValue({})
+      );
+    });
+
+    it("only deletes posts that are in the trash", async () => {
+      jest.spyOn(Blog, "find").mockReturnValue(queryResult([]));
+      const id = new mongoose.Types.ObjectId();
+
+      expect(await deleteBlogsPermanently([id])).toBe(0);
+      expect(Blog.find).toHaveBeenCalledWith({
+        _id: { $in: [id] },
+        deletedAt: { $ne: null },
+      });
+      cleanups.forEach(([model, method]) =>
+        expect(model[method]).not.toHaveBeenCalled()
+      );
+    });
+
+    it("deletes trashed posts with everything attached to them", async () => {
+      const blogId = new mongoose.Types.ObjectId();
+      const commentId = new mongoose.Types.ObjectId();
+      jest.spyOn(Blog, "find").mockReturnValue(queryResult([blogId]));
+      jest.spyOn(Comment, "find").mockReturnValue(queryResult([commentId]));
+
+      expect(await deleteBlogsPermanently([blogId])).toBe(1);
+      const filter = { blogId: { $in: [blogId] } };
+      [BlogRevision, Comment, Reaction, Bookmark, Notification].forEach(
+        (model) => expect(model.deleteMany).toHaveBeenCalledWith(filter)
+      );
+      expect(Report.deleteMany).toHaveBeenCalledWith({
+        $or: [
+          { targetType: "blog", targetId: { $in: [blogId] } },
+          { targetType: "comment", targetId: { $in: [commentId] } },
+        ],
+      });
+      expect(ReadingList.updateMany).toHaveBeenCalledWith(
+        { "items.blogId": { $in: [blogId] } },
+        { $pull: { items: { blogId: { $in: [blogId] } } } }
+      );
+    });
+  });
+});
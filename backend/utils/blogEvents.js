@@ -0,0 +1,110 @@
+const { broadcast, sendToUser } = require("./realtime");
+
+/**
+ * Whether a post appears in public listings (posts created before statuses existed count as published,
+ * posts hidden by a moderator never do).
+ * @param {{ status?: string, hiddenAt?: Date }} blog - The post, or its state before a change.
+ * @returns {boolean} True if the post is listed.
+ */
+const isListed = ({ status, hiddenAt }) =>
+  !hiddenAt && (!status || status === "published");
+
+/**
+ * Whether a post can be viewed by anyone with the link.
+ * @param {{ status?: string, hiddenAt?: Date }} blog - The post, or its state before a change.
+ * @returns {boolean} True if the post is publicly viewable.
+ */
+const isViewable = (blog) =>
+  isListed(blog) || (!blog.hiddenAt && blog.status === "unlisted");
+
+/**
+ * Fields of a post that are sent to clients. Anything else (the rendered HTML, old slugs, the schedule,
+ * who trashed it) stays on the server; clients that need the HTML fetch the post.
+ */
+const PUBLIC_FIELDS = [
+  "_id",
+  "title",
+  "slug",
+  "category",
+  "tags",
+  "authorName",
+  "content",
+  "image",
+  "userId",
+  "status",
+  "publishedAt",
+  "reactionCounts",
+  "createdAt",
+  "updatedAt",
+];
+
+/**
+ * Builds the data of a post event from the whitelisted fields.
+ * @param {Object} blog - The blog post document.
+ * @returns {Object} The post as sent to clients.
+ */
+const toPublicBlog = (blog) => {
+  const data = blog.toObject();
+  return Object.fromEntries(
+    PUBLIC_FIELDS.filter((field) => data[field] !== undefined).map((field) => [
+      field,
+      data[field],
+    ])
+  );
+};
+
+/**
+ * Tells connected clients that a post was created, changed or published:
+ * - "blog:published" to everyone when it joins the public listings,
+ * - "blog:updated" to everyone when it stays listed,
+ * - "blog:deleted" (with just its `_id`) to everyone when it leaves the listings, so clients drop it
+ *   as if it were deleted.
+ * Unlisted posts are only known to people with the link, so their changes go to the author alone.
+ * Drafts, archived posts and hidden posts are never sent to anyone.
+ * @param {Object} blog - The saved blog post document.
+ * @param {{ status?: string, hiddenAt?: Date }} [previous] - The post as it was before the change; omitted for new posts.
+ */
+const announceBlog = (blog, previous) => {
+  const wasListed = !!previous && isListed(previous);
+
+  if (isListed(blog)) {
+    broadcast(
+      wasListed ? "blog:updated" : "blog:published",
+      toPublicBlog(blog)
+    );
+    return;
+  }
+  const unlisted = isViewable(blog);
+  if (wasListed) {
+    // The author is told about the change instead, and keeps the post open
+    broadcast("blog:deleted", { _id: blog._id }, unlisted ? blog.userId : null);
+  }
+  if (unlisted) {
+    sendToUser(blog.userId, "blog:updated", toPublicBlog(blog));
+  }
+};
+
+/**
+ * Tells connected clients that a post was deleted.
+ * @param {import('mongoose').Types.ObjectId|string} blogId - The ID of the deleted post.
+ */
+const announceBlogDeleted = (blogId) => {
+  broadcast("blog:deleted", { _id: blogId });
+};
+
+/**
+ * Tells connected clients about a new comment. Comments on posts that are not publicly viewable
+ * only go to the post's author, the only other person who can see them.
+ * @param {Object} blog - The blog post document.
+ * @param {Object} comment - The comment, as sent to clients.
+ */
+const announceComment = (blog, comment) => {
+  const data = { blogId: blog._id, comment };
+  if (isViewable(blog)) {
+    broadcast("comment:created", data);
+  } else {
+    sendToUser(blog.userId, "comment:created", data);
+  }
+};
+
+module.exports = { announceBlog, announceBlogDeleted, announceComment };
@@ -0,0 +1,8 @@
+/**
+ * Escapes a string for literal use inside a regular expression.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = escapeRegExp;
@@ -0,0 +1,145 @@
+/**
+ * A feed ready to be serialized as RSS 2.0 or Atom. All links must be absolute.
+ * @typedef {Object} Feed
+ * @property {string} title - The feed title.
+ * @property {string} description - A short description of the feed.
+ * @property {string} link - The HTML page the feed belongs to.
+ * @property {string} selfUrl - The URL the feed itself is served at.
+ * @property {Date} updated - When any entry last changed.
+ * @property {FeedItem[]} items - The entries, newest first.
+ */
+
+/**
+ * A single feed entry.
+ * @typedef {Object} FeedItem
+ * @property {string} id - Permanent, unique identifier of the entry (stays the same when the link changes).
+ * @property {string} title - The entry title.
+ * @property {string} link - The entry's page.
+ * @property {Date} published - When the entry was published.
+ * @property {Date} updated - When the entry last changed.
+ * @property {string} authorName - The author's display name.
+ * @property {string} [authorUrl] - The author's profile page.
+ * @property {string[]} categories - Category and tag names.
+ * @property {string} summary - A plain-text excerpt.
+ * @property {string} [contentHtml] - The full HTML content, when the feed includes it.
+ */
+
+/**
+ * Escapes text for use in XML element content and attribute values, dropping characters XML does not allow.
+ * @param {*} value - The value to escape; null and undefined become an empty string.
+ * @returns {string} The escaped text.
+ */
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Makes root-relative `href` and `src` attributes in HTML absolute, since feed readers show content
+ * outside the site. Only double-quoted attributes are handled, which is what the Markdown sanitizer produces.
+ * @param {string} html - The HTML content.
+ * @param {string} baseUrl - The base URL, without a trailing slash.
+ * @returns {string} The HTML with absolute links.
+ */
+const absolutizeUrls = (html, baseUrl) =>
+  String(html || "").replace(
+    /\b(href|src)="\/(?!\/)/g,
+    (match, attribute) => `${attribute}="${baseUrl}/`
+  );
+
+/**
+ * Serializes a feed as RSS 2.0. Authors use `dc:creator` (RSS `author` requires an email address),
+ * and full content goes in `content:encoded` next to the excerpt in `description`.
+ * @param {Feed} feed - The feed.
+ * @returns {string} The XML document.
+ */
+const buildRssFeed = (feed) => {
+  const items = feed.items.map((item) =>
+    [
+      "    <item>",
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+      `      <dc:creator>${escapeXml(item.authorName)}</dc:creator>`,
+      ...item.categories.map(
+        (category) => `      <category>${escapeXml(category)}</category>`
+      ),
+      `      <description>${escapeXml(item.summary)}</description>`,
+      ...(item.contentHtml
+        ? [
+            `      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>`,
+          ]
+        : []),
+      "    </item>",
+    ].join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    "  <channel>",
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    "    <language>en</language>",
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
+
+/**
+ * Serializes a feed as Atom (RFC 4287).
+ * @param {Feed} feed - The feed.
+ * @returns {string} The XML document.
+ */
+const buildAtomFeed = (feed) => {
+  const entries = feed.items.map((item) =>
+    [
+      "  <entry>",
+      `    <id>${escapeXml(item.id)}</id>`,
+      `    <title type="text">${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>`,
+      `    <published>${item.published.toISOString()}</published>`,
+      `    <updated>${item.updated.toISOString()}</updated>`,
+      "    <author>",
+      `      <name>${escapeXml(item.authorName)}</name>`,
+      ...(item.authorUrl
+        ? [`      <uri>${escapeXml(item.authorUrl)}</uri>`]
+        : []),
+      "    </author>",
+      ...item.categories.map(
+        (category) => `    <category term="${escapeXml(category)}"/>`
+      ),
+      `    <summary type="text">${escapeXml(item.summary)}</summary>`,
+      ...(item.contentHtml
+        ? [`    <content type="html">${escapeXml(item.contentHtml)}</content>`]
+        : []),
+      "  </entry>",
+    ].join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <title type="text">${escapeXml(feed.title)}</title>`,
+    `  <subtitle type="text">${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+};
+
+module.exports = { escapeXml, absolutizeUrls, buildRssFeed, buildAtomFeed };
@@ -3,13 +3,25 @@ const jwt = require("jsonwebtoken");
 /**
  * Generates a JSON Web Token (JWT) for a given user ID.
  * The token is signed with the JWT_SECRET from environment variables and expires in 30 days.
+ * Besides the standard `iat` claim (whole seconds) it records when it was issued to the millisecond (`iatMs`),
+ * so it can be told apart from tokens issued just before a password change.
  * @param {string} userId - The ID of the user for whom the token is generated.
  * @returns {string} The generated JWT.
  */
 const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+  return jwt.sign({ id: userId, iatMs: Date.now() }, process.env.JWT_SECRET, {
     expiresIn: "30d", // Token expires in 30 days
   });
 };
 
+/**
+ * Returns when a verified token was issued, in milliseconds since epoch. Tokens issued before `iatMs` existed
+ * only have `iat` and are taken to be from the start of that second.
+ * @param {{ iat: number, iatMs?: number }} decoded - The decoded token payload.
+ * @returns {number} The issue time.
+ */
+const getTokenIssuedAt = (decoded) =>
+  typeof decoded.iatMs === "number" ? decoded.iatMs : decoded.iat * 1000;
+
 module.exports = generateToken;
+module.exports.getTokenIssuedAt = getTokenIssuedAt;
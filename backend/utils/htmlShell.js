@@ -0,0 +1,135 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// How long the frontend's index.html is reused before being loaded again, so new frontend builds are picked up
+const TEMPLATE_CACHE_TTL = 5 * 60 * 1000;
+
+/** @type {{ html: string, loadedAt: number }|null} */
+let cachedTemplate = null;
+
+/**
+ * Returns where the frontend's built index.html is loaded from: FRONTEND_INDEX if configured
+ * (a file path or an http(s) URL), otherwise the frontend build next to the backend.
+ * @returns {string} The file path or URL.
+ */
+const getTemplateSource = () =>
+  process.env.FRONTEND_INDEX ||
+  path.join(__dirname, "..", "..", "frontend", "dist", "index.html");
+
+/**
+ * Reads or fetches the frontend's index.html.
+ * @param {string} source - The file path or URL.
+ * @returns {Promise<string|null>} The HTML document, or null if there is no such file or it could not be fetched.
+ * @throws {Error} If the file exists but cannot be read.
+ */
+const readTemplate = async (source) => {
+  if (/^https?:\/\//i.test(source)) {
+    try {
+      const response = await fetch(source);
+      if (response.ok) return await response.text();
+      console.error(
+        `Could not load the frontend page from ${source} (${response.status})`
+      );
+    } catch (error) {
+      console.error(`Could not load the frontend page from ${source}:`, error);
+    }
+    return null;
+  }
+  try {
+    return await fs.readFile(source, "utf8");
+  } catch (error) {
+    // Not built yet, or FRONTEND_INDEX points to the wrong place
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+/**
+ * Loads the frontend's index.html, which boots the React app, caching it for TEMPLATE_CACHE_TTL.
+ * A missing page is not cached, so it is picked up as soon as the frontend is built.
+ * @returns {Promise<string|null>} The HTML document, or null if it is not available.
+ * @throws {Error} If the page exists but cannot be read.
+ */
+const loadTemplate = async () => {
+  if (
+    cachedTemplate &&
+    Date.now() - cachedTemplate.loadedAt < TEMPLATE_CACHE_TTL
+  ) {
+    return cachedTemplate.html;
+  }
+  const html = await readTemplate(getTemplateSource());
+  if (html !== null) {
+    cachedTemplate = { html, loadedAt: Date.now() };
+  }
+  return html;
+};
+
+/**
+ * Escapes text for use in HTML element content and attribute values.
+ * @param {*} value - The value to escape; null and undefined become an empty string.
+ * @returns {string} The escaped text.
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Metadata added to a page's `<head>`.
+ * @typedef {Object} HeadTags
+ * @property {string} [title] - Replaces the page title.
+ * @property {Array<{ name?: string, property?: string, content: string }>} [meta] - `<meta>` tags;
+ *   entries without content are skipped.
+ * @property {Array<{ rel: string, href: string }>} [links] - `<link>` tags.
+ * @property {Object} [jsonLd] - Structured data, added as an `application/ld+json` script.
+ */
+
+/**
+ * Adds metadata to the `<head>` of an HTML page, leaving the rest (and with it the React app) untouched.
+ * @param {string} html - The HTML document.
+ * @param {HeadTags} head - The metadata.
+ * @returns {string} The HTML document with the metadata.
+ */
+const injectHead = (html, { title, meta = [], links = [], jsonLd }) => {
+  const tags = [
+    ...meta
+      .filter((tag) => tag.content)
+      .map(({ name, property, content }) =>
+        name
+          ? `<meta name="${escapeHtml(name)}" content="${escapeHtml(content)}" />`
+          : `<meta property="${escapeHtml(property)}" content="${escapeHtml(content)}" />`
+      ),
+    ...links.map(
+      ({ rel, href }) =>
+        `<link rel="${escapeHtml(rel)}" href="${escapeHtml(href)}" />`
+    ),
+    // "<" is escaped so the data can never close the script element
+    ...(jsonLd
+      ? [
+          `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(
+            /</g,
+            "\\u003c"
+          )}</script>`,
+        ]
+      : []),
+  ];
+
+  let result = html;
+  if (title !== undefined) {
+    const titleTag = `<title>${escapeHtml(title)}</title>`;
+    result = /<title>[\s\S]*?<\/title>/i.test(result)
+      ? result.replace(/<title>[\s\S]*?<\/title>/i, () => titleTag)
+      : result.replace(/<\/head>/i, () => `${titleTag}\n</head>`);
+  }
+  // Indent the tags like the rest of the head
+  return result.replace(
+    /([ \t]*)<\/head>/i,
+    (match, indent) =>
+      `${tags.map((tag) => `${indent}  ${tag}\n`).join("")}${indent}</head>`
+  );
+};
+
+module.exports = { loadTemplate, escapeHtml, injectHead };
@@ -0,0 +1,28 @@
+const Comment = require("../models/Comment");
+const Reaction = require("../models/Reaction");
+const Bookmark = require("../models/Bookmark");
+
+/**
+ * Prepares a page of listed blog posts for the client, adding each post's `commentCount`,
+ * the reaction types the current user left on it (`myReactions`) and whether they bookmarked it (`isBookmarked`).
+ * @async
+ * @param {Array<Object>} docs - The blog post documents.
+ * @param {{ _id: string }} [user] - The requesting user, if any.
+ * @returns {Promise<Array<Object>>} The blog posts as plain objects, in the same order.
+ */
+const withListingDetails = async (docs, user) => {
+  const blogIds = docs.map((blog) => blog._id);
+  const [commentCounts, myReactions, bookmarked] = await Promise.all([
+    Comment.countByBlog(blogIds),
+    user ? Reaction.typesByUser(blogIds, user._id) : new Map(),
+    user ? Bookmark.bookmarkedBy(blogIds, user._id) : new Set(),
+  ]);
+  return docs.map((blog) => ({
+    ...blog.toObject(),
+    commentCount: commentCounts.get(blog._id.toString()) || 0,
+    myReactions: myReactions.get(blog._id.toString()) || [],
+    isBookmarked: bookmarked.has(blog._id.toString()),
+  }));
+};
+
+module.exports = withListingDetails;
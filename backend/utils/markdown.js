@@ -0,0 +1,73 @@
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+// Dedicated instance so options never leak into other users of the marked module.
+// `breaks` keeps single newlines as line breaks, matching how plain-text posts used to render.
+const marked = new Marked({ gfm: true, breaks: true });
+
+/**
+ * Allow-list used to sanitize rendered Markdown.
+ * Anything not listed (scripts, iframes, styles, event handler attributes, javascript: URLs, ...) is stripped.
+ * @type {import('sanitize-html').IOptions}
+ */
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(["img", "h1", "h2"]),
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    img: ["src", "alt", "title", "width", "height"],
+    code: ["class"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  transformTags: {
+    // Links open in a new tab and never pass on the reader's session
+    a: sanitizeHtml.simpleTransform("a", {
+      rel: "noopener noreferrer nofollow",
+      target: "_blank",
+    }),
+  },
+};
+
+/**
+ * Renders Markdown to sanitized HTML that is safe to inject into the page.
+ * @param {string} source - The Markdown source.
+ * @returns {string} The sanitized HTML.
+ */
+const renderMarkdown = (source) => {
+  const html = marked.parse(String(source || ""));
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+/**
+ * Removes common Markdown syntax so the source reads as plain text (for snippets and search excerpts).
+ * @param {string} source - The Markdown source.
+ * @returns {string} The plain text, with whitespace collapsed.
+ */
+const stripMarkdown = (source) =>
+  String(source || "")
+    .replace(/```[\s\S]*?```/g, " ") // Code blocks
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1") // Images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1") // Links
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "") // Headings, quotes, list markers
+    .replace(/[*_~`]/g, "") // Emphasis and inline code
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Builds a plain-text excerpt of Markdown, shortened at a word boundary (for feeds and page descriptions).
+ * @param {string} source - The Markdown source.
+ * @param {number} maxLength - The maximum length, in characters.
+ * @returns {string} The excerpt, with "..." added if it was cut.
+ */
+const toExcerpt = (source, maxLength) => {
+  const text = stripMarkdown(source);
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 3);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trimEnd()}...`;
+};
+
+module.exports = { renderMarkdown, stripMarkdown, toExcerpt };
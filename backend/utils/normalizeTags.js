@@ -0,0 +1,25 @@
+/**
+ * Normalizes a list of tags: each tag is trimmed, lowercased, stripped of a leading "#",
+ * has inner whitespace collapsed to single hyphens and loses characters other than letters,
+ * digits, "-", "+" and ".". Empty tags and duplicates are dropped, keeping the first occurrence.
+ * @param {string[]|string} [tags] - The tags, as an array or a comma-separated string.
+ * @returns {string[]} The normalized tags, in their original order.
+ */
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  const normalized = list
+    .map((tag) =>
+      String(tag ?? "")
+        .trim()
+        .toLowerCase()
+        .replace(/^#+/, "")
+        .replace(/\s+/g, "-")
+        .replace(/[^\p{L}\p{N}+.-]/gu, "")
+        .replace(/-{2,}/g, "-")
+        .replace(/^-+|-+$/g, "")
+    )
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+module.exports = normalizeTags;
@@ -0,0 +1,75 @@
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { sendToUser } = require("./realtime");
+
+const { ONCE_PER_ACTOR_TYPES } = Notification;
+
+/**
+ * Creates an in-app notification, unless the recipient caused it themselves or turned that type off
+ * in their notification preferences. Reactions and follows notify only once per actor and target.
+ * New notifications are also pushed to the recipient's open event streams.
+ * Never throws: a failed notification is logged and must not fail the action that caused it,
+ * so callers do not need to wait for it.
+ * @async
+ * @param {Object} notification - The notification to send.
+ * @param {import('mongoose').Types.ObjectId|string} notification.recipientId - The user to notify.
+ * @param {import('mongoose').Types.ObjectId|string} notification.actorId - The user whose action caused it.
+ * @param {string} notification.type - One of NOTIFICATION_TYPES.
+ * @param {import('mongoose').Types.ObjectId|string} [notification.blogId] - The blog post concerned.
+ * @param {import('mongoose').Types.ObjectId|string} [notification.commentId] - The new comment.
+ * @param {string} [notification.reactionType] - The reaction left.
+ * @returns {Promise<Object|null>} The new notification, or null if none was created.
+ */
+const notify = async ({
+  recipientId,
+  actorId,
+  type,
+  blogId = null,
+  commentId = null,
+  reactionType = null,
+}) => {
+  try {
+    if (!recipientId || recipientId.toString() === actorId.toString()) {
+      return null;
+    }
+    const recipient = await User.findById(recipientId).select(
+      "notificationPreferences"
+    );
+    if (!recipient || recipient.notificationPreferences?.[type] === false) {
+      return null;
+    }
+
+    const fields = { recipientId, actorId, type, blogId, reactionType };
+    let notification;
+    if (ONCE_PER_ACTOR_TYPES.includes(type)) {
+      const result = await Notification.findOneAndUpdate(
+        fields,
+        { $setOnInsert: fields },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+      if (result.lastErrorObject?.updatedExisting) return null;
+      notification = result.value;
+    } else {
+      notification = await Notification.create({ ...fields, commentId });
+    }
+
+    await notification.populate([
+      { path: "actorId", select: "name handle avatar" },
+      { path: "blogId", select: "title slug" },
+    ]);
+    sendToUser(
+      recipientId,
+      "notification:created",
+      notification.toClientJSON()
+    );
+    return notification;
+  } catch (error) {
+    // A duplicate key means a concurrent request already sent the same notification
+    if (error.code !== 11000) {
+      console.error(`Error creating ${type} notification:`, error);
+    }
+    return null;
+  }
+};
+
+module.exports = notify;
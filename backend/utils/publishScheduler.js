@@ -0,0 +1,128 @@
+const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const { announceBlog } = require("./blogEvents");
+
+/**
+ * In-process scheduler that publishes draft blog posts once their `scheduledFor` time arrives.
+ *
+ * Each pending post gets its own timer. Timers only live in memory, so on startup the scheduler
+ * re-reads every pending post from MongoDB; posts that became due while the server was down are
+ * published immediately. Publishing is a conditional update, so a post that was edited, unscheduled
+ * or already published in the meantime is left untouched. Each publish is recorded as a revision.
+ */
+
+// setTimeout cannot wait longer than ~24.8 days; longer delays are re-armed in steps.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/** @type {Map<string, NodeJS.Timeout>} Pending timers keyed by blog id. */
+const timers = new Map();
+
+/**
+ * Publishes a scheduled post if it is still a draft scheduled for the given time.
+ * @async
+ * @param {string} blogId - The ID of the blog post.
+ * @param {Date} scheduledFor - The scheduled time the timer was armed for.
+ * @returns {Promise<Object|null>} The published blog post, or null if it no longer qualified.
+ */
+const publishScheduledBlog = async (blogId, scheduledFor) => {
+  timers.delete(blogId);
+  try {
+    const blog = await Blog.findOneAndUpdate(
+      { _id: blogId, status: "draft", scheduledFor },
+      // A pipeline, so a post that was published before keeps its first publish date
+      [
+        {
+          $set: {
+            status: "published",
+            publishedAt: { $ifNull: ["$publishedAt", scheduledFor] },
+          },
+        },
+        { $unset: "scheduledFor" },
+      ],
+      { new: true }
+    );
+    if (blog) {
+      console.log(`Scheduled blog post published: ${blogId}`);
+      announceBlog(blog, { status: "draft" });
+      // Recorded like any status change, on behalf of the author who scheduled it
+      await BlogRevision.record(
+        blog,
+        { _id: blog.userId, name: blog.authorName },
+        ["status"]
+      );
+    }
+    return blog;
+  } catch (error) {
+    console.error(`Error publishing scheduled blog post ${blogId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Cancels the pending publish timer for a blog post, if any.
+ * @param {string} blogId - The ID of the blog post.
+ */
+const cancelScheduledPublish = (blogId) => {
+  const id = blogId.toString();
+  if (timers.has(id)) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+  }
+};
+
+/**
+ * Arms (or re-arms) the publish timer for a blog post.
+ * Does nothing beyond cancelling an existing timer unless the post is a draft with a `scheduledFor` date.
+ * @param {{ _id: string, status: string, scheduledFor?: Date }} blog - The blog post document.
+ */
+const schedulePublish = (blog) => {
+  const id = blog._id.toString();
+  cancelScheduledPublish(id);
+
+  if (blog.status !== "draft" || !blog.scheduledFor) return;
+
+  const scheduledFor = new Date(blog.scheduledFor);
+  const delay = Math.max(scheduledFor.getTime() - Date.now(), 0);
+
+  const timer =
+    delay > MAX_TIMEOUT_MS
+      ? setTimeout(() => schedulePublish(blog), MAX_TIMEOUT_MS)
+      : setTimeout(() => publishScheduledBlog(id, scheduledFor), delay);
+  // Do not keep the process alive just for pending timers
+  timer.unref();
+  timers.set(id, timer);
+};
+
+/**
+ * Loads all pending scheduled posts from MongoDB and arms their timers.
+ * Should be called once the database connection is established.
+ * @async
+ * @returns {Promise<number>} The number of posts scheduled.
+ */
+const startPublishScheduler = async () => {
+  const pending = await Blog.find({
+    status: "draft",
+    scheduledFor: { $ne: null },
+  }).select("_id status scheduledFor");
+
+  pending.forEach(schedulePublish);
+  console.log(
+    `Publish scheduler started with ${pending.length} pending post(s)`
+  );
+  return pending.length;
+};
+
+/**
+ * Clears all pending timers. Used during graceful shutdown.
+ */
+const stopPublishScheduler = () => {
+  timers.forEach((timer) => clearTimeout(timer));
+  timers.clear();
+};
+
+module.exports = {
+  schedulePublish,
+  cancelScheduledPublish,
+  startPublishScheduler,
+  stopPublishScheduler,
+};
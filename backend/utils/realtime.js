@@ -0,0 +1,105 @@
+/**
+ * In-process hub for Server-Sent Events (SSE).
+ *
+ * Each open `GET /api/events` stream is kept as a client, tagged with the logged-in user if any.
+ * Events go either to every client (public changes such as new posts) or to a single user's
+ * clients (such as their notifications). Clients only live in memory, so events only reach
+ * streams connected to this server process; the browser reconnects on its own after a drop.
+ */
+
+// Comment lines sent this often keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/** @type {Set<{ res: import('express').Response, userId: string|null }>} Open streams. */
+const clients = new Set();
+
+/** @type {NodeJS.Timeout|null} The heartbeat timer, running while there are clients. */
+let heartbeat = null;
+
+/**
+ * Writes one event to a stream.
+ * @param {import('express').Response} res - The client's response stream.
+ * @param {string} event - The event name.
+ * @param {*} data - The event data, sent as JSON.
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Opens an event stream on a response and keeps it until the client disconnects.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {{ _id: string }} [user] - The logged-in user, who also receives their own events.
+ */
+const addClient = (req, res, user) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Stop nginx-style proxies from buffering the stream
+  });
+  res.flushHeaders();
+  // Ask the browser to wait a few seconds before reconnecting after a drop
+  res.write("retry: 5000\n\n");
+  writeEvent(res, "ready", { userId: user ? user._id : null });
+
+  const client = { res, userId: user ? user._id.toString() : null };
+  clients.add(client);
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      clients.forEach((c) => c.res.write(": heartbeat\n\n"));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+  }
+
+  req.on("close", () => {
+    clients.delete(client);
+    if (clients.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+};
+
+/**
+ * Sends an event to every connected client.
+ * @param {string} event - The event name.
+ * @param {*} data - The event data, sent as JSON.
+ * @param {import('mongoose').Types.ObjectId|string} [exceptUserId] - A user whose clients are skipped.
+ */
+const broadcast = (event, data, exceptUserId) => {
+  const except = exceptUserId ? exceptUserId.toString() : null;
+  clients.forEach((client) => {
+    if (!except || client.userId !== except) {
+      writeEvent(client.res, event, data);
+    }
+  });
+};
+
+/**
+ * Sends an event to the connected clients of one user.
+ * @param {import('mongoose').Types.ObjectId|string} userId - The user's ID.
+ * @param {string} event - The event name.
+ * @param {*} data - The event data, sent as JSON.
+ */
+const sendToUser = (userId, event, data) => {
+  const id = userId.toString();
+  clients.forEach((client) => {
+    if (client.userId === id) writeEvent(client.res, event, data);
+  });
+};
+
+/**
+ * Ends every open stream. Used during graceful shutdown, since open streams would keep the server from closing.
+ */
+const closeAllClients = () => {
+  clients.forEach((client) => client.res.end());
+  clients.clear();
+  if (heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+module.exports = { addClient, broadcast, sendToUser, closeAllClients };
@@ -0,0 +1,136 @@
+const escapeRegExp = require("./escapeRegExp");
+
+/**
+ * Helpers for highlighting full-text search matches.
+ *
+ * MongoDB's $text search does not report where a document matched, so the search terms are
+ * matched again here. Terms match any word starting with them (minus a common English suffix),
+ * which roughly follows the stemming MongoDB applies, so "running" also highlights "run".
+ * Highlights are returned as text segments rather than HTML, so the client never has to
+ * inject markup into the page.
+ */
+
+// Search terms are ignored beyond this count to keep the highlight pattern small
+const MAX_TERMS = 20;
+
+/**
+ * @typedef {Object} HighlightSegment
+ * @property {string} text - A piece of the original text.
+ * @property {boolean} match - Whether this piece matched a search term.
+ */
+
+/**
+ * Extracts the terms of a $text search string that should be highlighted.
+ * Quoted phrases are kept together; negated terms and phrases (prefixed with "-") are skipped.
+ * @param {string} search - The raw search string.
+ * @returns {string[]} The terms and phrases, lowercased and deduplicated.
+ */
+const parseSearchTerms = (search) => {
+  const terms = new Set();
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while (
+    (match = pattern.exec(String(search || ""))) &&
+    terms.size < MAX_TERMS
+  ) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).replace(/"/g, "").trim().toLowerCase();
+    if (!negated && term) terms.add(term);
+  }
+  return [...terms];
+};
+
+/**
+ * Reduces a single search word to a rough stem by dropping a common English suffix
+ * ("running" -> "run", "posts" -> "post"). Short words and phrases are left alone.
+ * @param {string} term - A lowercased search term.
+ * @returns {string} The stem.
+ */
+const stemTerm = (term) => {
+  if (term.includes(" ") || term.length <= 4) return term;
+  return term.replace(/(ing|ed|es|s)$/, "").replace(/([^aeiou])\1$/, "$1");
+};
+
+/**
+ * Builds the regular expression matching any of the given terms at the start of a word.
+ * @param {string[]} terms - Terms from parseSearchTerms.
+ * @returns {RegExp|null} A global, case-insensitive pattern, or null if there are no terms.
+ */
+const buildTermPattern = (terms) => {
+  if (terms.length === 0) return null;
+  const alternatives = terms
+    .map((term) => {
+      const stem = stemTerm(term);
+      return `${escapeRegExp(stem).replace(/\s+/g, "\\s+")}[\\w'-]*`;
+    })
+    .sort((a, b) => b.length - a.length); // Prefer the longest alternative
+  return new RegExp(`(?<![\\w])(?:${alternatives.join("|")})`, "gi");
+};
+
+/**
+ * Splits text into matching and non-matching segments.
+ * @param {string} text - The text to highlight.
+ * @param {RegExp|null} pattern - Pattern from buildTermPattern.
+ * @returns {HighlightSegment[]} The segments, in order; a single non-matching segment if nothing matched.
+ */
+const toSegments = (text, pattern) => {
+  if (!pattern) return [{ text, match: false }];
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+};
+
+/**
+ * Highlights search terms in a short text such as a title.
+ * @param {string} text - The text to highlight.
+ * @param {string[]} terms - Terms from parseSearchTerms.
+ * @returns {HighlightSegment[]} The highlighted segments.
+ */
+const highlightText = (text, terms) =>
+  toSegments(String(text || ""), buildTermPattern(terms));
+
+/**
+ * Cuts an excerpt of roughly `maxLength` characters around the first match in a longer text,
+ * and highlights the terms in it. Falls back to the beginning of the text if nothing matched.
+ * @param {string} text - The plain text to excerpt.
+ * @param {string[]} terms - Terms from parseSearchTerms.
+ * @param {number} [maxLength=200] - The approximate excerpt length.
+ * @returns {HighlightSegment[]} The highlighted excerpt, with "..." added where the text was cut.
+ */
+const buildSnippet = (text, terms, maxLength = 200) => {
+  const source = String(text || "");
+  const pattern = buildTermPattern(terms);
+  const firstMatch = pattern
+    ? source.search(new RegExp(pattern.source, "i"))
+    : -1;
+
+  // Start a little before the first match, on a word boundary
+  let start = Math.max(firstMatch - Math.floor(maxLength / 4), 0);
+  if (start > 0) {
+    const space = source.indexOf(" ", start);
+    start = space === -1 || space > firstMatch ? start : space + 1;
+  }
+  let end = Math.min(start + maxLength, source.length);
+  if (end < source.length) {
+    const space = source.lastIndexOf(" ", end);
+    end = space > start ? space : end;
+  }
+
+  const excerpt = `${start > 0 ? "..." : ""}${source.slice(start, end)}${
+    end < source.length ? "..." : ""
+  }`;
+  return toSegments(excerpt, pattern);
+};
+
+module.exports = { parseSearchTerms, highlightText, buildSnippet };
@@ -0,0 +1,58 @@
+const { escapeXml } = require("./feedXml");
+
+/**
+ * Most URLs the sitemap protocol allows in one file; larger sitemaps are split and listed in a sitemap index.
+ * @type {number}
+ */
+const MAX_SITEMAP_URLS = 50000;
+
+/**
+ * A page listed in a sitemap, or a sitemap listed in a sitemap index.
+ * @typedef {Object} SitemapEntry
+ * @property {string} loc - The absolute URL.
+ * @property {Date} [lastmod] - When the page last changed.
+ */
+
+/**
+ * Serializes a single `<url>` or `<sitemap>` element.
+ * @param {string} tag - The element name.
+ * @param {SitemapEntry} entry - The entry.
+ * @returns {string} The XML element.
+ */
+const toEntryXml = (tag, { loc, lastmod }) =>
+  [
+    `  <${tag}>`,
+    `    <loc>${escapeXml(loc)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod.toISOString()}</lastmod>`] : []),
+    `  </${tag}>`,
+  ].join("\n");
+
+/**
+ * Serializes pages as a sitemap (`<urlset>`).
+ * @param {SitemapEntry[]} urls - The pages, at most MAX_SITEMAP_URLS.
+ * @returns {string} The XML document.
+ */
+const buildUrlSet = (urls) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map((url) => toEntryXml("url", url)),
+    "</urlset>",
+    "",
+  ].join("\n");
+
+/**
+ * Serializes a sitemap index (`<sitemapindex>`) listing other sitemaps.
+ * @param {SitemapEntry[]} sitemaps - The sitemaps.
+ * @returns {string} The XML document.
+ */
+const buildSitemapIndex = (sitemaps) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map((sitemap) => toEntryXml("sitemap", sitemap)),
+    "</sitemapindex>",
+    "",
+  ].join("\n");
+
+module.exports = { MAX_SITEMAP_URLS, buildUrlSet, buildSitemapIndex };
@@ -0,0 +1,20 @@
+/**
+ * Converts a string into a URL-safe slug.
+ * Accents are stripped, anything that is not a lowercase letter or digit becomes a hyphen,
+ * and the result is trimmed to a reasonable length without leaving a trailing hyphen.
+ * @param {string} text - The text to convert (e.g. a blog post title).
+ * @param {number} [maxLength=80] - The maximum length of the slug.
+ * @returns {string} The slug, or an empty string if the text has no usable characters.
+ */
+const slugify = (text, maxLength = 80) => {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Remove combining diacritical marks
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/g, "");
+};
+
+module.exports = slugify;
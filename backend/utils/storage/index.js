@@ -0,0 +1,35 @@
+const localStorage = require("./localStorage");
+
+/**
+ * Interface every storage driver implements, so other backends (e.g. an S3-compatible bucket)
+ * can be added next to the local one without touching the media controller.
+ * @typedef {Object} StorageDriver
+ * @property {string} name - Identifier stored on each Media document, so files are removed from the right place.
+ * @property {function(string, Buffer, { contentType: string, baseUrl: string }): Promise<string>} save -
+ *   Stores a file under the given key and resolves with its public URL.
+ * @property {function(string): Promise<void>} remove - Deletes the file stored under the given key.
+ */
+
+/**
+ * Registered storage drivers keyed by name.
+ * @type {Object<string, StorageDriver>}
+ */
+const drivers = {
+  [localStorage.name]: localStorage,
+};
+
+/**
+ * Returns a storage driver by name, defaulting to the one configured through STORAGE_DRIVER ("local").
+ * @param {string} [name] - The driver name.
+ * @returns {StorageDriver} The storage driver.
+ * @throws {Error} If no driver with that name is registered.
+ */
+const getStorage = (name = process.env.STORAGE_DRIVER || "local") => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,55 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Returns the directory uploaded files are written to: UPLOAD_DIR if configured. Served by Express under `/uploads`.
+ * Read on use, since .env is loaded after the modules are required.
+ * @returns {string} The absolute directory path.
+ */
+const getUploadDir = () =>
+  path.resolve(
+    process.env.UPLOAD_DIR || path.join(__dirname, "..", "..", "uploads")
+  );
+
+/**
+ * Resolves a storage key to a path inside the upload directory.
+ * Rejects keys that would escape it (e.g. containing "..").
+ * @param {string} key - The storage key.
+ * @returns {string} The absolute file path.
+ * @throws {Error} If the key points outside the upload directory.
+ */
+const resolveKey = (key) => {
+  const uploadDir = getUploadDir();
+  const filePath = path.resolve(uploadDir, key);
+  if (!filePath.startsWith(uploadDir + path.sep)) {
+    throw new Error("Invalid storage key");
+  }
+  return filePath;
+};
+
+/**
+ * Storage driver that keeps files on the local disk.
+ * @type {import('./index').StorageDriver}
+ */
+const localStorage = {
+  name: "local",
+
+  save: async (key, buffer, { baseUrl }) => {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${baseUrl}/uploads/${key}`;
+  },
+
+  remove: async (key) => {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      // Already gone is as good as removed
+      if (error.code !== "ENOENT") throw error;
+    }
+  },
+};
+
+module.exports = localStorage;
+module.exports.getUploadDir = getUploadDir;
@@ -0,0 +1,33 @@
+const User = require("../models/User");
+const Blog = require("../models/Blog");
+const Comment = require("../models/Comment");
+
+/**
+ * Copies a user's current name to the `authorName` stored on their blog posts and comments.
+ * The name is read when the update runs, so overlapping renames always end with the latest name.
+ * Posts keep their `updatedAt`, since a rename is not an edit; trashed posts are updated too.
+ * @async
+ * @param {string} userId - The ID of the renamed user.
+ * @returns {Promise<{ blogs: number, comments: number }>} How many posts and comments were updated.
+ */
+const syncAuthorName = async (userId) => {
+  const user = await User.findById(userId).select("name");
+  if (!user) return { blogs: 0, comments: 0 };
+
+  const { name } = user;
+  const [blogs, comments] = await Promise.all([
+    Blog.updateMany(
+      { userId, authorName: { $ne: name } },
+      { $set: { authorName: name } },
+      { timestamps: false, includeTrashed: true }
+    ),
+    Comment.updateMany(
+      { userId, deletedAt: null, authorName: { $ne: name } },
+      { $set: { authorName: name } },
+      { timestamps: false }
+    ),
+  ]);
+  return { blogs: blogs.modifiedCount, comments: comments.modifiedCount };
+};
+
+module.exports = syncAuthorName;
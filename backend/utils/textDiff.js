@@ -0,0 +1,128 @@
+// Most line edits worked out exactly; beyond this, the changed part is shown as removed and re-added
+// as a whole, which bounds the time and memory of a diff to a few MB whatever the size of the texts
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Finds the shortest sequence of line removals and additions turning `a` into `b` (Myers' algorithm),
+ * trying at most `maxEdits` edits.
+ * @param {string[]} a - The original lines.
+ * @param {string[]} b - The changed lines.
+ * @param {number} maxEdits - The most edits to try.
+ * @returns {Array<{ type: "equal"|"removed"|"added", value: string }>|null} The diff operations,
+ *   or null if more edits are needed.
+ */
+const shortestEdit = (a, b, maxEdits) => {
+  const max = Math.min(a.length + b.length, maxEdits);
+  const offset = max + 1;
+  // v[offset + k] = furthest x reached on diagonal k (x - y = k); one copy is kept per step to walk back
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  // Whether the furthest path on diagonal k comes from diagonal k + 1 (an addition) rather than k - 1
+  const fromAbove = (vd, d, k) =>
+    k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1]);
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = fromAbove(v, d, k) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        // Walk back from the end through the saved steps
+        const ops = [];
+        for (let step = d; step > 0; step--) {
+          const prevK = fromAbove(trace[step], step, x - y)
+            ? x - y + 1
+            : x - y - 1;
+          const prevX = trace[step][offset + prevK];
+          const prevY = prevX - prevK;
+          while (x > prevX && y > prevY) {
+            ops.push({ type: "equal", value: a[--x] });
+            y--;
+          }
+          if (x === prevX) {
+            ops.push({ type: "added", value: b[--y] });
+          } else {
+            ops.push({ type: "removed", value: a[--x] });
+          }
+        }
+        while (x > 0) {
+          ops.push({ type: "equal", value: a[--x] });
+        }
+        return ops.reverse();
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Computes a line-based diff between two texts. Lines both texts start or end with are matched first;
+ * the lines in between are compared with Myers' algorithm, or shown as removed and added as a whole
+ * if they differ in more than MAX_EDIT_DISTANCE lines.
+ * @param {string} [oldText=""] - The original text.
+ * @param {string} [newText=""] - The changed text.
+ * @returns {Array<{ type: "equal"|"removed"|"added", value: string }>} The diff operations, one per line, in order.
+ */
+const diffLines = (oldText = "", newText = "") => {
+  const a = String(oldText || "").split("\n");
+  const b = String(newText || "").split("\n");
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const equal = (value) => ({ type: "equal", value });
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const middle = shortestEdit(oldMiddle, newMiddle, MAX_EDIT_DISTANCE) || [
+    ...oldMiddle.map((value) => ({ type: "removed", value })),
+    ...newMiddle.map((value) => ({ type: "added", value })),
+  ];
+
+  return [
+    ...a.slice(0, prefix).map(equal),
+    ...middle,
+    ...a.slice(a.length - suffix).map(equal),
+  ];
+};
+
+/**
+ * Compares two snapshots field by field.
+ * @param {Object} from - The older snapshot.
+ * @param {Object} to - The newer snapshot.
+ * @param {string[]} fields - The fields to compare.
+ * @param {string[]} [multilineFields=["content"]] - Fields that get a line-based diff instead of a before/after pair.
+ * @returns {Object<string, { from: string, to: string, lines?: Array }>} Changed fields only, keyed by field name.
+ */
+const diffSnapshots = (from, to, fields, multilineFields = ["content"]) => {
+  const changes = {};
+  fields.forEach((field) => {
+    const before = from[field] ?? "";
+    const after = to[field] ?? "";
+    if (before === after) return;
+
+    changes[field] = { from: before, to: after };
+    if (multilineFields.includes(field)) {
+      changes[field].lines = diffLines(before, after);
+    }
+  });
+  return changes;
+};
+
+module.exports = { diffLines, diffSnapshots };
@@ -0,0 +1,135 @@
+const Blog = require("../models/Blog");
+const BlogRevision = require("../models/BlogRevision");
+const Comment = require("../models/Comment");
+const Reaction = require("../models/Reaction");
+const Bookmark = require("../models/Bookmark");
+const Notification = require("../models/Notification");
+const ReadingList = require("../models/ReadingList");
+const Report = require("../models/Report");
+
+/**
+ * Trash for deleted blog posts.
+ *
+ * Deleting a post only moves it to the trash (see `Blog.deletedAt`), where its author can restore it
+ * or delete it permanently. Posts left in the trash longer than the retention period are purged by an
+ * in-process timer, which also runs once on startup to catch up on posts that expired while the server was down.
+ */
+
+// How often the trash is checked for expired posts
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @type {NodeJS.Timeout|null} The purge timer, while running. */
+let timer = null;
+
+/**
+ * Returns how long trashed posts are kept before they are purged: TRASH_RETENTION_DAYS if configured, 30 by default.
+ * @returns {number} The retention period in days.
+ */
+const getTrashRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+};
+
+/**
+ * Returns when a trashed post will be purged.
+ * @param {Date} deletedAt - When the post was moved to the trash.
+ * @returns {Date} The purge date.
+ */
+const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + getTrashRetentionDays() * DAY_MS);
+
+/**
+ * Permanently deletes trashed posts along with their revisions, comments, reactions, bookmarks,
+ * notifications and the reports of the posts and their comments, and removes them from reading lists.
+ * Posts that are not in the trash are left alone.
+ * @async
+ * @param {Array<import('mongoose').Types.ObjectId|string>} blogIds - The IDs of the posts.
+ * @returns {Promise<number>} The number of posts deleted.
+ */
+const deleteBlogsPermanently = async (blogIds) => {
+  const trashed = await Blog.find({
+    _id: { $in: blogIds },
+    deletedAt: { $ne: null },
+  }).distinct("_id");
+  if (trashed.length === 0) return 0;
+
+  const filter = { blogId: { $in: trashed } };
+  const commentIds = await Comment.find(filter).distinct("_id");
+  await Blog.deleteMany({ _id: { $in: trashed }, deletedAt: { $ne: null } });
+  await BlogRevision.deleteMany(filter);
+  await Comment.deleteMany(filter);
+  await Report.deleteMany({
+    $or: [
+      { targetType: "blog", targetId: { $in: trashed } },
+      { targetType: "comment", targetId: { $in: commentIds } },
+    ],
+  });
+  await Reaction.deleteMany(filter);
+  await Bookmark.deleteMany(filter);
+  await Notification.deleteMany(filter);
+  await ReadingList.updateMany(
+    { "items.blogId": { $in: trashed } },
+    { $pull: { items: { blogId: { $in: trashed } } } }
+  );
+  return trashed.length;
+};
+
+/**
+ * Permanently deletes every post that has been in the trash longer than the retention period.
+ * @async
+ * @returns {Promise<number>} The number of posts purged.
+ */
+const purgeExpiredTrash = async () => {
+  try {
+    const cutoff = new Date(Date.now() - getTrashRetentionDays() * DAY_MS);
+    const expired = await Blog.find({ deletedAt: { $lte: cutoff } }).distinct(
+      "_id"
+    );
+    const count = await deleteBlogsPermanently(expired);
+    if (count > 0) {
+      console.log(`Purged ${count} blog post(s) from the trash`);
+    }
+    return count;
+  } catch (error) {
+    console.error("Error purging the trash:", error);
+    return 0;
+  }
+};
+
+/**
+ * Purges expired posts now and then every hour.
+ * Should be called once the database connection is established.
+ * @async
+ * @returns {Promise<number>} The number of posts purged on startup.
+ */
+const startTrashPurger = async () => {
+  stopTrashPurger();
+  timer = setInterval(purgeExpiredTrash, PURGE_INTERVAL_MS);
+  // Do not keep the process alive just for the purge timer
+  timer.unref();
+  console.log(
+    `Trash purger started (posts are kept for ${getTrashRetentionDays()} day(s))`
+  );
+  return purgeExpiredTrash();
+};
+
+/**
+ * Stops the purge timer. Used during graceful shutdown.
+ */
+const stopTrashPurger = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeDate,
+  deleteBlogsPermanently,
+  purgeExpiredTrash,
+  startTrashPurger,
+  stopTrashPurger,
+};
@@ -0,0 +1,64 @@
+// Settings are read on use, since .env is loaded after the modules are required
+
+/**
+ * Returns the name of the site, used in feed titles and page metadata: SITE_NAME if configured.
+ * @returns {string} The site name.
+ */
+const getSiteName = () => process.env.SITE_NAME || "BlogApp";
+
+/**
+ * Returns the default address of the frontend, used when SITE_URL is not configured.
+ * @returns {string} The base URL.
+ */
+const getDefaultSiteUrl = () =>
+  process.env.NODE_ENV === "production"
+    ? "https://multi-user-blogging-app.vercel.app"
+    : "http://localhost:5173";
+
+/**
+ * Returns the base URL of the frontend, where readers open posts and profiles: SITE_URL if configured.
+ * @returns {string} The base URL without a trailing slash.
+ */
+const getSiteUrl = () =>
+  (process.env.SITE_URL || getDefaultSiteUrl()).replace(/\/+$/, "");
+
+/**
+ * Returns the default address of this API, used when PUBLIC_URL is not configured.
+ * @returns {string} The base URL.
+ */
+const getDefaultPublicUrl = () =>
+  process.env.NODE_ENV === "production"
+    ? "https://multi-user-blogging-app.onrender.com"
+    : `http://localhost:${process.env.PORT || 5000}`;
+
+/**
+ * Returns the base URL this API is reached at: PUBLIC_URL if configured.
+ * Never taken from the request, since the Host header is chosen by the client and uploaded files keep their URL.
+ * @returns {string} The base URL without a trailing slash.
+ */
+const getPublicUrl = () =>
+  (process.env.PUBLIC_URL || getDefaultPublicUrl()).replace(/\/+$/, "");
+
+/**
+ * Builds the absolute frontend link to a blog post.
+ * @param {{ _id: Object, slug?: string }} blog - The blog post.
+ * @returns {string} The post's URL.
+ */
+const getBlogUrl = (blog) =>
+  `${getSiteUrl()}/blog/${encodeURIComponent(blog.slug || blog._id)}`;
+
+/**
+ * Builds the absolute frontend link to an author's public profile.
+ * @param {{ _id: Object, handle?: string }} user - The author.
+ * @returns {string} The profile's URL.
+ */
+const getAuthorUrl = (user) =>
+  `${getSiteUrl()}/author/${encodeURIComponent(user.handle || user._id)}`;
+
+module.exports = {
+  getSiteName,
+  getSiteUrl,
+  getPublicUrl,
+  getBlogUrl,
+  getAuthorUrl,
+};
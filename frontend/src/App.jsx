@@ -1,6 +1,7 @@
 import { ChakraProvider, Box } from "@chakra-ui/react";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import { AuthProvider } from "./contexts/AuthContext";
+import { RealtimeProvider } from "./contexts/RealtimeContext";
 import Navbar from "./components/Navbar";
 import HomePage from "./pages/HomePage";
 import LoginPage from "./pages/LoginPage";
@@ -10,50 +11,107 @@ import EditBlogPage from "./pages/EditBlogPage";
 import MyBlogsPage from "./pages/MyBlogsPage";
 import SingleBlogPage from "./pages/SingleBlogPage";
 import NotFoundPage from "./pages/NotFoundPage";
+import AccountSettingsPage from "./pages/AccountSettingsPage";
+import ManageCategoriesPage from "./pages/ManageCategoriesPage";
+import AdminDashboardPage from "./pages/AdminDashboardPage";
+import ModerationQueuePage from "./pages/ModerationQueuePage";
+import AuthorPage from "./pages/AuthorPage";
+import SavedPage from "./pages/SavedPage";
+import ReadingListPage from "./pages/ReadingListPage";
 import ProtectedRoute from "./components/ProtectedRoute";
+import FeedLinks from "./components/FeedLinks";
+import { getFeedLinks } from "./utils/feeds";
+
+// The site-wide feeds, advertised on every page
+const SITE_FEEDS = getFeedLinks();
 
 function App() {
   return (
     <ChakraProvider>
       <AuthProvider>
-        <Router>
-          <Box minH="100vh" bg="gray.50">
-            <Navbar />
-            <Box maxW="container.xl" mx="auto" px={4} py={8}>
-              <Routes>
-                <Route path="/" element={<HomePage />} />
-                <Route path="/login" element={<LoginPage />} />
-                <Route path="/signup" element={<SignupPage />} />
-                <Route path="/blog/:id" element={<SingleBlogPage />} />
-                <Route
-                  path="/create-blog"
-                  element={
-                    <ProtectedRoute>
-                      <CreateBlogPage />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="/edit-blog/:id"
-                  element={
-                    <ProtectedRoute>
-                      <EditBlogPage />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="/my-blogs"
-                  element={
-                    <ProtectedRoute>
-                      <MyBlogsPage />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route path="*" element={<NotFoundPage />} />
-              </Routes>
+        <RealtimeProvider>
+          <Router>
+            <Box minH="100vh" bg="gray.50">
+              <FeedLinks feeds={SITE_FEEDS} />
+              <Navbar />
+              <Box maxW="container.xl" mx="auto" px={4} py={8}>
+                <Routes>
+                  <Route path="/" element={<HomePage />} />
+                  <Route path="/login" element={<LoginPage />} />
+                  <Route path="/signup" element={<SignupPage />} />
+                  <Route path="/blog/:slug" element={<SingleBlogPage />} />
+                  <Route path="/author/:handle" element={<AuthorPage />} />
+                  <Route path="/lists/:id" element={<ReadingListPage />} />
+                  <Route
+                    path="/create-blog"
+                    element={
+                      <ProtectedRoute roles={["author", "moderator", "admin"]}>
+                        <CreateBlogPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/edit-blog/:id"
+                    element={
+                      <ProtectedRoute>
+                        <EditBlogPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/my-blogs"
+                    element={
+                      <ProtectedRoute>
+                        <MyBlogsPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/saved"
+                    element={
+                      <ProtectedRoute>
+                        <SavedPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/settings"
+                    element={
+                      <ProtectedRoute>
+                        <AccountSettingsPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/admin"
+                    element={
+                      <ProtectedRoute roles={["admin"]}>
+                        <AdminDashboardPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/admin/categories"
+                    element={
+                      <ProtectedRoute roles={["admin"]}>
+                        <ManageCategoriesPage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/moderation"
+                    element={
+                      <ProtectedRoute roles={["moderator", "admin"]}>
+                        <ModerationQueuePage />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route path="*" element={<NotFoundPage />} />
+                </Routes>
+              </Box>
             </Box>
-          </Box>
-        </Router>
+          </Router>
+        </RealtimeProvider>
       </AuthProvider>
     </ChakraProvider>
   );
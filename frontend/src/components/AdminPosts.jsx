@@ -0,0 +1,299 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  HStack,
+  Input,
+  Select,
+  Button,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Badge,
+  Link,
+  Text,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  useToast,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import adminService from "../services/adminService";
+import { BLOG_STATUSES, getStatusInfo } from "../utils/blogStatus";
+import { getAuthorPath } from "../utils/authors";
+
+// Number of posts per page
+const POSTS_PER_PAGE = 20;
+
+/**
+ * @component AdminPosts
+ * @description The admin dashboard's post search: find posts of every author and status by title or
+ * author name, and unpublish (turn back into a draft) or delete them.
+ * @returns {React.ReactElement} The post search.
+ */
+const AdminPosts = () => {
+  const [filters, setFilters] = useState({ q: "", status: "all" });
+  const [search, setSearch] = useState(""); // Text typed in the search box, applied on submit
+  const [page, setPage] = useState(1);
+  const [postsData, setPostsData] = useState({ blogs: [], pages: 1, count: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const toast = useToast();
+
+  /**
+   * @function fetchPosts
+   * @description Loads the current page of posts matching the filters.
+   */
+  const fetchPosts = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = { page, limit: POSTS_PER_PAGE, status: filters.status };
+      if (filters.q) params.q = filters.q;
+      setPostsData(await adminService.getPosts(params));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchPosts();
+  }, [fetchPosts]);
+
+  /**
+   * @function updateFilters
+   * @description Changes filters and goes back to the first page.
+   * @param {object} changes - The changed filters.
+   */
+  const updateFilters = (changes) => {
+    setFilters((prev) => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  /**
+   * @function runAction
+   * @description Runs a change to a post, updates the table and shows the outcome in a toast.
+   * @param {object} blog - The post being changed.
+   * @param {function(): Promise<object|null>} action - The change to run; resolves to the updated post,
+   *   or null if it was deleted.
+   * @param {string} successTitle - Toast title on success.
+   */
+  const runAction = async (blog, action, successTitle) => {
+    setSavingId(blog._id);
+    try {
+      const updated = await action();
+      setPostsData((prev) => ({
+        ...prev,
+        blogs: updated
+          ? prev.blogs.map((b) =>
+              b._id === updated._id ? { ...b, status: updated.status } : b
+            )
+          : prev.blogs.filter((b) => b._id !== blog._id),
+        count: updated ? prev.count : prev.count - 1,
+      }));
+      toast({
+        title: successTitle,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Error",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  /**
+   * @function handleDelete
+   * @description Moves a post to the trash after confirmation.
+   * @param {object} blog - The post to delete.
+   */
+  const handleDelete = (blog) => {
+    if (
+      !window.confirm(
+        `Delete "${blog.title}" by ${blog.authorName}? It is moved to the trash and its author cannot restore it.`
+      )
+    )
+      return;
+    runAction(
+      blog,
+      async () => {
+        await adminService.deletePost(blog._id);
+        return null;
+      },
+      "Post moved to the trash"
+    );
+  };
+
+  return (
+    <Box>
+      <HStack
+        as="form"
+        spacing={3}
+        mb={4}
+        wrap="wrap"
+        onSubmit={(e) => {
+          e.preventDefault();
+          updateFilters({ q: search.trim() });
+        }}
+      >
+        <Input
+          placeholder="Search by title or author"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          maxLength={200}
+          maxW="320px"
+        />
+        <Button type="submit" colorScheme="teal">
+          Search
+        </Button>
+        <Select
+          aria-label="Status"
+          value={filters.status}
+          onChange={(e) => updateFilters({ status: e.target.value })}
+          maxW="180px"
+        >
+          <option value="all">All statuses</option>
+          {BLOG_STATUSES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </Select>
+      </HStack>
+
+      {error && (
+        <Alert status="error" mb={4}>
+          <AlertIcon />
+          {error}
+        </Alert>
+      )}
+
+      {isLoading && postsData.blogs.length === 0 ? (
+        <Center h="30vh">
+          <Spinner size="xl" color="teal.500" />
+        </Center>
+      ) : postsData.blogs.length === 0 ? (
+        <Text color="gray.500">No posts found.</Text>
+      ) : (
+        <Box overflowX="auto">
+          <Table size="sm">
+            <Thead>
+              <Tr>
+                <Th>Title</Th>
+                <Th>Author</Th>
+                <Th>Category</Th>
+                <Th>Status</Th>
+                <Th>Created</Th>
+                <Th />
+              </Tr>
+            </Thead>
+            <Tbody>
+              {postsData.blogs.map((blog) => {
+                const statusInfo = getStatusInfo(
+                  blog.status,
+                  blog.scheduledFor
+                );
+                const isViewable = ["published", "unlisted"].includes(
+                  statusInfo.value
+                );
+                return (
+                  <Tr key={blog._id}>
+                    <Td>
+                      <Link
+                        as={RouterLink}
+                        to={`/blog/${blog.slug || blog._id}`}
+                        fontWeight="bold"
+                        color="teal.600"
+                      >
+                        {blog.title}
+                      </Link>
+                    </Td>
+                    <Td>
+                      <Link as={RouterLink} to={getAuthorPath(blog.userId)}>
+                        {blog.authorName}
+                      </Link>
+                    </Td>
+                    <Td>{blog.category}</Td>
+                    <Td>
+                      <Badge colorScheme={statusInfo.colorScheme}>
+                        {statusInfo.label}
+                      </Badge>
+                    </Td>
+                    <Td>{new Date(blog.createdAt).toLocaleDateString()}</Td>
+                    <Td>
+                      <HStack justify="flex-end">
+                        {isViewable && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            colorScheme="orange"
+                            onClick={() =>
+                              runAction(
+                                blog,
+                                () => adminService.unpublishPost(blog._id),
+                                "Post unpublished"
+                              )
+                            }
+                            isLoading={savingId === blog._id}
+                            isDisabled={savingId !== null}
+                          >
+                            Unpublish
+                          </Button>
+                        )}
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          colorScheme="red"
+                          onClick={() => handleDelete(blog)}
+                          isDisabled={savingId !== null}
+                        >
+                          Delete
+                        </Button>
+                      </HStack>
+                    </Td>
+                  </Tr>
+                );
+              })}
+            </Tbody>
+          </Table>
+        </Box>
+      )}
+
+      {postsData.pages > 1 && (
+        <HStack justifyContent="center" mt={6} spacing={4}>
+          <Button
+            onClick={() => setPage((p) => p - 1)}
+            isDisabled={page <= 1 || isLoading}
+          >
+            Previous
+          </Button>
+          <Text>
+            Page {page} of {postsData.pages}
+          </Text>
+          <Button
+            onClick={() => setPage((p) => p + 1)}
+            isDisabled={page >= postsData.pages || isLoading}
+          >
+            Next
+          </Button>
+        </HStack>
+      )}
+    </Box>
+  );
+};
+
+export default AdminPosts;
@@ -0,0 +1,206 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Heading,
+  SimpleGrid,
+  Stat,
+  StatLabel,
+  StatNumber,
+  StatHelpText,
+  HStack,
+  Text,
+  Tooltip,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Link,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import adminService from "../services/adminService";
+import { getAuthorPath } from "../utils/authors";
+
+/**
+ * @component BarChart
+ * @description A minimal bar chart of a date series, with each bar's date and count in a tooltip.
+ * @param {object} props - The component props.
+ * @param {Array<{ date: string, count: number }>} props.data - The series, oldest first.
+ * @param {string} props.label - What is counted, for tooltips (e.g. "posts").
+ * @returns {React.ReactElement} The chart.
+ */
+const BarChart = ({ data, label }) => {
+  const max = Math.max(1, ...data.map((point) => point.count));
+  return (
+    <Box>
+      <HStack align="flex-end" spacing="2px" h="120px">
+        {data.map((point) => (
+          <Tooltip
+            key={point.date}
+            label={`${point.date}: ${point.count} ${label}`}
+            hasArrow
+          >
+            <Box
+              flex={1}
+              minH="2px"
+              h={`${(point.count / max) * 100}%`}
+              bg={point.count > 0 ? "teal.400" : "gray.200"}
+              borderTopRadius="sm"
+            />
+          </Tooltip>
+        ))}
+      </HStack>
+      <HStack justify="space-between" mt={1}>
+        <Text fontSize="xs" color="gray.500">
+          {data[0]?.date}
+        </Text>
+        <Text fontSize="xs" color="gray.500">
+          {data[data.length - 1]?.date}
+        </Text>
+      </HStack>
+    </Box>
+  );
+};
+
+/**
+ * @component AdminStats
+ * @description Site statistics for the admin dashboard: totals, new posts per day over the last 30 days,
+ * signups per week over the last 12 weeks and the categories and authors with the most published posts.
+ * @returns {React.ReactElement} The statistics.
+ */
+const AdminStats = () => {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    adminService
+      .getStats()
+      .then((data) => {
+        if (!cancelled) setStats(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (error) {
+    return (
+      <Alert status="error">
+        <AlertIcon />
+        {error}
+      </Alert>
+    );
+  }
+
+  if (!stats) {
+    return (
+      <Center h="40vh">
+        <Spinner size="xl" color="teal.500" />
+      </Center>
+    );
+  }
+
+  const { totals } = stats;
+
+  return (
+    <Box>
+      <SimpleGrid columns={{ base: 1, sm: 3 }} spacing={4} mb={8}>
+        <Stat borderWidth={1} borderRadius="md" p={4}>
+          <StatLabel>Users</StatLabel>
+          <StatNumber>{totals.users}</StatNumber>
+        </Stat>
+        <Stat borderWidth={1} borderRadius="md" p={4}>
+          <StatLabel>Posts</StatLabel>
+          <StatNumber>{totals.posts}</StatNumber>
+          <StatHelpText>
+            {totals.postsByStatus.published} published &middot;{" "}
+            {totals.postsByStatus.draft} drafts
+          </StatHelpText>
+        </Stat>
+        <Stat borderWidth={1} borderRadius="md" p={4}>
+          <StatLabel>Comments</StatLabel>
+          <StatNumber>{totals.comments}</StatNumber>
+        </Stat>
+      </SimpleGrid>
+
+      <SimpleGrid columns={{ base: 1, md: 2 }} spacing={8} mb={8}>
+        <Box>
+          <Heading as="h3" size="sm" mb={3}>
+            New posts per day
+          </Heading>
+          <BarChart data={stats.postsPerDay} label="posts" />
+        </Box>
+        <Box>
+          <Heading as="h3" size="sm" mb={3}>
+            Signups per week
+          </Heading>
+          <BarChart data={stats.signupsPerWeek} label="signups" />
+        </Box>
+      </SimpleGrid>
+
+      <SimpleGrid columns={{ base: 1, md: 2 }} spacing={8}>
+        <Box>
+          <Heading as="h3" size="sm" mb={3}>
+            Top categories
+          </Heading>
+          <Table size="sm">
+            <Thead>
+              <Tr>
+                <Th>Category</Th>
+                <Th isNumeric>Published posts</Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {stats.topCategories.map(({ category, postCount }) => (
+                <Tr key={category}>
+                  <Td>{category}</Td>
+                  <Td isNumeric>{postCount}</Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </Box>
+        <Box>
+          <Heading as="h3" size="sm" mb={3}>
+            Top authors
+          </Heading>
+          <Table size="sm">
+            <Thead>
+              <Tr>
+                <Th>Author</Th>
+                <Th isNumeric>Published posts</Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {stats.topAuthors.map((author) => (
+                <Tr key={author._id}>
+                  <Td>
+                    <Link
+                      as={RouterLink}
+                      to={getAuthorPath(author.handle || author._id)}
+                      color="teal.600"
+                    >
+                      {author.name}
+                    </Link>
+                  </Td>
+                  <Td isNumeric>{author.postCount}</Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </Box>
+      </SimpleGrid>
+    </Box>
+  );
+};
+
+export default AdminStats;
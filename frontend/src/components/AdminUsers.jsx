@@ -0,0 +1,444 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  HStack,
+  VStack,
+  Input,
+  Select,
+  Button,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Badge,
+  Link,
+  Text,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  FormControl,
+  FormLabel,
+  NumberInput,
+  NumberInputField,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  useToast,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import adminService from "../services/adminService";
+import { useAuth } from "../contexts/AuthContext";
+import { ROLES, getRoleInfo } from "../utils/roles";
+import { ACCOUNT_STATUSES, getAccountStatusInfo } from "../utils/accountStatus";
+import { getAuthorPath } from "../utils/authors";
+
+// Number of users per page
+const USERS_PER_PAGE = 20;
+
+/**
+ * @component SuspendDialog
+ * @description Asks for the length (suspensions only) and reason of a suspension or ban.
+ * @param {object} props - The component props.
+ * @param {object|null} props.target - `{ user, action }` with action "suspend" or "ban", or null when closed.
+ * @param {boolean} props.isSaving - Whether the change is being saved.
+ * @param {function(): void} props.onClose - Called when the dialog should close.
+ * @param {function({ days: number, reason: string }): void} props.onConfirm - Called with the entered values.
+ * @returns {React.ReactElement} The dialog.
+ */
+const SuspendDialog = ({ target, isSaving, onClose, onConfirm }) => {
+  const [days, setDays] = useState(7);
+  const [reason, setReason] = useState("");
+  const isBan = target?.action === "ban";
+
+  // Start from the defaults every time the dialog opens
+  useEffect(() => {
+    if (target) {
+      setDays(7);
+      setReason("");
+    }
+  }, [target]);
+
+  return (
+    <Modal isOpen={!!target} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>
+          {isBan ? "Ban" : "Suspend"} {target?.user.name}
+        </ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4}>
+            {!isBan && (
+              <FormControl isRequired>
+                <FormLabel>Days</FormLabel>
+                <NumberInput
+                  min={1}
+                  max={365}
+                  value={days}
+                  onChange={(_, value) => setDays(value)}
+                >
+                  <NumberInputField />
+                </NumberInput>
+              </FormControl>
+            )}
+            <FormControl>
+              <FormLabel>Reason</FormLabel>
+              <Input
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                maxLength={500}
+                placeholder="Shown to the user when they try to log in"
+              />
+            </FormControl>
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button mr={3} onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            colorScheme="red"
+            onClick={() => onConfirm({ days, reason })}
+            isLoading={isSaving}
+            isDisabled={!isBan && !(days >= 1 && days <= 365)}
+          >
+            {isBan ? "Ban" : "Suspend"}
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+/**
+ * @component AdminUsers
+ * @description The admin dashboard's user search: find users by name, email or handle, filter by role and
+ * account status, and suspend, ban or reinstate them. Admins cannot suspend themselves or other admins.
+ * @returns {React.ReactElement} The user search.
+ */
+const AdminUsers = () => {
+  const { user: currentUser } = useAuth();
+  const [filters, setFilters] = useState({ q: "", role: "", status: "" });
+  const [search, setSearch] = useState(""); // Text typed in the search box, applied on submit
+  const [page, setPage] = useState(1);
+  const [usersData, setUsersData] = useState({ users: [], pages: 1, count: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogTarget, setDialogTarget] = useState(null); // `{ user, action }` while the dialog is open
+  const [savingId, setSavingId] = useState(null);
+  const toast = useToast();
+
+  /**
+   * @function fetchUsers
+   * @description Loads the current page of users matching the filters.
+   */
+  const fetchUsers = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = { page, limit: USERS_PER_PAGE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      setUsersData(await adminService.getUsers(params));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  /**
+   * @function updateFilters
+   * @description Changes filters and goes back to the first page.
+   * @param {object} changes - The changed filters.
+   */
+  const updateFilters = (changes) => {
+    setFilters((prev) => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  /**
+   * @function runAction
+   * @description Runs a suspension change, replaces the user in the table and shows the outcome in a toast.
+   * @param {object} user - The user being changed.
+   * @param {function(): Promise<object>} action - The change to run; resolves to the updated user.
+   * @param {string} successTitle - Toast title on success.
+   */
+  const runAction = async (user, action, successTitle) => {
+    setSavingId(user._id);
+    try {
+      const updated = await action();
+      setUsersData((prev) => ({
+        ...prev,
+        users: prev.users.map((u) =>
+          u._id === updated._id ? { ...updated, postCount: u.postCount } : u
+        ),
+      }));
+      setDialogTarget(null);
+      toast({
+        title: successTitle,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Error",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  /**
+   * @function handleConfirm
+   * @description Suspends or bans the user the dialog is open for.
+   * @param {{ days: number, reason: string }} values - The values entered in the dialog.
+   */
+  const handleConfirm = ({ days, reason }) => {
+    const { user, action } = dialogTarget;
+    if (action === "ban") {
+      runAction(
+        user,
+        () => adminService.banUser(user._id, reason),
+        `${user.name} was banned`
+      );
+    } else {
+      runAction(
+        user,
+        () => adminService.suspendUser(user._id, { days, reason }),
+        `${user.name} was suspended for ${days} day${days === 1 ? "" : "s"}`
+      );
+    }
+  };
+
+  return (
+    <Box>
+      <HStack
+        as="form"
+        spacing={3}
+        mb={4}
+        wrap="wrap"
+        onSubmit={(e) => {
+          e.preventDefault();
+          updateFilters({ q: search.trim() });
+        }}
+      >
+        <Input
+          placeholder="Search by name, email or handle"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          maxLength={200}
+          maxW="320px"
+        />
+        <Button type="submit" colorScheme="teal">
+          Search
+        </Button>
+        <Select
+          aria-label="Role"
+          value={filters.role}
+          onChange={(e) => updateFilters({ role: e.target.value })}
+          maxW="180px"
+        >
+          <option value="">All roles</option>
+          {ROLES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </Select>
+        <Select
+          aria-label="Account status"
+          value={filters.status}
+          onChange={(e) => updateFilters({ status: e.target.value })}
+          maxW="180px"
+        >
+          <option value="">All statuses</option>
+          {ACCOUNT_STATUSES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </Select>
+      </HStack>
+
+      {error && (
+        <Alert status="error" mb={4}>
+          <AlertIcon />
+          {error}
+        </Alert>
+      )}
+
+      {isLoading && usersData.users.length === 0 ? (
+        <Center h="30vh">
+          <Spinner size="xl" color="teal.500" />
+        </Center>
+      ) : usersData.users.length === 0 ? (
+        <Text color="gray.500">No users found.</Text>
+      ) : (
+        <Box overflowX="auto">
+          <Table size="sm">
+            <Thead>
+              <Tr>
+                <Th>Name</Th>
+                <Th>Email</Th>
+                <Th>Role</Th>
+                <Th>Status</Th>
+                <Th isNumeric>Posts</Th>
+                <Th />
+              </Tr>
+            </Thead>
+            <Tbody>
+              {usersData.users.map((user) => {
+                const roleInfo = getRoleInfo(user.role);
+                const statusInfo = getAccountStatusInfo(user.accountStatus);
+                const isSelf = user._id === currentUser?._id;
+                // Admins have to be demoted before they can be suspended, but a suspended user
+                // promoted since can still be reinstated
+                const canSuspend =
+                  user.accountStatus === "active" &&
+                  user.role !== "admin" &&
+                  !isSelf;
+                const canReinstate = user.accountStatus !== "active" && !isSelf;
+                return (
+                  <Tr key={user._id}>
+                    <Td>
+                      <Link
+                        as={RouterLink}
+                        to={getAuthorPath(user.handle || user._id)}
+                        fontWeight="bold"
+                        color="teal.600"
+                      >
+                        {user.name}
+                      </Link>
+                      <Text fontSize="xs" color="gray.500">
+                        @{user.handle}
+                      </Text>
+                    </Td>
+                    <Td>{user.email}</Td>
+                    <Td>
+                      <Badge colorScheme={roleInfo.colorScheme}>
+                        {roleInfo.label}
+                      </Badge>
+                    </Td>
+                    <Td>
+                      <Badge colorScheme={statusInfo.colorScheme}>
+                        {statusInfo.label}
+                      </Badge>
+                      {user.accountStatus === "suspended" && (
+                        <Text fontSize="xs" color="gray.500">
+                          until{" "}
+                          {new Date(user.suspendedUntil).toLocaleDateString()}
+                        </Text>
+                      )}
+                      {user.suspensionReason && (
+                        <Text fontSize="xs" color="gray.500">
+                          {user.suspensionReason}
+                        </Text>
+                      )}
+                    </Td>
+                    <Td isNumeric>{user.postCount}</Td>
+                    <Td>
+                      {(canSuspend || canReinstate) && (
+                        <HStack justify="flex-end">
+                          {canSuspend ? (
+                            <>
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                colorScheme="orange"
+                                onClick={() =>
+                                  setDialogTarget({ user, action: "suspend" })
+                                }
+                                isDisabled={savingId !== null}
+                              >
+                                Suspend
+                              </Button>
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                colorScheme="red"
+                                onClick={() =>
+                                  setDialogTarget({ user, action: "ban" })
+                                }
+                                isDisabled={savingId !== null}
+                              >
+                                Ban
+                              </Button>
+                            </>
+                          ) : (
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              colorScheme="teal"
+                              onClick={() =>
+                                runAction(
+                                  user,
+                                  () => adminService.unsuspendUser(user._id),
+                                  `${user.name} was reinstated`
+                                )
+                              }
+                              isLoading={savingId === user._id}
+                              isDisabled={savingId !== null}
+                            >
+                              Reinstate
+                            </Button>
+                          )}
+                        </HStack>
+                      )}
+                    </Td>
+                  </Tr>
+                );
+              })}
+            </Tbody>
+          </Table>
+        </Box>
+      )}
+
+      {usersData.pages > 1 && (
+        <HStack justifyContent="center" mt={6} spacing={4}>
+          <Button
+            onClick={() => setPage((p) => p - 1)}
+            isDisabled={page <= 1 || isLoading}
+          >
+            Previous
+          </Button>
+          <Text>
+            Page {page} of {usersData.pages}
+          </Text>
+          <Button
+            onClick={() => setPage((p) => p + 1)}
+            isDisabled={page >= usersData.pages || isLoading}
+          >
+            Next
+          </Button>
+        </HStack>
+      )}
+
+      <SuspendDialog
+        target={dialogTarget}
+        isSaving={savingId !== null}
+        onClose={() => setDialogTarget(null)}
+        onConfirm={handleConfirm}
+      />
+    </Box>
+  );
+};
+
+export default AdminUsers;
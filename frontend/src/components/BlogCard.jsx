@@ -9,10 +9,18 @@ import {
   HStack,
   LinkBox,
   LinkOverlay,
+  Link,
   Button,
   AspectRatio,
+  Badge,
 } from "@chakra-ui/react";
 import { Link as RouterLink } from "react-router-dom";
+import { getStatusInfo } from "../utils/blogStatus";
+import { getAuthorPath } from "../utils/authors";
+import HighlightedText from "./HighlightedText";
+import TagList from "./TagList";
+import ReactionBar from "./ReactionBar";
+import BookmarkButton from "./BookmarkButton";
 
 /**
  * @function formatDate
@@ -29,16 +37,33 @@ const formatDate = (dateString) => {
   });
 };
 
+/**
+ * @function stripMarkdown
+ * @description Removes common Markdown syntax so the source reads as plain text.
+ * @param {string} markdown - The Markdown source.
+ * @returns {string} The plain text.
+ */
+const stripMarkdown = (markdown) =>
+  markdown
+    .replace(/```[\s\S]*?```/g, " ") // Code blocks
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1") // Images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1") // Links
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "") // Headings, quotes, list markers
+    .replace(/[*_~`]/g, "") // Emphasis and inline code
+    .replace(/\s+/g, " ")
+    .trim();
+
 /**
  * @function createSnippet
- * @description Creates a short snippet from a given text, truncated to a maximum length and appended with "...".
+ * @description Creates a short plain-text snippet from Markdown content, truncated to a maximum length and appended with "...".
  * Tries to truncate at the last space before the maxLength to avoid cutting words.
- * @param {string} text - The text to create a snippet from.
+ * @param {string} markdown - The Markdown content to create a snippet from.
  * @param {number} [maxLength=100] - The maximum length of the snippet before appending "...".
  * @returns {string} The generated snippet or an empty string if input text is null/undefined.
  */
-const createSnippet = (text, maxLength = 100) => {
-  if (!text) return "";
+const createSnippet = (markdown, maxLength = 100) => {
+  if (!markdown) return "";
+  const text = stripMarkdown(markdown);
   if (text.length <= maxLength) return text;
   return text.substring(0, text.lastIndexOf(" ", maxLength)) + "...";
 };
@@ -46,15 +71,22 @@ const createSnippet = (text, maxLength = 100) => {
 /**
  * @component BlogCard
  * @description A reusable UI component to display a summary of a blog post.
- * It shows the blog's image (if available), title, category, author, publication date, and a content snippet.
- * Includes a "Read More" button that links to the full blog post page.
+ * It shows the blog's image (if available), title, category, status badge (when not published), author (linked to their profile), publication date, a content snippet, tags
+ * and reaction buttons.
+ * Includes a "Read More" button that links to the full blog post page and a bookmark toggle.
+ * Search results come with `highlights`, which replace the title and snippet with the matching terms marked.
  * @param {object} props - The component props.
- * @param {object} props.blog - The blog post object containing details like title, image, category, authorName, createdAt, content, and _id.
+ * @param {object} props.blog - The blog post object containing details like title, image, category, authorName, createdAt, content, slug, _id, and (for search results) highlights.
+ * @param {Function} [props.onBookmarkChange] - Called with the new bookmark state when the user saves or unsaves the post.
  * @returns {React.ReactElement|null} The BlogCard component or null if no blog data is provided.
  */
-const BlogCard = ({ blog }) => {
+const BlogCard = ({ blog, onBookmarkChange }) => {
   if (!blog) return null;
 
+  const statusInfo = getStatusInfo(blog.status, blog.scheduledFor);
+  // Posts created before slugs existed are linked by ID; the backend redirects those once they get a slug
+  const blogPath = `/blog/${blog.slug || blog._id}`;
+
   return (
     <LinkBox
       as="article"
@@ -73,8 +105,12 @@ const BlogCard = ({ blog }) => {
       )}
       <VStack p={5} align="start" spacing={3}>
         <Heading as="h3" size="md" noOfLines={2}>
-          <LinkOverlay as={RouterLink} to={`/blog/${blog._id}`}>
-            {blog.title || "Untitled Blog Post"}
+          <LinkOverlay as={RouterLink} to={blogPath}>
+            {blog.highlights ? (
+              <HighlightedText segments={blog.highlights.title} />
+            ) : (
+              blog.title || "Untitled Blog Post"
+            )}
           </LinkOverlay>
         </Heading>
 
@@ -82,29 +118,65 @@ const BlogCard = ({ blog }) => {
           <Tag size="sm" colorScheme="teal" variant="solid">
             {blog.category || "Uncategorized"}
           </Tag>
+          {statusInfo.value !== "published" && (
+            <Badge colorScheme={statusInfo.colorScheme}>
+              {statusInfo.label}
+            </Badge>
+          )}
           <Text fontSize="sm" color="gray.600">
-            By {blog.authorName || "Unknown Author"}
+            By{" "}
+            <Link
+              as={RouterLink}
+              to={getAuthorPath(blog.userId)}
+              color="teal.600"
+            >
+              {blog.authorName || "Unknown Author"}
+            </Link>
           </Text>
         </HStack>
 
         <Text fontSize="sm" color="gray.500">
-          Published on {formatDate(blog.createdAt)}
+          {blog.status === "draft" ? "Created on" : "Published on"}{" "}
+          {formatDate(blog.publishedAt || blog.createdAt)}
+          {blog.commentCount > 0 &&
+            ` · ${blog.commentCount} comment${blog.commentCount === 1 ? "" : "s"}`}
         </Text>
 
+        {blog.status === "draft" && blog.scheduledFor && (
+          <Text fontSize="sm" color="blue.600">
+            Scheduled for {formatDate(blog.scheduledFor)}
+          </Text>
+        )}
+
         <Text fontSize="md" noOfLines={3} color="gray.700">
-          {createSnippet(blog.content, 150)}
+          {blog.highlights ? (
+            <HighlightedText segments={blog.highlights.snippet} />
+          ) : (
+            createSnippet(blog.content, 150)
+          )}
         </Text>
 
-        <Button
-          as={RouterLink}
-          to={`/blog/${blog._id}`}
-          colorScheme="teal"
-          variant="outline"
-          size="sm"
-          alignSelf="flex-start"
-        >
-          Read More
-        </Button>
+        <TagList tags={blog.tags} />
+
+        {/* Raised above the card's link overlay so the buttons stay clickable */}
+        <Box position="relative" zIndex={1}>
+          <ReactionBar blog={blog} size="xs" />
+        </Box>
+
+        <HStack spacing={2}>
+          <Button
+            as={RouterLink}
+            to={blogPath}
+            colorScheme="teal"
+            variant="outline"
+            size="sm"
+          >
+            Read More
+          </Button>
+          <Box position="relative" zIndex={1}>
+            <BookmarkButton blog={blog} onChange={onBookmarkChange} />
+          </Box>
+        </HStack>
       </VStack>
     </LinkBox>
   );
@@ -0,0 +1,78 @@
+import { useState, useEffect } from "react";
+import { Button, useToast } from "@chakra-ui/react";
+import { useNavigate, useLocation } from "react-router-dom";
+import bookmarkService from "../services/bookmarkService";
+import { useAuth } from "../contexts/AuthContext";
+
+/**
+ * @component BookmarkButton
+ * @description A button saving a blog post for later or removing it from the saved posts.
+ * The state changes right away and is rolled back if the request fails.
+ * Visitors who are not logged in are sent to the login page.
+ * @param {object} props - The component props.
+ * @param {object} props.blog - The blog post (`_id` and `isBookmarked` are used).
+ * @param {string} [props.size="sm"] - The Chakra UI button size.
+ * @param {Function} [props.onChange] - Called with the new state after a successful change.
+ * @returns {React.ReactElement} The bookmark button.
+ */
+const BookmarkButton = ({ blog, size = "sm", onChange }) => {
+  const [isBookmarked, setIsBookmarked] = useState(!!blog.isBookmarked);
+  const [isSaving, setIsSaving] = useState(false);
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const toast = useToast();
+
+  // Pick up new data when the parent reloads the post
+  useEffect(() => {
+    setIsBookmarked(!!blog.isBookmarked);
+  }, [blog.isBookmarked]);
+
+  /**
+   * @function handleClick
+   * @description Bookmarks the post or removes the bookmark.
+   */
+  const handleClick = async () => {
+    if (!isAuthenticated) {
+      navigate("/login", { state: { from: location } });
+      return;
+    }
+
+    const active = !isBookmarked;
+    setIsBookmarked(active);
+    setIsSaving(true);
+    try {
+      const data = active
+        ? await bookmarkService.addBookmark(blog._id)
+        : await bookmarkService.removeBookmark(blog._id);
+      setIsBookmarked(data.isBookmarked);
+      onChange?.(data.isBookmarked);
+    } catch (err) {
+      setIsBookmarked(!active);
+      toast({
+        title: "Error Updating Bookmark",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Button
+      size={size}
+      colorScheme="teal"
+      variant={isBookmarked ? "solid" : "outline"}
+      onClick={handleClick}
+      isDisabled={isSaving}
+      aria-pressed={isBookmarked}
+    >
+      🔖 {isBookmarked ? "Saved" : "Save"}
+    </Button>
+  );
+};
+
+export default BookmarkButton;
@@ -0,0 +1,495 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Heading,
+  Text,
+  Textarea,
+  Button,
+  HStack,
+  VStack,
+  Spinner,
+  Center,
+  Link,
+  useToast,
+} from "@chakra-ui/react";
+import { Link as RouterLink, useLocation } from "react-router-dom";
+import commentService from "../services/commentService";
+import { useAuth } from "../contexts/AuthContext";
+import useRealtimeEvent from "../hooks/useRealtimeEvent";
+import { canModerate } from "../utils/roles";
+import ReportButton from "./ReportButton";
+
+/**
+ * @constant MAX_COMMENT_DEPTH
+ * @description Deepest reply level the backend accepts (top-level comments have depth 0).
+ */
+const MAX_COMMENT_DEPTH = 5;
+
+/**
+ * @function formatDate
+ * @description Formats a date string with date and time (e.g., "Jan 1, 2023, 03:45 PM").
+ * @param {string} dateString - The date string to format.
+ * @returns {string} The formatted date string.
+ */
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * @function updateInTree
+ * @description Returns a copy of a comment tree with one comment replaced by `update(comment)`.
+ * @param {Array<object>} comments - The comment tree.
+ * @param {string} id - The ID of the comment to update.
+ * @param {function(object): object} update - Produces the updated comment.
+ * @returns {Array<object>} The updated tree.
+ */
+const updateInTree = (comments, id, update) =>
+  comments.map((comment) =>
+    comment._id === id
+      ? update(comment)
+      : { ...comment, replies: updateInTree(comment.replies, id, update) }
+  );
+
+/**
+ * @function removeFromTree
+ * @description Removes a comment after it was deleted, mirroring the backend: comments with replies are
+ * blanked out, others are removed, along with blanked-out ancestors that are left without replies.
+ * @param {Array<object>} comments - The comment tree.
+ * @param {string} id - The ID of the deleted comment.
+ * @returns {Array<object>} The updated tree.
+ */
+const removeFromTree = (comments, id) =>
+  comments
+    .map((comment) => {
+      if (comment._id === id) {
+        return { ...comment, isDeleted: true, body: "", authorName: null };
+      }
+      return { ...comment, replies: removeFromTree(comment.replies, id) };
+    })
+    .filter((comment) => !comment.isDeleted || comment.replies.length > 0);
+
+/**
+ * @component CommentForm
+ * @description A textarea with submit and optional cancel buttons, used to write, reply to and edit comments.
+ * @param {object} props - The component props.
+ * @param {string} [props.initialValue=""] - The initial text.
+ * @param {string} props.submitLabel - Label of the submit button.
+ * @param {function(string): Promise<boolean>} props.onSubmit - Called with the text; resolves to true on success.
+ * @param {function(): void} [props.onCancel] - Shows a cancel button when provided.
+ * @param {boolean} [props.autoFocus] - Whether to focus the textarea on mount.
+ */
+const CommentForm = ({
+  initialValue = "",
+  submitLabel,
+  onSubmit,
+  onCancel,
+  autoFocus,
+}) => {
+  const [body, setBody] = useState(initialValue);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setIsSubmitting(true);
+    const succeeded = await onSubmit(body.trim());
+    setIsSubmitting(false);
+    if (succeeded && !initialValue) setBody("");
+  };
+
+  return (
+    <VStack as="form" onSubmit={handleSubmit} align="stretch" spacing={2}>
+      <Textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder="Write a comment..."
+        rows={3}
+        maxLength={5000}
+        autoFocus={autoFocus}
+        isDisabled={isSubmitting}
+      />
+      <HStack justifyContent="flex-end">
+        {onCancel && (
+          <Button size="sm" onClick={onCancel} isDisabled={isSubmitting}>
+            Cancel
+          </Button>
+        )}
+        <Button
+          type="submit"
+          size="sm"
+          colorScheme="teal"
+          isLoading={isSubmitting}
+          isDisabled={!body.trim()}
+        >
+          {submitLabel}
+        </Button>
+      </HStack>
+    </VStack>
+  );
+};
+
+/**
+ * @component CommentItem
+ * @description A single comment with its actions and, recursively, its replies.
+ * @param {object} props - The component props.
+ * @param {object} props.comment - The comment, with nested `replies`.
+ * @param {object} props.permissions - Who may do what: `{ userId, canDeleteAny, canReply }`
+ *   (logged-in users can also report comments they did not write).
+ * @param {function(string, string): Promise<boolean>} props.onReply - Called with the parent ID and text.
+ * @param {function(string, string): Promise<boolean>} props.onEdit - Called with the comment ID and new text.
+ * @param {function(string): void} props.onDelete - Called with the comment ID.
+ */
+const CommentItem = ({ comment, permissions, onReply, onEdit, onDelete }) => {
+  const [mode, setMode] = useState(null); // "reply", "edit" or null
+  const isOwn = permissions.userId && comment.userId === permissions.userId;
+  const canDelete = !comment.isDeleted && (isOwn || permissions.canDeleteAny);
+
+  return (
+    <Box>
+      {comment.isDeleted || comment.isHidden ? (
+        <Text color="gray.500" fontStyle="italic" py={1}>
+          {comment.isDeleted ? "[deleted]" : "[hidden by a moderator]"}
+        </Text>
+      ) : (
+        <Box>
+          <Text fontSize="sm" color="gray.600">
+            <Text as="span" fontWeight="bold" color="gray.800">
+              {comment.authorName}
+            </Text>{" "}
+            &middot; {formatDate(comment.createdAt)}
+            {comment.editedAt && " (edited)"}
+          </Text>
+          {mode === "edit" ? (
+            <Box mt={2}>
+              <CommentForm
+                initialValue={comment.body}
+                submitLabel="Save"
+                autoFocus
+                onCancel={() => setMode(null)}
+                onSubmit={async (body) => {
+                  const saved = await onEdit(comment._id, body);
+                  if (saved) setMode(null);
+                  return saved;
+                }}
+              />
+            </Box>
+          ) : (
+            <Text whiteSpace="pre-wrap" mt={1}>
+              {comment.body}
+            </Text>
+          )}
+          <HStack spacing={1} mt={1}>
+            {permissions.canReply && comment.depth < MAX_COMMENT_DEPTH && (
+              <Button
+                size="xs"
+                variant="ghost"
+                onClick={() => setMode("reply")}
+              >
+                Reply
+              </Button>
+            )}
+            {isOwn && (
+              <Button size="xs" variant="ghost" onClick={() => setMode("edit")}>
+                Edit
+              </Button>
+            )}
+            {canDelete && (
+              <Button
+                size="xs"
+                variant="ghost"
+                colorScheme="red"
+                onClick={() => onDelete(comment._id)}
+              >
+                Delete
+              </Button>
+            )}
+            {permissions.canReply && !isOwn && (
+              <ReportButton
+                targetType="comment"
+                targetId={comment._id}
+                size="xs"
+                variant="ghost"
+              />
+            )}
+          </HStack>
+        </Box>
+      )}
+
+      {mode === "reply" && (
+        <Box mt={2} pl={4}>
+          <CommentForm
+            submitLabel="Reply"
+            autoFocus
+            onCancel={() => setMode(null)}
+            onSubmit={async (body) => {
+              const posted = await onReply(comment._id, body);
+              if (posted) setMode(null);
+              return posted;
+            }}
+          />
+        </Box>
+      )}
+
+      {comment.replies.length > 0 && (
+        <VStack
+          align="stretch"
+          spacing={3}
+          mt={3}
+          pl={4}
+          borderLeftWidth={2}
+          borderColor="gray.200"
+        >
+          {comment.replies.map((reply) => (
+            <CommentItem
+              key={reply._id}
+              comment={reply}
+              permissions={permissions}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          ))}
+        </VStack>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * @component CommentSection
+ * @description The comment threads of a blog post. Logged-in users can comment and reply;
+ * comment authors can edit and delete their comments, and the post's author can delete any comment on it.
+ * Comments posted by others while the section is open are added live.
+ * @param {object} props - The component props.
+ * @param {object} props.blog - The blog post (`_id` and `userId` are used).
+ * @returns {React.ReactElement} The comment section.
+ */
+const CommentSection = ({ blog }) => {
+  const [comments, setComments] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const { user, isAuthenticated } = useAuth();
+  const location = useLocation();
+  const toast = useToast();
+
+  const permissions = {
+    userId: user?._id,
+    // Post authors, moderators and admins may remove any comment on the post
+    canDeleteAny: !!user && (user._id === blog.userId || canModerate(user)),
+    canReply: isAuthenticated,
+  };
+
+  /**
+   * @function showError
+   * @description Shows an error toast.
+   * @param {string} title - The toast title.
+   * @param {Error} err - The error.
+   */
+  const showError = useCallback(
+    (title, err) =>
+      toast({
+        title,
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      }),
+    [toast]
+  );
+
+  /**
+   * @function fetchComments
+   * @description Loads a page of comment threads. Later pages are appended.
+   * @param {number} pageToLoad - The page number to load.
+   */
+  const fetchComments = useCallback(
+    async (pageToLoad) => {
+      setIsLoading(true);
+      try {
+        const data = await commentService.getComments(blog._id, {
+          page: pageToLoad,
+        });
+        setComments((prev) =>
+          pageToLoad === 1 ? data.comments : [...prev, ...data.comments]
+        );
+        setPage(data.page);
+        setTotalPages(data.pages);
+        setTotal(data.total);
+      } catch (err) {
+        showError("Error Loading Comments", err);
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [blog._id, showError]
+  );
+
+  useEffect(() => {
+    fetchComments(1);
+  }, [fetchComments]);
+
+  // Add comments posted elsewhere; the user's own are added by handleCreate
+  useRealtimeEvent("comment:created", ({ blogId, comment }) => {
+    if (blogId !== blog._id || (user && comment.userId === user._id)) return;
+    if (comment.parentId) {
+      setComments((prev) =>
+        updateInTree(prev, comment.parentId, (parent) =>
+          parent.replies.some((reply) => reply._id === comment._id)
+            ? parent
+            : { ...parent, replies: [...parent.replies, comment] }
+        )
+      );
+    } else if (page >= totalPages) {
+      // Top-level comments are oldest first, so new ones belong after the last page
+      setComments((prev) =>
+        prev.some((c) => c._id === comment._id) ? prev : [...prev, comment]
+      );
+    }
+    setTotal((t) => t + 1);
+  });
+
+  /**
+   * @function handleCreate
+   * @description Posts a comment or reply and adds it to the tree.
+   * @param {string|null} parentId - The comment being replied to, or null for a top-level comment.
+   * @param {string} body - The comment text.
+   * @returns {Promise<boolean>} Whether the comment was posted.
+   */
+  const handleCreate = async (parentId, body) => {
+    try {
+      const created = await commentService.createComment(
+        blog._id,
+        body,
+        parentId || undefined
+      );
+      setComments((prev) =>
+        parentId
+          ? updateInTree(prev, parentId, (parent) => ({
+              ...parent,
+              replies: [...parent.replies, created],
+            }))
+          : [...prev, created]
+      );
+      setTotal((t) => t + 1);
+      return true;
+    } catch (err) {
+      showError("Error Posting Comment", err);
+      return false;
+    }
+  };
+
+  /**
+   * @function handleEdit
+   * @description Saves an edited comment.
+   * @param {string} commentId - The ID of the comment.
+   * @param {string} body - The new text.
+   * @returns {Promise<boolean>} Whether the comment was saved.
+   */
+  const handleEdit = async (commentId, body) => {
+    try {
+      const updated = await commentService.updateComment(
+        blog._id,
+        commentId,
+        body
+      );
+      setComments((prev) =>
+        updateInTree(prev, commentId, (comment) => ({
+          ...comment,
+          body: updated.body,
+          editedAt: updated.editedAt,
+        }))
+      );
+      return true;
+    } catch (err) {
+      showError("Error Updating Comment", err);
+      return false;
+    }
+  };
+
+  /**
+   * @function handleDelete
+   * @description Deletes a comment after confirmation.
+   * @param {string} commentId - The ID of the comment.
+   */
+  const handleDelete = async (commentId) => {
+    if (!window.confirm("Delete this comment?")) return;
+    try {
+      await commentService.deleteComment(blog._id, commentId);
+      setComments((prev) => removeFromTree(prev, commentId));
+      setTotal((t) => t - 1);
+    } catch (err) {
+      showError("Error Deleting Comment", err);
+    }
+  };
+
+  return (
+    <Box as="section" aria-label="Comments">
+      <Heading as="h2" size="md" mb={4}>
+        Comments ({total})
+      </Heading>
+
+      {isAuthenticated ? (
+        <Box mb={6}>
+          <CommentForm
+            submitLabel="Post Comment"
+            onSubmit={(body) => handleCreate(null, body)}
+          />
+        </Box>
+      ) : (
+        <Text mb={6} color="gray.600">
+          <Link
+            as={RouterLink}
+            to="/login"
+            state={{ from: location }}
+            color="teal.500"
+          >
+            Log in
+          </Link>{" "}
+          to join the discussion.
+        </Text>
+      )}
+
+      {isLoading && comments.length === 0 ? (
+        <Center py={6}>
+          <Spinner color="teal.500" />
+        </Center>
+      ) : comments.length === 0 ? (
+        <Text color="gray.500">No comments yet. Be the first!</Text>
+      ) : (
+        <VStack align="stretch" spacing={5}>
+          {comments.map((comment) => (
+            <CommentItem
+              key={comment._id}
+              comment={comment}
+              permissions={permissions}
+              onReply={handleCreate}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+            />
+          ))}
+        </VStack>
+      )}
+
+      {page < totalPages && (
+        <Center mt={4}>
+          <Button
+            variant="outline"
+            onClick={() => fetchComments(page + 1)}
+            isLoading={isLoading}
+          >
+            Load More Comments
+          </Button>
+        </Center>
+      )}
+    </Box>
+  );
+};
+
+export default CommentSection;
@@ -0,0 +1,28 @@
+import { useEffect } from "react";
+
+/**
+ * @component FeedLinks
+ * @description Adds `<link rel="alternate">` tags for feeds to the document head while mounted,
+ * so browsers and feed readers can discover them. Renders nothing.
+ * @param {object} props - The component props.
+ * @param {Array<{ title: string, href: string, type: string }>} props.feeds - The feeds, e.g. from `getFeedLinks`.
+ * @returns {null}
+ */
+const FeedLinks = ({ feeds }) => {
+  // Depend on the links' content, since callers usually build a new array on every render
+  const key = JSON.stringify(feeds);
+
+  useEffect(() => {
+    const elements = JSON.parse(key).map(({ title, href, type }) => {
+      const link = document.createElement("link");
+      Object.assign(link, { rel: "alternate", title, href, type });
+      document.head.appendChild(link);
+      return link;
+    });
+    return () => elements.forEach((link) => link.remove());
+  }, [key]);
+
+  return null;
+};
+
+export default FeedLinks;
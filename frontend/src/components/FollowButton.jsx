@@ -0,0 +1,92 @@
+import { useState, useEffect } from "react";
+import { Button, HStack, Text, useToast } from "@chakra-ui/react";
+import { useNavigate, useLocation } from "react-router-dom";
+import followService from "../services/followService";
+import { useAuth } from "../contexts/AuthContext";
+
+/**
+ * @component FollowButton
+ * @description A follow/unfollow button for an author with their follower count.
+ * The button is hidden on the user's own posts; visitors who are not logged in are sent to the login page.
+ * @param {object} props - The component props.
+ * @param {string} props.userId - The ID of the author.
+ * @param {string} [props.size="sm"] - The Chakra UI button size.
+ * @returns {React.ReactElement|null} The follow button, or null until the status has loaded.
+ */
+const FollowButton = ({ userId, size = "sm" }) => {
+  const [status, setStatus] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const { user, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const toast = useToast();
+
+  const isSelf = !!user && user._id === userId;
+
+  useEffect(() => {
+    let cancelled = false;
+    followService
+      .getFollowStatus(userId)
+      .then((data) => {
+        if (!cancelled) setStatus(data);
+      })
+      .catch(() => {
+        if (!cancelled) setStatus(null); // The post is still readable without it
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, isAuthenticated]);
+
+  /**
+   * @function handleClick
+   * @description Follows or unfollows the author.
+   */
+  const handleClick = async () => {
+    if (!isAuthenticated) {
+      navigate("/login", { state: { from: location } });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const data = status.isFollowing
+        ? await followService.unfollowUser(userId)
+        : await followService.followUser(userId);
+      setStatus(data);
+    } catch (err) {
+      toast({
+        title: "Error",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <HStack spacing={2}>
+      {!isSelf && (
+        <Button
+          size={size}
+          colorScheme="teal"
+          variant={status.isFollowing ? "solid" : "outline"}
+          onClick={handleClick}
+          isLoading={isSaving}
+        >
+          {status.isFollowing ? "Following" : "Follow"}
+        </Button>
+      )}
+      <Text fontSize="sm" color="gray.500">
+        {status.followerCount} follower{status.followerCount === 1 ? "" : "s"}
+      </Text>
+    </HStack>
+  );
+};
+
+export default FollowButton;
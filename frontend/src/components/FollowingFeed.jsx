@@ -0,0 +1,118 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  SimpleGrid,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  Button,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import followService from "../services/followService";
+import BlogCard from "./BlogCard";
+import useLiveBlogs from "../hooks/useLiveBlogs";
+
+// Number of posts loaded per request
+const FEED_PAGE_SIZE = 9;
+
+/**
+ * @component FollowingFeed
+ * @description The logged-in user's personalized feed: published posts from the authors they follow,
+ * newest first, with a "Load More" button that continues from the last post shown.
+ * Changes to the posts shown are merged in live; new posts appear when the feed is reloaded.
+ * @returns {React.ReactElement} The feed.
+ */
+const FollowingFeed = () => {
+  const [blogs, setBlogs] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * @function fetchFeed
+   * @description Loads a page of the feed. Pages after the first are appended.
+   * @param {string} [cursor] - Where to continue from; omitted for the first page.
+   */
+  const fetchFeed = useCallback(async (cursor) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await followService.getFeed({
+        cursor,
+        limit: FEED_PAGE_SIZE,
+      });
+      setBlogs((prev) => (cursor ? [...prev, ...data.blogs] : data.blogs));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFeed();
+  }, [fetchFeed]);
+
+  useLiveBlogs(setBlogs);
+
+  if (isLoading && blogs.length === 0) {
+    return (
+      <Center h="40vh">
+        <Spinner size="xl" color="teal.500" />
+      </Center>
+    );
+  }
+
+  if (error && blogs.length === 0) {
+    return (
+      <Alert status="error" mt={5}>
+        <AlertIcon />
+        <AlertDescription>{error}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  if (blogs.length === 0) {
+    return (
+      <Center py={10}>
+        <Text fontSize="lg" textAlign="center">
+          No posts yet. Follow authors from their posts to see what they publish
+          here.
+        </Text>
+      </Center>
+    );
+  }
+
+  return (
+    <VStack spacing={8} align="stretch">
+      <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={6}>
+        {blogs.map((blog) => (
+          <BlogCard key={blog._id} blog={blog} />
+        ))}
+      </SimpleGrid>
+      {error && (
+        <Alert status="error">
+          <AlertIcon />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {nextCursor && (
+        <Center>
+          <Button
+            colorScheme="teal"
+            variant="outline"
+            onClick={() => fetchFeed(nextCursor)}
+            isLoading={isLoading}
+          >
+            Load More
+          </Button>
+        </Center>
+      )}
+    </VStack>
+  );
+};
+
+export default FollowingFeed;
@@ -0,0 +1,26 @@
+import { Fragment } from "react";
+import { Mark } from "@chakra-ui/react";
+
+/**
+ * @component HighlightedText
+ * @description Renders search result text returned by the backend as segments,
+ * marking the parts that matched the search terms.
+ * @param {object} props - The component props.
+ * @param {Array<{ text: string, match: boolean }>} props.segments - The text segments.
+ * @returns {React.ReactElement} The highlighted text.
+ */
+const HighlightedText = ({ segments }) => (
+  <>
+    {segments.map((segment, index) =>
+      segment.match ? (
+        <Mark key={index} bg="yellow.200" px="1px" borderRadius="sm">
+          {segment.text}
+        </Mark>
+      ) : (
+        <Fragment key={index}>{segment.text}</Fragment>
+      )
+    )}
+  </>
+);
+
+export default HighlightedText;
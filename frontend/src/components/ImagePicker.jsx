@@ -0,0 +1,63 @@
+import {
+  Box,
+  Button,
+  HStack,
+  Image,
+  Input,
+  useDisclosure,
+} from "@chakra-ui/react";
+import MediaLibrary from "./MediaLibrary";
+
+/**
+ * @component ImagePicker
+ * @description An image URL input for a blog post's cover image. The URL can be typed in
+ * or chosen from the user's media library, and a small preview is shown once set.
+ * @param {object} props - The component props.
+ * @param {string} props.value - The current image URL.
+ * @param {function(string): void} props.onChange - Called with the new image URL.
+ * @param {boolean} [props.isDisabled] - Whether the input is disabled.
+ * @returns {React.ReactElement} The image picker component.
+ */
+const ImagePicker = ({ value, onChange, isDisabled }) => {
+  const mediaLibrary = useDisclosure();
+
+  return (
+    <Box>
+      <HStack>
+        <Input
+          type="url"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="https://example.com/your-image.jpg"
+          isDisabled={isDisabled}
+        />
+        <Button
+          onClick={mediaLibrary.onOpen}
+          isDisabled={isDisabled}
+          flexShrink={0}
+        >
+          Choose from Library
+        </Button>
+      </HStack>
+      {value && (
+        <Image
+          src={value}
+          alt="Cover image preview"
+          mt={2}
+          maxH="150px"
+          borderRadius="md"
+          objectFit="cover"
+          fallback={<Box />} // Hide the preview while the URL is incomplete or broken
+        />
+      )}
+      <MediaLibrary
+        isOpen={mediaLibrary.isOpen}
+        onClose={mediaLibrary.onClose}
+        onSelect={(media) => onChange(media.url)}
+        title="Choose Cover Image"
+      />
+    </Box>
+  );
+};
+
+export default ImagePicker;
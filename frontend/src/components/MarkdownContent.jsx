@@ -0,0 +1,54 @@
+import { Box } from "@chakra-ui/react";
+
+// Typography for rendered Markdown, since Chakra's CSS reset strips default element styles.
+const markdownStyles = {
+  "h1, h2, h3, h4, h5, h6": { fontWeight: "bold", mt: 6, mb: 3 },
+  h1: { fontSize: "3xl" },
+  h2: { fontSize: "2xl" },
+  h3: { fontSize: "xl" },
+  h4: { fontSize: "lg" },
+  p: { mb: 4 },
+  a: { color: "teal.600", textDecoration: "underline" },
+  "ul, ol": { pl: 6, mb: 4 },
+  li: { mb: 1 },
+  blockquote: {
+    borderLeftWidth: "4px",
+    borderColor: "teal.200",
+    pl: 4,
+    color: "gray.600",
+    fontStyle: "italic",
+    mb: 4,
+  },
+  code: {
+    fontFamily: "mono",
+    fontSize: "0.9em",
+    bg: "gray.100",
+    px: 1,
+    borderRadius: "sm",
+  },
+  pre: { bg: "gray.100", p: 4, borderRadius: "md", overflowX: "auto", mb: 4 },
+  "pre code": { bg: "transparent", p: 0 },
+  img: { maxW: "100%", borderRadius: "md", my: 4 },
+  hr: { my: 6 },
+  table: { width: "100%", mb: 4, borderCollapse: "collapse" },
+  "th, td": { borderWidth: "1px", px: 2, py: 1 },
+};
+
+/**
+ * @component MarkdownContent
+ * @description Displays HTML rendered from Markdown with consistent typography.
+ * The HTML must come from the backend renderer, which sanitizes it (no scripts or event handlers).
+ * @param {object} props - The component props.
+ * @param {string} props.html - The sanitized HTML to display.
+ * @returns {React.ReactElement} The rendered content.
+ */
+const MarkdownContent = ({ html, ...rest }) => (
+  <Box
+    className="blog-content"
+    sx={markdownStyles}
+    dangerouslySetInnerHTML={{ __html: html }}
+    {...rest}
+  />
+);
+
+export default MarkdownContent;
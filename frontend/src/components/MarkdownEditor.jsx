@@ -0,0 +1,157 @@
+import { useState, useEffect, useRef } from "react";
+import {
+  Tabs,
+  TabList,
+  Tab,
+  TabPanels,
+  TabPanel,
+  Textarea,
+  Text,
+  Spinner,
+  Center,
+  Box,
+  Button,
+  Spacer,
+  useDisclosure,
+} from "@chakra-ui/react";
+import blogService from "../services/blogService";
+import MarkdownContent from "./MarkdownContent";
+import MediaLibrary from "./MediaLibrary";
+
+// Delay before re-rendering the preview after the content changes
+const PREVIEW_DEBOUNCE_MS = 400;
+
+/**
+ * @component MarkdownEditor
+ * @description A Markdown textarea with a live preview tab.
+ * The preview is rendered and sanitized by the backend, so it matches the published post exactly.
+ * Images from the user's media library can be inserted at the cursor.
+ * @param {object} props - The component props.
+ * @param {string} props.value - The Markdown source.
+ * @param {function(string): void} props.onChange - Called with the new source when the user types.
+ * @param {boolean} [props.isDisabled] - Whether the textarea is disabled.
+ * @param {string} [props.placeholder] - Placeholder text for the textarea.
+ * @returns {React.ReactElement} The editor component.
+ */
+const MarkdownEditor = ({ value, onChange, isDisabled, placeholder }) => {
+  const [tabIndex, setTabIndex] = useState(0);
+  const [previewHtml, setPreviewHtml] = useState("");
+  const [isRendering, setIsRendering] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
+  const textareaRef = useRef(null);
+  const mediaLibrary = useDisclosure();
+
+  const isPreviewing = tabIndex === 1;
+
+  // Re-render the preview (debounced) while the preview tab is open
+  useEffect(() => {
+    if (!isPreviewing) return undefined;
+
+    let cancelled = false;
+    setIsRendering(true);
+    const timer = setTimeout(async () => {
+      try {
+        const html = await blogService.previewMarkdown(value);
+        if (!cancelled) {
+          setPreviewHtml(html);
+          setPreviewError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setPreviewError(err.message);
+      } finally {
+        if (!cancelled) setIsRendering(false);
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, isPreviewing]);
+
+  /**
+   * @function handleInsertImage
+   * @description Inserts a Markdown image for the chosen media item at the cursor position
+   * (or replaces the selected text), on its own line.
+   * @param {object} media - The media item chosen in the library.
+   */
+  const handleInsertImage = (media) => {
+    const textarea = textareaRef.current;
+    const start = textarea ? textarea.selectionStart : value.length;
+    const end = textarea ? textarea.selectionEnd : value.length;
+    const alt = media.originalName
+      .replace(/\.[^.]+$/, "")
+      .replace(/[[\]]/g, "");
+    const before = value.slice(0, start);
+    const prefix = before && !before.endsWith("\n") ? "\n" : "";
+    onChange(`${before}${prefix}![${alt}](${media.url})\n${value.slice(end)}`);
+  };
+
+  return (
+    <>
+      <Tabs
+        index={tabIndex}
+        onChange={setTabIndex}
+        variant="enclosed"
+        colorScheme="teal"
+        isLazy
+      >
+        <TabList>
+          <Tab>Write</Tab>
+          <Tab>Preview</Tab>
+          <Spacer />
+          <Button
+            size="sm"
+            variant="ghost"
+            colorScheme="teal"
+            alignSelf="center"
+            onClick={mediaLibrary.onOpen}
+            isDisabled={isDisabled}
+          >
+            Insert Image
+          </Button>
+        </TabList>
+        <TabPanels>
+          <TabPanel px={0}>
+            <Textarea
+              ref={textareaRef}
+              value={value}
+              onChange={(e) => onChange(e.target.value)}
+              placeholder={placeholder}
+              rows={14}
+              fontFamily="mono"
+              isDisabled={isDisabled}
+            />
+            <Text fontSize="xs" color="gray.500" mt={1}>
+              Markdown is supported: # headings, **bold**, _italic_,
+              [links](url), lists, &gt; quotes and ``` code blocks.
+            </Text>
+          </TabPanel>
+          <TabPanel px={0}>
+            <Box borderWidth={1} borderRadius="md" p={4} minH="200px">
+              {isRendering && !previewHtml ? (
+                <Center py={6}>
+                  <Spinner color="teal.500" />
+                </Center>
+              ) : previewError ? (
+                <Text color="red.500">{previewError}</Text>
+              ) : value ? (
+                <MarkdownContent html={previewHtml} />
+              ) : (
+                <Text color="gray.500">Nothing to preview yet.</Text>
+              )}
+            </Box>
+          </TabPanel>
+        </TabPanels>
+      </Tabs>
+      <MediaLibrary
+        isOpen={mediaLibrary.isOpen}
+        onClose={mediaLibrary.onClose}
+        onSelect={handleInsertImage}
+        title="Insert Image"
+      />
+    </>
+  );
+};
+
+export default MarkdownEditor;
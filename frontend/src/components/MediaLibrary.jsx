@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  Box,
+  Button,
+  HStack,
+  VStack,
+  Text,
+  Image,
+  CloseButton,
+  SimpleGrid,
+  Spinner,
+  Center,
+  Progress,
+  Input,
+  useToast,
+} from "@chakra-ui/react";
+import mediaService from "../services/mediaService";
+
+// Image types the backend accepts, used to filter the file picker
+const ACCEPTED_TYPES = "image/jpeg,image/png,image/gif,image/webp";
+
+/**
+ * @component MediaLibrary
+ * @description A modal showing the logged-in user's uploaded images.
+ * Users can upload new images, delete old ones and pick one to use in a blog post.
+ * @param {object} props - The component props.
+ * @param {boolean} props.isOpen - Whether the modal is open.
+ * @param {function(): void} props.onClose - Called when the modal should close.
+ * @param {function(object): void} props.onSelect - Called with the chosen media item (with `url`, `thumbnailUrl`, `originalName`).
+ * @param {string} [props.title="Media Library"] - The modal title.
+ * @returns {React.ReactElement} The media library modal.
+ */
+const MediaLibrary = ({
+  isOpen,
+  onClose,
+  onSelect,
+  title = "Media Library",
+}) => {
+  const [media, setMedia] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // null when no upload is running
+  const [deletingId, setDeletingId] = useState(null);
+  const fileInputRef = useRef(null);
+  const toast = useToast();
+
+  /**
+   * @function fetchMedia
+   * @description Loads a page of the media library. Later pages are appended to the grid.
+   * @param {number} pageToLoad - The page number to load.
+   */
+  const fetchMedia = useCallback(
+    async (pageToLoad) => {
+      setIsLoading(true);
+      try {
+        const data = await mediaService.getMyMedia({ page: pageToLoad });
+        setMedia((prev) =>
+          pageToLoad === 1 ? data.media : [...prev, ...data.media]
+        );
+        setPage(data.page);
+        setTotalPages(data.pages);
+      } catch (err) {
+        toast({
+          title: "Error Loading Media",
+          description: err.message,
+          status: "error",
+          duration: 5000,
+          isClosable: true,
+        });
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [toast]
+  );
+
+  useEffect(() => {
+    if (isOpen) fetchMedia(1);
+  }, [isOpen, fetchMedia]);
+
+  /**
+   * @function handleFileChange
+   * @description Uploads the chosen file and adds it to the top of the grid.
+   * @param {React.ChangeEvent<HTMLInputElement>} e - The file input change event.
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow choosing the same file again
+    if (!file) return;
+
+    setUploadProgress(0);
+    try {
+      const uploaded = await mediaService.uploadMedia(file, setUploadProgress);
+      setMedia((prev) => [uploaded, ...prev]);
+      toast({
+        title: "Image Uploaded",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Upload Failed",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  /**
+   * @function handleDelete
+   * @description Deletes a media item after confirmation.
+   * @param {object} item - The media item to delete.
+   */
+  const handleDelete = async (item) => {
+    if (
+      !window.confirm(
+        `Delete "${item.originalName}"? Posts using this image will show a broken image.`
+      )
+    )
+      return;
+
+    setDeletingId(item._id);
+    try {
+      await mediaService.deleteMedia(item._id);
+      setMedia((prev) => prev.filter((m) => m._id !== item._id));
+    } catch (err) {
+      toast({
+        title: "Error Deleting Image",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  /**
+   * @function handleSelect
+   * @description Passes the chosen item to the parent and closes the modal.
+   * @param {object} item - The chosen media item.
+   */
+  const handleSelect = (item) => {
+    onSelect(item);
+    onClose();
+  };
+
+  const isUploading = uploadProgress !== null;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="3xl" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>{title}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack align="stretch" spacing={4}>
+            <HStack>
+              <Input
+                ref={fileInputRef}
+                type="file"
+                accept={ACCEPTED_TYPES}
+                onChange={handleFileChange}
+                display="none"
+              />
+              <Button
+                colorScheme="teal"
+                onClick={() => fileInputRef.current?.click()}
+                isLoading={isUploading}
+                loadingText="Uploading"
+              >
+                Upload Image
+              </Button>
+              <Text fontSize="sm" color="gray.500">
+                JPEG, PNG, GIF or WebP.
+              </Text>
+            </HStack>
+            {isUploading && (
+              <Progress value={uploadProgress} size="sm" colorScheme="teal" />
+            )}
+
+            {isLoading && media.length === 0 ? (
+              <Center py={10}>
+                <Spinner color="teal.500" />
+              </Center>
+            ) : media.length === 0 ? (
+              <Text color="gray.500" textAlign="center" py={10}>
+                No images uploaded yet.
+              </Text>
+            ) : (
+              <SimpleGrid columns={{ base: 2, md: 4 }} spacing={3}>
+                {media.map((item) => (
+                  <Box
+                    key={item._id}
+                    position="relative"
+                    borderWidth={1}
+                    borderRadius="md"
+                    overflow="hidden"
+                    cursor="pointer"
+                    _hover={{ borderColor: "teal.400" }}
+                    onClick={() => handleSelect(item)}
+                  >
+                    <Image
+                      src={item.thumbnailUrl || item.url}
+                      alt={item.originalName}
+                      h="120px"
+                      w="100%"
+                      objectFit="cover"
+                    />
+                    <Text fontSize="xs" px={2} py={1} noOfLines={1}>
+                      {item.originalName}
+                    </Text>
+                    <CloseButton
+                      aria-label={`Delete ${item.originalName}`}
+                      size="sm"
+                      bg="white"
+                      color="red.500"
+                      position="absolute"
+                      top={1}
+                      right={1}
+                      isDisabled={deletingId === item._id}
+                      onClick={(e) => {
+                        e.stopPropagation(); // Don't select the image
+                        handleDelete(item);
+                      }}
+                    />
+                  </Box>
+                ))}
+              </SimpleGrid>
+            )}
+
+            {page < totalPages && (
+              <Button
+                variant="outline"
+                onClick={() => fetchMedia(page + 1)}
+                isLoading={isLoading}
+              >
+                Load More
+              </Button>
+            )}
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button onClick={onClose}>Cancel</Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default MediaLibrary;
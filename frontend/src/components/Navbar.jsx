@@ -8,6 +8,8 @@ import {
 } from "@chakra-ui/react";
 import { Link as RouterLink, useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
+import NotificationBell from "./NotificationBell";
+import { canWritePosts, canModerate, isAdmin } from "../utils/roles";
 
 const Navbar = () => {
   const { isAuthenticated, logoutUser, user } = useAuth();
@@ -34,21 +36,60 @@ const Navbar = () => {
         <Flex gap={4}>
           {isAuthenticated ? (
             <>
+              <NotificationBell />
+              {canWritePosts(user) && (
+                <Button
+                  as={RouterLink}
+                  to="/create-blog"
+                  colorScheme="whiteAlpha"
+                  variant="outline"
+                >
+                  Create Blog
+                </Button>
+              )}
               <Button
                 as={RouterLink}
-                to="/create-blog"
+                to="/my-blogs"
                 colorScheme="whiteAlpha"
                 variant="outline"
               >
-                Create Blog
+                My Blogs
               </Button>
               <Button
                 as={RouterLink}
-                to="/my-blogs"
+                to="/saved"
                 colorScheme="whiteAlpha"
                 variant="outline"
               >
-                My Blogs
+                Saved
+              </Button>
+              {canModerate(user) && (
+                <Button
+                  as={RouterLink}
+                  to="/moderation"
+                  colorScheme="whiteAlpha"
+                  variant="outline"
+                >
+                  Moderation
+                </Button>
+              )}
+              {isAdmin(user) && (
+                <Button
+                  as={RouterLink}
+                  to="/admin"
+                  colorScheme="whiteAlpha"
+                  variant="outline"
+                >
+                  Admin
+                </Button>
+              )}
+              <Button
+                as={RouterLink}
+                to="/settings"
+                colorScheme="whiteAlpha"
+                variant="outline"
+              >
+                Settings
               </Button>
               <Button
                 onClick={handleLogout}
@@ -0,0 +1,225 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Badge,
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
+  MenuDivider,
+  HStack,
+  Text,
+  Spinner,
+  Center,
+  useToast,
+} from "@chakra-ui/react";
+import { Link as RouterLink, useNavigate } from "react-router-dom";
+import notificationService from "../services/notificationService";
+import {
+  describeNotification,
+  getNotificationPath,
+} from "../utils/notifications";
+import useRealtimeEvent from "../hooks/useRealtimeEvent";
+
+// How often the unread count is refreshed, to catch up on events missed while the live connection was down
+const UNREAD_POLL_INTERVAL = 5 * 60 * 1000;
+// Number of notifications shown in the menu
+const MENU_LIMIT = 10;
+
+/**
+ * @function formatTimeAgo
+ * @description Formats a date relative to now (e.g., "5m ago", "3d ago").
+ * @param {string} dateString - The date string to format.
+ * @returns {string} The relative time.
+ */
+const formatTimeAgo = (dateString) => {
+  const minutes = Math.floor((Date.now() - new Date(dateString)) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+/**
+ * @component NotificationBell
+ * @description The notification bell of the navigation bar, with a badge showing the number of unread
+ * notifications, which arrive live. Opening it loads the latest notifications; clicking one marks it as read and opens
+ * the post or profile it is about. Only rendered for logged-in users.
+ * @returns {React.ReactElement} The bell menu.
+ */
+const NotificationBell = () => {
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState(null);
+  const navigate = useNavigate();
+  const toast = useToast();
+
+  /**
+   * @function refreshUnreadCount
+   * @description Reloads the unread count. Failures are ignored; the badge is refreshed again later.
+   */
+  const refreshUnreadCount = useCallback(() => {
+    notificationService
+      .getUnreadCount()
+      .then(setUnreadCount)
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    refreshUnreadCount();
+    const timer = setInterval(refreshUnreadCount, UNREAD_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [refreshUnreadCount]);
+
+  useRealtimeEvent("notification:created", (notification) => {
+    setUnreadCount((count) => count + 1);
+    setNotifications((prev) => (prev ? [notification, ...prev] : prev));
+  });
+
+  /**
+   * @function showError
+   * @description Shows an error toast.
+   * @param {Error} err - The error.
+   */
+  const showError = (err) =>
+    toast({
+      title: "Error",
+      description: err.message,
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+
+  /**
+   * @function loadNotifications
+   * @description Loads the latest notifications when the menu opens.
+   */
+  const loadNotifications = async () => {
+    setNotifications(null);
+    try {
+      const data = await notificationService.getNotifications({
+        limit: MENU_LIMIT,
+      });
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      setNotifications([]);
+      showError(err);
+    }
+  };
+
+  /**
+   * @function handleOpen
+   * @description Marks a notification as read and opens what it is about.
+   * @param {object} notification - The notification.
+   */
+  const handleOpen = async (notification) => {
+    const path = getNotificationPath(notification);
+    if (path) navigate(path);
+    if (notification.isRead) return;
+
+    setNotifications((prev) =>
+      prev.map((n) => (n._id === notification._id ? { ...n, isRead: true } : n))
+    );
+    try {
+      const data = await notificationService.markRead(notification._id);
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  /**
+   * @function handleMarkAllRead
+   * @description Marks every notification as read.
+   */
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationService.markAllRead();
+      setUnreadCount(0);
+      setNotifications((prev) =>
+        prev ? prev.map((n) => ({ ...n, isRead: true })) : prev
+      );
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  return (
+    <Menu onOpen={loadNotifications} placement="bottom-end" isLazy>
+      <MenuButton
+        as={Button}
+        colorScheme="whiteAlpha"
+        variant="outline"
+        position="relative"
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <Badge
+            position="absolute"
+            top="-1"
+            right="-1"
+            colorScheme="red"
+            variant="solid"
+            borderRadius="full"
+            fontSize="0.7em"
+          >
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </Badge>
+        )}
+      </MenuButton>
+      <MenuList color="gray.800" maxW="sm" maxH="70vh" overflowY="auto">
+        <HStack justifyContent="space-between" px={3} py={1}>
+          <Text fontWeight="bold">Notifications</Text>
+          <Button
+            size="xs"
+            variant="ghost"
+            colorScheme="teal"
+            onClick={handleMarkAllRead}
+            isDisabled={unreadCount === 0}
+          >
+            Mark all as read
+          </Button>
+        </HStack>
+        <MenuDivider />
+        {!notifications ? (
+          <Center py={4}>
+            <Spinner size="sm" color="teal.500" />
+          </Center>
+        ) : notifications.length === 0 ? (
+          <Text px={3} py={2} fontSize="sm" color="gray.500">
+            No notifications yet.
+          </Text>
+        ) : (
+          notifications.map((notification) => (
+            <MenuItem
+              key={notification._id}
+              onClick={() => handleOpen(notification)}
+              bg={notification.isRead ? undefined : "teal.50"}
+            >
+              <Box>
+                <Text
+                  fontSize="sm"
+                  fontWeight={notification.isRead ? "normal" : "semibold"}
+                >
+                  {describeNotification(notification)}
+                </Text>
+                <Text fontSize="xs" color="gray.500">
+                  {formatTimeAgo(notification.createdAt)}
+                </Text>
+              </Box>
+            </MenuItem>
+          ))
+        )}
+        <MenuDivider />
+        <MenuItem as={RouterLink} to="/settings" fontSize="sm">
+          Notification settings
+        </MenuItem>
+      </MenuList>
+    </Menu>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,84 @@
+import { useState, useEffect } from "react";
+import {
+  VStack,
+  FormControl,
+  FormLabel,
+  Switch,
+  Spinner,
+  Text,
+  useToast,
+} from "@chakra-ui/react";
+import notificationService from "../services/notificationService";
+import { NOTIFICATION_TYPES } from "../utils/notifications";
+
+/**
+ * @component NotificationPreferences
+ * @description Switches turning each type of in-app notification on or off. Each change is saved right away
+ * and rolled back if it fails.
+ * @returns {React.ReactElement} The notification settings.
+ */
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState(null);
+  const toast = useToast();
+
+  useEffect(() => {
+    notificationService
+      .getPreferences()
+      .then(setPreferences)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  /**
+   * @function handleChange
+   * @description Turns a notification type on or off.
+   * @param {string} type - The notification type.
+   * @param {boolean} enabled - Whether the type is wanted.
+   */
+  const handleChange = async (type, enabled) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, [type]: enabled });
+    try {
+      setPreferences(
+        await notificationService.updatePreferences({ [type]: enabled })
+      );
+    } catch (err) {
+      setPreferences(previous);
+      toast({
+        title: "Error Saving Preference",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
+  if (error) return <Text color="red.500">{error}</Text>;
+  if (!preferences) return <Spinner color="teal.500" />;
+
+  return (
+    <VStack spacing={3} align="stretch">
+      {NOTIFICATION_TYPES.map(({ value, label }) => (
+        <FormControl
+          key={value}
+          display="flex"
+          alignItems="center"
+          justifyContent="space-between"
+        >
+          <FormLabel htmlFor={`notify-${value}`} mb={0}>
+            {label}
+          </FormLabel>
+          <Switch
+            id={`notify-${value}`}
+            colorScheme="teal"
+            isChecked={preferences[value]}
+            onChange={(e) => handleChange(value, e.target.checked)}
+          />
+        </FormControl>
+      ))}
+    </VStack>
+  );
+};
+
+export default NotificationPreferences;
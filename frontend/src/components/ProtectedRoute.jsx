@@ -2,6 +2,7 @@ import React from "react";
 import { Navigate, useLocation, Outlet } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import { Spinner, Center } from "@chakra-ui/react";
+import { getRole } from "../utils/roles";
 
 /**
  * @component ProtectedRoute
@@ -17,14 +18,16 @@ import { Spinner, Center } from "@chakra-ui/react";
  *
  * If the user is not authenticated, they are redirected to the `/login` page.
  * The original location is passed in state to allow redirection back after successful login.
+ * With `roles`, authenticated users without one of the roles are sent to the home page.
  * Shows a loading spinner if the authentication status is still being determined.
  *
  * @param {object} props - The component props.
  * @param {React.ReactNode} [props.children] - Optional child components to render if authenticated (used in wrapper mode).
+ * @param {string[]} [props.roles] - The roles allowed to open the route; omit to allow every role.
  * @returns {React.ReactElement} The child component/Outlet if authenticated, a Navigate component to login, or a Spinner.
  */
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useAuth();
+const ProtectedRoute = ({ children, roles }) => {
+  const { isAuthenticated, isLoading, user } = useAuth();
   const location = useLocation();
 
   if (isLoading) {
@@ -43,6 +46,11 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // The backend enforces roles as well; this only avoids showing a page that cannot work
+  if (roles && !roles.includes(getRole(user))) {
+    return <Navigate to="/" replace />;
+  }
+
   // If children are provided (e.g. <ProtectedRoute><MyPage /></ProtectedRoute>), render them.
   // Otherwise, if used in <Route element={<ProtectedRoute />}>, Outlet will render the child route elements.
   return children ? children : <Outlet />;
@@ -0,0 +1,98 @@
+import { useState, useEffect } from "react";
+import { Button, Wrap, WrapItem, Tooltip, useToast } from "@chakra-ui/react";
+import { useNavigate, useLocation } from "react-router-dom";
+import reactionService from "../services/reactionService";
+import { useAuth } from "../contexts/AuthContext";
+import { REACTIONS } from "../utils/reactions";
+
+/**
+ * @component ReactionBar
+ * @description Reaction buttons with counts for a blog post. Clicking a button adds or removes the
+ * user's reaction right away and then settles on the counts returned by the server.
+ * Visitors who are not logged in are sent to the login page.
+ * @param {object} props - The component props.
+ * @param {object} props.blog - The blog post (`_id`, `reactionCounts` and `myReactions` are used).
+ * @param {string} [props.size="sm"] - The Chakra UI button size.
+ * @returns {React.ReactElement} The reaction buttons.
+ */
+const ReactionBar = ({ blog, size = "sm" }) => {
+  const [counts, setCounts] = useState(blog.reactionCounts || {});
+  const [mine, setMine] = useState(blog.myReactions || []);
+  const [pendingType, setPendingType] = useState(null);
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const toast = useToast();
+
+  // Pick up new data when the parent reloads the post
+  useEffect(() => {
+    setCounts(blog.reactionCounts || {});
+    setMine(blog.myReactions || []);
+  }, [blog.reactionCounts, blog.myReactions]);
+
+  /**
+   * @function handleClick
+   * @description Adds or removes a reaction of the current user.
+   * @param {string} type - The reaction type.
+   */
+  const handleClick = async (type) => {
+    if (!isAuthenticated) {
+      navigate("/login", { state: { from: location } });
+      return;
+    }
+
+    const active = !mine.includes(type);
+    const previous = { counts, mine };
+    setPendingType(type);
+    setCounts({ ...counts, [type]: (counts[type] || 0) + (active ? 1 : -1) });
+    setMine(active ? [...mine, type] : mine.filter((t) => t !== type));
+    try {
+      // Adding and removing are idempotent, so a retried click can't count twice
+      const data = active
+        ? await reactionService.addReaction(blog._id, type)
+        : await reactionService.removeReaction(blog._id, type);
+      setCounts(data.reactionCounts);
+      setMine(data.myReactions);
+    } catch (err) {
+      setCounts(previous.counts);
+      setMine(previous.mine);
+      toast({
+        title: "Error Updating Reaction",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setPendingType(null);
+    }
+  };
+
+  return (
+    <Wrap spacing={2}>
+      {REACTIONS.map(({ type, emoji, label }) => {
+        const isActive = mine.includes(type);
+        return (
+          <WrapItem key={type}>
+            <Tooltip label={label} openDelay={300}>
+              <Button
+                size={size}
+                variant={isActive ? "solid" : "outline"}
+                colorScheme={isActive ? "teal" : "gray"}
+                borderRadius="full"
+                aria-label={`${label} (${counts[type] || 0})`}
+                aria-pressed={isActive}
+                onClick={() => handleClick(type)}
+                isDisabled={pendingType === type}
+              >
+                {emoji} {counts[type] || 0}
+              </Button>
+            </Tooltip>
+          </WrapItem>
+        );
+      })}
+    </Wrap>
+  );
+};
+
+export default ReactionBar;
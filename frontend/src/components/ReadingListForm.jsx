@@ -0,0 +1,106 @@
+import { useState } from "react";
+import {
+  VStack,
+  HStack,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Input,
+  Textarea,
+  Switch,
+  Button,
+} from "@chakra-ui/react";
+
+// Empty values for a new list
+const emptyList = { name: "", description: "", isPublic: false };
+
+/**
+ * @component ReadingListForm
+ * @description A form for a reading list's name, description and visibility, used to create and edit lists.
+ * The form is cleared after a new list was created.
+ * @param {object} props - The component props.
+ * @param {object} [props.initialValues] - The current values when editing a list.
+ * @param {Function} props.onSubmit - Called with `{ name, description, isPublic }`; may return a promise.
+ * @param {string} [props.submitLabel="Create List"] - The label of the submit button.
+ * @param {Function} [props.onCancel] - Shows a Cancel button calling this function.
+ * @returns {React.ReactElement} The form.
+ */
+const ReadingListForm = ({
+  initialValues,
+  onSubmit,
+  submitLabel = "Create List",
+  onCancel,
+}) => {
+  const [values, setValues] = useState({ ...emptyList, ...initialValues });
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * @function handleSubmit
+   * @description Submits the form, clearing it afterwards unless an existing list is edited.
+   * @param {React.FormEvent} e - The form submit event.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await onSubmit({ ...values, name: values.name.trim() });
+      if (!initialValues) setValues(emptyList);
+    } catch {
+      // The caller reports the error; keep the values so they can be corrected
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <VStack spacing={3} align="stretch">
+        <FormControl isRequired>
+          <FormLabel>Name</FormLabel>
+          <Input
+            value={values.name}
+            onChange={(e) => setValues({ ...values, name: e.target.value })}
+            maxLength={100}
+            placeholder="e.g. Weekend reading"
+          />
+        </FormControl>
+        <FormControl>
+          <FormLabel>Description</FormLabel>
+          <Textarea
+            value={values.description}
+            onChange={(e) =>
+              setValues({ ...values, description: e.target.value })
+            }
+            maxLength={500}
+            rows={2}
+          />
+        </FormControl>
+        <FormControl display="flex" alignItems="center" flexWrap="wrap">
+          <FormLabel mb={0}>Public</FormLabel>
+          <Switch
+            colorScheme="teal"
+            isChecked={values.isPublic}
+            onChange={(e) =>
+              setValues({ ...values, isPublic: e.target.checked })
+            }
+          />
+          <FormHelperText mt={0} ml={3}>
+            Anyone with the link can view a public list.
+          </FormHelperText>
+        </FormControl>
+        <HStack>
+          <Button type="submit" colorScheme="teal" isLoading={isSaving}>
+            {submitLabel}
+          </Button>
+          {onCancel && (
+            <Button variant="ghost" onClick={onCancel}>
+              Cancel
+            </Button>
+          )}
+        </HStack>
+      </VStack>
+    </form>
+  );
+};
+
+export default ReadingListForm;
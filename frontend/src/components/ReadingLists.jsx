@@ -0,0 +1,172 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Heading,
+  Text,
+  Badge,
+  Button,
+  HStack,
+  VStack,
+  LinkBox,
+  LinkOverlay,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  useToast,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import bookmarkService from "../services/bookmarkService";
+import ReadingListForm from "./ReadingListForm";
+
+/**
+ * @component ReadingLists
+ * @description The logged-in user's reading lists, most recently changed first, with a form to create
+ * a new list and a button to delete each one. Each list links to its own page.
+ * @returns {React.ReactElement} The reading lists.
+ */
+const ReadingLists = () => {
+  const [lists, setLists] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+  const toast = useToast();
+
+  useEffect(() => {
+    bookmarkService
+      .getLists()
+      .then(setLists)
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  /**
+   * @function showError
+   * @description Shows an error toast.
+   * @param {string} title - The toast title.
+   * @param {Error} err - The error.
+   */
+  const showError = (title, err) =>
+    toast({
+      title,
+      description: err.message,
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+
+  /**
+   * @function handleCreate
+   * @description Creates a list and shows it first.
+   * @param {object} values - The list name, description and visibility.
+   */
+  const handleCreate = async (values) => {
+    try {
+      const list = await bookmarkService.createList(values);
+      setLists((prev) => [list, ...prev]);
+      toast({
+        title: "List Created",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      showError("Error Creating List", err);
+      throw err;
+    }
+  };
+
+  /**
+   * @function handleDelete
+   * @description Deletes a list after confirmation.
+   * @param {object} list - The reading list.
+   */
+  const handleDelete = async (list) => {
+    if (!window.confirm(`Delete the list "${list.name}"?`)) return;
+    setDeletingId(list._id);
+    try {
+      await bookmarkService.deleteList(list._id);
+      setLists((prev) => prev.filter((l) => l._id !== list._id));
+    } catch (err) {
+      showError("Error Deleting List", err);
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <VStack spacing={8} align="stretch">
+      <Box borderWidth="1px" borderRadius="lg" p={5}>
+        <Heading as="h2" size="md" mb={4}>
+          New Reading List
+        </Heading>
+        <ReadingListForm onSubmit={handleCreate} />
+      </Box>
+
+      {isLoading ? (
+        <Center py={10}>
+          <Spinner color="teal.500" />
+        </Center>
+      ) : error ? (
+        <Alert status="error">
+          <AlertIcon />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      ) : lists.length === 0 ? (
+        <Text color="gray.500" textAlign="center">
+          No reading lists yet. Create one above, then add posts to it from the
+          post page.
+        </Text>
+      ) : (
+        <VStack spacing={4} align="stretch">
+          {lists.map((list) => (
+            <LinkBox
+              key={list._id}
+              borderWidth="1px"
+              borderRadius="lg"
+              p={4}
+              _hover={{ boxShadow: "md" }}
+            >
+              <HStack justifyContent="space-between" align="start">
+                <Box>
+                  <HStack spacing={2}>
+                    <Heading as="h3" size="sm">
+                      <LinkOverlay as={RouterLink} to={`/lists/${list._id}`}>
+                        {list.name}
+                      </LinkOverlay>
+                    </Heading>
+                    <Badge colorScheme={list.isPublic ? "green" : "gray"}>
+                      {list.isPublic ? "Public" : "Private"}
+                    </Badge>
+                  </HStack>
+                  {list.description && (
+                    <Text fontSize="sm" color="gray.600" mt={1}>
+                      {list.description}
+                    </Text>
+                  )}
+                  <Text fontSize="sm" color="gray.500" mt={1}>
+                    {list.itemCount} post{list.itemCount === 1 ? "" : "s"}
+                  </Text>
+                </Box>
+                <Button
+                  size="sm"
+                  colorScheme="red"
+                  variant="outline"
+                  position="relative"
+                  zIndex={1}
+                  onClick={() => handleDelete(list)}
+                  isLoading={deletingId === list._id}
+                >
+                  Delete
+                </Button>
+              </HStack>
+            </LinkBox>
+          ))}
+        </VStack>
+      )}
+    </VStack>
+  );
+};
+
+export default ReadingLists;
@@ -0,0 +1,151 @@
+import { useState } from "react";
+import {
+  Button,
+  VStack,
+  FormControl,
+  FormLabel,
+  Select,
+  Textarea,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  useDisclosure,
+  useToast,
+} from "@chakra-ui/react";
+import reportService from "../services/reportService";
+import { REPORT_REASONS } from "../utils/reports";
+
+/**
+ * @component ReportButton
+ * @description A button opening a dialog to report a post or comment to the moderators with a reason and
+ * optional details. Render it only for logged-in users who did not write the content.
+ * @param {object} props - The component props.
+ * @param {string} props.targetType - "blog" or "comment".
+ * @param {string} props.targetId - The ID of the post or comment.
+ * @param {string} [props.size="sm"] - The Chakra UI button size.
+ * @param {string} [props.variant="outline"] - The Chakra UI button variant.
+ * @returns {React.ReactElement} The report button and its dialog.
+ */
+const ReportButton = ({
+  targetType,
+  targetId,
+  size = "sm",
+  variant = "outline",
+}) => {
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const toast = useToast();
+  const what = targetType === "blog" ? "post" : "comment";
+
+  /**
+   * @function handleOpen
+   * @description Opens the dialog with an empty form.
+   */
+  const handleOpen = () => {
+    setReason("");
+    setDetails("");
+    onOpen();
+  };
+
+  /**
+   * @function handleSubmit
+   * @description Sends the report and closes the dialog.
+   */
+  const handleSubmit = async () => {
+    setIsSaving(true);
+    try {
+      await reportService.createReport({
+        targetType,
+        targetId,
+        reason,
+        details: details.trim(),
+      });
+      onClose();
+      toast({
+        title: "Report Sent",
+        description: `Thanks, a moderator will review this ${what}.`,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Error Sending Report",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size={size}
+        variant={variant}
+        colorScheme="gray"
+        onClick={handleOpen}
+      >
+        🚩 Report
+      </Button>
+      <Modal isOpen={isOpen} onClose={onClose}>
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Report this {what}</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={4}>
+              <FormControl isRequired>
+                <FormLabel>Reason</FormLabel>
+                <Select
+                  placeholder="Choose a reason"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                >
+                  {REPORT_REASONS.map(({ value, label }) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl>
+                <FormLabel>Details</FormLabel>
+                <Textarea
+                  value={details}
+                  onChange={(e) => setDetails(e.target.value)}
+                  maxLength={1000}
+                  placeholder="Anything the moderators should know"
+                />
+              </FormControl>
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <Button mr={3} onClick={onClose}>
+              Cancel
+            </Button>
+            <Button
+              colorScheme="red"
+              onClick={handleSubmit}
+              isLoading={isSaving}
+              isDisabled={!reason}
+            >
+              Report
+            </Button>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </>
+  );
+};
+
+export default ReportButton;
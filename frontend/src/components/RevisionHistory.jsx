@@ -0,0 +1,341 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Heading,
+  Text,
+  VStack,
+  HStack,
+  Button,
+  Select,
+  Badge,
+  Spinner,
+  Center,
+  Grid,
+  useToast,
+} from "@chakra-ui/react";
+import blogService from "../services/blogService";
+
+/**
+ * @function formatDate
+ * @description Formats a date string with date and time (e.g., "Jan 1, 2023, 03:45 PM").
+ * @param {string} dateString - The date string to format.
+ * @returns {string} The formatted date string.
+ */
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * @function toSideBySideRows
+ * @description Turns a list of line diff operations into side-by-side rows.
+ * Consecutive removed/added lines are paired up so a changed line appears on the same row.
+ * @param {Array<{ type: string, value: string }>} lines - The line diff operations.
+ * @returns {Array<{ left: ?{ type: string, value: string }, right: ?{ type: string, value: string } }>} The rows.
+ */
+const toSideBySideRows = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const length = Math.max(removed.length, added.length);
+    for (let i = 0; i < length; i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  lines.forEach((line) => {
+    if (line.type === "removed") {
+      removed.push(line);
+    } else if (line.type === "added") {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  });
+  flush();
+  return rows;
+};
+
+// Background colors for each side of a diff row
+const lineColors = { removed: "red.50", added: "green.50", equal: "white" };
+
+/**
+ * @component DiffCell
+ * @description A single line of one side of the side-by-side diff.
+ * @param {object} props - The component props.
+ * @param {?{ type: string, value: string }} props.line - The diff line, or null for an empty filler cell.
+ */
+const DiffCell = ({ line }) => (
+  <Box
+    bg={line ? lineColors[line.type] : "gray.50"}
+    px={2}
+    fontFamily="mono"
+    fontSize="sm"
+    whiteSpace="pre-wrap"
+    minH="1.5em"
+  >
+    {line ? line.value : ""}
+  </Box>
+);
+
+/**
+ * @component RevisionHistory
+ * @description Shows the revision history of a blog post with a side-by-side diff between two revisions
+ * (or a revision and the current post) and lets the author restore an older revision.
+ * @param {object} props - The component props.
+ * @param {string} props.blogId - The ID of the blog post.
+ * @param {function(object): void} [props.onRestored] - Called with the restored blog post after a successful restore.
+ */
+const RevisionHistory = ({ blogId, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fromNumber, setFromNumber] = useState(""); // Older revision to compare from.
+  const [toNumber, setToNumber] = useState(""); // Newer revision to compare to; empty means the current post.
+  const [diff, setDiff] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [restoringNumber, setRestoringNumber] = useState(null);
+  const toast = useToast();
+
+  /**
+   * @function fetchRevisions
+   * @description Loads the revision list and preselects the latest revision for comparison.
+   */
+  const fetchRevisions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await blogService.getRevisions(blogId);
+      setRevisions(data);
+      setFromNumber(data.length > 0 ? String(data[0].number) : "");
+    } catch (err) {
+      toast({
+        title: "Error Loading History",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [blogId, toast]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  /**
+   * @function handleCompare
+   * @description Fetches the diff between the selected revisions.
+   */
+  const handleCompare = async () => {
+    setIsComparing(true);
+    try {
+      const data = await blogService.diffRevisions(
+        blogId,
+        fromNumber,
+        toNumber || undefined
+      );
+      setDiff(data);
+    } catch (err) {
+      toast({
+        title: "Error Comparing Revisions",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  /**
+   * @function handleRestore
+   * @description Restores the given revision after confirmation, then reloads the history.
+   * @param {number} number - The revision number to restore.
+   */
+  const handleRestore = async (number) => {
+    if (
+      !window.confirm(
+        `Restore revision #${number}? Unsaved edits will be lost.`
+      )
+    )
+      return;
+
+    setRestoringNumber(number);
+    try {
+      const restoredBlog = await blogService.restoreRevision(blogId, number);
+      toast({
+        title: `Revision #${number} Restored`,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+      setDiff(null);
+      await fetchRevisions();
+      if (onRestored) onRestored(restoredBlog);
+    } catch (err) {
+      toast({
+        title: "Error Restoring Revision",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setRestoringNumber(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Center py={6}>
+        <Spinner color="teal.500" />
+      </Center>
+    );
+  }
+
+  if (revisions.length === 0) {
+    return <Text color="gray.500">No revisions recorded yet.</Text>;
+  }
+
+  const changedFields = diff ? Object.keys(diff.changes) : [];
+
+  return (
+    <VStack align="stretch" spacing={4}>
+      {/* Revision list */}
+      <VStack align="stretch" spacing={2} maxH="300px" overflowY="auto">
+        {revisions.map((revision, index) => (
+          <HStack
+            key={revision._id}
+            justifyContent="space-between"
+            borderWidth={1}
+            borderRadius="md"
+            p={2}
+          >
+            <Box>
+              <Text fontWeight="bold">
+                #{revision.number}{" "}
+                {index === 0 && (
+                  <Badge colorScheme="green" ml={1}>
+                    Latest
+                  </Badge>
+                )}
+                {revision.restoredFrom && (
+                  <Badge colorScheme="purple" ml={1}>
+                    Restored #{revision.restoredFrom}
+                  </Badge>
+                )}
+              </Text>
+              <Text fontSize="sm" color="gray.600">
+                {revision.editorName || "Unknown"} &middot;{" "}
+                {formatDate(revision.createdAt)}
+                {revision.changedFields.length > 0 &&
+                  ` · ${revision.changedFields.join(", ")}`}
+              </Text>
+            </Box>
+            {index > 0 && (
+              <Button
+                size="sm"
+                variant="outline"
+                colorScheme="teal"
+                onClick={() => handleRestore(revision.number)}
+                isLoading={restoringNumber === revision.number}
+                isDisabled={restoringNumber !== null}
+              >
+                Restore
+              </Button>
+            )}
+          </HStack>
+        ))}
+      </VStack>
+
+      {/* Revision comparison controls */}
+      <HStack>
+        <Select
+          value={fromNumber}
+          onChange={(e) => setFromNumber(e.target.value)}
+          size="sm"
+        >
+          {revisions.map((revision) => (
+            <option key={revision._id} value={revision.number}>
+              From #{revision.number}
+            </option>
+          ))}
+        </Select>
+        <Select
+          value={toNumber}
+          onChange={(e) => setToNumber(e.target.value)}
+          size="sm"
+        >
+          <option value="">To current</option>
+          {revisions.map((revision) => (
+            <option key={revision._id} value={revision.number}>
+              To #{revision.number}
+            </option>
+          ))}
+        </Select>
+        <Button
+          size="sm"
+          colorScheme="teal"
+          onClick={handleCompare}
+          isLoading={isComparing}
+          flexShrink={0}
+        >
+          Compare
+        </Button>
+      </HStack>
+
+      {/* Diff output */}
+      {diff && changedFields.length === 0 && (
+        <Text color="gray.500">No differences.</Text>
+      )}
+      {diff &&
+        changedFields.map((field) => {
+          const change = diff.changes[field];
+          return (
+            <Box key={field}>
+              <Heading as="h4" size="xs" textTransform="uppercase" mb={1}>
+                {field}
+              </Heading>
+              <Grid
+                templateColumns="1fr 1fr"
+                borderWidth={1}
+                borderRadius="md"
+                overflow="hidden"
+              >
+                <Box bg="gray.100" px={2} fontSize="xs" fontWeight="bold">
+                  #{diff.from}
+                </Box>
+                <Box bg="gray.100" px={2} fontSize="xs" fontWeight="bold">
+                  {diff.to === "current" ? "Current" : `#${diff.to}`}
+                </Box>
+                {change.lines ? (
+                  toSideBySideRows(change.lines).map((row, i) => [
+                    <DiffCell key={`l${i}`} line={row.left} />,
+                    <DiffCell key={`r${i}`} line={row.right} />,
+                  ])
+                ) : (
+                  <>
+                    <DiffCell line={{ type: "removed", value: change.from }} />
+                    <DiffCell line={{ type: "added", value: change.to }} />
+                  </>
+                )}
+              </Grid>
+            </Box>
+          );
+        })}
+    </VStack>
+  );
+};
+
+export default RevisionHistory;
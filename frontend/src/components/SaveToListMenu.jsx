@@ -0,0 +1,124 @@
+import { useState } from "react";
+import {
+  Button,
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
+  MenuDivider,
+  Spinner,
+  Center,
+  Text,
+  useToast,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import bookmarkService from "../services/bookmarkService";
+import { useAuth } from "../contexts/AuthContext";
+
+/**
+ * @component SaveToListMenu
+ * @description A menu adding a blog post to the user's reading lists or removing it from them.
+ * The lists are loaded when the menu opens. Hidden for visitors who are not logged in.
+ * @param {object} props - The component props.
+ * @param {string} props.blogId - The ID of the blog post.
+ * @param {string} [props.size="sm"] - The Chakra UI button size.
+ * @returns {React.ReactElement|null} The menu, or null for anonymous visitors.
+ */
+const SaveToListMenu = ({ blogId, size = "sm" }) => {
+  const [lists, setLists] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
+  const { isAuthenticated } = useAuth();
+  const toast = useToast();
+
+  if (!isAuthenticated) return null;
+
+  /**
+   * @function loadLists
+   * @description Loads the user's lists, each saying whether it contains the post.
+   */
+  const loadLists = async () => {
+    setLists(null);
+    try {
+      setLists(await bookmarkService.getLists({ blogId }));
+    } catch (err) {
+      setLists([]);
+      toast({
+        title: "Error Loading Lists",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
+  /**
+   * @function handleToggle
+   * @description Adds the post to a list or removes it.
+   * @param {object} list - The reading list.
+   */
+  const handleToggle = async (list) => {
+    setPendingId(list._id);
+    try {
+      const data = list.containsBlog
+        ? await bookmarkService.removeFromList(list._id, blogId)
+        : await bookmarkService.addToList(list._id, blogId);
+      setLists((prev) =>
+        prev.map((l) =>
+          l._id === list._id
+            ? { ...l, itemCount: data.itemCount, containsBlog: !l.containsBlog }
+            : l
+        )
+      );
+    } catch (err) {
+      toast({
+        title: "Error Updating List",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  return (
+    <Menu onOpen={loadLists} closeOnSelect={false}>
+      <MenuButton as={Button} size={size} colorScheme="teal" variant="outline">
+        Add to List
+      </MenuButton>
+      <MenuList>
+        {!lists ? (
+          <Center py={2}>
+            <Spinner size="sm" color="teal.500" />
+          </Center>
+        ) : lists.length === 0 ? (
+          <Text px={3} py={2} fontSize="sm" color="gray.500">
+            You have no reading lists yet.
+          </Text>
+        ) : (
+          lists.map((list) => (
+            <MenuItem
+              key={list._id}
+              onClick={() => handleToggle(list)}
+              isDisabled={pendingId === list._id}
+            >
+              {list.containsBlog ? "✓ " : ""}
+              {list.name}
+              <Text as="span" ml={2} fontSize="sm" color="gray.500">
+                ({list.itemCount})
+              </Text>
+            </MenuItem>
+          ))
+        )}
+        <MenuDivider />
+        <MenuItem as={RouterLink} to="/saved?tab=lists">
+          Manage reading lists
+        </MenuItem>
+      </MenuList>
+    </Menu>
+  );
+};
+
+export default SaveToListMenu;
@@ -0,0 +1,139 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  SimpleGrid,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  Button,
+  Text,
+  VStack,
+} from "@chakra-ui/react";
+import bookmarkService from "../services/bookmarkService";
+import BlogCard from "./BlogCard";
+
+// Number of posts loaded per request
+const SAVED_PAGE_SIZE = 9;
+
+/**
+ * @component SavedPosts
+ * @description The logged-in user's bookmarked posts, most recently saved first, with a "Load More" button.
+ * Posts disappear from the grid when their bookmark is removed.
+ * @returns {React.ReactElement} The saved posts.
+ */
+const SavedPosts = () => {
+  const [blogs, setBlogs] = useState([]);
+  const [page, setPage] = useState(0);
+  const [pages, setPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * @function fetchPage
+   * @description Loads a page of bookmarks. Pages after the first are appended.
+   * @param {number} nextPage - The page to load.
+   */
+  const fetchPage = useCallback(async (nextPage) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await bookmarkService.getBookmarks({
+        page: nextPage,
+        limit: SAVED_PAGE_SIZE,
+      });
+      setBlogs((prev) => {
+        // Skip posts already shown, which happens when bookmarks were removed in between
+        const shown = new Set(prev.map((blog) => blog._id));
+        return nextPage === 1
+          ? data.blogs
+          : [...prev, ...data.blogs.filter((blog) => !shown.has(blog._id))];
+      });
+      setPage(data.page);
+      setPages(data.pages);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPage(1);
+  }, [fetchPage]);
+
+  /**
+   * @function handleBookmarkChange
+   * @description Removes a post from the grid once it is no longer bookmarked.
+   * @param {string} blogId - The ID of the post.
+   * @param {boolean} isBookmarked - The new bookmark state.
+   */
+  const handleBookmarkChange = (blogId, isBookmarked) => {
+    if (!isBookmarked) {
+      setBlogs((prev) => prev.filter((blog) => blog._id !== blogId));
+    }
+  };
+
+  if (isLoading && blogs.length === 0) {
+    return (
+      <Center h="40vh">
+        <Spinner size="xl" color="teal.500" />
+      </Center>
+    );
+  }
+
+  if (error && blogs.length === 0) {
+    return (
+      <Alert status="error" mt={5}>
+        <AlertIcon />
+        <AlertDescription>{error}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  if (blogs.length === 0) {
+    return (
+      <Center py={10}>
+        <Text fontSize="lg" textAlign="center">
+          No saved posts yet. Use the Save button on a post to read it later.
+        </Text>
+      </Center>
+    );
+  }
+
+  return (
+    <VStack spacing={8} align="stretch">
+      <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={6}>
+        {blogs.map((blog) => (
+          <BlogCard
+            key={blog._id}
+            blog={blog}
+            onBookmarkChange={(isBookmarked) =>
+              handleBookmarkChange(blog._id, isBookmarked)
+            }
+          />
+        ))}
+      </SimpleGrid>
+      {error && (
+        <Alert status="error">
+          <AlertIcon />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {page < pages && (
+        <Center>
+          <Button
+            colorScheme="teal"
+            variant="outline"
+            onClick={() => fetchPage(page + 1)}
+            isLoading={isLoading}
+          >
+            Load More
+          </Button>
+        </Center>
+      )}
+    </VStack>
+  );
+};
+
+export default SavedPosts;
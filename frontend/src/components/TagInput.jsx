@@ -0,0 +1,185 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Input,
+  Tag,
+  TagLabel,
+  TagCloseButton,
+  Wrap,
+  WrapItem,
+  List,
+  ListItem,
+  Text,
+} from "@chakra-ui/react";
+import tagService from "../services/tagService";
+import { MAX_TAGS, MAX_TAG_LENGTH, normalizeTag } from "../utils/tags";
+
+// Delay before asking the backend for suggestions while the user types
+const SUGGESTION_DEBOUNCE_MS = 250;
+
+/**
+ * @component TagInput
+ * @description An input for a blog post's tags. Tags are added with Enter or a comma,
+ * removed with their close button (or Backspace on an empty input), and existing tags
+ * are suggested while typing.
+ * @param {object} props - The component props.
+ * @param {string[]} props.value - The current tags.
+ * @param {function(string[]): void} props.onChange - Called with the new list of tags.
+ * @param {boolean} [props.isDisabled] - Whether the input is disabled.
+ * @returns {React.ReactElement} The tag input component.
+ */
+const TagInput = ({ value, onChange, isDisabled }) => {
+  const [inputValue, setInputValue] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+
+  const prefix = normalizeTag(inputValue);
+  const isFull = value.length >= MAX_TAGS;
+
+  // Fetch matching tags (debounced) while the user types
+  useEffect(() => {
+    if (!prefix) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const tags = await tagService.getTags({ q: prefix, limit: 8 });
+        if (!cancelled) {
+          setSuggestions(tags.filter((tag) => !value.includes(tag.name)));
+          setHighlightedIndex(-1);
+        }
+      } catch (err) {
+        // Suggestions are a convenience; typing a tag still works without them
+        if (!cancelled) setSuggestions([]);
+      }
+    }, SUGGESTION_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [prefix, value]);
+
+  /**
+   * @function addTag
+   * @description Normalizes and adds a tag unless it is empty, too long, a duplicate or the limit is reached.
+   * @param {string} rawTag - The tag as typed or suggested.
+   */
+  const addTag = (rawTag) => {
+    const tag = normalizeTag(rawTag).slice(0, MAX_TAG_LENGTH);
+    if (tag && !value.includes(tag) && !isFull) {
+      onChange([...value, tag]);
+    }
+    setInputValue("");
+    setSuggestions([]);
+  };
+
+  /**
+   * @function removeTag
+   * @description Removes a tag from the list.
+   * @param {string} tag - The tag to remove.
+   */
+  const removeTag = (tag) => {
+    onChange(value.filter((t) => t !== tag));
+  };
+
+  /**
+   * @function handleKeyDown
+   * @description Keyboard handling: Enter/comma adds, arrows move through suggestions,
+   * Escape closes them and Backspace on an empty input removes the last tag.
+   * @param {React.KeyboardEvent<HTMLInputElement>} e - The keyboard event.
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault(); // Don't submit the form
+      addTag(
+        highlightedIndex >= 0 ? suggestions[highlightedIndex].name : inputValue
+      );
+    } else if (e.key === "ArrowDown" && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlightedIndex((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlightedIndex((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === "Escape") {
+      setSuggestions([]);
+    } else if (e.key === "Backspace" && !inputValue && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <Box position="relative">
+      {value.length > 0 && (
+        <Wrap mb={2}>
+          {value.map((tag) => (
+            <WrapItem key={tag}>
+              <Tag colorScheme="teal" variant="subtle" borderRadius="full">
+                <TagLabel>#{tag}</TagLabel>
+                {!isDisabled && (
+                  <TagCloseButton
+                    aria-label={`Remove tag ${tag}`}
+                    onClick={() => removeTag(tag)}
+                  />
+                )}
+              </Tag>
+            </WrapItem>
+          ))}
+        </Wrap>
+      )}
+      <Input
+        value={inputValue}
+        onChange={(e) => setInputValue(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setSuggestions([])}
+        placeholder={
+          isFull
+            ? `Maximum of ${MAX_TAGS} tags reached`
+            : "Add a tag and press Enter"
+        }
+        maxLength={MAX_TAG_LENGTH}
+        isDisabled={isDisabled || isFull}
+        autoComplete="off"
+      />
+      {suggestions.length > 0 && (
+        <List
+          position="absolute"
+          zIndex="dropdown"
+          bg="white"
+          w="100%"
+          mt={1}
+          borderWidth={1}
+          borderRadius="md"
+          boxShadow="md"
+          py={1}
+        >
+          {suggestions.map((tag, index) => (
+            <ListItem
+              key={tag.name}
+              px={3}
+              py={1}
+              cursor="pointer"
+              bg={index === highlightedIndex ? "teal.50" : undefined}
+              _hover={{ bg: "teal.50" }}
+              // onMouseDown fires before the input's blur, which would close the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag.name);
+              }}
+            >
+              #{tag.name}{" "}
+              <Text as="span" fontSize="sm" color="gray.500">
+                ({tag.count})
+              </Text>
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,37 @@
+import { Tag, Wrap, WrapItem } from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import { getTagPath } from "../utils/tags";
+
+/**
+ * @component TagList
+ * @description Shows a blog post's tags as chips linking to the home page filtered by that tag.
+ * @param {object} props - The component props.
+ * @param {string[]} [props.tags] - The tags to show.
+ * @param {string} [props.size="sm"] - The Chakra UI tag size.
+ * @returns {React.ReactElement|null} The tag chips, or null if there are no tags.
+ */
+const TagList = ({ tags, size = "sm" }) => {
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <Wrap spacing={2}>
+      {tags.map((tag) => (
+        <WrapItem key={tag}>
+          <Tag
+            as={RouterLink}
+            to={getTagPath(tag)}
+            size={size}
+            colorScheme="teal"
+            variant="subtle"
+            borderRadius="full"
+            _hover={{ bg: "teal.200" }}
+          >
+            #{tag}
+          </Tag>
+        </WrapItem>
+      ))}
+    </Wrap>
+  );
+};
+
+export default TagList;
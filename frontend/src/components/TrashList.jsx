@@ -0,0 +1,244 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  VStack,
+  HStack,
+  Heading,
+  Text,
+  Button,
+  Badge,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  useToast,
+} from "@chakra-ui/react";
+import blogService from "../services/blogService";
+import { useAuth } from "../contexts/AuthContext";
+import { getStatusInfo } from "../utils/blogStatus";
+import { canWritePosts } from "../utils/roles";
+
+// Number of trashed posts per page
+const POSTS_PER_PAGE = 10;
+
+/**
+ * Formats a date for display.
+ * @param {string} dateString - The ISO date string.
+ * @returns {string} The formatted date.
+ */
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+/**
+ * @component TrashList
+ * @description The logged-in user's deleted posts, the most recently deleted first, with the date each one
+ * will be purged. Posts can be restored (unless a moderator removed them, or the user is a reader) or deleted permanently.
+ * @returns {React.ReactElement} The trash.
+ */
+const TrashList = () => {
+  const [page, setPage] = useState(1);
+  const [trash, setTrash] = useState({
+    blogs: [],
+    pages: 1,
+    count: 0,
+    retentionDays: null,
+  });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const toast = useToast();
+  const { user } = useAuth();
+
+  /**
+   * @function fetchTrash
+   * @description Loads the current page of the trash.
+   */
+  const fetchTrash = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setTrash(await blogService.getTrash({ page, limit: POSTS_PER_PAGE }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  /**
+   * @function runAction
+   * @description Restores or permanently deletes a post, removes it from the list and shows the outcome in a toast.
+   * @param {object} blog - The trashed post.
+   * @param {function(string): Promise<object>} action - The service call, given the post ID.
+   * @param {string} successTitle - Toast title on success.
+   */
+  const runAction = async (blog, action, successTitle) => {
+    setSavingId(blog._id);
+    try {
+      await action(blog._id);
+      setTrash((prev) => ({
+        ...prev,
+        blogs: prev.blogs.filter((b) => b._id !== blog._id),
+        count: prev.count - 1,
+      }));
+      toast({
+        title: successTitle,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Error",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  /**
+   * @function handleDeletePermanently
+   * @description Permanently deletes a post after confirmation.
+   * @param {object} blog - The trashed post.
+   */
+  const handleDeletePermanently = (blog) => {
+    if (
+      !window.confirm(
+        `Delete "${blog.title}" permanently? Its comments and reactions are deleted too. This cannot be undone.`
+      )
+    )
+      return;
+    runAction(blog, blogService.deleteBlogPermanently, "Post deleted");
+  };
+
+  if (isLoading && trash.blogs.length === 0) {
+    return (
+      <Center h="30vh">
+        <Spinner size="xl" color="teal.500" />
+      </Center>
+    );
+  }
+
+  return (
+    <Box>
+      {trash.retentionDays && (
+        <Text color="gray.600" mb={4}>
+          Deleted posts are kept for {trash.retentionDays} day
+          {trash.retentionDays === 1 ? "" : "s"} before they are removed for
+          good.
+        </Text>
+      )}
+
+      {error && (
+        <Alert status="error" mb={4}>
+          <AlertIcon />
+          {error}
+        </Alert>
+      )}
+
+      {trash.blogs.length === 0 ? (
+        <Text color="gray.500">The trash is empty.</Text>
+      ) : (
+        <VStack spacing={3} align="stretch">
+          {trash.blogs.map((blog) => {
+            const statusInfo = getStatusInfo(blog.status, blog.scheduledFor);
+            return (
+              <HStack
+                key={blog._id}
+                p={4}
+                borderWidth={1}
+                borderRadius="md"
+                justify="space-between"
+                wrap="wrap"
+                spacing={4}
+              >
+                <Box>
+                  <HStack spacing={2}>
+                    <Heading as="h3" size="sm">
+                      {blog.title}
+                    </Heading>
+                    <Badge colorScheme={statusInfo.colorScheme}>
+                      {statusInfo.label}
+                    </Badge>
+                  </HStack>
+                  <Text fontSize="sm" color="gray.500">
+                    Deleted on {formatDate(blog.deletedAt)} &middot; removed for
+                    good on {formatDate(blog.purgeAt)}
+                  </Text>
+                  {!blog.canRestore && (
+                    <Text fontSize="sm" color="orange.500">
+                      Removed by a moderator
+                    </Text>
+                  )}
+                </Box>
+                <HStack>
+                  {blog.canRestore && canWritePosts(user) && (
+                    <Button
+                      size="sm"
+                      colorScheme="teal"
+                      variant="outline"
+                      onClick={() =>
+                        runAction(
+                          blog,
+                          blogService.restoreBlog,
+                          "Post restored"
+                        )
+                      }
+                      isLoading={savingId === blog._id}
+                      isDisabled={savingId !== null}
+                    >
+                      Restore
+                    </Button>
+                  )}
+                  <Button
+                    size="sm"
+                    colorScheme="red"
+                    variant="outline"
+                    onClick={() => handleDeletePermanently(blog)}
+                    isDisabled={savingId !== null}
+                  >
+                    Delete Forever
+                  </Button>
+                </HStack>
+              </HStack>
+            );
+          })}
+        </VStack>
+      )}
+
+      {trash.pages > 1 && (
+        <HStack justifyContent="center" mt={6} spacing={4}>
+          <Button
+            onClick={() => setPage((p) => p - 1)}
+            isDisabled={page <= 1 || isLoading}
+          >
+            Previous
+          </Button>
+          <Text>
+            Page {page} of {trash.pages}
+          </Text>
+          <Button
+            onClick={() => setPage((p) => p + 1)}
+            isDisabled={page >= trash.pages || isLoading}
+          >
+            Next
+          </Button>
+        </HStack>
+      )}
+    </Box>
+  );
+};
+
+export default TrashList;
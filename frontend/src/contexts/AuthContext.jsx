@@ -122,6 +122,61 @@ export const AuthProvider = ({ children }) => {
     // No need to navigate here, components can decide where to redirect after logout
   };
 
+  /**
+   * @function persistUser
+   * @description Merges updated fields into the stored user object, keeping state, localStorage
+   * and the Axios auth header in sync.
+   * @param {object} changes - Fields to merge into the current user (e.g., name, email, token).
+   * @returns {object} The merged user object.
+   */
+  const persistUser = (changes) => {
+    const updatedUser = { ...user, ...changes };
+    setUser(updatedUser);
+    localStorage.setItem("blogUser", JSON.stringify(updatedUser));
+    axios.defaults.headers.common["Authorization"] = `Bearer ${updatedUser.token}`;
+    return updatedUser;
+  };
+
+  /**
+   * @function updateProfile
+   * @description Updates the current user's name, email and/or public profile through the authService
+   * and merges the result into the stored user data.
+   * Does not toggle `isLoading`, since ProtectedRoute swaps the page for a spinner while it is set.
+   * @param {object} profileData - The updated profile fields (name, email, handle, bio, avatar, website, socialLinks).
+   * @returns {Promise<object>} The updated user object.
+   * @throws {Error} If the update fails, throws the error for the component to handle.
+   */
+  const updateProfile = async (profileData) => {
+    setError(null);
+    try {
+      const data = await authService.updateProfile(profileData);
+      return persistUser(data); // The response has every profile field but no token
+    } catch (err) {
+      setError(err.toString());
+      throw err;
+    }
+  };
+
+  /**
+   * @function changePassword
+   * @description Changes the current user's password through the authService.
+   * The backend invalidates older tokens, so the freshly issued token replaces the stored one.
+   * @param {object} passwordData - The current and new password.
+   * @returns {Promise<object>} The response data from the backend.
+   * @throws {Error} If the change fails, throws the error for the component to handle.
+   */
+  const changePassword = async (passwordData) => {
+    setError(null);
+    try {
+      const data = await authService.changePassword(passwordData);
+      persistUser({ token: data.token });
+      return data;
+    } catch (err) {
+      setError(err.toString());
+      throw err;
+    }
+  };
+
   // The value provided to consuming components by the AuthContext.
   const value = {
     user, // Current user object (or null if not logged in)
@@ -131,6 +186,8 @@ export const AuthProvider = ({ children }) => {
     signupUser, // Function to sign up a user
     loginUser, // Function to log in a user
     logoutUser, // Function to log out a user
+    updateProfile, // Function to update the user's name/email/public profile
+    changePassword, // Function to change the user's password
     clearError: () => setError(null), // Function to clear any existing auth error
   };
 
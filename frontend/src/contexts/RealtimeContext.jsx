@@ -0,0 +1,108 @@
+import {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { BASE_URL } from "../utils/api";
+
+/**
+ * @constant REALTIME_EVENTS
+ * @description Events pushed by the backend's `/api/events` stream. Each carries JSON data:
+ * - "blog:published": a post that joined the public listings.
+ * - "blog:updated": a listed post that changed, or one of the logged-in user's unlisted posts. Posts in events
+ *   carry no rendered `contentHtml`.
+ * - "blog:deleted": `{ _id }` of a post that was deleted or left the public listings.
+ * - "comment:created": `{ blogId, comment }` for a new comment or reply.
+ * - "notification:created": a new notification of the logged-in user.
+ */
+export const REALTIME_EVENTS = [
+  "blog:published",
+  "blog:updated",
+  "blog:deleted",
+  "comment:created",
+  "notification:created",
+];
+
+const RealtimeContext = createContext(null);
+
+/**
+ * @component RealtimeProvider
+ * @description Keeps one Server-Sent Events connection to the backend for the whole app and lets components
+ * subscribe to its events. The connection carries the logged-in user's token (EventSource cannot send headers,
+ * so it goes in the query string) and is reopened when the user logs in or out.
+ * The browser reconnects by itself after a dropped connection.
+ * Must be rendered inside `AuthProvider`.
+ * @param {object} props - The component props.
+ * @param {React.ReactNode} props.children - The app.
+ * @returns {React.ReactElement} The provider.
+ */
+export const RealtimeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [isConnected, setIsConnected] = useState(false);
+  const handlersRef = useRef(new Map()); // Subscribed handlers keyed by event name
+  const token = user?.token;
+
+  useEffect(() => {
+    if (typeof EventSource === "undefined") return undefined;
+
+    const query = token ? `?token=${encodeURIComponent(token)}` : "";
+    const source = new EventSource(`${BASE_URL}/api/events${query}`);
+    source.addEventListener("ready", () => setIsConnected(true));
+    source.onerror = () => setIsConnected(false);
+    REALTIME_EVENTS.forEach((event) => {
+      source.addEventListener(event, (message) => {
+        let data;
+        try {
+          data = JSON.parse(message.data);
+        } catch (error) {
+          console.error(`Error parsing ${event} event:`, error);
+          return;
+        }
+        handlersRef.current.get(event)?.forEach((handler) => handler(data));
+      });
+    });
+
+    return () => {
+      source.close();
+      setIsConnected(false);
+    };
+  }, [token]);
+
+  /**
+   * @function subscribe
+   * @description Calls a handler with the data of every event of a type.
+   * @param {string} event - One of REALTIME_EVENTS.
+   * @param {function(object): void} handler - Receives the event data.
+   * @returns {function(): void} Unsubscribes the handler.
+   */
+  const subscribe = useCallback((event, handler) => {
+    const handlers = handlersRef.current;
+    if (!handlers.has(event)) handlers.set(event, new Set());
+    handlers.get(event).add(handler);
+    return () => handlers.get(event).delete(handler);
+  }, []);
+
+  return (
+    <RealtimeContext.Provider value={{ subscribe, isConnected }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+/**
+ * @hook useRealtime
+ * @description Gives access to the realtime connection.
+ * @returns {{ subscribe: function(string, function(object): void): function(): void, isConnected: boolean }}
+ * A function subscribing to an event and whether the connection is open.
+ */
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error("useRealtime must be used within a RealtimeProvider");
+  }
+  return context;
+};
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { renderHook, act } from "@testing-library/react";
+import useLiveBlogs from "../useLiveBlogs";
+
+// Stand-in for the realtime connection: tests push events through `emit`
+const mockHandlers = {};
+jest.mock("../../contexts/RealtimeContext", () => {
+  const subscribe = (event, handler) => {
+    mockHandlers[event] = handler;
+    return () => delete mockHandlers[event];
+  };
+  return { useRealtime: () => ({ subscribe }) };
+});
+
+const emit = (event, data) => act(() => mockHandlers[event](data));
+
+describe("useLiveBlogs", () => {
+  const listedBlog = {
+    _id: "1",
+    title: "Listed",
+    status: "published",
+    commentCount: 2,
+    myReactions: ["like"],
+    isBookmarked: true,
+  };
+
+  const renderList = (initial, options) =>
+    renderHook(() => {
+      const [blogs, setBlogs] = useState(initial);
+      useLiveBlogs(setBlogs, options);
+      return blogs;
+    });
+
+  it("updates a listed post in place, keeping the reader's own details", () => {
+    const { result } = renderList([listedBlog]);
+
+    emit("blog:updated", { _id: "1", title: "Renamed", status: "published" });
+
+    expect(result.current).toEqual([{ ...listedBlog, title: "Renamed" }]);
+  });
+
+  it("removes a post that became unlisted", () => {
+    const { result } = renderList([listedBlog, { ...listedBlog, _id: "2" }]);
+
+    emit("blog:updated", { _id: "1", title: "Listed", status: "unlisted" });
+
+    expect(result.current.map((b) => b._id)).toEqual(["2"]);
+  });
+
+  it("removes deleted posts", () => {
+    const { result } = renderList([listedBlog]);
+
+    emit("blog:deleted", { _id: "1" });
+
+    expect(result.current).toEqual([]);
+  });
+
+  it("adds newly published posts only when accepted", () => {
+    const { result } = renderList([listedBlog], {
+      acceptNew: (blog) => blog.category === "Technology",
+    });
+
+    emit("blog:published", { _id: "2", category: "Travel" });
+    emit("blog:published", { _id: "3", category: "Technology" });
+
+    expect(result.current.map((b) => b._id)).toEqual(["3", "1"]);
+    expect(result.current[0]).toMatchObject({
+      commentCount: 0,
+      myReactions: [],
+      isBookmarked: false,
+    });
+  });
+});
@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from "react";
+import categoryService from "../services/categoryService";
+
+/**
+ * @hook useCategories
+ * @description Loads the category list from the API for category selects and filters.
+ * @returns {{ categories: Array<Object>, isLoading: boolean, error: ?string, reload: function(): Promise<void> }}
+ * The categories in display order, the loading and error state, and a function to load them again.
+ */
+const useCategories = () => {
+  const [categories, setCategories] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setCategories(await categoryService.getCategories());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { categories, isLoading, error, reload };
+};
+
+export default useCategories;
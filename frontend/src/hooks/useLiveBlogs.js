@@ -0,0 +1,66 @@
+import useRealtimeEvent from "./useRealtimeEvent";
+
+/**
+ * @function isListed
+ * @description Whether a post belongs in public listings (posts created before statuses existed count as published).
+ * @param {object} blog - The blog post.
+ * @returns {boolean} True if the post is listed.
+ */
+const isListed = (blog) => !blog.status || blog.status === "published";
+
+/**
+ * @hook useLiveBlogs
+ * @description Merges realtime events into a displayed list of published posts without refetching it:
+ * changed posts are updated in place, deleted or unpublished posts are removed, comment counts go up
+ * as comments arrive and, when `acceptNew` says so, newly published posts are added at the top.
+ * Per-user details of listed posts (`myReactions`, `isBookmarked`) are kept, since events carry none.
+ * @param {function(function(Array<object>): Array<object>): void} updateBlogs - Applies a change to the
+ *   displayed posts, like a state setter called with an updater function.
+ * @param {object} [options] - Options.
+ * @param {function(object): boolean} [options.acceptNew] - Whether a newly published post belongs in the list.
+ *   New posts are ignored without it.
+ */
+const useLiveBlogs = (updateBlogs, { acceptNew } = {}) => {
+  useRealtimeEvent("blog:published", (blog) => {
+    if (!acceptNew || !acceptNew(blog)) return;
+    updateBlogs((blogs) =>
+      blogs.some((b) => b._id === blog._id)
+        ? blogs
+        : [
+            { ...blog, commentCount: 0, myReactions: [], isBookmarked: false },
+            ...blogs,
+          ]
+    );
+  });
+
+  useRealtimeEvent("blog:updated", (blog) => {
+    updateBlogs((blogs) =>
+      isListed(blog)
+        ? blogs.map((b) =>
+            b._id === blog._id
+              ? {
+                  ...b,
+                  ...blog,
+                  myReactions: b.myReactions,
+                  isBookmarked: b.isBookmarked,
+                }
+              : b
+          )
+        : blogs.filter((b) => b._id !== blog._id)
+    );
+  });
+
+  useRealtimeEvent("blog:deleted", ({ _id }) => {
+    updateBlogs((blogs) => blogs.filter((b) => b._id !== _id));
+  });
+
+  useRealtimeEvent("comment:created", ({ blogId }) => {
+    updateBlogs((blogs) =>
+      blogs.map((b) =>
+        b._id === blogId ? { ...b, commentCount: (b.commentCount || 0) + 1 } : b
+      )
+    );
+  });
+};
+
+export default useLiveBlogs;
@@ -0,0 +1,22 @@
+import { useEffect, useRef } from "react";
+import { useRealtime } from "../contexts/RealtimeContext";
+
+/**
+ * @hook useRealtimeEvent
+ * @description Calls a handler for every realtime event of a type while the component is mounted.
+ * The latest handler is always used, so it may read current props and state without resubscribing.
+ * @param {string} event - One of REALTIME_EVENTS.
+ * @param {function(object): void} handler - Receives the event data.
+ */
+const useRealtimeEvent = (event, handler) => {
+  const { subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(
+    () => subscribe(event, (data) => handlerRef.current(data)),
+    [subscribe, event]
+  );
+};
+
+export default useRealtimeEvent;
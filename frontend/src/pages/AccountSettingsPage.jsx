@@ -0,0 +1,368 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Heading,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Input,
+  InputGroup,
+  InputLeftAddon,
+  Textarea,
+  Button,
+  VStack,
+  Divider,
+  Link,
+  useToast,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import ImagePicker from "../components/ImagePicker";
+import NotificationPreferences from "../components/NotificationPreferences";
+import { SOCIAL_NETWORKS, getAuthorPath } from "../utils/authors";
+
+/**
+ * @function toSocialLinks
+ * @description Builds the social links form state from the stored user, with an entry for every network.
+ * @param {object} [links] - The user's social links.
+ * @returns {Object<string, string>} URLs keyed by network.
+ */
+const toSocialLinks = (links) =>
+  Object.fromEntries(
+    SOCIAL_NETWORKS.map(({ value }) => [value, links?.[value] || ""])
+  );
+
+/**
+ * @page AccountSettingsPage
+ * @description Lets authenticated users update their account (name, email), their public author profile
+ * (handle, bio, avatar, website, social links) and notification preferences, and change their password.
+ * Uses the `AuthContext` actions so the stored user data and token stay in sync after each change.
+ */
+const AccountSettingsPage = () => {
+  const { user, updateProfile, changePassword } = useAuth();
+  const toast = useToast(); // Hook for displaying toast notifications.
+
+  // Profile form state, pre-filled from the stored user.
+  const [name, setName] = useState(user?.name || "");
+  const [email, setEmail] = useState(user?.email || "");
+  const [handle, setHandle] = useState(user?.handle || "");
+  const [bio, setBio] = useState(user?.bio || "");
+  const [avatar, setAvatar] = useState(user?.avatar || "");
+  const [website, setWebsite] = useState(user?.website || "");
+  const [socialLinks, setSocialLinks] = useState(
+    toSocialLinks(user?.socialLinks)
+  );
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
+
+  // Password form state.
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [isChangingPassword, setIsChangingPassword] = useState(false);
+
+  // Keep the form in sync if the stored user changes (e.g., after a profile update).
+  useEffect(() => {
+    setName(user?.name || "");
+    setEmail(user?.email || "");
+    setHandle(user?.handle || "");
+    setBio(user?.bio || "");
+    setAvatar(user?.avatar || "");
+    setWebsite(user?.website || "");
+    setSocialLinks(toSocialLinks(user?.socialLinks));
+  }, [
+    user?.name,
+    user?.email,
+    user?.handle,
+    user?.bio,
+    user?.avatar,
+    user?.website,
+    user?.socialLinks,
+  ]);
+
+  /**
+   * @function handleProfileSubmit
+   * @description Validates and submits the profile form, then shows a toast with the result.
+   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   */
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    if (!name || !email) {
+      toast({
+        title: "Name and email are required",
+        status: "error",
+        duration: 3000,
+        isClosable: true,
+      });
+      return;
+    }
+
+    setIsSavingProfile(true);
+    try {
+      await updateProfile({
+        name,
+        email,
+        // An empty handle keeps the current one
+        handle: handle.trim() || undefined,
+        bio,
+        avatar,
+        website,
+        socialLinks,
+      });
+      toast({
+        title: "Profile Updated",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Error Updating Profile",
+        description: err.message || "Could not update your profile.",
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSavingProfile(false);
+    }
+  };
+
+  /**
+   * @function handlePasswordSubmit
+   * @description Validates and submits the password form. Clears the fields on success.
+   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   */
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword.length < 6) {
+      toast({
+        title: "Password must be at least 6 characters long",
+        status: "error",
+        duration: 3000,
+        isClosable: true,
+      });
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      toast({
+        title: "New passwords do not match",
+        status: "error",
+        duration: 3000,
+        isClosable: true,
+      });
+      return;
+    }
+
+    setIsChangingPassword(true);
+    try {
+      await changePassword({ currentPassword, newPassword });
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+      toast({
+        title: "Password Changed",
+        description: "You have been signed out of your other sessions.",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Error Changing Password",
+        description: err.message || "Could not change your password.",
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsChangingPassword(false);
+    }
+  };
+
+  return (
+    <Box
+      maxWidth="md"
+      mx="auto"
+      mt={10}
+      p={6}
+      borderWidth={1}
+      borderRadius="lg"
+      boxShadow="lg"
+    >
+      <Heading as="h1" mb={6} textAlign="center">
+        Account Settings
+      </Heading>
+
+      {/* Profile form */}
+      <form onSubmit={handleProfileSubmit}>
+        <VStack spacing={4}>
+          <FormControl id="name" isRequired>
+            <FormLabel>Name</FormLabel>
+            <Input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              isDisabled={isSavingProfile}
+            />
+          </FormControl>
+
+          <FormControl id="email" isRequired>
+            <FormLabel>Email address</FormLabel>
+            <Input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              isDisabled={isSavingProfile}
+            />
+          </FormControl>
+
+          <Heading as="h2" size="md" alignSelf="flex-start" pt={4}>
+            Public Profile
+          </Heading>
+          {user?.handle && (
+            <Link
+              as={RouterLink}
+              to={getAuthorPath(user.handle)}
+              color="teal.500"
+              alignSelf="flex-start"
+            >
+              View your profile
+            </Link>
+          )}
+
+          <FormControl id="handle">
+            <FormLabel>Handle</FormLabel>
+            <InputGroup>
+              <InputLeftAddon>@</InputLeftAddon>
+              <Input
+                value={handle}
+                onChange={(e) => setHandle(e.target.value)}
+                maxLength={30}
+                isDisabled={isSavingProfile}
+              />
+            </InputGroup>
+            <FormHelperText>
+              Used in your profile address. 3-30 letters, digits, hyphens or
+              underscores.
+            </FormHelperText>
+          </FormControl>
+
+          <FormControl id="bio">
+            <FormLabel>Bio</FormLabel>
+            <Textarea
+              value={bio}
+              onChange={(e) => setBio(e.target.value)}
+              maxLength={500}
+              rows={3}
+              isDisabled={isSavingProfile}
+            />
+          </FormControl>
+
+          <FormControl id="avatar">
+            <FormLabel>Avatar</FormLabel>
+            <ImagePicker
+              value={avatar}
+              onChange={setAvatar}
+              isDisabled={isSavingProfile}
+            />
+          </FormControl>
+
+          <FormControl id="website">
+            <FormLabel>Website</FormLabel>
+            <Input
+              type="url"
+              value={website}
+              onChange={(e) => setWebsite(e.target.value)}
+              placeholder="https://example.com"
+              isDisabled={isSavingProfile}
+            />
+          </FormControl>
+
+          {SOCIAL_NETWORKS.map(({ value, label }) => (
+            <FormControl id={`social-${value}`} key={value}>
+              <FormLabel>{label}</FormLabel>
+              <Input
+                type="url"
+                value={socialLinks[value]}
+                onChange={(e) =>
+                  setSocialLinks({ ...socialLinks, [value]: e.target.value })
+                }
+                placeholder="https://"
+                isDisabled={isSavingProfile}
+              />
+            </FormControl>
+          ))}
+
+          <Button
+            type="submit"
+            colorScheme="teal"
+            width="full"
+            isLoading={isSavingProfile}
+          >
+            Save Profile
+          </Button>
+        </VStack>
+      </form>
+
+      <Divider my={8} />
+
+      {/* Notification preferences, saved as they are changed */}
+      <Heading as="h2" size="md" mb={4}>
+        Notifications
+      </Heading>
+      <NotificationPreferences />
+
+      <Divider my={8} />
+
+      {/* Password form */}
+      <Heading as="h2" size="md" mb={4}>
+        Change Password
+      </Heading>
+      <form onSubmit={handlePasswordSubmit}>
+        <VStack spacing={4}>
+          <FormControl id="currentPassword" isRequired>
+            <FormLabel>Current password</FormLabel>
+            <Input
+              type="password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              isDisabled={isChangingPassword}
+            />
+          </FormControl>
+
+          <FormControl id="newPassword" isRequired>
+            <FormLabel>New password</FormLabel>
+            <Input
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              isDisabled={isChangingPassword}
+            />
+          </FormControl>
+
+          <FormControl id="confirmPassword" isRequired>
+            <FormLabel>Confirm new password</FormLabel>
+            <Input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              isDisabled={isChangingPassword}
+            />
+          </FormControl>
+
+          <Button
+            type="submit"
+            colorScheme="teal"
+            variant="outline"
+            width="full"
+            isLoading={isChangingPassword}
+          >
+            Change Password
+          </Button>
+        </VStack>
+      </form>
+    </Box>
+  );
+};
+
+export default AccountSettingsPage;
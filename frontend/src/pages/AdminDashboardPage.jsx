@@ -0,0 +1,74 @@
+import {
+  Box,
+  Flex,
+  Heading,
+  Button,
+  Tabs,
+  TabList,
+  Tab,
+  TabPanels,
+  TabPanel,
+} from "@chakra-ui/react";
+import { Link as RouterLink, useSearchParams } from "react-router-dom";
+import AdminStats from "../components/AdminStats";
+import AdminUsers from "../components/AdminUsers";
+import AdminPosts from "../components/AdminPosts";
+
+// Tabs of the dashboard, in order, as named in the URL
+const TABS = ["overview", "users", "posts"];
+
+/**
+ * @page AdminDashboardPage
+ * @description Admin page for overseeing the site: statistics, a user search to suspend, ban or reinstate
+ * accounts and a post search to unpublish or delete posts, on three tabs, with a link to category management.
+ * The selected tab is kept in the URL (`?tab=users`).
+ */
+const AdminDashboardPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tabIndex = Math.max(TABS.indexOf(searchParams.get("tab")), 0);
+
+  return (
+    <Box p={5}>
+      <Flex justify="space-between" align="center" mb={6} wrap="wrap" gap={3}>
+        <Heading as="h1">Admin</Heading>
+        <Button
+          as={RouterLink}
+          to="/admin/categories"
+          colorScheme="teal"
+          variant="outline"
+        >
+          Manage Categories
+        </Button>
+      </Flex>
+      <Tabs
+        colorScheme="teal"
+        index={tabIndex}
+        onChange={(index) =>
+          setSearchParams(index === 0 ? {} : { tab: TABS[index] }, {
+            replace: true,
+          })
+        }
+        isLazy
+      >
+        <TabList mb={6}>
+          <Tab>Overview</Tab>
+          <Tab>Users</Tab>
+          <Tab>Posts</Tab>
+        </TabList>
+        <TabPanels>
+          <TabPanel px={0}>
+            <AdminStats />
+          </TabPanel>
+          <TabPanel px={0}>
+            <AdminUsers />
+          </TabPanel>
+          <TabPanel px={0}>
+            <AdminPosts />
+          </TabPanel>
+        </TabPanels>
+      </Tabs>
+    </Box>
+  );
+};
+
+export default AdminDashboardPage;
@@ -0,0 +1,309 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import {
+  Box,
+  Heading,
+  Text,
+  Avatar,
+  HStack,
+  VStack,
+  Link,
+  SimpleGrid,
+  Button,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  AlertTitle,
+  AlertDescription,
+  Divider,
+  Badge,
+  Select,
+  useToast,
+} from "@chakra-ui/react";
+import { useParams, useNavigate, Link as RouterLink } from "react-router-dom";
+import userService from "../services/userService";
+import blogService from "../services/blogService";
+import BlogCard from "../components/BlogCard";
+import FollowButton from "../components/FollowButton";
+import { SOCIAL_NETWORKS, getAuthorPath } from "../utils/authors";
+import useLiveBlogs from "../hooks/useLiveBlogs";
+import FeedLinks from "../components/FeedLinks";
+import { getFeedLinks } from "../utils/feeds";
+import { useAuth } from "../contexts/AuthContext";
+import { ROLES, getRoleInfo, isAdmin } from "../utils/roles";
+
+// Number of posts per page on the profile
+const POSTS_PER_PAGE = 6;
+
+/**
+ * @page AuthorPage
+ * @description An author's public profile: avatar, name, handle, bio, links and counts,
+ * a follow button and a paginated list of their published posts, kept up to date live.
+ * The URL accepts a handle or a user ID (as linked from blog posts) and is switched to the handle once loaded.
+ * The author's RSS and Atom feeds are advertised for autodiscovery.
+ * Moderators and admins are marked with a badge, and admins can change other users' roles here.
+ */
+const AuthorPage = () => {
+  const { handle } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const toast = useToast();
+  const [profile, setProfile] = useState(null);
+  const [isSavingRole, setIsSavingRole] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [blogsData, setBlogsData] = useState({ blogs: [], page: 1, pages: 1 });
+  const [isLoadingBlogs, setIsLoadingBlogs] = useState(false);
+  const [currentPage, setCurrentPage] = useState(1);
+  const profileRef = useRef(null); // Loaded profile, so switching the URL to its handle doesn't reload it
+  profileRef.current = profile;
+
+  // Load the profile, replacing an ID in the URL with the handle
+  useEffect(() => {
+    if (profileRef.current?.handle === handle) return undefined;
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    userService
+      .getUserProfile(handle)
+      .then((data) => {
+        if (cancelled) return;
+        setProfile(data);
+        setCurrentPage(1);
+        if (data.handle && data.handle !== handle) {
+          navigate(getAuthorPath(data.handle), { replace: true });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [handle, navigate]);
+
+  const authorId = profile?._id;
+
+  // Load a page of the author's published posts
+  useEffect(() => {
+    if (!authorId) return undefined;
+    let cancelled = false;
+    setIsLoadingBlogs(true);
+    blogService
+      .getAllBlogs({
+        authorId,
+        page: currentPage,
+        limit: POSTS_PER_PAGE,
+      })
+      .then((data) => {
+        if (!cancelled) setBlogsData(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingBlogs(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [authorId, currentPage]);
+
+  // Apply live changes to the displayed page, keeping it at its size
+  const updateDisplayedBlogs = useCallback(
+    (update) =>
+      setBlogsData((prev) => ({
+        ...prev,
+        blogs: update(prev.blogs).slice(0, POSTS_PER_PAGE),
+      })),
+    []
+  );
+  useLiveBlogs(updateDisplayedBlogs, {
+    acceptNew: (blog) => currentPage === 1 && blog.userId === authorId,
+  });
+
+  if (isLoading) {
+    return (
+      <Center h="60vh">
+        <Spinner size="xl" color="teal.500" />
+      </Center>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <Box p={5} maxW="container.md" mx="auto">
+        <Alert status="error" mt={5}>
+          <AlertIcon />
+          <AlertTitle mr={2}>Author Not Found</AlertTitle>
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+        <Button as={RouterLink} to="/" colorScheme="teal" mt={4}>
+          Go to Homepage
+        </Button>
+      </Box>
+    );
+  }
+
+  /**
+   * @function handleRoleChange
+   * @description Changes the author's role (admins only) and shows the result in a toast.
+   * @param {React.ChangeEvent<HTMLSelectElement>} e - The change event of the role select.
+   */
+  const handleRoleChange = async (e) => {
+    const role = e.target.value;
+    setIsSavingRole(true);
+    try {
+      const updated = await userService.updateUserRole(profile._id, role);
+      setProfile((prev) => ({ ...prev, role: updated.role }));
+      toast({
+        title: "Role Updated",
+        description: `${profile.name} is now ${getRoleInfo(updated.role).label.toLowerCase()}.`,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Error Updating Role",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSavingRole(false);
+    }
+  };
+
+  const roleInfo = getRoleInfo(profile.role);
+  const links = [
+    profile.website && { label: "Website", url: profile.website },
+    ...SOCIAL_NETWORKS.filter(({ value }) => profile.socialLinks?.[value]).map(
+      ({ value, label }) => ({ label, url: profile.socialLinks[value] })
+    ),
+  ].filter(Boolean);
+
+  return (
+    <Box p={5}>
+      <FeedLinks feeds={getFeedLinks({ author: profile })} />
+      {/* Profile header */}
+      <VStack spacing={3} textAlign="center" maxW="container.md" mx="auto">
+        <Avatar
+          size="2xl"
+          name={profile.name}
+          src={profile.avatar || undefined}
+        />
+        <Heading as="h1">{profile.name}</Heading>
+        <Text color="gray.500">@{profile.handle}</Text>
+        {["moderator", "admin"].includes(profile.role) && (
+          <Badge colorScheme={roleInfo.colorScheme}>{roleInfo.label}</Badge>
+        )}
+        {/* Admins can't change their own role, so the site always keeps an admin */}
+        {isAdmin(user) && user._id !== profile._id && (
+          <Select
+            size="sm"
+            maxW="200px"
+            aria-label="Role"
+            value={profile.role || "author"}
+            onChange={handleRoleChange}
+            isDisabled={isSavingRole}
+          >
+            {ROLES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </Select>
+        )}
+        <FollowButton userId={profile._id} />
+        <Text fontSize="sm" color="gray.600">
+          {profile.postCount} post{profile.postCount === 1 ? "" : "s"} &middot;{" "}
+          {profile.followingCount} following &middot; Joined{" "}
+          {new Date(profile.createdAt).toLocaleDateString("en-US", {
+            year: "numeric",
+            month: "long",
+          })}
+        </Text>
+        {profile.bio && (
+          <Text whiteSpace="pre-wrap" color="gray.700">
+            {profile.bio}
+          </Text>
+        )}
+        {links.length > 0 && (
+          <HStack spacing={4} wrap="wrap" justifyContent="center">
+            {links.map(({ label, url }) => (
+              <Link
+                key={label}
+                href={url}
+                color="teal.500"
+                isExternal
+                rel="noopener noreferrer nofollow"
+              >
+                {label}
+              </Link>
+            ))}
+          </HStack>
+        )}
+      </VStack>
+
+      <Divider my={8} />
+
+      {/* Published posts */}
+      <Heading as="h2" size="lg" mb={6}>
+        Posts
+      </Heading>
+      {isLoadingBlogs && blogsData.blogs.length === 0 ? (
+        <Center py={10}>
+          <Spinner color="teal.500" />
+        </Center>
+      ) : error ? (
+        <Alert status="error">
+          <AlertIcon />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      ) : blogsData.blogs.length === 0 ? (
+        <Text color="gray.500">
+          {profile.name} hasn&apos;t published anything yet.
+        </Text>
+      ) : (
+        <>
+          <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={6}>
+            {blogsData.blogs.map((blog) => (
+              <BlogCard key={blog._id} blog={blog} />
+            ))}
+          </SimpleGrid>
+
+          {blogsData.pages > 1 && (
+            <HStack justifyContent="center" mt={8} spacing={4}>
+              <Button
+                onClick={() => setCurrentPage(currentPage - 1)}
+                isDisabled={currentPage === 1 || isLoadingBlogs}
+                colorScheme="teal"
+                variant="outline"
+              >
+                Previous
+              </Button>
+              <Text>
+                Page {currentPage} of {blogsData.pages}
+              </Text>
+              <Button
+                onClick={() => setCurrentPage(currentPage + 1)}
+                isDisabled={currentPage === blogsData.pages || isLoadingBlogs}
+                colorScheme="teal"
+                variant="outline"
+              >
+                Next
+              </Button>
+            </HStack>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default AuthorPage;
@@ -5,59 +5,60 @@ import {
   FormControl,
   FormLabel,
   Input,
-  Textarea,
   Select,
   Button,    // Button component from Chakra UI
   VStack,
   useToast,
-  Text,
+  HStack,
+  FormHelperText,
 } from "@chakra-ui/react";
 import { useNavigate } from "react-router-dom";
 import blogService from "../services/blogService";
+import MarkdownEditor from "../components/MarkdownEditor";
+import ImagePicker from "../components/ImagePicker";
+import TagInput from "../components/TagInput";
+import useCategories from "../hooks/useCategories";
+import {
+  toDateTimeLocalValue,
+  fromDateTimeLocalValue,
+} from "../utils/dateUtils";
 import { useAuth } from "../contexts/AuthContext"; // To ensure user is authenticated, though route protection handles this
 
 /**
  * @page CreateBlogPage
  * @description A page component that allows authenticated users to create new blog posts.
- * It includes a form for the blog title, category, content, and an optional image URL.
+ * It includes a form for the blog title, category, tags, content, and an optional image URL.
+ * Posts can either be published right away, saved as a draft to finish later,
+ * or scheduled to be published automatically at a future time.
  * Handles form submission, validation, and displays toast notifications for success or errors.
  */
 const CreateBlogPage = () => {
   const [title, setTitle] = useState(""); // State for the blog post title.
   const [category, setCategory] = useState(""); // State for the blog post category.
+  const [tags, setTags] = useState([]); // State for the blog post tags.
   const [content, setContent] = useState(""); // State for the blog post content.
   const [image, setImage] = useState(""); // State for the optional image URL.
-  const [isSubmitting, setIsSubmitting] = useState(false); // State to track form submission status.
+  const [scheduledFor, setScheduledFor] = useState(""); // State for the optional scheduled publish time (datetime-local value).
+  const [submittingStatus, setSubmittingStatus] = useState(null); // Status being submitted ("draft" or "published"), null when idle.
+  const isSubmitting = submittingStatus !== null;
 
   const toast = useToast(); // Hook for displaying toast notifications.
   const navigate = useNavigate(); // Hook for programmatic navigation.
   const { user } = useAuth(); // Hook to access authenticated user data.
 
-  // Dummy categories - consistent with HomePage for now
-  const categories = [
-    "Career",
-    "Finance",
-    "Travel",
-    "Technology",
-    "Lifestyle",
-    "Health",
-    "Education",
-    "Other",
-  ];
+  const { categories, isLoading: isLoadingCategories } = useCategories(); // Categories for the category select.
 
   /**
-   * @function handleSubmit
-   * @description Handles the form submission for creating a new blog post.
+   * @function saveBlog
+   * @description Creates a new blog post with the given status.
    * Validates required fields (title, category, content).
    * Checks if the user is authenticated.
    * Calls the `blogService.createBlog` to submit the data to the backend.
    * Displays success or error toast notifications.
    * Navigates to the newly created blog post page on success.
-   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   * @param {"draft"|"published"} status - Whether to save the post as a draft or publish it.
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-
+  const saveBlog = async (status) => {
     if (!title || !category || !content) {
       toast({
         title: "Missing Fields",
@@ -82,28 +83,38 @@ const CreateBlogPage = () => {
       return;
     }
 
-    setIsSubmitting(true);
+    setSubmittingStatus(status);
     try {
-      const newBlogData = { title, category, content };
+      const newBlogData = { title, category, tags, content, status };
       if (image) newBlogData.image = image; // Add image only if provided
+      if (status === "draft" && scheduledFor) {
+        newBlogData.scheduledFor = fromDateTimeLocalValue(scheduledFor);
+      }
 
       const createdBlog = await blogService.createBlog(newBlogData);
       toast({
-        title: "Blog Post Created!",
-        description: "Your new blog post has been published.",
+        title: status === "draft" ? "Draft Saved!" : "Blog Post Created!",
+        description:
+          status !== "draft"
+            ? "Your new blog post has been published."
+            : scheduledFor
+            ? "Your post will be published automatically at the scheduled time."
+            : "Your draft is only visible to you until you publish it.",
         status: "success",
         duration: 3000,
         isClosable: true,
       });
       // Navigate to the newly created blog post or My Blogs page
-      navigate(`/blog/${createdBlog._id}`);
+      navigate(`/blog/${createdBlog.slug || createdBlog._id}`);
       // Or navigate('/my-blogs');
 
       // Clear form (optional, as navigating away)
       setTitle("");
       setCategory("");
+      setTags([]);
       setContent("");
       setImage("");
+      setScheduledFor("");
     } catch (err) {
       toast({
         title: "Error Creating Post",
@@ -114,10 +125,20 @@ const CreateBlogPage = () => {
         isClosable: true,
       });
     } finally {
-      setIsSubmitting(false);
+      setSubmittingStatus(null);
     }
   };
 
+  /**
+   * @function handleSubmit
+   * @description Handles the form submission, which publishes the post.
+   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveBlog("published");
+  };
+
   return (
     <Box
       maxWidth="2xl"
@@ -147,57 +168,89 @@ const CreateBlogPage = () => {
           <FormControl id="category" isRequired>
             <FormLabel>Category</FormLabel>
             <Select
-              placeholder="Select a category"
+              placeholder={
+                isLoadingCategories
+                  ? "Loading categories..."
+                  : "Select a category"
+              }
               value={category}
               onChange={(e) => setCategory(e.target.value)}
-              isDisabled={isSubmitting}
+              isDisabled={isSubmitting || isLoadingCategories}
             >
               {categories.map((cat) => (
-                <option key={cat} value={cat}>
-                  {cat}
+                <option key={cat._id} value={cat.name}>
+                  {cat.name}
                 </option>
               ))}
             </Select>
           </FormControl>
 
+          <FormControl id="tags">
+            <FormLabel>Tags (Optional)</FormLabel>
+            <TagInput
+              value={tags}
+              onChange={setTags}
+              isDisabled={isSubmitting}
+            />
+          </FormControl>
+
           <FormControl id="content" isRequired>
             <FormLabel>Content</FormLabel>
-            <Textarea
+            <MarkdownEditor
               value={content}
-              onChange={(e) => setContent(e.target.value)}
-              placeholder="Write your blog post content here..."
-              rows={10}
+              onChange={setContent}
+              placeholder="Write your blog post content here, in Markdown..."
               isDisabled={isSubmitting}
             />
           </FormControl>
 
           <FormControl id="image">
             <FormLabel>Image URL (Optional)</FormLabel>
-            <Input
-              type="url"
+            <ImagePicker
               value={image}
-              onChange={(e) => setImage(e.target.value)}
-              placeholder="https://example.com/your-image.jpg"
+              onChange={setImage}
+              isDisabled={isSubmitting}
+            />
+          </FormControl>
+
+          <FormControl id="scheduledFor">
+            <FormLabel>Publish At (Optional)</FormLabel>
+            <Input
+              type="datetime-local"
+              value={scheduledFor}
+              min={toDateTimeLocalValue(new Date())}
+              onChange={(e) => setScheduledFor(e.target.value)}
               isDisabled={isSubmitting}
             />
-            {image && (
-              <Text fontSize="xs" mt={1} color="gray.500">
-                Preview (ensure URL is correct and image is accessible):
-              </Text>
-              // Basic image preview could be added here if desired, but keep it simple for now
-            )}
+            <FormHelperText>
+              Pick a time and use &quot;Schedule&quot; to publish the post
+              automatically later.
+            </FormHelperText>
           </FormControl>
 
-          <Button
-            type="submit"
-            colorScheme="teal"
-            width="full"
-            isLoading={isSubmitting}
-            mt={4}
-            size="lg"
-          >
-            Publish Post
-          </Button>
+          <HStack width="full" spacing={4} mt={4}>
+            <Button
+              variant="outline"
+              colorScheme="teal"
+              flex={1}
+              size="lg"
+              onClick={() => saveBlog("draft")}
+              isLoading={submittingStatus === "draft"}
+              isDisabled={isSubmitting}
+            >
+              {scheduledFor ? "Schedule" : "Save Draft"}
+            </Button>
+            <Button
+              type="submit"
+              colorScheme="teal"
+              flex={1}
+              size="lg"
+              isLoading={submittingStatus === "published"}
+              isDisabled={isSubmitting}
+            >
+              {scheduledFor ? "Publish Now" : "Publish Post"}
+            </Button>
+          </HStack>
         </VStack>
       </form>
     </Box>
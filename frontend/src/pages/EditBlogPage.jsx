@@ -5,7 +5,6 @@ import {
   FormControl,
   FormLabel,
   Input,
-  Textarea,
   Select,
   Button,
   VStack,
@@ -16,17 +15,37 @@ import {
   AlertIcon,
   AlertTitle,
   AlertDescription,
+  HStack,
+  FormHelperText,
+  Accordion,
+  AccordionItem,
+  AccordionButton,
+  AccordionPanel,
+  AccordionIcon,
 } from "@chakra-ui/react";
 import { useParams, useNavigate } from "react-router-dom";
 import blogService from "../services/blogService";
+import MarkdownEditor from "../components/MarkdownEditor";
+import ImagePicker from "../components/ImagePicker";
+import TagInput from "../components/TagInput";
+import useCategories from "../hooks/useCategories";
 import { useAuth } from "../contexts/AuthContext";
+import RevisionHistory from "../components/RevisionHistory";
+import { BLOG_STATUSES } from "../utils/blogStatus";
+import { canModerate, canWritePosts } from "../utils/roles";
+import {
+  toDateTimeLocalValue,
+  fromDateTimeLocalValue,
+} from "../utils/dateUtils";
 
 /**
  * @page EditBlogPage
  * @description Allows authenticated users to edit their existing blog posts.
  * Fetches the blog post data based on the ID from URL parameters, pre-fills a form,
- * and handles the submission of updated data. Includes authorization checks to ensure
- * only the author can edit the post. Manages loading and error states.
+ * and handles the submission of updated data. Drafts can be saved again, scheduled for
+ * automatic publishing at a future time, or published right away; other posts can switch between published, unlisted and archived visibility.
+ * A revision history panel shows side-by-side diffs of earlier versions and can restore them.
+ * Includes authorization checks to ensure only the author can edit the post. Manages loading and error states.
  */
 const EditBlogPage = () => {
   const { id: blogId } = useParams(); // Extracts blogId from URL parameters.
@@ -37,31 +56,26 @@ const EditBlogPage = () => {
   // State variables for form fields
   const [title, setTitle] = useState("");
   const [category, setCategory] = useState("");
+  const [tags, setTags] = useState([]);
   const [content, setContent] = useState("");
   const [image, setImage] = useState("");
+  const [status, setStatus] = useState("published"); // Selected status for non-draft posts.
+  const [savedStatus, setSavedStatus] = useState("published"); // Status the post currently has on the server.
+  const [scheduledFor, setScheduledFor] = useState(""); // Scheduled publish time of a draft, as a datetime-local value.
   // State variables for component logic
   const [isLoading, setIsLoading] = useState(true); // True when fetching initial blog data.
-  const [isSubmitting, setIsSubmitting] = useState(false); // True when the form is being submitted.
+  const [submittingStatus, setSubmittingStatus] = useState(null); // Status being submitted, null when idle.
+  const isSubmitting = submittingStatus !== null;
   const [error, setError] = useState(null); // Stores error messages from API calls.
   const [originalAuthorId, setOriginalAuthorId] = useState(null); // Stores the original author's ID for authorization checks.
 
-  // Static list of categories. Consider fetching from API if dynamic.
-  const categories = [
-    "Career",
-    "Finance",
-    "Travel",
-    "Technology",
-    "Lifestyle",
-    "Health",
-    "Education",
-    "Other",
-  ];
+  const { categories } = useCategories(); // Categories for the category select.
 
   /**
    * @function fetchBlogData
    * @description Fetches the existing blog post data from the backend using `blogService.getBlogById`.
    * Populates the form fields with the fetched data.
-   * Performs an authorization check to ensure the current user is the author of the post.
+   * Performs an authorization check to ensure the current user is the author of the post, a moderator or an admin.
    * If not authorized, displays a toast and navigates the user away.
    * Wrapped in `useCallback` to memoize the function and prevent unnecessary re-renders.
    */
@@ -72,12 +86,22 @@ const EditBlogPage = () => {
       const data = await blogService.getBlogById(blogId);
       setTitle(data.title);
       setCategory(data.category);
+      setTags(data.tags || []);
       setContent(data.content);
       setImage(data.image || "");
+      setStatus(data.status || "published");
+      setSavedStatus(data.status || "published");
+      setScheduledFor(toDateTimeLocalValue(data.scheduledFor));
       setOriginalAuthorId(data.userId);
 
-      // Authorisation check: although route is protected, ensure user is the author
-      if (!isAuthenticated || !user || user._id !== data.userId) {
+      // Authorisation check: although route is protected, ensure user may edit the post
+      // (readers may not edit posts, even their own from before they became readers)
+      if (
+        !isAuthenticated ||
+        !user ||
+        (user._id !== data.userId && !canModerate(user)) ||
+        !canWritePosts(user)
+      ) {
         toast({
           title: "Unauthorized",
           description: "You are not authorized to edit this blog post.",
@@ -108,17 +132,16 @@ const EditBlogPage = () => {
   }, [fetchBlogData]);
 
   /**
-   * @function handleSubmit
-   * @description Handles the form submission for updating the blog post.
+   * @function saveBlog
+   * @description Updates the blog post with the given status.
    * Validates required fields (title, category, content).
    * Performs an authorization check to ensure the current user is still the author.
    * Calls `blogService.updateBlog` to send the updated data to the backend.
    * Displays success or error toast notifications.
    * Navigates to the updated blog post page on success.
-   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   * @param {string} nextStatus - The status to save the post with.
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const saveBlog = async (nextStatus) => {
     if (!title || !category || !content) {
       toast({
         title: "Missing Fields",
@@ -131,7 +154,12 @@ const EditBlogPage = () => {
     }
 
     // Double check authorisation before submitting
-    if (!isAuthenticated || !user || user._id !== originalAuthorId) {
+    if (
+      !isAuthenticated ||
+      !user ||
+      (user._id !== originalAuthorId && !canModerate(user)) ||
+      !canWritePosts(user)
+    ) {
       toast({
         title: "Unauthorized Action",
         description: "You cannot edit this post.",
@@ -143,17 +171,37 @@ const EditBlogPage = () => {
       return;
     }
 
-    setIsSubmitting(true);
+    setSubmittingStatus(nextStatus);
     try {
-      const updatedBlogData = { title, category, content, image };
-      await blogService.updateBlog(blogId, updatedBlogData);
+      const updatedBlogData = {
+        title,
+        category,
+        tags,
+        content,
+        image,
+        status: nextStatus,
+      };
+      // Only drafts carry a schedule; publishing clears it on the server
+      if (nextStatus === "draft") {
+        updatedBlogData.scheduledFor = fromDateTimeLocalValue(scheduledFor);
+      }
+      const updatedBlog = await blogService.updateBlog(
+        blogId,
+        updatedBlogData
+      );
       toast({
-        title: "Blog Post Updated!",
+        title:
+          savedStatus === "draft" && nextStatus === "published"
+            ? "Blog Post Published!"
+            : nextStatus === "draft" && scheduledFor
+            ? "Blog Post Scheduled!"
+            : "Blog Post Updated!",
         status: "success",
         duration: 3000,
         isClosable: true,
       });
-      navigate(`/blog/${blogId}`); // Navigate to the updated blog post
+      // Navigate to the updated blog post (its slug may have changed with the title)
+      navigate(`/blog/${updatedBlog.slug || blogId}`);
     } catch (err) {
       toast({
         title: "Error Updating Post",
@@ -163,10 +211,33 @@ const EditBlogPage = () => {
         isClosable: true,
       });
     } finally {
-      setIsSubmitting(false);
+      setSubmittingStatus(null);
     }
   };
 
+  /**
+   * @function handleSubmit
+   * @description Handles the form submission. Drafts are published; other posts keep the selected status.
+   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveBlog(savedStatus === "draft" ? "published" : status);
+  };
+
+  /**
+   * @function handleRevisionRestored
+   * @description Refills the form with the fields of a restored revision.
+   * @param {object} restoredBlog - The blog post returned by the restore endpoint.
+   */
+  const handleRevisionRestored = (restoredBlog) => {
+    setTitle(restoredBlog.title);
+    setCategory(restoredBlog.category);
+    setTags(restoredBlog.tags || []);
+    setContent(restoredBlog.content);
+    setImage(restoredBlog.image || "");
+  };
+
   // Conditional Rendering: Display a spinner while the initial blog data is loading.
   if (isLoading) {
     return (
@@ -221,47 +292,140 @@ const EditBlogPage = () => {
               isDisabled={isSubmitting || isLoading}
             >
               {categories.map((cat) => (
-                <option key={cat} value={cat}>
-                  {cat}
+                <option key={cat._id} value={cat.name}>
+                  {cat.name}
                 </option>
               ))}
+              {/* Keep showing a category that no longer exists in the list */}
+              {category &&
+                categories.length > 0 &&
+                !categories.some((cat) => cat.name === category) && (
+                  <option value={category}>{category}</option>
+                )}
             </Select>
           </FormControl>
 
+          <FormControl id="tags">
+            <FormLabel>Tags (Optional)</FormLabel>
+            <TagInput
+              value={tags}
+              onChange={setTags}
+              isDisabled={isSubmitting || isLoading}
+            />
+          </FormControl>
+
           <FormControl id="content" isRequired>
             <FormLabel>Content</FormLabel>
-            <Textarea
+            <MarkdownEditor
               value={content}
-              onChange={(e) => setContent(e.target.value)}
-              rows={10}
+              onChange={setContent}
               isDisabled={isSubmitting || isLoading}
             />
           </FormControl>
 
           <FormControl id="image">
             <FormLabel>Image URL (Optional)</FormLabel>
-            <Input
-              type="url"
+            <ImagePicker
               value={image}
-              onChange={(e) => setImage(e.target.value)}
-              placeholder="https://example.com/your-image.jpg"
+              onChange={setImage}
               isDisabled={isSubmitting || isLoading}
             />
           </FormControl>
 
-          <Button
-            type="submit"
-            colorScheme="teal"
-            width="full"
-            isLoading={isSubmitting}
-            isDisabled={isLoading} // Disable if initial data is still loading
-            mt={4}
-            size="lg"
-          >
-            Save Changes
-          </Button>
+          {/* Visibility selection for posts that have already left the draft stage */}
+          {savedStatus !== "draft" && (
+            <FormControl id="status">
+              <FormLabel>Visibility</FormLabel>
+              <Select
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+                isDisabled={isSubmitting || isLoading}
+              >
+                {BLOG_STATUSES.map((s) => (
+                  <option key={s.value} value={s.value}>
+                    {s.label}
+                  </option>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
+          {/* Scheduled publishing for drafts */}
+          {savedStatus === "draft" && (
+            <FormControl id="scheduledFor">
+              <FormLabel>Publish At (Optional)</FormLabel>
+              <Input
+                type="datetime-local"
+                value={scheduledFor}
+                min={toDateTimeLocalValue(new Date())}
+                onChange={(e) => setScheduledFor(e.target.value)}
+                isDisabled={isSubmitting || isLoading}
+              />
+              <FormHelperText>
+                {scheduledFor
+                  ? "The draft will be published automatically at this time."
+                  : "Leave empty to keep this post as a draft."}
+              </FormHelperText>
+            </FormControl>
+          )}
+
+          {savedStatus === "draft" ? (
+            <HStack width="full" spacing={4} mt={4}>
+              <Button
+                variant="outline"
+                colorScheme="teal"
+                flex={1}
+                size="lg"
+                onClick={() => saveBlog("draft")}
+                isLoading={submittingStatus === "draft"}
+                isDisabled={isSubmitting || isLoading}
+              >
+                {scheduledFor ? "Save & Schedule" : "Save Draft"}
+              </Button>
+              <Button
+                type="submit"
+                colorScheme="teal"
+                flex={1}
+                size="lg"
+                isLoading={submittingStatus === "published"}
+                isDisabled={isSubmitting || isLoading}
+              >
+                Publish Now
+              </Button>
+            </HStack>
+          ) : (
+            <Button
+              type="submit"
+              colorScheme="teal"
+              width="full"
+              isLoading={isSubmitting}
+              isDisabled={isLoading} // Disable if initial data is still loading
+              mt={4}
+              size="lg"
+            >
+              Save Changes
+            </Button>
+          )}
         </VStack>
       </form>
+
+      {/* Revision history with diff and restore */}
+      <Accordion allowToggle mt={8}>
+        <AccordionItem>
+          <AccordionButton>
+            <Box flex="1" textAlign="left" fontWeight="semibold">
+              Revision History
+            </Box>
+            <AccordionIcon />
+          </AccordionButton>
+          <AccordionPanel pb={4}>
+            <RevisionHistory
+              blogId={blogId}
+              onRestored={handleRevisionRestored}
+            />
+          </AccordionPanel>
+        </AccordionItem>
+      </Accordion>
     </Box>
   );
 };
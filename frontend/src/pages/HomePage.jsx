@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import {
   Box,
   Heading,
@@ -15,16 +15,34 @@ import {
   HStack,
   VStack,
   Text,
+  Tag,
+  TagLabel,
+  TagCloseButton,
+  Wrap,
+  WrapItem,
+  Tabs,
+  TabList,
+  Tab,
   useToast,
 } from "@chakra-ui/react";
 import { useSearchParams } from "react-router-dom";
 import blogService from "../services/blogService";
+import tagService from "../services/tagService";
 import BlogCard from "../components/BlogCard";
+import FollowingFeed from "../components/FollowingFeed";
+import { useAuth } from "../contexts/AuthContext";
+import useCategories from "../hooks/useCategories";
+import useLiveBlogs from "../hooks/useLiveBlogs";
+import FeedLinks from "../components/FeedLinks";
+import { getFeedLinks } from "../utils/feeds";
 
 /**
  * @page HomePage
  * @description The main landing page that displays all blog posts with filtering and pagination capabilities.
- * Supports filtering by category and author name, and includes pagination controls.
+ * Supports full-text search (with matches highlighted in the results), filtering by category, tags and author name,
+ * and includes pagination controls. Posts published, changed or deleted meanwhile are merged in live.
+ * Logged-in users also get a "Following" tab with the posts of the authors they follow.
+ * While a category is selected, its RSS and Atom feeds are advertised for autodiscovery.
  */
 const HomePage = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -36,27 +54,29 @@ const HomePage = () => {
   });
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [searchQuery, setSearchQuery] = useState(searchParams.get("q") || ""); // Search text currently applied.
+  const [searchInput, setSearchInput] = useState(searchQuery); // Search text being typed.
   const [category, setCategory] = useState(searchParams.get("category") || "");
+  const tagsParam = searchParams.get("tags") || "";
+  const [tags, setTags] = useState(tagsParam ? tagsParam.split(",") : []);
+  const [tagMatch, setTagMatch] = useState(
+    searchParams.get("tagMatch") === "all" ? "all" : "any"
+  );
+  const [popularTags, setPopularTags] = useState([]);
+  const tagsRef = useRef(tags); // Latest tags, to tell URL changes made here from incoming links
+  tagsRef.current = tags;
   const [authorName, setAuthorName] = useState(
     searchParams.get("authorName") || ""
   );
   const [currentPage, setCurrentPage] = useState(
     parseInt(searchParams.get("page") || "1")
   );
+  const [showFollowing, setShowFollowing] = useState(false); // "Following" tab selected
   const postsPerPage = 6;
   const toast = useToast();
+  const { isAuthenticated } = useAuth();
 
-  // Categories for the filter dropdown
-  const categories = [
-    "Career",
-    "Finance",
-    "Travel",
-    "Technology",
-    "Lifestyle",
-    "Health",
-    "Education",
-    "Other",
-  ];
+  const { categories } = useCategories(); // Categories for the filter dropdown
 
   /**
    * @function fetchBlogs
@@ -69,14 +89,20 @@ const HomePage = () => {
 
     // Update URL search params
     const params = new URLSearchParams();
+    if (searchQuery) params.set("q", searchQuery);
     if (category) params.set("category", category);
+    if (tags.length > 0) params.set("tags", tags.join(","));
+    if (tags.length > 1 && tagMatch === "all") params.set("tagMatch", "all");
     if (authorName) params.set("authorName", authorName);
     if (currentPage > 1) params.set("page", currentPage.toString());
     setSearchParams(params);
 
     try {
       const data = await blogService.getAllBlogs({
+        q: searchQuery || undefined,
         category,
+        tags: tags.length > 0 ? tags.join(",") : undefined,
+        tagMatch: tags.length > 1 ? tagMatch : undefined,
         authorName,
         page: currentPage,
         limit: postsPerPage,
@@ -94,13 +120,72 @@ const HomePage = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [category, authorName, currentPage, postsPerPage, setSearchParams, toast]);
+  }, [
+    searchQuery,
+    category,
+    tags,
+    tagMatch,
+    authorName,
+    currentPage,
+    postsPerPage,
+    setSearchParams,
+    toast,
+  ]);
 
   // Fetch blogs when filters or page changes
   useEffect(() => {
     fetchBlogs();
   }, [fetchBlogs]);
 
+  // Apply live changes to the displayed page, keeping it at its size
+  const updateDisplayedBlogs = useCallback(
+    (update) =>
+      setBlogsData((prev) => ({
+        ...prev,
+        blogs: update(prev.blogs).slice(0, postsPerPage),
+      })),
+    [postsPerPage]
+  );
+  useLiveBlogs(updateDisplayedBlogs, {
+    // New posts go on top of the first page, unless a search orders by relevance or a filter excludes them
+    acceptNew: (blog) =>
+      currentPage === 1 &&
+      !searchQuery &&
+      (!category || blog.category === category) &&
+      (!authorName || blog.authorName === authorName) &&
+      (tags.length === 0 ||
+        (tags.length > 1 && tagMatch === "all"
+          ? tags.every((tag) => blog.tags?.includes(tag))
+          : tags.some((tag) => blog.tags?.includes(tag)))),
+  });
+
+  // Tag chips elsewhere link here with ?tags=...; apply the tags when the URL changes
+  useEffect(() => {
+    if (tagsParam !== tagsRef.current.join(",")) {
+      setTags(tagsParam ? tagsParam.split(",") : []);
+      setCurrentPage(1);
+    }
+  }, [tagsParam]);
+
+  // Load the most used tags once for quick filtering
+  useEffect(() => {
+    tagService
+      .getTags({ limit: 15 })
+      .then(setPopularTags)
+      .catch(() => setPopularTags([])); // Quick filters are optional
+  }, []);
+
+  /**
+   * @function handleSearchSubmit
+   * @description Applies the typed search text. Resets to page 1 when the search changes.
+   * @param {React.FormEvent} e - The form submit event.
+   */
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    setSearchQuery(searchInput.trim());
+    setCurrentPage(1);
+  };
+
   /**
    * @function handleCategoryChange
    * @description Handles changes to the category filter.
@@ -111,6 +196,21 @@ const HomePage = () => {
     setCurrentPage(1);
   };
 
+  /**
+   * @function toggleTag
+   * @description Adds a tag to the tag filter, or removes it if already selected.
+   * Resets to page 1 when filter changes.
+   * @param {string} tag - The tag to toggle.
+   */
+  const toggleTag = (tag) => {
+    setTags((current) =>
+      current.includes(tag)
+        ? current.filter((t) => t !== tag)
+        : [...current, tag]
+    );
+    setCurrentPage(1);
+  };
+
   /**
    * @function handleAuthorNameChange
    * @description Handles changes to the author name filter input.
@@ -143,116 +243,224 @@ const HomePage = () => {
    * @description Resets all filters to their default values.
    */
   const handleResetFilters = () => {
+    setSearchQuery("");
+    setSearchInput("");
     setCategory("");
+    setTags([]);
+    setTagMatch("any");
     setAuthorName("");
     setCurrentPage(1);
   };
 
+  const selectedCategory = categories.find((cat) => cat.name === category);
+
   return (
     <Box p={5}>
+      {selectedCategory && (
+        <FeedLinks feeds={getFeedLinks({ category: selectedCategory })} />
+      )}
       <Heading as="h1" mb={6} textAlign="center">
         Blog Posts
       </Heading>
 
-      {/* Filters Section */}
-      <VStack spacing={4} mb={8} align="stretch">
-        <HStack spacing={4} wrap="wrap">
-          <Select
-            placeholder="Filter by category"
-            value={category}
-            onChange={handleCategoryChange}
-            maxW="200px"
-          >
-            {categories.map((cat) => (
-              <option key={cat} value={cat}>
-                {cat}
-              </option>
-            ))}
-          </Select>
-
-          <HStack>
-            <Input
-              placeholder="Filter by author name"
-              value={authorName}
-              onChange={handleAuthorNameChange}
-              maxW="200px"
-            />
-            <Button
-              colorScheme="teal"
-              onClick={handleAuthorFilterSubmit}
-              isDisabled={isLoading}
-            >
-              Search
-            </Button>
-          </HStack>
-
-          <Button
-            variant="outline"
-            onClick={handleResetFilters}
-            isDisabled={isLoading}
-          >
-            Reset Filters
-          </Button>
-        </HStack>
-
-        {/* Active Filters Display */}
-        {(category || authorName) && (
-          <Text fontSize="sm" color="gray.600">
-            Active filters:{" "}
-            {category && <Text as="span">Category: {category}</Text>}
-            {category && authorName && " | "}
-            {authorName && <Text as="span">Author: {authorName}</Text>}
-          </Text>
-        )}
-      </VStack>
+      {isAuthenticated && (
+        <Tabs
+          index={showFollowing ? 1 : 0}
+          onChange={(index) => setShowFollowing(index === 1)}
+          variant="soft-rounded"
+          colorScheme="teal"
+          align="center"
+          mb={6}
+        >
+          <TabList>
+            <Tab>All Posts</Tab>
+            <Tab>Following</Tab>
+          </TabList>
+        </Tabs>
+      )}
 
-      {/* Loading State */}
-      {isLoading && blogsData.blogs.length === 0 ? (
-        <Center h="60vh">
-          <Spinner size="xl" color="teal.500" />
-        </Center>
-      ) : error ? (
-        <Alert status="error" mt={5}>
-          <AlertIcon />
-          <AlertTitle mr={2}>Error Loading Blogs!</AlertTitle>
-          <AlertDescription>{error}</AlertDescription>
-        </Alert>
-      ) : blogsData.blogs.length === 0 ? (
-        <Center py={10}>
-          <Text fontSize="lg">No blog posts found.</Text>
-        </Center>
+      {isAuthenticated && showFollowing ? (
+        <FollowingFeed />
       ) : (
         <>
-          {/* Blog Grid */}
-          <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={6}>
-            {blogsData.blogs.map((blog) => (
-              <BlogCard key={blog._id} blog={blog} />
-            ))}
-          </SimpleGrid>
+          {/* Search and Filters Section */}
+          <VStack spacing={4} mb={8} align="stretch">
+            <HStack as="form" onSubmit={handleSearchSubmit}>
+              <Input
+                type="search"
+                placeholder="Search posts by title or content"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                maxLength={200}
+              />
+              <Button type="submit" colorScheme="teal" isDisabled={isLoading}>
+                Search
+              </Button>
+            </HStack>
 
-          {/* Pagination Controls */}
-          {blogsData.pages > 1 && (
-            <HStack justifyContent="center" mt={8} spacing={4}>
-              <Button
-                onClick={() => handlePageChange(currentPage - 1)}
-                isDisabled={currentPage === 1 || isLoading}
-                colorScheme="teal"
-                variant="outline"
+            <HStack spacing={4} wrap="wrap">
+              <Select
+                placeholder="Filter by category"
+                value={category}
+                onChange={handleCategoryChange}
+                maxW="200px"
               >
-                Previous
-              </Button>
-              <Text>
-                Page {currentPage} of {blogsData.pages}
-              </Text>
+                {categories.map((cat) => (
+                  <option key={cat._id} value={cat.name}>
+                    {cat.name} ({cat.postCount})
+                  </option>
+                ))}
+              </Select>
+
+              <HStack>
+                <Input
+                  placeholder="Filter by author name"
+                  value={authorName}
+                  onChange={handleAuthorNameChange}
+                  maxW="200px"
+                />
+                <Button
+                  colorScheme="teal"
+                  onClick={handleAuthorFilterSubmit}
+                  isDisabled={isLoading}
+                >
+                  Apply
+                </Button>
+              </HStack>
+
+              {tags.length > 1 && (
+                <Select
+                  value={tagMatch}
+                  onChange={(e) => {
+                    setTagMatch(e.target.value);
+                    setCurrentPage(1);
+                  }}
+                  maxW="200px"
+                >
+                  <option value="any">Any selected tag</option>
+                  <option value="all">All selected tags</option>
+                </Select>
+              )}
+
               <Button
-                onClick={() => handlePageChange(currentPage + 1)}
-                isDisabled={currentPage === blogsData.pages || isLoading}
-                colorScheme="teal"
                 variant="outline"
+                onClick={handleResetFilters}
+                isDisabled={isLoading}
               >
-                Next
+                Reset Filters
               </Button>
             </HStack>
+
+            {/* Tag filters: selected tags first, then popular ones */}
+            {(tags.length > 0 || popularTags.length > 0) && (
+              <Wrap spacing={2}>
+                {tags.map((tag) => (
+                  <WrapItem key={tag}>
+                    <Tag colorScheme="teal" variant="solid" borderRadius="full">
+                      <TagLabel>#{tag}</TagLabel>
+                      <TagCloseButton
+                        aria-label={`Remove tag filter ${tag}`}
+                        onClick={() => toggleTag(tag)}
+                      />
+                    </Tag>
+                  </WrapItem>
+                ))}
+                {popularTags
+                  .filter((tag) => !tags.includes(tag.name))
+                  .map((tag) => (
+                    <WrapItem key={tag.name}>
+                      <Tag
+                        as="button"
+                        colorScheme="teal"
+                        variant="subtle"
+                        borderRadius="full"
+                        onClick={() => toggleTag(tag.name)}
+                      >
+                        #{tag.name} ({tag.count})
+                      </Tag>
+                    </WrapItem>
+                  ))}
+              </Wrap>
+            )}
+
+            {searchQuery && !isLoading && (
+              <Text fontSize="sm" color="gray.600">
+                {blogsData.count} result{blogsData.count === 1 ? "" : "s"} for
+                &ldquo;{searchQuery}&rdquo;, most relevant first
+              </Text>
+            )}
+
+            {/* Active Filters Display */}
+            {(category || authorName || tags.length > 0) && (
+              <Text fontSize="sm" color="gray.600">
+                Active filters:{" "}
+                {category && <Text as="span">Category: {category}</Text>}
+                {category && authorName && " | "}
+                {authorName && <Text as="span">Author: {authorName}</Text>}
+                {(category || authorName) && tags.length > 0 && " | "}
+                {tags.length > 0 && (
+                  <Text as="span">
+                    Tags ({tagMatch === "all" ? "all of" : "any of"}):{" "}
+                    {tags.join(", ")}
+                  </Text>
+                )}
+              </Text>
+            )}
+          </VStack>
+
+          {/* Loading State */}
+          {isLoading && blogsData.blogs.length === 0 ? (
+            <Center h="60vh">
+              <Spinner size="xl" color="teal.500" />
+            </Center>
+          ) : error ? (
+            <Alert status="error" mt={5}>
+              <AlertIcon />
+              <AlertTitle mr={2}>Error Loading Blogs!</AlertTitle>
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          ) : blogsData.blogs.length === 0 ? (
+            <Center py={10}>
+              <Text fontSize="lg">
+                {searchQuery
+                  ? "No blog posts match your search."
+                  : "No blog posts found."}
+              </Text>
+            </Center>
+          ) : (
+            <>
+              {/* Blog Grid */}
+              <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={6}>
+                {blogsData.blogs.map((blog) => (
+                  <BlogCard key={blog._id} blog={blog} />
+                ))}
+              </SimpleGrid>
+
+              {/* Pagination Controls */}
+              {blogsData.pages > 1 && (
+                <HStack justifyContent="center" mt={8} spacing={4}>
+                  <Button
+                    onClick={() => handlePageChange(currentPage - 1)}
+                    isDisabled={currentPage === 1 || isLoading}
+                    colorScheme="teal"
+                    variant="outline"
+                  >
+                    Previous
+                  </Button>
+                  <Text>
+                    Page {currentPage} of {blogsData.pages}
+                  </Text>
+                  <Button
+                    onClick={() => handlePageChange(currentPage + 1)}
+                    isDisabled={currentPage === blogsData.pages || isLoading}
+                    colorScheme="teal"
+                    variant="outline"
+                  >
+                    Next
+                  </Button>
+                </HStack>
+              )}
+            </>
           )}
         </>
       )}
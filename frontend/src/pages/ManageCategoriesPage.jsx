@@ -0,0 +1,322 @@
+import { useState } from "react";
+import {
+  Box,
+  Heading,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Input,
+  NumberInput,
+  NumberInputField,
+  Button,
+  HStack,
+  VStack,
+  Text,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  useToast,
+} from "@chakra-ui/react";
+import categoryService from "../services/categoryService";
+import useCategories from "../hooks/useCategories";
+
+// Empty values for the "add category" form
+const emptyForm = { name: "", description: "", order: 0 };
+
+/**
+ * @page ManageCategoriesPage
+ * @description Admin page for managing blog post categories: add, rename, describe, reorder and delete them.
+ * Renaming a category also renames it on every post, and categories still in use cannot be deleted.
+ */
+const ManageCategoriesPage = () => {
+  const { categories, isLoading, error, reload } = useCategories();
+  const [newCategory, setNewCategory] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(emptyForm);
+  const [savingId, setSavingId] = useState(null); // ID being saved or deleted, "new" while adding.
+  const toast = useToast();
+
+  /**
+   * @function runAction
+   * @description Runs a category change, shows a toast with the outcome and reloads the list.
+   * @param {string} id - The ID of the category being changed, or "new".
+   * @param {function(): Promise<void>} action - The change to run.
+   * @param {string} successTitle - Toast title on success.
+   * @returns {Promise<boolean>} Whether the change succeeded.
+   */
+  const runAction = async (id, action, successTitle) => {
+    setSavingId(id);
+    try {
+      await action();
+      toast({
+        title: successTitle,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+      await reload();
+      return true;
+    } catch (err) {
+      toast({
+        title: "Error",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+      return false;
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  /**
+   * @function handleCreate
+   * @description Adds a new category from the form.
+   * @param {React.FormEvent} e - The form submit event.
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await runAction(
+      "new",
+      () => categoryService.createCategory(newCategory),
+      "Category Added"
+    );
+    if (created) setNewCategory(emptyForm);
+  };
+
+  /**
+   * @function startEditing
+   * @description Switches a table row into edit mode.
+   * @param {object} category - The category to edit.
+   */
+  const startEditing = (category) => {
+    setEditingId(category._id);
+    setEditForm({
+      name: category.name,
+      description: category.description || "",
+      order: category.order,
+    });
+  };
+
+  /**
+   * @function handleSave
+   * @description Saves the row being edited.
+   */
+  const handleSave = async () => {
+    const saved = await runAction(
+      editingId,
+      () => categoryService.updateCategory(editingId, editForm),
+      "Category Updated"
+    );
+    if (saved) setEditingId(null);
+  };
+
+  /**
+   * @function handleDelete
+   * @description Deletes a category after confirmation.
+   * @param {object} category - The category to delete.
+   */
+  const handleDelete = (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"?`)) return;
+    runAction(
+      category._id,
+      () => categoryService.deleteCategory(category._id),
+      "Category Deleted"
+    );
+  };
+
+  if (isLoading && categories.length === 0) {
+    return (
+      <Center h="60vh">
+        <Spinner size="xl" color="teal.500" />
+      </Center>
+    );
+  }
+
+  return (
+    <Box p={5} maxW="container.lg" mx="auto">
+      <Heading as="h1" mb={6}>
+        Manage Categories
+      </Heading>
+
+      {error && (
+        <Alert status="error" mb={4}>
+          <AlertIcon />
+          {error}
+        </Alert>
+      )}
+
+      {/* Add category form */}
+      <VStack
+        as="form"
+        onSubmit={handleCreate}
+        align="stretch"
+        borderWidth={1}
+        borderRadius="md"
+        p={4}
+        mb={6}
+      >
+        <Heading as="h2" size="sm">
+          Add Category
+        </Heading>
+        <HStack align="start" wrap="wrap">
+          <Input
+            placeholder="Name"
+            value={newCategory.name}
+            onChange={(e) =>
+              setNewCategory({ ...newCategory, name: e.target.value })
+            }
+            maxLength={50}
+            maxW="200px"
+            isRequired
+          />
+          <Input
+            placeholder="Description (optional)"
+            value={newCategory.description}
+            onChange={(e) =>
+              setNewCategory({ ...newCategory, description: e.target.value })
+            }
+            maxLength={500}
+            flex={1}
+            minW="200px"
+          />
+          <NumberInput
+            value={newCategory.order}
+            onChange={(_, value) =>
+              setNewCategory({ ...newCategory, order: value || 0 })
+            }
+            maxW="100px"
+          >
+            <NumberInputField aria-label="Order" />
+          </NumberInput>
+          <Button
+            type="submit"
+            colorScheme="teal"
+            isLoading={savingId === "new"}
+          >
+            Add
+          </Button>
+        </HStack>
+      </VStack>
+
+      {/* Category list */}
+      {categories.length === 0 ? (
+        <Text color="gray.500">No categories yet.</Text>
+      ) : (
+        <Box overflowX="auto">
+          <Table size="sm">
+            <Thead>
+              <Tr>
+                <Th>Order</Th>
+                <Th>Name</Th>
+                <Th>Description</Th>
+                <Th isNumeric>Posts</Th>
+                <Th />
+              </Tr>
+            </Thead>
+            <Tbody>
+              {categories.map((category) =>
+                editingId === category._id ? (
+                  <Tr key={category._id}>
+                    <Td>
+                      <NumberInput
+                        size="sm"
+                        value={editForm.order}
+                        onChange={(_, value) =>
+                          setEditForm({ ...editForm, order: value || 0 })
+                        }
+                        maxW="80px"
+                      >
+                        <NumberInputField aria-label="Order" />
+                      </NumberInput>
+                    </Td>
+                    <Td>
+                      <Input
+                        size="sm"
+                        value={editForm.name}
+                        onChange={(e) =>
+                          setEditForm({ ...editForm, name: e.target.value })
+                        }
+                        maxLength={50}
+                      />
+                    </Td>
+                    <Td>
+                      <Input
+                        size="sm"
+                        value={editForm.description}
+                        onChange={(e) =>
+                          setEditForm({
+                            ...editForm,
+                            description: e.target.value,
+                          })
+                        }
+                        maxLength={500}
+                      />
+                    </Td>
+                    <Td isNumeric>{category.postCount}</Td>
+                    <Td>
+                      <HStack justify="flex-end">
+                        <Button
+                          size="sm"
+                          colorScheme="teal"
+                          onClick={handleSave}
+                          isLoading={savingId === category._id}
+                        >
+                          Save
+                        </Button>
+                        <Button size="sm" onClick={() => setEditingId(null)}>
+                          Cancel
+                        </Button>
+                      </HStack>
+                    </Td>
+                  </Tr>
+                ) : (
+                  <Tr key={category._id}>
+                    <Td>{category.order}</Td>
+                    <Td fontWeight="bold">{category.name}</Td>
+                    <Td color="gray.600">{category.description}</Td>
+                    <Td isNumeric>{category.postCount}</Td>
+                    <Td>
+                      <HStack justify="flex-end">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          colorScheme="teal"
+                          onClick={() => startEditing(category)}
+                          isDisabled={savingId !== null}
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          colorScheme="red"
+                          onClick={() => handleDelete(category)}
+                          isLoading={savingId === category._id}
+                          isDisabled={savingId !== null}
+                        >
+                          Delete
+                        </Button>
+                      </HStack>
+                    </Td>
+                  </Tr>
+                )
+              )}
+            </Tbody>
+          </Table>
+        </Box>
+      )}
+      <Text fontSize="sm" color="gray.500" mt={2}>
+        Post counts only include published posts. Categories that still have
+        posts (including drafts) cannot be deleted.
+      </Text>
+    </Box>
+  );
+};
+
+export default ManageCategoriesPage;
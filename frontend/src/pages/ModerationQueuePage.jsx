@@ -0,0 +1,405 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Heading,
+  Text,
+  HStack,
+  VStack,
+  Button,
+  Badge,
+  Link,
+  Input,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  FormControl,
+  FormLabel,
+  NumberInput,
+  NumberInputField,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  useToast,
+} from "@chakra-ui/react";
+import { Link as RouterLink } from "react-router-dom";
+import reportService from "../services/reportService";
+import { getReasonLabel } from "../utils/reports";
+import { getAuthorPath } from "../utils/authors";
+
+// Number of reported posts and comments per page
+const ITEMS_PER_PAGE = 20;
+
+// Longest suspension moderators can give from the queue, as enforced by the backend
+const MAX_SUSPENSION_DAYS = 30;
+
+/**
+ * @component ResolveDialog
+ * @description Asks for a note (and, when suspending, the length of the suspension) before acting on reports.
+ * @param {object} props - The component props.
+ * @param {object|null} props.target - `{ item, action }` with action "dismiss", "hide" or "suspend",
+ *   or null when closed.
+ * @param {boolean} props.isSaving - Whether the decision is being saved.
+ * @param {function(): void} props.onClose - Called when the dialog should close.
+ * @param {function({ days: number, note: string }): void} props.onConfirm - Called with the entered values.
+ * @returns {React.ReactElement} The dialog.
+ */
+const ResolveDialog = ({ target, isSaving, onClose, onConfirm }) => {
+  const [days, setDays] = useState(7);
+  const [note, setNote] = useState("");
+  const action = target?.action;
+
+  // Start from the defaults every time the dialog opens
+  useEffect(() => {
+    if (target) {
+      setDays(7);
+      setNote("");
+    }
+  }, [target]);
+
+  const titles = {
+    dismiss: "Dismiss reports",
+    hide: "Hide content",
+    suspend: "Hide content and suspend author",
+  };
+
+  return (
+    <Modal isOpen={!!target} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>{titles[action]}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4}>
+            {action === "suspend" && (
+              <FormControl isRequired>
+                <FormLabel>Days</FormLabel>
+                <NumberInput
+                  min={1}
+                  max={MAX_SUSPENSION_DAYS}
+                  value={days}
+                  onChange={(_, value) => setDays(value)}
+                >
+                  <NumberInputField />
+                </NumberInput>
+              </FormControl>
+            )}
+            <FormControl>
+              <FormLabel>Note</FormLabel>
+              <Input
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                maxLength={500}
+                placeholder={
+                  action === "suspend"
+                    ? "Shown to the author when they try to log in"
+                    : "Kept with the reports"
+                }
+              />
+            </FormControl>
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button mr={3} onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            colorScheme={action === "dismiss" ? "teal" : "red"}
+            onClick={() => onConfirm({ days, note })}
+            isLoading={isSaving}
+            isDisabled={
+              action === "suspend" &&
+              !(days >= 1 && days <= MAX_SUSPENSION_DAYS)
+            }
+          >
+            {titles[action]}
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+/**
+ * @component QueueItem
+ * @description A reported post or comment with its reports and the moderation actions.
+ * @param {object} props - The component props.
+ * @param {object} props.item - The queue entry (`targetType`, `target`, `reportCount`, `lastReportedAt`, `reports`).
+ * @param {boolean} props.isDisabled - Whether the actions are disabled while another decision is saved.
+ * @param {function(string): void} props.onAction - Called with "dismiss", "hide" or "suspend".
+ * @returns {React.ReactElement} The queue entry.
+ */
+const QueueItem = ({ item, isDisabled, onAction }) => {
+  const { targetType, target } = item;
+
+  return (
+    <Box p={4} borderWidth={1} borderRadius="md">
+      <HStack justify="space-between" align="flex-start" wrap="wrap" mb={2}>
+        <HStack spacing={2} wrap="wrap">
+          <Badge colorScheme="purple">
+            {targetType === "blog" ? "Post" : "Comment"}
+          </Badge>
+          <Badge colorScheme="red">
+            {item.reportCount} report{item.reportCount === 1 ? "" : "s"}
+          </Badge>
+          {target?.isHidden && <Badge colorScheme="orange">Hidden</Badge>}
+        </HStack>
+        <Text fontSize="sm" color="gray.500">
+          Last reported {new Date(item.lastReportedAt).toLocaleString()}
+        </Text>
+      </HStack>
+
+      {target ? (
+        <Box mb={3}>
+          {targetType === "blog" ? (
+            <Link
+              as={RouterLink}
+              to={`/blog/${target.slug || target._id}`}
+              fontWeight="bold"
+              color="teal.600"
+            >
+              {target.title}
+            </Link>
+          ) : (
+            <Link
+              as={RouterLink}
+              to={`/blog/${target.blogId}`}
+              fontSize="sm"
+              color="teal.600"
+            >
+              On this post
+            </Link>
+          )}
+          <Text fontSize="sm" color="gray.600">
+            By{" "}
+            <Link
+              as={RouterLink}
+              to={getAuthorPath(target.authorId)}
+              fontWeight="bold"
+            >
+              {target.authorName || "Unknown Author"}
+            </Link>
+          </Text>
+          <Text mt={1} noOfLines={4} whiteSpace="pre-wrap">
+            {target.excerpt}
+          </Text>
+        </Box>
+      ) : (
+        <Text mb={3} color="gray.500" fontStyle="italic">
+          This {targetType === "blog" ? "post" : "comment"} has been deleted.
+        </Text>
+      )}
+
+      <VStack align="stretch" spacing={1} mb={3}>
+        {item.reports.map((report) => (
+          <Text key={report._id} fontSize="sm">
+            <Text as="span" fontWeight="bold">
+              {getReasonLabel(report.reason)}
+            </Text>{" "}
+            &middot; {report.reporterName || "Unknown User"}
+            {report.details && (
+              <Text as="span" color="gray.600">
+                : {report.details}
+              </Text>
+            )}
+          </Text>
+        ))}
+      </VStack>
+
+      <HStack spacing={2} justify="flex-end" wrap="wrap">
+        <Button
+          size="sm"
+          variant="outline"
+          colorScheme="teal"
+          onClick={() => onAction("dismiss")}
+          isDisabled={isDisabled}
+        >
+          Dismiss
+        </Button>
+        {target && (
+          <>
+            {!target.isHidden && (
+              <Button
+                size="sm"
+                variant="outline"
+                colorScheme="orange"
+                onClick={() => onAction("hide")}
+                isDisabled={isDisabled}
+              >
+                Hide
+              </Button>
+            )}
+            <Button
+              size="sm"
+              variant="outline"
+              colorScheme="red"
+              onClick={() => onAction("suspend")}
+              isDisabled={isDisabled}
+            >
+              Suspend Author
+            </Button>
+          </>
+        )}
+      </HStack>
+    </Box>
+  );
+};
+
+/**
+ * @page ModerationQueuePage
+ * @description Page for moderators and admins listing the open reports grouped by reported post or comment,
+ * the most reported first. Each entry can be dismissed, hidden, or hidden with its author suspended;
+ * the decision closes all of the entry's reports.
+ */
+const ModerationQueuePage = () => {
+  const [page, setPage] = useState(1);
+  const [queue, setQueue] = useState({ items: [], pages: 1, count: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogTarget, setDialogTarget] = useState(null); // `{ item, action }` while the dialog is open
+  const [isSaving, setIsSaving] = useState(false);
+  const toast = useToast();
+
+  /**
+   * @function fetchQueue
+   * @description Loads the current page of the moderation queue.
+   */
+  const fetchQueue = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setQueue(
+        await reportService.getModerationQueue({
+          page,
+          limit: ITEMS_PER_PAGE,
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  /**
+   * @function handleConfirm
+   * @description Acts on the entry the dialog is open for and removes it from the queue.
+   * @param {{ days: number, note: string }} values - The values entered in the dialog.
+   */
+  const handleConfirm = async ({ days, note }) => {
+    const { item, action } = dialogTarget;
+    setIsSaving(true);
+    try {
+      const decision = { action, note };
+      if (action === "suspend") decision.days = days;
+      const result = await reportService.resolveReports(
+        item.targetType,
+        item.targetId,
+        decision
+      );
+      setQueue((prev) => ({
+        ...prev,
+        items: prev.items.filter((i) => i.targetId !== item.targetId),
+        count: prev.count - 1,
+      }));
+      setDialogTarget(null);
+      const titles = {
+        dismiss: "Reports Dismissed",
+        hide: "Content Hidden",
+        suspend: "Content Hidden and Author Suspended",
+      };
+      toast({
+        title: titles[action],
+        description: `${result.resolvedCount} report${result.resolvedCount === 1 ? "" : "s"} closed.`,
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Error",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Box p={5} maxWidth="4xl" mx="auto">
+      <Heading as="h1" mb={2}>
+        Moderation Queue
+      </Heading>
+      <Text color="gray.600" mb={6}>
+        {queue.count} reported post{queue.count === 1 ? "" : "s"} and comment
+        {queue.count === 1 ? "" : "s"} waiting for review.
+      </Text>
+
+      {error && (
+        <Alert status="error" mb={4}>
+          <AlertIcon />
+          {error}
+        </Alert>
+      )}
+
+      {isLoading && queue.items.length === 0 ? (
+        <Center h="30vh">
+          <Spinner size="xl" color="teal.500" />
+        </Center>
+      ) : queue.items.length === 0 ? (
+        <Text color="gray.500">Nothing to review. 🎉</Text>
+      ) : (
+        <VStack spacing={4} align="stretch">
+          {queue.items.map((item) => (
+            <QueueItem
+              key={`${item.targetType}-${item.targetId}`}
+              item={item}
+              isDisabled={isSaving}
+              onAction={(action) => setDialogTarget({ item, action })}
+            />
+          ))}
+        </VStack>
+      )}
+
+      {queue.pages > 1 && (
+        <HStack justifyContent="center" mt={6} spacing={4}>
+          <Button
+            onClick={() => setPage((p) => p - 1)}
+            isDisabled={page <= 1 || isLoading}
+          >
+            Previous
+          </Button>
+          <Text>
+            Page {page} of {queue.pages}
+          </Text>
+          <Button
+            onClick={() => setPage((p) => p + 1)}
+            isDisabled={page >= queue.pages || isLoading}
+          >
+            Next
+          </Button>
+        </HStack>
+      )}
+
+      <ResolveDialog
+        target={dialogTarget}
+        isSaving={isSaving}
+        onClose={() => setDialogTarget(null)}
+        onConfirm={handleConfirm}
+      />
+    </Box>
+  );
+};
+
+export default ModerationQueuePage;
@@ -12,16 +12,28 @@ import {
   Text,
   Button,
   HStack,
+  Select,
+  Tabs,
+  TabList,
+  Tab,
+  TabPanels,
+  TabPanel,
 } from "@chakra-ui/react";
-import { Link as RouterLink } from "react-router-dom";
+import { Link as RouterLink, useSearchParams } from "react-router-dom";
 import blogService from "../services/blogService";
 import BlogCard from "../components/BlogCard";
+import TrashList from "../components/TrashList";
 import { useAuth } from "../contexts/AuthContext";
+import { BLOG_STATUSES } from "../utils/blogStatus";
+import { canWritePosts } from "../utils/roles";
 
 /**
  * @page MyBlogsPage
  * @description Displays a list of blog posts created by the currently authenticated user.
- * Fetches blogs filtered by the user's name and supports pagination.
+ * Fetches the user's own posts by account, including drafts and other unpublished posts,
+ * and supports filtering by status and pagination.
+ * Deleted posts are listed on a second tab, the trash, where they can be restored or deleted permanently;
+ * the selected tab is kept in the URL (`?tab=trash`).
  * Handles loading states, error display, and prompts user to create posts if none exist.
  */
 const MyBlogsPage = () => {
@@ -36,12 +48,15 @@ const MyBlogsPage = () => {
   const [isLoading, setIsLoading] = useState(true); // Loading state for API requests.
   const [error, setError] = useState(null); // Error state for API requests.
   const [currentPage, setCurrentPage] = useState(1); // Current page number for pagination.
+  const [status, setStatus] = useState("all"); // Status filter; "all" includes drafts, unlisted and archived posts.
   const postsPerPage = 6; // Configuration for how many posts to display per page.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tabIndex = searchParams.get("tab") === "trash" ? 1 : 0;
 
   /**
    * @function fetchMyBlogs
    * @description Fetches blog posts authored by the current user from the backend.
-   * Uses `blogService.getAllBlogs` with `authorName` filter and pagination parameters.
+   * Uses `blogService.getMyBlogs` with the status filter and pagination parameters.
    * Updates component state with fetched data, loading, and error status.
    * Wrapped in `useCallback` for memoization, optimizing performance by preventing re-creation on every render
    * unless its dependencies (`user`, `isAuthenticated`, `postsPerPage`) change.
@@ -49,9 +64,9 @@ const MyBlogsPage = () => {
    */
   const fetchMyBlogs = useCallback(
     async (page = 1) => {
-      // Ensure user is authenticated and user data (especially name) is available.
-      if (!isAuthenticated || !user || !user.name) {
-        setError("User not authenticated or user name not available.");
+      // Ensure user is authenticated and user data is available.
+      if (!isAuthenticated || !user) {
+        setError("User not authenticated.");
         setIsLoading(false);
         return;
       }
@@ -60,11 +75,11 @@ const MyBlogsPage = () => {
       setError(null);
       try {
         const params = {
-          authorName: user.name, // Filter by the logged-in user's name
+          status, // "all" includes drafts, unlisted and archived posts
           page,
           limit: postsPerPage,
         };
-        const data = await blogService.getAllBlogs(params);
+        const data = await blogService.getMyBlogs(params);
         setBlogsData(data);
         setCurrentPage(data.page);
       } catch (err) {
@@ -72,16 +87,17 @@ const MyBlogsPage = () => {
       }
       setIsLoading(false);
     },
-    [user, isAuthenticated, postsPerPage]
+    [user, isAuthenticated, postsPerPage, status]
   );
 
   // Effect hook to fetch the user's blogs when the component mounts or when relevant dependencies change.
   // Dependencies include `fetchMyBlogs` (which itself depends on user details) and `currentPage` for pagination.
+  // The posts are also reloaded when coming back from the trash, where some may have been restored.
   useEffect(() => {
-    if (isAuthenticated && user) {
+    if (isAuthenticated && user && tabIndex === 0) {
       fetchMyBlogs(currentPage);
     }
-  }, [fetchMyBlogs, isAuthenticated, user, currentPage]);
+  }, [fetchMyBlogs, isAuthenticated, user, currentPage, tabIndex]);
 
   /**
    * @function handlePageChange
@@ -96,6 +112,16 @@ const MyBlogsPage = () => {
     }
   };
 
+  /**
+   * @function handleStatusChange
+   * @description Handles changes to the status filter. Resets to page 1 when the filter changes.
+   * @param {React.ChangeEvent<HTMLSelectElement>} e - The select change event.
+   */
+  const handleStatusChange = (e) => {
+    setStatus(e.target.value);
+    setCurrentPage(1);
+  };
+
   // Conditional Rendering: If user is not authenticated, display a message to log in.
   if (!isAuthenticated || !user) {
     return (
@@ -111,81 +137,122 @@ const MyBlogsPage = () => {
     );
   }
 
-  // Conditional Rendering: Display a full-page spinner during the initial data load.
-  if (isLoading && blogsData.blogs.length === 0) {
-    return (
-      <Center h="60vh">
-        <Spinner size="xl" color="teal.500" />
-      </Center>
-    );
-  }
-
-  // Conditional Rendering: Display an error message if fetching data failed.
-  if (error) {
-    return (
-      <Alert status="error" mt={5}>
-        <AlertIcon />
-        <AlertTitle mr={2}>Error Fetching Your Blogs!</AlertTitle>
-        <AlertDescription>{error}</AlertDescription>
-      </Alert>
-    );
-  }
-
   return (
     <Box p={5}>
       <Heading as="h1" mb={6} textAlign="center">
         My Blog Posts
       </Heading>
 
-      {/* Inline spinner for re-fetches when blogs are already displayed but loading new page data. */}
-      {isLoading && blogsData.blogs.length > 0 && (
-        <Center my={4}>
-          <Spinner color="teal.500" />
-        </Center>
-      )}
+      <Tabs
+        colorScheme="teal"
+        index={tabIndex}
+        onChange={(index) =>
+          setSearchParams(index === 1 ? { tab: "trash" } : {}, {
+            replace: true,
+          })
+        }
+        isLazy
+      >
+        <TabList mb={6}>
+          <Tab>Posts</Tab>
+          <Tab>Trash</Tab>
+        </TabList>
+        <TabPanels>
+          <TabPanel px={0}>
+            {/* Display a full-page spinner during the initial data load, or an error message if fetching failed. */}
+            {isLoading && blogsData.blogs.length === 0 ? (
+              <Center h="60vh">
+                <Spinner size="xl" color="teal.500" />
+              </Center>
+            ) : error ? (
+              <Alert status="error" mt={5}>
+                <AlertIcon />
+                <AlertTitle mr={2}>Error Fetching Your Blogs!</AlertTitle>
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            ) : (
+              <>
+                <HStack mb={6} justifyContent="flex-end">
+                  <Select
+                    value={status}
+                    onChange={handleStatusChange}
+                    maxW="200px"
+                    isDisabled={isLoading}
+                  >
+                    <option value="all">All statuses</option>
+                    {BLOG_STATUSES.map((s) => (
+                      <option key={s.value} value={s.value}>
+                        {s.label}
+                      </option>
+                    ))}
+                  </Select>
+                </HStack>
+
+                {/* Inline spinner for re-fetches when blogs are already displayed but loading new page data. */}
+                {isLoading && blogsData.blogs.length > 0 && (
+                  <Center my={4}>
+                    <Spinner color="teal.500" />
+                  </Center>
+                )}
 
-      {/* Conditional Rendering: If no blogs are found and not loading, prompt user to create one. Otherwise, display blog cards. */}
-      {blogsData.blogs.length === 0 && !isLoading ? (
-        <Center py={10} flexDirection="column">
-          <Text fontSize="lg" mb={4}>
-            You haven't created any blog posts yet.
-          </Text>
-          <Button as={RouterLink} to="/create-blog" colorScheme="teal">
-            Create Your First Post!
-          </Button>
-        </Center>
-      ) : (
-        <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={6}>
-          {blogsData.blogs.map((blog) => (
-            <BlogCard key={blog._id} blog={blog} />
-          ))}
-        </SimpleGrid>
-      )}
+                {/* Conditional Rendering: If no blogs are found and not loading, prompt user to create one. Otherwise, display blog cards. */}
+                {blogsData.blogs.length === 0 && !isLoading ? (
+                  <Center py={10} flexDirection="column">
+                    <Text fontSize="lg" mb={4}>
+                      {status === "all"
+                        ? "You haven't created any blog posts yet."
+                        : "You don't have any blog posts with this status."}
+                    </Text>
+                    {canWritePosts(user) && (
+                      <Button
+                        as={RouterLink}
+                        to="/create-blog"
+                        colorScheme="teal"
+                      >
+                        Create Your First Post!
+                      </Button>
+                    )}
+                  </Center>
+                ) : (
+                  <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={6}>
+                    {blogsData.blogs.map((blog) => (
+                      <BlogCard key={blog._id} blog={blog} />
+                    ))}
+                  </SimpleGrid>
+                )}
 
-      {/* Pagination Controls: Display if there is more than one page of blogs. */}
-      {blogsData.pages > 1 && (
-        <HStack justifyContent="center" mt={8} spacing={4}>
-          <Button
-            onClick={() => handlePageChange(currentPage - 1)}
-            isDisabled={currentPage === 1 || isLoading}
-            colorScheme="teal"
-            variant="outline"
-          >
-            Previous
-          </Button>
-          <Text>
-            Page {currentPage} of {blogsData.pages}
-          </Text>
-          <Button
-            onClick={() => handlePageChange(currentPage + 1)}
-            isDisabled={currentPage === blogsData.pages || isLoading}
-            colorScheme="teal"
-            variant="outline"
-          >
-            Next
-          </Button>
-        </HStack>
-      )}
+                {/* Pagination Controls: Display if there is more than one page of blogs. */}
+                {blogsData.pages > 1 && (
+                  <HStack justifyContent="center" mt={8} spacing={4}>
+                    <Button
+                      onClick={() => handlePageChange(currentPage - 1)}
+                      isDisabled={currentPage === 1 || isLoading}
+                      colorScheme="teal"
+                      variant="outline"
+                    >
+                      Previous
+                    </Button>
+                    <Text>
+                      Page {currentPage} of {blogsData.pages}
+                    </Text>
+                    <Button
+                      onClick={() => handlePageChange(currentPage + 1)}
+                      isDisabled={currentPage === blogsData.pages || isLoading}
+                      colorScheme="teal"
+                      variant="outline"
+                    >
+                      Next
+                    </Button>
+                  </HStack>
+                )}
+              </>
+            )}
+          </TabPanel>
+          <TabPanel px={0}>
+            <TrashList />
+          </TabPanel>
+        </TabPanels>
+      </Tabs>
     </Box>
   );
 };
@@ -0,0 +1,297 @@
+import { useState, useEffect } from "react";
+import {
+  Box,
+  Heading,
+  Text,
+  Badge,
+  Button,
+  HStack,
+  VStack,
+  Link,
+  Spinner,
+  Center,
+  Alert,
+  AlertIcon,
+  AlertTitle,
+  AlertDescription,
+  Divider,
+  useToast,
+} from "@chakra-ui/react";
+import { useParams, Link as RouterLink } from "react-router-dom";
+import bookmarkService from "../services/bookmarkService";
+import BlogCard from "../components/BlogCard";
+import ReadingListForm from "../components/ReadingListForm";
+import { getAuthorPath } from "../utils/authors";
+
+/**
+ * @page ReadingListPage
+ * @description A reading list with its posts in order. Public lists can be viewed by anyone with the link,
+ * which can be copied from the page. The owner can edit the list, move posts up and down and remove them.
+ */
+const ReadingListPage = () => {
+  const { id } = useParams();
+  const [list, setList] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const toast = useToast();
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    bookmarkService
+      .getList(id)
+      .then((data) => {
+        if (!cancelled) setList(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  /**
+   * @function showError
+   * @description Shows an error toast.
+   * @param {string} title - The toast title.
+   * @param {Error} err - The error.
+   */
+  const showError = (title, err) =>
+    toast({
+      title,
+      description: err.message,
+      status: "error",
+      duration: 5000,
+      isClosable: true,
+    });
+
+  /**
+   * @function handleUpdate
+   * @description Saves the list's name, description and visibility.
+   * @param {object} values - The new values.
+   */
+  const handleUpdate = async (values) => {
+    try {
+      const data = await bookmarkService.updateList(list._id, values);
+      setList((prev) => ({
+        ...prev,
+        name: data.name,
+        description: data.description,
+        isPublic: data.isPublic,
+      }));
+      setIsEditing(false);
+    } catch (err) {
+      showError("Error Updating List", err);
+      throw err;
+    }
+  };
+
+  /**
+   * @function handleMove
+   * @description Moves a post one place up or down. The new order is shown right away
+   * and rolled back if it cannot be saved.
+   * @param {number} index - The post's position.
+   * @param {number} offset - -1 to move up, 1 to move down.
+   */
+  const handleMove = async (index, offset) => {
+    const previous = list.blogs;
+    const blogs = [...previous];
+    [blogs[index], blogs[index + offset]] = [
+      blogs[index + offset],
+      blogs[index],
+    ];
+    setList((prev) => ({ ...prev, blogs }));
+    setIsSaving(true);
+    try {
+      await bookmarkService.reorderList(
+        list._id,
+        blogs.map((blog) => blog._id)
+      );
+    } catch (err) {
+      setList((prev) => ({ ...prev, blogs: previous }));
+      showError("Error Reordering List", err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * @function handleRemove
+   * @description Removes a post from the list.
+   * @param {string} blogId - The ID of the post.
+   */
+  const handleRemove = async (blogId) => {
+    setIsSaving(true);
+    try {
+      await bookmarkService.removeFromList(list._id, blogId);
+      setList((prev) => ({
+        ...prev,
+        blogs: prev.blogs.filter((blog) => blog._id !== blogId),
+      }));
+    } catch (err) {
+      showError("Error Removing Post", err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * @function handleCopyLink
+   * @description Copies the address of the list to the clipboard.
+   */
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast({
+        title: "Link Copied",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      showError("Error Copying Link", err);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Center h="60vh">
+        <Spinner size="xl" color="teal.500" />
+      </Center>
+    );
+  }
+
+  if (!list) {
+    return (
+      <Box p={5} maxW="container.md" mx="auto">
+        <Alert status="error" mt={5}>
+          <AlertIcon />
+          <AlertTitle mr={2}>List Not Found</AlertTitle>
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+        <Button as={RouterLink} to="/" colorScheme="teal" mt={4}>
+          Go to Homepage
+        </Button>
+      </Box>
+    );
+  }
+
+  // One change at a time, so each order sent builds on the last saved one
+  const canReorder = list.isOwner && !isSaving;
+
+  return (
+    <Box p={5} maxW="container.lg" mx="auto">
+      {isEditing ? (
+        <Box borderWidth="1px" borderRadius="lg" p={5}>
+          <ReadingListForm
+            initialValues={{
+              name: list.name,
+              description: list.description,
+              isPublic: list.isPublic,
+            }}
+            onSubmit={handleUpdate}
+            submitLabel="Save Changes"
+            onCancel={() => setIsEditing(false)}
+          />
+        </Box>
+      ) : (
+        <VStack spacing={2} align="start">
+          <HStack spacing={3} wrap="wrap">
+            <Heading as="h1">{list.name}</Heading>
+            <Badge colorScheme={list.isPublic ? "green" : "gray"}>
+              {list.isPublic ? "Public" : "Private"}
+            </Badge>
+          </HStack>
+          {list.owner && (
+            <Text color="gray.600">
+              A reading list by{" "}
+              <Link
+                as={RouterLink}
+                to={getAuthorPath(list.owner.handle || list.owner._id)}
+                color="teal.600"
+              >
+                {list.owner.name}
+              </Link>
+            </Text>
+          )}
+          {list.description && (
+            <Text whiteSpace="pre-wrap" color="gray.700">
+              {list.description}
+            </Text>
+          )}
+          <HStack spacing={2} pt={2}>
+            {list.isPublic && (
+              <Button size="sm" colorScheme="teal" onClick={handleCopyLink}>
+                Copy Link
+              </Button>
+            )}
+            {list.isOwner && (
+              <Button
+                size="sm"
+                colorScheme="teal"
+                variant="outline"
+                onClick={() => setIsEditing(true)}
+              >
+                Edit List
+              </Button>
+            )}
+          </HStack>
+        </VStack>
+      )}
+
+      <Divider my={6} />
+
+      {list.blogs.length === 0 ? (
+        <Text color="gray.500" textAlign="center">
+          This list is empty.
+        </Text>
+      ) : (
+        <VStack spacing={6} align="stretch">
+          {list.blogs.map((blog, index) => (
+            <Box key={blog._id}>
+              <BlogCard blog={blog} />
+              {list.isOwner && (
+                <HStack spacing={2} mt={2} justifyContent="flex-end">
+                  <Button
+                    size="xs"
+                    variant="outline"
+                    onClick={() => handleMove(index, -1)}
+                    isDisabled={!canReorder || index === 0}
+                  >
+                    Move Up
+                  </Button>
+                  <Button
+                    size="xs"
+                    variant="outline"
+                    onClick={() => handleMove(index, 1)}
+                    isDisabled={!canReorder || index === list.blogs.length - 1}
+                  >
+                    Move Down
+                  </Button>
+                  <Button
+                    size="xs"
+                    colorScheme="red"
+                    variant="outline"
+                    onClick={() => handleRemove(blog._id)}
+                    isDisabled={isSaving}
+                  >
+                    Remove
+                  </Button>
+                </HStack>
+              )}
+            </Box>
+          ))}
+        </VStack>
+      )}
+    </Box>
+  );
+};
+
+export default ReadingListPage;
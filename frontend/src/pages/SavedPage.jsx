@@ -0,0 +1,55 @@
+import {
+  Box,
+  Heading,
+  Tabs,
+  TabList,
+  Tab,
+  TabPanels,
+  TabPanel,
+} from "@chakra-ui/react";
+import { useSearchParams } from "react-router-dom";
+import SavedPosts from "../components/SavedPosts";
+import ReadingLists from "../components/ReadingLists";
+
+/**
+ * @page SavedPage
+ * @description The logged-in user's saved posts and reading lists, on two tabs.
+ * The selected tab is kept in the URL (`?tab=lists`) so menus can link straight to the lists.
+ */
+const SavedPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tabIndex = searchParams.get("tab") === "lists" ? 1 : 0;
+
+  return (
+    <Box p={5}>
+      <Heading as="h1" mb={6}>
+        Saved
+      </Heading>
+      <Tabs
+        colorScheme="teal"
+        index={tabIndex}
+        onChange={(index) =>
+          setSearchParams(index === 1 ? { tab: "lists" } : {}, {
+            replace: true,
+          })
+        }
+        isLazy
+      >
+        <TabList mb={6}>
+          <Tab>Bookmarks</Tab>
+          <Tab>Reading Lists</Tab>
+        </TabList>
+        <TabPanels>
+          <TabPanel px={0}>
+            <SavedPosts />
+          </TabPanel>
+          <TabPanel px={0}>
+            <ReadingLists />
+          </TabPanel>
+        </TabPanels>
+      </Tabs>
+    </Box>
+  );
+};
+
+export default SavedPage;
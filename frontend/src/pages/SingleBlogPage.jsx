@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
   Box,
   Heading,
@@ -16,11 +16,26 @@ import {
   Divider,
   Button,
   AspectRatio,
+  Badge,
+  Link,
   useToast,
 } from "@chakra-ui/react";
 import { useParams, Link as RouterLink, useNavigate } from "react-router-dom";
 import blogService from "../services/blogService";
+import reportService from "../services/reportService";
 import { useAuth } from "../contexts/AuthContext"; // For Edit/Delete buttons
+import { getStatusInfo } from "../utils/blogStatus";
+import { getAuthorPath } from "../utils/authors";
+import { canModerate, canWritePosts } from "../utils/roles";
+import MarkdownContent from "../components/MarkdownContent";
+import TagList from "../components/TagList";
+import CommentSection from "../components/CommentSection";
+import ReactionBar from "../components/ReactionBar";
+import FollowButton from "../components/FollowButton";
+import BookmarkButton from "../components/BookmarkButton";
+import SaveToListMenu from "../components/SaveToListMenu";
+import ReportButton from "../components/ReportButton";
+import useRealtimeEvent from "../hooks/useRealtimeEvent";
 
 /**
  * @function formatDate
@@ -43,41 +58,76 @@ const formatDate = (dateString) => {
 /**
  * @page SingleBlogPage
  * @description Displays the full content of a single blog post.
- * Fetches blog data based on the ID from the URL parameters.
- * Provides options to edit or delete the post if the logged-in user is the author.
+ * Fetches blog data based on the slug from the URL parameters, replacing outdated slugs in the URL.
+ * Lets readers follow the author, and provides options to edit or delete the post if the logged-in user is the author,
+ * and shows reaction buttons, bookmark, reading list and report buttons and the post's comment threads below the content.
+ * Changes saved elsewhere while the post is open are shown live, and a post deleted meanwhile is replaced by a notice.
  * Manages loading and error states during data fetching.
  */
 const SingleBlogPage = () => {
-  const { id: blogId } = useParams(); // Get blog ID from URL parameters.
+  const { slug } = useParams(); // Get blog slug from URL parameters.
   const [blog, setBlog] = useState(null); // State to store the fetched blog post data.
   const [isLoading, setIsLoading] = useState(true); // Loading state for API request.
   const [error, setError] = useState(null); // Error state for API request.
   const { user, isAuthenticated } = useAuth(); // Auth context to check if user is author.
   const navigate = useNavigate(); // Hook for programmatic navigation.
   const toast = useToast(); // Hook for displaying toast notifications (e.g., on delete).
+  const isDeletingRef = useRef(false); // Set while this page deletes the post itself.
 
-  // Effect hook to fetch the blog post data when the component mounts or blogId changes.
+  // Effect hook to fetch the blog post data when the component mounts or the slug changes.
   useEffect(() => {
     const fetchBlog = async () => {
       setIsLoading(true);
       setError(null);
       try {
-        const data = await blogService.getBlogById(blogId);
+        const data = await blogService.getBlogBySlug(slug);
         setBlog(data);
+        // Old slugs are redirected by the backend; update the URL to the post's current slug
+        if (data.slug && data.slug !== slug) {
+          navigate(`/blog/${data.slug}`, { replace: true });
+        }
       } catch (err) {
         setError(err.toString() || "Failed to fetch blog post.");
       }
       setIsLoading(false);
     };
 
-    if (blogId) {
+    if (slug) {
       fetchBlog();
     }
-  }, [blogId]);
+  }, [slug, navigate]);
+
+  // Show edits made elsewhere; the reader's own reactions and bookmark are not part of the event,
+  // and neither is the rendered content, which is fetched again when the Markdown changed
+  useRealtimeEvent("blog:updated", async (updated) => {
+    if (updated._id !== blog?._id) return;
+    let { contentHtml } = blog;
+    if (updated.content !== blog.content) {
+      try {
+        ({ contentHtml } = await blogService.getBlogById(updated._id));
+      } catch {
+        contentHtml = null; // Show the Markdown source instead
+      }
+    }
+    setBlog((prev) => ({
+      ...prev,
+      ...updated,
+      contentHtml,
+      myReactions: prev.myReactions,
+      isBookmarked: prev.isBookmarked,
+    }));
+  });
+
+  useRealtimeEvent("blog:deleted", ({ _id }) => {
+    // A deletion made from this page is handled (and navigated away from) by handleDelete
+    if (_id !== blog?._id || isDeletingRef.current) return;
+    setBlog(null);
+    setError("This blog post was deleted or is no longer available.");
+  });
 
   /**
    * @function handleDelete
-   * @description Handles the deletion of the blog post.
+   * @description Handles the deletion of the blog post, which moves it to the trash.
    * Prompts the user for confirmation before proceeding.
    * Calls the blog service to delete the post and navigates away on success.
    * Displays toast notifications for success or failure.
@@ -86,17 +136,22 @@ const SingleBlogPage = () => {
     if (!window.confirm("Are you sure you want to delete this blog post?"))
       return;
 
+    isDeletingRef.current = true;
     try {
-      await blogService.deleteBlog(blogId);
+      const { purgeAt } = await blogService.deleteBlog(blog._id);
       toast({
-        title: "Blog Post Deleted",
-        description: "The blog post has been successfully deleted.",
+        title: "Blog Post Moved to Trash",
+        description:
+          user._id === blog.userId
+            ? `You can restore it from the trash in My Blogs until ${formatDate(purgeAt)}.`
+            : `It will be deleted permanently on ${formatDate(purgeAt)}.`,
         status: "success",
         duration: 3000,
         isClosable: true,
       });
       navigate("/"); // Navigate to home or /my-blogs after deletion
     } catch (err) {
+      isDeletingRef.current = false;
       toast({
         title: "Error Deleting Post",
         description: err.toString() || "Could not delete the blog post.",
@@ -107,6 +162,31 @@ const SingleBlogPage = () => {
     }
   };
 
+  /**
+   * @function handleUnhide
+   * @description Makes the post visible to readers again after a moderator hid it (moderators and admins only).
+   */
+  const handleUnhide = async () => {
+    try {
+      await reportService.unhideContent("blog", blog._id);
+      setBlog((prev) => ({ ...prev, hiddenAt: null }));
+      toast({
+        title: "Post Visible Again",
+        status: "success",
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      toast({
+        title: "Error Unhiding Post",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+        isClosable: true,
+      });
+    }
+  };
+
   // Conditional rendering: Show spinner while data is loading.
   if (isLoading) {
     return (
@@ -136,8 +216,10 @@ const SingleBlogPage = () => {
     );
   }
 
-  // Determine if the currently authenticated user is the author of the blog post.
-  const isAuthor = isAuthenticated && user && user._id === blog.userId;
+  // The author, moderators and admins may edit or delete the post.
+  const canManage =
+    isAuthenticated && user && (user._id === blog.userId || canModerate(user));
+  const statusInfo = getStatusInfo(blog.status, blog.scheduledFor);
 
   return (
     <Box
@@ -157,20 +239,44 @@ const SingleBlogPage = () => {
 
         {/* Blog Metadata: Author and Category */}
         <HStack justifyContent="space-between" wrap="wrap">
-          <Text fontSize="md" color="gray.600">
-            By{" "}
-            <Text as="span" fontWeight="bold">
-              {blog.authorName || "Unknown Author"}
+          <HStack spacing={4} wrap="wrap">
+            <Text fontSize="md" color="gray.600">
+              By{" "}
+              <Link
+                as={RouterLink}
+                to={getAuthorPath(blog.userId)}
+                fontWeight="bold"
+                color="teal.600"
+              >
+                {blog.authorName || "Unknown Author"}
+              </Link>
             </Text>
-          </Text>
-          <Tag size="md" colorScheme="teal" variant="solid">
-            {blog.category || "Uncategorized"}
-          </Tag>
+            <FollowButton userId={blog.userId} size="xs" />
+          </HStack>
+          <HStack>
+            {statusInfo.value !== "published" && (
+              <Badge colorScheme={statusInfo.colorScheme}>
+                {statusInfo.label}
+              </Badge>
+            )}
+            {blog.hiddenAt && <Badge colorScheme="red">Hidden</Badge>}
+            <Tag size="md" colorScheme="teal" variant="solid">
+              {blog.category || "Uncategorized"}
+            </Tag>
+          </HStack>
         </HStack>
 
+        <TagList tags={blog.tags} size="md" />
+
         {/* Publication and Update Dates */}
         <Text fontSize="sm" color="gray.500" textAlign="center">
-          Published on: {formatDate(blog.createdAt)}
+          {blog.status === "draft" ? "Created on" : "Published on"}:{" "}
+          {formatDate(blog.publishedAt || blog.createdAt)}
+          {blog.status === "draft" && blog.scheduledFor && (
+            <Text as="span" ml={2}>
+              (Scheduled for: {formatDate(blog.scheduledFor)})
+            </Text>
+          )}
           {blog.updatedAt && blog.createdAt !== blog.updatedAt && (
             <Text as="span" ml={2}>
               (Last updated: {formatDate(blog.updatedAt)})
@@ -178,23 +284,41 @@ const SingleBlogPage = () => {
           )}
         </Text>
 
-        {/* Author Actions: Edit and Delete buttons (visible only to the author) */}
-        {isAuthor && (
+        {/* Management Actions: Edit and Delete buttons (visible to the author, moderators and admins;
+            readers may delete their own posts but no longer edit them) */}
+        {canManage && (
           <HStack spacing={4} justifyContent="flex-end" mt={2} mb={2}>
-            <Button
-              as={RouterLink}
-              to={`/edit-blog/${blog._id}`}
-              colorScheme="blue"
-              size="sm"
-            >
-              Edit Post
-            </Button>
+            {canWritePosts(user) && (
+              <Button
+                as={RouterLink}
+                to={`/edit-blog/${blog._id}`}
+                colorScheme="blue"
+                size="sm"
+              >
+                Edit Post
+              </Button>
+            )}
             <Button colorScheme="red" size="sm" onClick={handleDelete}>
               Delete Post
             </Button>
           </HStack>
         )}
 
+        {/* Only the author, moderators and admins can still see posts hidden by a moderator */}
+        {blog.hiddenAt && (
+          <Alert status="warning">
+            <AlertIcon />
+            <Text flex={1}>
+              This post was hidden by a moderator and is not shown to readers.
+            </Text>
+            {canModerate(user) && (
+              <Button size="sm" colorScheme="orange" onClick={handleUnhide}>
+                Unhide
+              </Button>
+            )}
+          </Alert>
+        )}
+
         <Divider my={4} />
 
         {/* Blog Image (if available) */}
@@ -210,13 +334,32 @@ const SingleBlogPage = () => {
         )}
 
         {/* Blog Content Area */}
-        <Box className="blog-content" fontSize="lg" lineHeight="tall">
-          {/* Render HTML content safely if it comes from a trusted WYSIWYG editor */}
-          {/* For plain text with newlines: */}
-          <Text whiteSpace="pre-wrap">{blog.content}</Text>
-        </Box>
+        {/* contentHtml is rendered from Markdown and sanitized by the backend */}
+        {blog.contentHtml ? (
+          <MarkdownContent
+            html={blog.contentHtml}
+            fontSize="lg"
+            lineHeight="tall"
+          />
+        ) : (
+          <Box className="blog-content" fontSize="lg" lineHeight="tall">
+            <Text whiteSpace="pre-wrap">{blog.content}</Text>
+          </Box>
+        )}
+
+        <ReactionBar blog={blog} />
+        <HStack spacing={2}>
+          <BookmarkButton blog={blog} />
+          <SaveToListMenu blogId={blog._id} />
+          {isAuthenticated && user?._id !== blog.userId && (
+            <ReportButton targetType="blog" targetId={blog._id} />
+          )}
+        </HStack>
+
+        <Divider mt={2} />
+        <CommentSection blog={blog} />
 
-        <Divider mt={6} />
+        <Divider />
         {/* Back to All Blogs Button */}
         <Button
           as={RouterLink}
@@ -0,0 +1,144 @@
+import api from "../../utils/api";
+import adminService from "../adminService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("adminService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getStats", () => {
+    it("should fetch the site statistics", async () => {
+      const mockStats = {
+        totals: { users: 3, posts: 5, comments: 2 },
+        postsPerDay: [{ date: "2024-05-01", count: 2 }],
+        signupsPerWeek: [{ date: "2024-04-29", count: 1 }],
+        topCategories: [{ category: "Technology", postCount: 4 }],
+        topAuthors: [],
+      };
+      api.get.mockResolvedValueOnce({ data: mockStats });
+
+      const result = await adminService.getStats({ days: 7 });
+      expect(result).toEqual(mockStats);
+      expect(api.get).toHaveBeenCalledWith("/api/admin/stats", {
+        params: { days: 7 },
+      });
+    });
+
+    it("should handle errors when fetching statistics", async () => {
+      const errorMessage = "Not authorized, requires the admin role";
+      api.get.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(adminService.getStats()).rejects.toThrow(errorMessage);
+    });
+  });
+
+  describe("users", () => {
+    it("should search users", async () => {
+      const mockUsers = { users: [], page: 1, pages: 1, count: 0 };
+      api.get.mockResolvedValueOnce({ data: mockUsers });
+
+      const result = await adminService.getUsers({
+        q: "jane",
+        status: "suspended",
+      });
+      expect(result).toEqual(mockUsers);
+      expect(api.get).toHaveBeenCalledWith("/api/admin/users", {
+        params: { q: "jane", status: "suspended" },
+      });
+    });
+
+    it("should suspend a user", async () => {
+      const mockUser = { _id: "u1", accountStatus: "suspended" };
+      api.put.mockResolvedValueOnce({ data: mockUser });
+
+      const result = await adminService.suspendUser("u1", {
+        days: 7,
+        reason: "Spam",
+      });
+      expect(result).toEqual(mockUser);
+      expect(api.put).toHaveBeenCalledWith("/api/admin/users/u1/suspend", {
+        days: 7,
+        reason: "Spam",
+      });
+    });
+
+    it("should ban a user", async () => {
+      const mockUser = { _id: "u1", accountStatus: "banned" };
+      api.put.mockResolvedValueOnce({ data: mockUser });
+
+      const result = await adminService.banUser("u1", "Repeated spam");
+      expect(result).toEqual(mockUser);
+      expect(api.put).toHaveBeenCalledWith("/api/admin/users/u1/ban", {
+        reason: "Repeated spam",
+      });
+    });
+
+    it("should reinstate a user", async () => {
+      const mockUser = { _id: "u1", accountStatus: "active" };
+      api.put.mockResolvedValueOnce({ data: mockUser });
+
+      const result = await adminService.unsuspendUser("u1");
+      expect(result).toEqual(mockUser);
+      expect(api.put).toHaveBeenCalledWith("/api/admin/users/u1/unsuspend");
+    });
+
+    it("should handle errors when suspending a user", async () => {
+      const errorMessage = "You cannot suspend or ban yourself";
+      api.put.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(adminService.suspendUser("u1", { days: 1 })).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+
+  describe("posts", () => {
+    it("should search posts", async () => {
+      const mockPosts = { blogs: [], page: 1, pages: 1, count: 0 };
+      api.get.mockResolvedValueOnce({ data: mockPosts });
+
+      const result = await adminService.getPosts({ q: "react", page: 2 });
+      expect(result).toEqual(mockPosts);
+      expect(api.get).toHaveBeenCalledWith("/api/admin/posts", {
+        params: { q: "react", page: 2 },
+      });
+    });
+
+    it("should unpublish a post", async () => {
+      const mockBlog = { _id: "b1", status: "draft" };
+      api.put.mockResolvedValueOnce({ data: mockBlog });
+
+      const result = await adminService.unpublishPost("b1");
+      expect(result).toEqual(mockBlog);
+      expect(api.put).toHaveBeenCalledWith("/api/admin/posts/b1/unpublish");
+    });
+
+    it("should delete a post", async () => {
+      const mockResponse = { message: "Blog post removed successfully" };
+      api.delete.mockResolvedValueOnce({ data: mockResponse });
+
+      const result = await adminService.deletePost("b1");
+      expect(result).toEqual(mockResponse);
+      expect(api.delete).toHaveBeenCalledWith("/api/admin/posts/b1");
+    });
+
+    it("should handle errors when unpublishing a post", async () => {
+      const errorMessage = "Blog post is not published";
+      api.put.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(adminService.unpublishPost("b1")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+});
@@ -1,8 +1,9 @@
 import axios from "axios";
 import authService from "../authService";
 
-// Mock axios
+// Mock axios and the build environment
 jest.mock("axios");
+jest.mock("../../utils/env");
 
 describe("authService", () => {
   // Reset all mocks before each test
@@ -154,7 +155,10 @@ describe("authService", () => {
     };
 
     const mockResponse = {
-      data: { message: "Password changed successfully" },
+      data: {
+        message: "Password changed successfully",
+        token: "new-jwt-token",
+      },
     };
 
     it("should change password successfully", async () => {
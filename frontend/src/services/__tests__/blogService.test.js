@@ -1,8 +1,23 @@
 import axios from "axios";
 import blogService from "../blogService";
 
-// Mock axios
-jest.mock("axios");
+// The service creates its own axios instance; every call goes through this mock of it
+jest.mock("axios", () => {
+  const instance = {
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    delete: jest.fn(),
+    interceptors: {
+      request: { use: jest.fn() },
+      response: { use: jest.fn() },
+    },
+  };
+  return { __esModule: true, default: { create: jest.fn(() => instance) } };
+});
+jest.mock("../../utils/env");
+
+const api = axios.create();
 
 describe("blogService", () => {
   // Reset all mocks before each test
@@ -27,11 +42,11 @@ describe("blogService", () => {
     };
 
     it("should fetch blogs successfully", async () => {
-      axios.get.mockResolvedValueOnce({ data: mockBlogs });
+      api.get.mockResolvedValueOnce({ data: mockBlogs });
 
       const result = await blogService.getAllBlogs();
       expect(result).toEqual(mockBlogs);
-      expect(axios.get).toHaveBeenCalledWith("/api/blogs", { params: {} });
+      expect(api.get).toHaveBeenCalledWith("/api/blogs", { params: {} });
     });
 
     it("should fetch blogs with filters", async () => {
@@ -42,16 +57,89 @@ describe("blogService", () => {
         limit: 6,
       };
 
-      axios.get.mockResolvedValueOnce({ data: mockBlogs });
+      api.get.mockResolvedValueOnce({ data: mockBlogs });
 
       const result = await blogService.getAllBlogs(filters);
       expect(result).toEqual(mockBlogs);
-      expect(axios.get).toHaveBeenCalledWith("/api/blogs", { params: filters });
+      expect(api.get).toHaveBeenCalledWith("/api/blogs", { params: filters });
+    });
+
+    it("should pass the status filter through to the API", async () => {
+      const filters = { authorName: "John Doe", status: "all" };
+
+      api.get.mockResolvedValueOnce({ data: mockBlogs });
+
+      await blogService.getAllBlogs(filters);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs", { params: filters });
+    });
+
+    it("should pass the tag filter through to the API", async () => {
+      const filters = { tags: "react,hooks", tagMatch: "all" };
+
+      api.get.mockResolvedValueOnce({ data: mockBlogs });
+
+      await blogService.getAllBlogs(filters);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs", { params: filters });
+    });
+
+    it("should surface the backend's message for an invalid tag match mode", async () => {
+      const errorMessage = 'Invalid tagMatch: some. Use "any" or "all"';
+      api.get.mockRejectedValueOnce({
+        response: { status: 400, data: { message: errorMessage } },
+      });
+
+      await expect(
+        blogService.getAllBlogs({ tags: "react", tagMatch: "some" })
+      ).rejects.toThrow(errorMessage);
+    });
+
+    it("should pass the search text through to the API", async () => {
+      const filters = { q: "react hooks", category: "Technology" };
+      const mockResults = {
+        ...mockBlogs,
+        blogs: [
+          {
+            ...mockBlogs.blogs[0],
+            score: 1.5,
+            highlights: {
+              title: [{ text: "Test Blog", match: false }],
+              snippet: [{ text: "React", match: true }],
+            },
+          },
+        ],
+      };
+
+      api.get.mockResolvedValueOnce({ data: mockResults });
+
+      const result = await blogService.getAllBlogs(filters);
+      expect(result).toEqual(mockResults);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs", { params: filters });
+    });
+
+    it("should surface the backend's message for a rejected search", async () => {
+      const errorMessage = "Search text cannot be longer than 200 characters";
+      api.get.mockRejectedValueOnce({
+        response: { status: 400, data: { message: errorMessage } },
+      });
+
+      await expect(
+        blogService.getAllBlogs({ q: "x".repeat(201) })
+      ).rejects.toThrow(errorMessage);
+    });
+
+    it("should fetch another author's posts by user ID", async () => {
+      const mockBlogs = { blogs: [], page: 1, pages: 0, count: 0 };
+      api.get.mockResolvedValueOnce({ data: mockBlogs });
+
+      const params = { authorId: "64b7f0c2a1b2c3d4e5f60718", page: 1 };
+      const result = await blogService.getAllBlogs(params);
+      expect(result).toEqual(mockBlogs);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs", { params });
     });
 
     it("should handle errors when fetching blogs", async () => {
       const errorMessage = "Failed to fetch blogs";
-      axios.get.mockRejectedValueOnce({
+      api.get.mockRejectedValueOnce({
         response: { data: { message: errorMessage } },
       });
 
@@ -59,6 +147,27 @@ describe("blogService", () => {
     });
   });
 
+  describe("getMyBlogs", () => {
+    it("should fetch the current user's blogs with filters", async () => {
+      const mockBlogs = { blogs: [], page: 2, pages: 2, count: 7 };
+      api.get.mockResolvedValueOnce({ data: mockBlogs });
+
+      const params = { status: "draft", page: 2, limit: 6 };
+      const result = await blogService.getMyBlogs(params);
+      expect(result).toEqual(mockBlogs);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/mine", { params });
+    });
+
+    it("should handle errors when fetching the current user's blogs", async () => {
+      const errorMessage = "Not authorized, no token";
+      api.get.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(blogService.getMyBlogs()).rejects.toThrow(errorMessage);
+    });
+  });
+
   describe("getBlogById", () => {
     const mockBlog = {
       _id: "1",
@@ -69,16 +178,16 @@ describe("blogService", () => {
     };
 
     it("should fetch a single blog successfully", async () => {
-      axios.get.mockResolvedValueOnce({ data: mockBlog });
+      api.get.mockResolvedValueOnce({ data: mockBlog });
 
       const result = await blogService.getBlogById("1");
       expect(result).toEqual(mockBlog);
-      expect(axios.get).toHaveBeenCalledWith("/api/blogs/1");
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/1");
     });
 
     it("should handle errors when fetching a single blog", async () => {
       const errorMessage = "Blog not found";
-      axios.get.mockRejectedValueOnce({
+      api.get.mockRejectedValueOnce({
         response: { data: { message: errorMessage } },
       });
 
@@ -86,6 +195,45 @@ describe("blogService", () => {
     });
   });
 
+  describe("getBlogBySlug", () => {
+    const mockBlog = {
+      _id: "1",
+      slug: "test-blog",
+      title: "Test Blog",
+      content: "Test Content",
+      category: "Technology",
+      authorName: "John Doe",
+    };
+
+    it("should fetch a single blog by slug successfully", async () => {
+      api.get.mockResolvedValueOnce({ data: mockBlog });
+
+      const result = await blogService.getBlogBySlug("test-blog");
+      expect(result).toEqual(mockBlog);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/slug/test-blog");
+    });
+
+    it("should encode the slug in the request path", async () => {
+      api.get.mockResolvedValueOnce({ data: mockBlog });
+
+      await blogService.getBlogBySlug("café/post?x");
+      expect(api.get).toHaveBeenCalledWith(
+        "/api/blogs/slug/caf%C3%A9%2Fpost%3Fx"
+      );
+    });
+
+    it("should handle errors when fetching a blog by slug", async () => {
+      const errorMessage = "Blog post not found";
+      api.get.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(blogService.getBlogBySlug("missing")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+
   describe("createBlog", () => {
     const mockBlogData = {
       title: "New Blog",
@@ -101,16 +249,16 @@ describe("blogService", () => {
     };
 
     it("should create a blog successfully", async () => {
-      axios.post.mockResolvedValueOnce({ data: mockCreatedBlog });
+      api.post.mockResolvedValueOnce({ data: mockCreatedBlog });
 
       const result = await blogService.createBlog(mockBlogData);
       expect(result).toEqual(mockCreatedBlog);
-      expect(axios.post).toHaveBeenCalledWith("/api/blogs", mockBlogData);
+      expect(api.post).toHaveBeenCalledWith("/api/blogs", mockBlogData);
     });
 
     it("should handle errors when creating a blog", async () => {
       const errorMessage = "Failed to create blog";
-      axios.post.mockRejectedValueOnce({
+      api.post.mockRejectedValueOnce({
         response: { data: { message: errorMessage } },
       });
 
@@ -120,6 +268,37 @@ describe("blogService", () => {
     });
   });
 
+  describe("previewMarkdown", () => {
+    it("should return the rendered HTML", async () => {
+      api.post.mockResolvedValueOnce({ data: { html: "<h1>Title</h1>" } });
+
+      const result = await blogService.previewMarkdown("# Title");
+      expect(result).toEqual("<h1>Title</h1>");
+      expect(api.post).toHaveBeenCalledWith("/api/blogs/preview", {
+        content: "# Title",
+      });
+    });
+
+    it("should handle errors when rendering a preview", async () => {
+      const errorMessage = "Failed to render preview";
+      api.post.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(blogService.previewMarkdown("# Title")).rejects.toThrow(
+        errorMessage
+      );
+    });
+
+    it("should fall back to a generic message when the preview request fails", async () => {
+      api.post.mockRejectedValueOnce(new Error("Network Error"));
+
+      await expect(blogService.previewMarkdown("# Title")).rejects.toThrow(
+        "Failed to render preview"
+      );
+    });
+  });
+
   describe("updateBlog", () => {
     const mockUpdateData = {
       title: "Updated Blog",
@@ -135,16 +314,16 @@ describe("blogService", () => {
     };
 
     it("should update a blog successfully", async () => {
-      axios.put.mockResolvedValueOnce({ data: mockUpdatedBlog });
+      api.put.mockResolvedValueOnce({ data: mockUpdatedBlog });
 
       const result = await blogService.updateBlog("1", mockUpdateData);
       expect(result).toEqual(mockUpdatedBlog);
-      expect(axios.put).toHaveBeenCalledWith("/api/blogs/1", mockUpdateData);
+      expect(api.put).toHaveBeenCalledWith("/api/blogs/1", mockUpdateData);
     });
 
     it("should handle errors when updating a blog", async () => {
       const errorMessage = "Failed to update blog";
-      axios.put.mockRejectedValueOnce({
+      api.put.mockRejectedValueOnce({
         response: { data: { message: errorMessage } },
       });
 
@@ -157,20 +336,156 @@ describe("blogService", () => {
   describe("deleteBlog", () => {
     it("should delete a blog successfully", async () => {
       const mockResponse = { data: { message: "Blog deleted successfully" } };
-      axios.delete.mockResolvedValueOnce(mockResponse);
+      api.delete.mockResolvedValueOnce(mockResponse);
 
       const result = await blogService.deleteBlog("1");
       expect(result).toEqual(mockResponse.data);
-      expect(axios.delete).toHaveBeenCalledWith("/api/blogs/1");
+      expect(api.delete).toHaveBeenCalledWith("/api/blogs/1");
     });
 
     it("should handle errors when deleting a blog", async () => {
       const errorMessage = "Failed to delete blog";
-      axios.delete.mockRejectedValueOnce({
+      api.delete.mockRejectedValueOnce({
         response: { data: { message: errorMessage } },
       });
 
       await expect(blogService.deleteBlog("1")).rejects.toThrow(errorMessage);
     });
   });
+
+  describe("trash", () => {
+    it("should fetch the trashed blogs", async () => {
+      const mockTrash = {
+        blogs: [{ _id: "1", title: "Old Post", canRestore: true }],
+        page: 1,
+        pages: 1,
+        count: 1,
+        retentionDays: 30,
+      };
+      api.get.mockResolvedValueOnce({ data: mockTrash });
+
+      const result = await blogService.getTrash({ page: 1 });
+      expect(result).toEqual(mockTrash);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/trash", {
+        params: { page: 1 },
+      });
+    });
+
+    it("should restore a blog from the trash", async () => {
+      const mockBlog = { _id: "1", title: "Old Post", deletedAt: null };
+      api.put.mockResolvedValueOnce({ data: mockBlog });
+
+      const result = await blogService.restoreBlog("1");
+      expect(result).toEqual(mockBlog);
+      expect(api.put).toHaveBeenCalledWith("/api/blogs/1/restore");
+    });
+
+    it("should delete a blog permanently", async () => {
+      const mockResponse = { message: "Blog post deleted permanently" };
+      api.delete.mockResolvedValueOnce({ data: mockResponse });
+
+      const result = await blogService.deleteBlogPermanently("1");
+      expect(result).toEqual(mockResponse);
+      expect(api.delete).toHaveBeenCalledWith("/api/blogs/1/permanent");
+    });
+
+    it("should handle errors when restoring a blog", async () => {
+      const errorMessage =
+        "This blog post was removed by a moderator and cannot be restored";
+      api.put.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(blogService.restoreBlog("1")).rejects.toThrow(errorMessage);
+    });
+
+    it("should handle errors when deleting a blog permanently", async () => {
+      const errorMessage = "Blog post not found in the trash";
+      api.delete.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(blogService.deleteBlogPermanently("1")).rejects.toThrow(
+        errorMessage
+      );
+    });
+
+    it("should fall back to a generic message when the trash cannot be fetched", async () => {
+      api.get.mockRejectedValueOnce(new Error("Network Error"));
+
+      await expect(blogService.getTrash()).rejects.toThrow(
+        "Failed to fetch the trash"
+      );
+    });
+  });
+
+  describe("revisions", () => {
+    it("should fetch the revision history of a blog", async () => {
+      const mockRevisions = [{ number: 2 }, { number: 1 }];
+      api.get.mockResolvedValueOnce({ data: mockRevisions });
+
+      const result = await blogService.getRevisions("1");
+      expect(result).toEqual(mockRevisions);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/1/revisions");
+    });
+
+    it("should compare a revision against the current post", async () => {
+      const mockDiff = { from: 1, to: "current", changes: {} };
+      api.get.mockResolvedValueOnce({ data: mockDiff });
+
+      const result = await blogService.diffRevisions("1", 1);
+      expect(result).toEqual(mockDiff);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/1/revisions/diff", {
+        params: { from: 1 },
+      });
+    });
+
+    it("should compare two revisions", async () => {
+      const mockDiff = { from: 1, to: 3, changes: {} };
+      api.get.mockResolvedValueOnce({ data: mockDiff });
+
+      const result = await blogService.diffRevisions("1", 1, 3);
+      expect(result).toEqual(mockDiff);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/1/revisions/diff", {
+        params: { from: 1, to: 3 },
+      });
+    });
+
+    it("should fetch a single revision", async () => {
+      const mockRevision = { number: 2, title: "Old Title", content: "Old" };
+      api.get.mockResolvedValueOnce({ data: mockRevision });
+
+      const result = await blogService.getRevision("1", 2);
+      expect(result).toEqual(mockRevision);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/1/revisions/2");
+    });
+
+    it("should fall back to a generic message when a revision cannot be fetched", async () => {
+      api.get.mockRejectedValueOnce(new Error("Network Error"));
+
+      await expect(blogService.getRevision("1", 2)).rejects.toThrow(
+        "Failed to fetch revision"
+      );
+    });
+
+    it("should restore a revision", async () => {
+      const mockBlog = { _id: "1", title: "Old Title" };
+      api.post.mockResolvedValueOnce({ data: mockBlog });
+
+      const result = await blogService.restoreRevision("1", 1);
+      expect(result).toEqual(mockBlog);
+      expect(api.post).toHaveBeenCalledWith("/api/blogs/1/revisions/1/restore");
+    });
+
+    it("should handle errors when restoring a revision", async () => {
+      const errorMessage = "Revision 9 not found";
+      api.post.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(blogService.restoreRevision("1", 9)).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
 });
@@ -0,0 +1,131 @@
+import api from "../../utils/api";
+import bookmarkService from "../bookmarkService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("bookmarkService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("bookmarks", () => {
+    it("should fetch the bookmarked posts", async () => {
+      const mockBookmarks = { blogs: [], page: 1, pages: 1, count: 0 };
+      api.get.mockResolvedValueOnce({ data: mockBookmarks });
+
+      const result = await bookmarkService.getBookmarks({ page: 2 });
+      expect(result).toEqual(mockBookmarks);
+      expect(api.get).toHaveBeenCalledWith("/api/bookmarks", {
+        params: { page: 2 },
+      });
+    });
+
+    it("should bookmark a post", async () => {
+      const mockState = { blogId: "b1", isBookmarked: true };
+      api.put.mockResolvedValueOnce({ data: mockState });
+
+      const result = await bookmarkService.addBookmark("b1");
+      expect(result).toEqual(mockState);
+      expect(api.put).toHaveBeenCalledWith("/api/bookmarks/b1");
+    });
+
+    it("should remove a bookmark", async () => {
+      const mockState = { blogId: "b1", isBookmarked: false };
+      api.delete.mockResolvedValueOnce({ data: mockState });
+
+      const result = await bookmarkService.removeBookmark("b1");
+      expect(result).toEqual(mockState);
+      expect(api.delete).toHaveBeenCalledWith("/api/bookmarks/b1");
+    });
+
+    it("should handle errors when bookmarking a post", async () => {
+      const errorMessage = "Blog post not found";
+      api.put.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(bookmarkService.addBookmark("b1")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+
+  describe("reading lists", () => {
+    const mockList = { _id: "l1", name: "Later", itemCount: 2 };
+
+    it("should fetch the user's lists", async () => {
+      api.get.mockResolvedValueOnce({ data: { lists: [mockList] } });
+
+      const result = await bookmarkService.getLists({ blogId: "b1" });
+      expect(result).toEqual([mockList]);
+      expect(api.get).toHaveBeenCalledWith("/api/lists", {
+        params: { blogId: "b1" },
+      });
+    });
+
+    it("should fetch a single list", async () => {
+      api.get.mockResolvedValueOnce({ data: mockList });
+
+      const result = await bookmarkService.getList("l1");
+      expect(result).toEqual(mockList);
+      expect(api.get).toHaveBeenCalledWith("/api/lists/l1");
+    });
+
+    it("should create a list", async () => {
+      const listData = { name: "Later", isPublic: true };
+      api.post.mockResolvedValueOnce({ data: mockList });
+
+      const result = await bookmarkService.createList(listData);
+      expect(result).toEqual(mockList);
+      expect(api.post).toHaveBeenCalledWith("/api/lists", listData);
+    });
+
+    it("should handle errors when creating a list", async () => {
+      const errorMessage = "You already have a list with this name";
+      api.post.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(
+        bookmarkService.createList({ name: "Later" })
+      ).rejects.toThrow(errorMessage);
+    });
+
+    it("should update a list", async () => {
+      api.put.mockResolvedValueOnce({ data: mockList });
+
+      await bookmarkService.updateList("l1", { isPublic: false });
+      expect(api.put).toHaveBeenCalledWith("/api/lists/l1", {
+        isPublic: false,
+      });
+    });
+
+    it("should delete a list", async () => {
+      api.delete.mockResolvedValueOnce({ data: { message: "ok" } });
+
+      await bookmarkService.deleteList("l1");
+      expect(api.delete).toHaveBeenCalledWith("/api/lists/l1");
+    });
+
+    it("should add a post to a list and remove it again", async () => {
+      api.put.mockResolvedValueOnce({ data: mockList });
+      api.delete.mockResolvedValueOnce({ data: mockList });
+
+      await bookmarkService.addToList("l1", "b1");
+      await bookmarkService.removeFromList("l1", "b1");
+      expect(api.put).toHaveBeenCalledWith("/api/lists/l1/items/b1");
+      expect(api.delete).toHaveBeenCalledWith("/api/lists/l1/items/b1");
+    });
+
+    it("should reorder the posts of a list", async () => {
+      api.put.mockResolvedValueOnce({ data: mockList });
+
+      await bookmarkService.reorderList("l1", ["b2", "b1"]);
+      expect(api.put).toHaveBeenCalledWith("/api/lists/l1/items", {
+        blogIds: ["b2", "b1"],
+      });
+    });
+  });
+});
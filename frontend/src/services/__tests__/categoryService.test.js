@@ -0,0 +1,96 @@
+import api from "../../utils/api";
+import categoryService from "../categoryService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("categoryService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const mockCategory = {
+    _id: "1",
+    name: "Technology",
+    slug: "technology",
+    description: "",
+    order: 0,
+    postCount: 3,
+  };
+
+  describe("getCategories", () => {
+    it("should fetch categories successfully", async () => {
+      api.get.mockResolvedValueOnce({ data: [mockCategory] });
+
+      const result = await categoryService.getCategories();
+      expect(result).toEqual([mockCategory]);
+      expect(api.get).toHaveBeenCalledWith("/api/categories");
+    });
+
+    it("should handle errors when fetching categories", async () => {
+      api.get.mockRejectedValueOnce(new Error("Network Error"));
+
+      await expect(categoryService.getCategories()).rejects.toThrow(
+        "Failed to fetch categories"
+      );
+    });
+  });
+
+  describe("createCategory", () => {
+    it("should create a category successfully", async () => {
+      const categoryData = { name: "Technology", order: 0 };
+      api.post.mockResolvedValueOnce({ data: mockCategory });
+
+      const result = await categoryService.createCategory(categoryData);
+      expect(result).toEqual(mockCategory);
+      expect(api.post).toHaveBeenCalledWith("/api/categories", categoryData);
+    });
+
+    it("should handle errors when creating a category", async () => {
+      const errorMessage = "Not authorized as an admin";
+      api.post.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(
+        categoryService.createCategory({ name: "Technology" })
+      ).rejects.toThrow(errorMessage);
+    });
+  });
+
+  describe("updateCategory", () => {
+    it("should update a category successfully", async () => {
+      const categoryData = { name: "Tech" };
+      api.put.mockResolvedValueOnce({
+        data: { ...mockCategory, ...categoryData },
+      });
+
+      const result = await categoryService.updateCategory("1", categoryData);
+      expect(result.name).toBe("Tech");
+      expect(api.put).toHaveBeenCalledWith("/api/categories/1", categoryData);
+    });
+  });
+
+  describe("deleteCategory", () => {
+    it("should delete a category successfully", async () => {
+      const mockResponse = { message: "Category removed successfully" };
+      api.delete.mockResolvedValueOnce({ data: mockResponse });
+
+      const result = await categoryService.deleteCategory("1");
+      expect(result).toEqual(mockResponse);
+      expect(api.delete).toHaveBeenCalledWith("/api/categories/1");
+    });
+
+    it("should handle errors when deleting a category in use", async () => {
+      const errorMessage = "This category is used by 2 blog post(s).";
+      api.delete.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(categoryService.deleteCategory("1")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+});
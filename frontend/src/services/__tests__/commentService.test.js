@@ -0,0 +1,122 @@
+import api from "../../utils/api";
+import commentService from "../commentService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("commentService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const mockComment = {
+    _id: "c1",
+    blogId: "1",
+    authorName: "Jane Doe",
+    body: "Great post!",
+    parentId: null,
+    depth: 0,
+    replies: [],
+  };
+
+  describe("getComments", () => {
+    it("should fetch comment threads with pagination", async () => {
+      const mockThreads = {
+        comments: [mockComment],
+        page: 1,
+        pages: 1,
+        count: 1,
+        total: 1,
+      };
+      api.get.mockResolvedValueOnce({ data: mockThreads });
+
+      const result = await commentService.getComments("1", { page: 1 });
+      expect(result).toEqual(mockThreads);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/1/comments", {
+        params: { page: 1 },
+      });
+    });
+
+    it("should handle errors when fetching comments", async () => {
+      const errorMessage = "Blog post not found";
+      api.get.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(commentService.getComments("1")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+
+  describe("createComment", () => {
+    it("should post a top-level comment", async () => {
+      api.post.mockResolvedValueOnce({ data: mockComment });
+
+      const result = await commentService.createComment("1", "Great post!");
+      expect(result).toEqual(mockComment);
+      expect(api.post).toHaveBeenCalledWith("/api/blogs/1/comments", {
+        body: "Great post!",
+        parentId: undefined,
+      });
+    });
+
+    it("should post a reply", async () => {
+      const mockReply = { ...mockComment, _id: "c2", parentId: "c1", depth: 1 };
+      api.post.mockResolvedValueOnce({ data: mockReply });
+
+      await commentService.createComment("1", "Thanks!", "c1");
+      expect(api.post).toHaveBeenCalledWith("/api/blogs/1/comments", {
+        body: "Thanks!",
+        parentId: "c1",
+      });
+    });
+
+    it("should handle errors when posting a comment", async () => {
+      const errorMessage = "Please write a comment";
+      api.post.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(commentService.createComment("1", "")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+
+  describe("updateComment", () => {
+    it("should edit a comment", async () => {
+      const updated = { ...mockComment, body: "Edited" };
+      api.put.mockResolvedValueOnce({ data: updated });
+
+      const result = await commentService.updateComment("1", "c1", "Edited");
+      expect(result).toEqual(updated);
+      expect(api.put).toHaveBeenCalledWith("/api/blogs/1/comments/c1", {
+        body: "Edited",
+      });
+    });
+  });
+
+  describe("deleteComment", () => {
+    it("should delete a comment", async () => {
+      const mockResponse = { message: "Comment removed successfully" };
+      api.delete.mockResolvedValueOnce({ data: mockResponse });
+
+      const result = await commentService.deleteComment("1", "c1");
+      expect(result).toEqual(mockResponse);
+      expect(api.delete).toHaveBeenCalledWith("/api/blogs/1/comments/c1");
+    });
+
+    it("should handle errors when deleting a comment", async () => {
+      const errorMessage = "User not authorized to delete this comment";
+      api.delete.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(commentService.deleteComment("1", "c1")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+});
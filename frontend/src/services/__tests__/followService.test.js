@@ -0,0 +1,118 @@
+import api from "../../utils/api";
+import followService from "../followService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("followService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const mockStatus = { followerCount: 2, followingCount: 5, isFollowing: true };
+
+  describe("getFollowStatus", () => {
+    it("should fetch the follow status of a user", async () => {
+      api.get.mockResolvedValueOnce({ data: mockStatus });
+
+      const result = await followService.getFollowStatus("u1");
+      expect(result).toEqual(mockStatus);
+      expect(api.get).toHaveBeenCalledWith("/api/users/u1/follow");
+    });
+  });
+
+  describe("followUser", () => {
+    it("should follow a user", async () => {
+      api.put.mockResolvedValueOnce({ data: mockStatus });
+
+      const result = await followService.followUser("u1");
+      expect(result).toEqual(mockStatus);
+      expect(api.put).toHaveBeenCalledWith("/api/users/u1/follow");
+    });
+
+    it("should handle errors when following a user", async () => {
+      const errorMessage = "You cannot follow yourself";
+      api.put.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(followService.followUser("u1")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+
+  describe("unfollowUser", () => {
+    it("should unfollow a user", async () => {
+      const unfollowed = {
+        ...mockStatus,
+        followerCount: 1,
+        isFollowing: false,
+      };
+      api.delete.mockResolvedValueOnce({ data: unfollowed });
+
+      const result = await followService.unfollowUser("u1");
+      expect(result).toEqual(unfollowed);
+      expect(api.delete).toHaveBeenCalledWith("/api/users/u1/follow");
+    });
+  });
+
+  describe("getFollowers", () => {
+    it("should fetch the followers of a user with pagination", async () => {
+      const mockList = {
+        users: [{ _id: "u2", name: "Jane Doe" }],
+        page: 2,
+        pages: 2,
+        count: 21,
+      };
+      api.get.mockResolvedValueOnce({ data: mockList });
+
+      const result = await followService.getFollowers("u1", { page: 2 });
+      expect(result).toEqual(mockList);
+      expect(api.get).toHaveBeenCalledWith("/api/users/u1/followers", {
+        params: { page: 2 },
+      });
+    });
+  });
+
+  describe("getFollowing", () => {
+    it("should fetch the users a user follows", async () => {
+      const mockList = { users: [], page: 1, pages: 0, count: 0 };
+      api.get.mockResolvedValueOnce({ data: mockList });
+
+      const result = await followService.getFollowing("u1");
+      expect(result).toEqual(mockList);
+      expect(api.get).toHaveBeenCalledWith("/api/users/u1/following", {
+        params: {},
+      });
+    });
+  });
+
+  describe("getFeed", () => {
+    it("should fetch the next page of the feed by cursor", async () => {
+      const mockFeed = {
+        blogs: [{ _id: "1", title: "Test" }],
+        nextCursor: null,
+      };
+      api.get.mockResolvedValueOnce({ data: mockFeed });
+
+      const result = await followService.getFeed({ cursor: "abc" });
+      expect(result).toEqual(mockFeed);
+      expect(api.get).toHaveBeenCalledWith("/api/feed", {
+        params: { cursor: "abc" },
+      });
+    });
+
+    it("should handle errors when fetching the feed", async () => {
+      const errorMessage = "Invalid feed cursor";
+      api.get.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(followService.getFeed({ cursor: "bad" })).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+});
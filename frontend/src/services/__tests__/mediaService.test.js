@@ -0,0 +1,102 @@
+import api from "../../utils/api";
+import mediaService from "../mediaService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("mediaService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("uploadMedia", () => {
+    const mockMedia = {
+      _id: "1",
+      originalName: "photo.jpg",
+      url: "http://localhost:5000/uploads/u1/abc.jpg",
+      thumbnailUrl: "http://localhost:5000/uploads/u1/abc-thumb.webp",
+    };
+
+    it("should upload an image as multipart form data", async () => {
+      const file = new File(["image"], "photo.jpg", { type: "image/jpeg" });
+      api.post.mockResolvedValueOnce({ data: mockMedia });
+
+      const result = await mediaService.uploadMedia(file);
+      expect(result).toEqual(mockMedia);
+      expect(api.post).toHaveBeenCalledWith(
+        "/api/media",
+        expect.any(FormData),
+        expect.objectContaining({
+          headers: { "Content-Type": "multipart/form-data" },
+        })
+      );
+      expect(api.post.mock.calls[0][1].get("file")).toBe(file);
+    });
+
+    it("should report upload progress", async () => {
+      const file = new File(["image"], "photo.jpg", { type: "image/jpeg" });
+      const onProgress = jest.fn();
+      api.post.mockImplementationOnce((url, data, config) => {
+        config.onUploadProgress({ loaded: 50, total: 200 });
+        return Promise.resolve({ data: mockMedia });
+      });
+
+      await mediaService.uploadMedia(file, onProgress);
+      expect(onProgress).toHaveBeenCalledWith(25);
+    });
+
+    it("should handle errors when uploading", async () => {
+      const errorMessage = "Image must be smaller than 5 MB";
+      api.post.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(
+        mediaService.uploadMedia(new File(["x"], "big.png"))
+      ).rejects.toThrow(errorMessage);
+    });
+  });
+
+  describe("getMyMedia", () => {
+    const mockLibrary = { media: [], page: 1, pages: 0, count: 0 };
+
+    it("should fetch the media library with pagination", async () => {
+      api.get.mockResolvedValueOnce({ data: mockLibrary });
+
+      const result = await mediaService.getMyMedia({ page: 2 });
+      expect(result).toEqual(mockLibrary);
+      expect(api.get).toHaveBeenCalledWith("/api/media", {
+        params: { page: 2 },
+      });
+    });
+
+    it("should handle errors when fetching the media library", async () => {
+      api.get.mockRejectedValueOnce(new Error("Network Error"));
+
+      await expect(mediaService.getMyMedia()).rejects.toThrow(
+        "Failed to fetch media library"
+      );
+    });
+  });
+
+  describe("deleteMedia", () => {
+    it("should delete a media item", async () => {
+      const mockResponse = { message: "Media removed successfully" };
+      api.delete.mockResolvedValueOnce({ data: mockResponse });
+
+      const result = await mediaService.deleteMedia("1");
+      expect(result).toEqual(mockResponse);
+      expect(api.delete).toHaveBeenCalledWith("/api/media/1");
+    });
+
+    it("should handle errors when deleting a media item", async () => {
+      const errorMessage = "User not authorized to delete this media";
+      api.delete.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(mediaService.deleteMedia("1")).rejects.toThrow(errorMessage);
+    });
+  });
+});
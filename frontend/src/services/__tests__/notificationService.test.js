@@ -0,0 +1,116 @@
+import api from "../../utils/api";
+import notificationService from "../notificationService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("notificationService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getNotifications", () => {
+    it("should fetch notifications with filters", async () => {
+      const mockData = {
+        notifications: [{ _id: "n1", type: "follow", isRead: false }],
+        page: 1,
+        pages: 1,
+        count: 1,
+        unreadCount: 1,
+      };
+      api.get.mockResolvedValueOnce({ data: mockData });
+
+      const result = await notificationService.getNotifications({
+        unread: true,
+      });
+      expect(result).toEqual(mockData);
+      expect(api.get).toHaveBeenCalledWith("/api/notifications", {
+        params: { unread: true },
+      });
+    });
+
+    it("should handle errors when fetching notifications", async () => {
+      const errorMessage = "Not authorized, no token";
+      api.get.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(notificationService.getNotifications()).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+
+  describe("getUnreadCount", () => {
+    it("should return the unread count", async () => {
+      api.get.mockResolvedValueOnce({ data: { unreadCount: 3 } });
+
+      const result = await notificationService.getUnreadCount();
+      expect(result).toBe(3);
+      expect(api.get).toHaveBeenCalledWith("/api/notifications/unread-count");
+    });
+  });
+
+  describe("markRead", () => {
+    it("should mark a notification as read", async () => {
+      const mockData = { _id: "n1", isRead: true, unreadCount: 0 };
+      api.put.mockResolvedValueOnce({ data: mockData });
+
+      const result = await notificationService.markRead("n1");
+      expect(result).toEqual(mockData);
+      expect(api.put).toHaveBeenCalledWith("/api/notifications/n1/read");
+    });
+  });
+
+  describe("markAllRead", () => {
+    it("should mark all notifications as read", async () => {
+      const mockData = { markedRead: 4, unreadCount: 0 };
+      api.put.mockResolvedValueOnce({ data: mockData });
+
+      const result = await notificationService.markAllRead();
+      expect(result).toEqual(mockData);
+      expect(api.put).toHaveBeenCalledWith("/api/notifications/read-all");
+    });
+  });
+
+  describe("preferences", () => {
+    const mockPreferences = {
+      comment: true,
+      reply: true,
+      reaction: false,
+      follow: true,
+    };
+
+    it("should fetch the notification preferences", async () => {
+      api.get.mockResolvedValueOnce({ data: mockPreferences });
+
+      const result = await notificationService.getPreferences();
+      expect(result).toEqual(mockPreferences);
+      expect(api.get).toHaveBeenCalledWith("/api/notifications/preferences");
+    });
+
+    it("should update the notification preferences", async () => {
+      api.put.mockResolvedValueOnce({ data: mockPreferences });
+
+      const result = await notificationService.updatePreferences({
+        reaction: false,
+      });
+      expect(result).toEqual(mockPreferences);
+      expect(api.put).toHaveBeenCalledWith("/api/notifications/preferences", {
+        reaction: false,
+      });
+    });
+
+    it("should handle errors when updating the preferences", async () => {
+      const errorMessage = "Notification preferences must be true or false";
+      api.put.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(
+        notificationService.updatePreferences({ reaction: "no" })
+      ).rejects.toThrow(errorMessage);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import api from "../../utils/api";
+import reactionService from "../reactionService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("reactionService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const mockState = {
+    reactionCounts: { like: 3, love: 1, laugh: 0, wow: 0, insightful: 0 },
+    myReactions: ["like"],
+  };
+
+  describe("getReactions", () => {
+    it("should fetch the reactions of a blog post", async () => {
+      const mockReactions = {
+        ...mockState,
+        reactions: [
+          {
+            _id: "r1",
+            type: "like",
+            user: { _id: "u1", name: "Jane Doe" },
+          },
+        ],
+        page: 1,
+        pages: 1,
+        count: 1,
+      };
+      api.get.mockResolvedValueOnce({ data: mockReactions });
+
+      const result = await reactionService.getReactions("1", { type: "like" });
+      expect(result).toEqual(mockReactions);
+      expect(api.get).toHaveBeenCalledWith("/api/blogs/1/reactions", {
+        params: { type: "like" },
+      });
+    });
+  });
+
+  describe("toggleReaction", () => {
+    it("should toggle a reaction", async () => {
+      api.post.mockResolvedValueOnce({ data: mockState });
+
+      const result = await reactionService.toggleReaction("1", "like");
+      expect(result).toEqual(mockState);
+      expect(api.post).toHaveBeenCalledWith("/api/blogs/1/reactions", {
+        type: "like",
+      });
+    });
+
+    it("should handle errors when toggling a reaction", async () => {
+      const errorMessage = "Invalid reaction type: angry";
+      api.post.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(
+        reactionService.toggleReaction("1", "angry")
+      ).rejects.toThrow(errorMessage);
+    });
+  });
+
+  describe("addReaction", () => {
+    it("should add a reaction", async () => {
+      api.put.mockResolvedValueOnce({ data: mockState });
+
+      const result = await reactionService.addReaction("1", "like");
+      expect(result).toEqual(mockState);
+      expect(api.put).toHaveBeenCalledWith("/api/blogs/1/reactions/like");
+    });
+  });
+
+  describe("removeReaction", () => {
+    it("should remove a reaction", async () => {
+      const removed = { ...mockState, myReactions: [] };
+      api.delete.mockResolvedValueOnce({ data: removed });
+
+      const result = await reactionService.removeReaction("1", "like");
+      expect(result).toEqual(removed);
+      expect(api.delete).toHaveBeenCalledWith("/api/blogs/1/reactions/like");
+    });
+
+    it("should handle errors when removing a reaction", async () => {
+      const errorMessage = "Not authorized, no token";
+      api.delete.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(reactionService.removeReaction("1", "like")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+});
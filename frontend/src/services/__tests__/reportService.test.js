@@ -0,0 +1,103 @@
+import api from "../../utils/api";
+import reportService from "../reportService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("reportService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("createReport", () => {
+    it("should report a post", async () => {
+      const report = {
+        targetType: "blog",
+        targetId: "b1",
+        reason: "spam",
+        details: "Links to a shop",
+      };
+      const mockReport = { _id: "r1", ...report, status: "open" };
+      api.post.mockResolvedValueOnce({ data: mockReport });
+
+      const result = await reportService.createReport(report);
+      expect(result).toEqual(mockReport);
+      expect(api.post).toHaveBeenCalledWith("/api/reports", report);
+    });
+
+    it("should handle errors when reporting", async () => {
+      const errorMessage = "You have already reported this";
+      api.post.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(
+        reportService.createReport({
+          targetType: "comment",
+          targetId: "c1",
+          reason: "spam",
+        })
+      ).rejects.toThrow(errorMessage);
+    });
+  });
+
+  describe("moderation queue", () => {
+    it("should fetch the moderation queue", async () => {
+      const mockQueue = { items: [], page: 1, pages: 1, count: 0 };
+      api.get.mockResolvedValueOnce({ data: mockQueue });
+
+      const result = await reportService.getModerationQueue({ page: 2 });
+      expect(result).toEqual(mockQueue);
+      expect(api.get).toHaveBeenCalledWith("/api/reports/queue", {
+        params: { page: 2 },
+      });
+    });
+
+    it("should resolve the reports of a post", async () => {
+      const mockResult = { action: "hide", resolvedCount: 3 };
+      api.put.mockResolvedValueOnce({ data: mockResult });
+
+      const result = await reportService.resolveReports("blog", "b1", {
+        action: "hide",
+        note: "Spam",
+      });
+      expect(result).toEqual(mockResult);
+      expect(api.put).toHaveBeenCalledWith("/api/reports/queue/blog/b1", {
+        action: "hide",
+        note: "Spam",
+      });
+    });
+
+    it("should handle errors when resolving reports", async () => {
+      const errorMessage = "No open reports for this content";
+      api.put.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(
+        reportService.resolveReports("comment", "c1", { action: "dismiss" })
+      ).rejects.toThrow(errorMessage);
+    });
+
+    it("should unhide a post", async () => {
+      const mockResult = { targetType: "blog", target: { isHidden: false } };
+      api.put.mockResolvedValueOnce({ data: mockResult });
+
+      const result = await reportService.unhideContent("blog", "b1");
+      expect(result).toEqual(mockResult);
+      expect(api.put).toHaveBeenCalledWith("/api/reports/unhide/blog/b1");
+    });
+
+    it("should handle errors when unhiding content", async () => {
+      const errorMessage = "This content is not hidden";
+      api.put.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(
+        reportService.unhideContent("comment", "c1")
+      ).rejects.toThrow(errorMessage);
+    });
+  });
+});
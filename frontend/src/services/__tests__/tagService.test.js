@@ -0,0 +1,44 @@
+import api from "../../utils/api";
+import tagService from "../tagService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("tagService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getTags", () => {
+    const mockTags = [
+      { name: "react", count: 4 },
+      { name: "redux", count: 1 },
+    ];
+
+    it("should fetch tags with their counts", async () => {
+      api.get.mockResolvedValueOnce({ data: mockTags });
+
+      const result = await tagService.getTags();
+      expect(result).toEqual(mockTags);
+      expect(api.get).toHaveBeenCalledWith("/api/tags", { params: {} });
+    });
+
+    it("should pass the autocomplete prefix through to the API", async () => {
+      api.get.mockResolvedValueOnce({ data: mockTags });
+
+      await tagService.getTags({ q: "re", limit: 10 });
+      expect(api.get).toHaveBeenCalledWith("/api/tags", {
+        params: { q: "re", limit: 10 },
+      });
+    });
+
+    it("should handle errors when fetching tags", async () => {
+      api.get.mockRejectedValueOnce(new Error("Network Error"));
+
+      await expect(tagService.getTags()).rejects.toThrow(
+        "Failed to fetch tags"
+      );
+    });
+  });
+});
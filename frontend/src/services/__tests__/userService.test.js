@@ -0,0 +1,67 @@
+import api from "../../utils/api";
+import userService from "../userService";
+
+// Mock the shared API client
+jest.mock("../../utils/api");
+
+describe("userService", () => {
+  // Reset all mocks before each test
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getUserProfile", () => {
+    it("should fetch a profile by handle", async () => {
+      const mockProfile = {
+        _id: "u1",
+        name: "Jane Doe",
+        handle: "jane-doe",
+        bio: "Writes about gardening.",
+        postCount: 4,
+        followerCount: 10,
+        followingCount: 2,
+        isFollowing: false,
+      };
+      api.get.mockResolvedValueOnce({ data: mockProfile });
+
+      const result = await userService.getUserProfile("jane-doe");
+      expect(result).toEqual(mockProfile);
+      expect(api.get).toHaveBeenCalledWith("/api/users/jane-doe");
+    });
+
+    it("should handle errors when fetching a profile", async () => {
+      const errorMessage = "User not found";
+      api.get.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(userService.getUserProfile("nobody")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+
+  describe("updateUserRole", () => {
+    it("should change a user's role", async () => {
+      const mockProfile = { _id: "u1", name: "Jane Doe", role: "moderator" };
+      api.put.mockResolvedValueOnce({ data: mockProfile });
+
+      const result = await userService.updateUserRole("u1", "moderator");
+      expect(result).toEqual(mockProfile);
+      expect(api.put).toHaveBeenCalledWith("/api/users/u1/role", {
+        role: "moderator",
+      });
+    });
+
+    it("should handle errors when changing a role", async () => {
+      const errorMessage = "You cannot change your own role";
+      api.put.mockRejectedValueOnce({
+        response: { data: { message: errorMessage } },
+      });
+
+      await expect(userService.updateUserRole("u1", "reader")).rejects.toThrow(
+        errorMessage
+      );
+    });
+  });
+});
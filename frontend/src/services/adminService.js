@@ -0,0 +1,168 @@
+import api from "../utils/api";
+
+/**
+ * @service adminService
+ * @description Service module for the admin dashboard: site statistics, user suspensions and post moderation.
+ * Every call requires an admin account.
+ */
+const adminService = {
+  /**
+   * @function getStats
+   * @description Fetches the site statistics.
+   * @param {Object} [params] - Query parameters
+   * @param {number} [params.days=30] - Number of days of posts per day
+   * @param {number} [params.weeks=12] - Number of weeks of signups per week
+   * @returns {Promise<Object>} Object containing `totals` (`users`, `posts`, `postsByStatus`, `comments`),
+   *   `postsPerDay` and `signupsPerWeek` (lists of `{ date, count }`), `topCategories` and `topAuthors`
+   */
+  getStats: async (params = {}) => {
+    try {
+      const response = await api.get("/api/admin/stats", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching site statistics:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch site statistics"
+      );
+    }
+  },
+
+  /**
+   * @function getUsers
+   * @description Searches users, newest first.
+   * @param {Object} [params] - Query parameters
+   * @param {string} [params.q] - Text to find in names, emails and handles
+   * @param {string} [params.role] - Filter by role
+   * @param {string} [params.status] - Filter by account status ("active", "suspended" or "banned")
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Number of users per page
+   * @returns {Promise<Object>} Object containing `users` (each with `email`, `accountStatus`, `suspendedUntil`,
+   *   `suspensionReason` and `postCount`), `page`, `pages` and `count`
+   */
+  getUsers: async (params = {}) => {
+    try {
+      const response = await api.get("/api/admin/users", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      throw new Error(error.response?.data?.message || "Failed to fetch users");
+    }
+  },
+
+  /**
+   * @function suspendUser
+   * @description Suspends a user for a number of days.
+   * @param {string} id - The user's ID
+   * @param {Object} suspension - The suspension
+   * @param {number} suspension.days - Length in days (1 to 365)
+   * @param {string} [suspension.reason] - Why, shown to the user when they try to log in
+   * @returns {Promise<Object>} The updated user
+   */
+  suspendUser: async (id, suspension) => {
+    try {
+      const response = await api.put(
+        `/api/admin/users/${id}/suspend`,
+        suspension
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error suspending user:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to suspend user"
+      );
+    }
+  },
+
+  /**
+   * @function banUser
+   * @description Bans a user until the ban is lifted.
+   * @param {string} id - The user's ID
+   * @param {string} [reason] - Why, shown to the user when they try to log in
+   * @returns {Promise<Object>} The updated user
+   */
+  banUser: async (id, reason) => {
+    try {
+      const response = await api.put(`/api/admin/users/${id}/ban`, { reason });
+      return response.data;
+    } catch (error) {
+      console.error("Error banning user:", error);
+      throw new Error(error.response?.data?.message || "Failed to ban user");
+    }
+  },
+
+  /**
+   * @function unsuspendUser
+   * @description Lifts a user's suspension or ban.
+   * @param {string} id - The user's ID
+   * @returns {Promise<Object>} The updated user
+   */
+  unsuspendUser: async (id) => {
+    try {
+      const response = await api.put(`/api/admin/users/${id}/unsuspend`);
+      return response.data;
+    } catch (error) {
+      console.error("Error reinstating user:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to reinstate user"
+      );
+    }
+  },
+
+  /**
+   * @function getPosts
+   * @description Searches posts of every author and status, newest first.
+   * @param {Object} [params] - Query parameters
+   * @param {string} [params.q] - Text to find in titles and author names
+   * @param {string} [params.status="all"] - Filter by status
+   * @param {string} [params.authorId] - Filter by the author's user ID
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Number of posts per page
+   * @returns {Promise<Object>} Object containing `blogs` (without content), `page`, `pages` and `count`
+   */
+  getPosts: async (params = {}) => {
+    try {
+      const response = await api.get("/api/admin/posts", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching posts:", error);
+      throw new Error(error.response?.data?.message || "Failed to fetch posts");
+    }
+  },
+
+  /**
+   * @function unpublishPost
+   * @description Turns a published or unlisted post back into a draft.
+   * @param {string} id - The ID of the blog post
+   * @returns {Promise<Object>} The updated blog post
+   */
+  unpublishPost: async (id) => {
+    try {
+      const response = await api.put(`/api/admin/posts/${id}/unpublish`);
+      return response.data;
+    } catch (error) {
+      console.error("Error unpublishing post:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to unpublish post"
+      );
+    }
+  },
+
+  /**
+   * @function deletePost
+   * @description Moves a post to the trash, from which only moderators and admins can restore it; it is deleted
+   *   permanently with its comments, reactions and history after the trash retention period.
+   * @param {string} id - The ID of the blog post
+   * @returns {Promise<Object>} Confirmation message
+   */
+  deletePost: async (id) => {
+    try {
+      const response = await api.delete(`/api/admin/posts/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error deleting post:", error);
+      throw new Error(error.response?.data?.message || "Failed to delete post");
+    }
+  },
+};
+
+export default adminService;
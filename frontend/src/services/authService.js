@@ -1,8 +1,7 @@
 import axios from "axios";
+import { BASE_URL } from "../utils/env";
 
-const API_URL = import.meta.env.PROD
-  ? "https://multi-user-blogging-app.onrender.com/api/auth"
-  : "/api/auth";
+const API_URL = `${BASE_URL}/api/auth`;
 
 /**
  * @service authService
@@ -71,7 +70,11 @@ const authService = {
    * @param {Object} userData - The updated user data
    * @param {string} [userData.name] - The updated name
    * @param {string} [userData.email] - The updated email
-   * @param {string} [userData.password] - The updated password
+   * @param {string} [userData.handle] - The public handle used in the profile URL
+   * @param {string} [userData.bio] - A short public biography
+   * @param {string} [userData.avatar] - The avatar image URL
+   * @param {string} [userData.website] - The website URL
+   * @param {Object<string, string>} [userData.socialLinks] - Profile URLs keyed by network ("twitter", "github", "linkedin")
    * @returns {Promise<Object>} The updated user data
    */
   updateProfile: async (userData) => {
@@ -87,11 +90,11 @@ const authService = {
 
   /**
    * @function changePassword
-   * @description Changes the current user's password.
+   * @description Changes the current user's password. Previously issued tokens stop working.
    * @param {Object} passwordData - The password change data
    * @param {string} passwordData.currentPassword - The current password
    * @param {string} passwordData.newPassword - The new password
-   * @returns {Promise<Object>} Success message
+   * @returns {Promise<Object>} Success message and a fresh JWT token
    */
   changePassword: async (passwordData) => {
     try {
@@ -1,8 +1,5 @@
 import axios from "axios";
-
-const BASE_URL = import.meta.env.PROD
-  ? "https://multi-user-blogging-app.onrender.com"
-  : "";
+import { BASE_URL } from "../utils/env";
 
 // Create axios instance with default config
 const api = axios.create({
@@ -61,11 +58,18 @@ const blogService = {
    * @function getAllBlogs
    * @description Fetches all blogs with optional filtering and pagination.
    * @param {Object} params - Query parameters for filtering and pagination
+   * @param {string} [params.q] - Full-text search on title and content. Results are sorted by relevance
+   *   and include `highlights` ({ title, snippet } as arrays of { text, match } segments)
    * @param {string} [params.category] - Filter by category
+   * @param {string} [params.tags] - Filter by tags (comma-separated)
+   * @param {string} [params.tagMatch="any"] - "any" to match posts with any of the tags, "all" for posts with every tag
+   * @param {string} [params.authorId] - Filter by the author's user ID (`userId` is accepted as an alias)
    * @param {string} [params.authorName] - Filter by author name
+   * @param {string} [params.status] - Filter by status ("draft", "published", "unlisted", "archived" or "all").
+   *   Anything other than "published" only returns the authenticated user's own posts.
    * @param {number} [params.page=1] - Page number for pagination
    * @param {number} [params.limit=6] - Number of blogs per page
-   * @returns {Promise<Object>} Object containing blogs array, pagination info
+   * @returns {Promise<Object>} Object containing blogs array (each with `commentCount`, `reactionCounts`, `myReactions` and `isBookmarked`), pagination info
    */
   getAllBlogs: async (params = {}) => {
     try {
@@ -77,6 +81,27 @@ const blogService = {
     }
   },
 
+  /**
+   * @function getMyBlogs
+   * @description Fetches the authenticated user's own blog posts in every status, drafts included, newest first.
+   * @param {Object} params - Query parameters for filtering and pagination
+   * @param {string} [params.status="all"] - Filter by status ("draft", "published", "unlisted", "archived" or "all")
+   * @param {number} [params.page=1] - Page number for pagination
+   * @param {number} [params.limit=10] - Number of blogs per page
+   * @returns {Promise<Object>} Object containing blogs array (each with `commentCount`, `reactionCounts`, `myReactions` and `isBookmarked`), pagination info
+   */
+  getMyBlogs: async (params = {}) => {
+    try {
+      const response = await api.get("/api/blogs/mine", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching your blogs:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch your blog posts"
+      );
+    }
+  },
+
   /**
    * @function getBlogById
    * @description Fetches a single blog post by its ID.
@@ -95,6 +120,28 @@ const blogService = {
     }
   },
 
+  /**
+   * @function getBlogBySlug
+   * @description Fetches a single blog post by its slug.
+   * Old slugs of renamed posts are redirected by the backend, so the returned post's slug
+   * may differ from the one requested.
+   * @param {string} slug - The slug of the blog post to fetch
+   * @returns {Promise<Object>} The blog post data
+   */
+  getBlogBySlug: async (slug) => {
+    try {
+      const response = await api.get(
+        `/api/blogs/slug/${encodeURIComponent(slug)}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching blog:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch blog post"
+      );
+    }
+  },
+
   /**
    * @function createBlog
    * @description Creates a new blog post.
@@ -103,6 +150,7 @@ const blogService = {
    * @param {string} blogData.category - The category of the blog post
    * @param {string} blogData.content - The content of the blog post
    * @param {string} [blogData.image] - Optional image URL for the blog post
+   * @param {string} [blogData.status] - Optional status ("draft" to save without publishing)
    * @returns {Promise<Object>} The created blog post data
    */
   createBlog: async (blogData) => {
@@ -117,6 +165,24 @@ const blogService = {
     }
   },
 
+  /**
+   * @function previewMarkdown
+   * @description Renders Markdown to sanitized HTML on the backend, for the editor's live preview.
+   * @param {string} content - The Markdown source
+   * @returns {Promise<string>} The sanitized HTML
+   */
+  previewMarkdown: async (content) => {
+    try {
+      const response = await api.post("/api/blogs/preview", { content });
+      return response.data.html;
+    } catch (error) {
+      console.error("Error rendering preview:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to render preview"
+      );
+    }
+  },
+
   /**
    * @function updateBlog
    * @description Updates an existing blog post.
@@ -126,6 +192,7 @@ const blogService = {
    * @param {string} [blogData.category] - The updated category
    * @param {string} [blogData.content] - The updated content
    * @param {string} [blogData.image] - The updated image URL
+   * @param {string} [blogData.status] - The updated status
    * @returns {Promise<Object>} The updated blog post data
    */
   updateBlog: async (id, blogData) => {
@@ -142,9 +209,9 @@ const blogService = {
 
   /**
    * @function deleteBlog
-   * @description Deletes a blog post.
+   * @description Deletes a blog post by moving it to the trash, from which it can be restored until it is purged.
    * @param {string} id - The ID of the blog post to delete
-   * @returns {Promise<Object>} The response data
+   * @returns {Promise<Object>} The response data, with `purgeAt` (when the post will be deleted permanently)
    */
   deleteBlog: async (id) => {
     try {
@@ -157,6 +224,145 @@ const blogService = {
       );
     }
   },
+
+  /**
+   * @function getTrash
+   * @description Fetches the authenticated user's trashed blog posts, the most recently deleted first.
+   * @param {Object} [params] - Query parameters for pagination
+   * @param {number} [params.page=1] - Page number for pagination
+   * @param {number} [params.limit=10] - Number of blogs per page
+   * @returns {Promise<Object>} Object containing blogs array (each with `deletedAt`, `purgeAt` and `canRestore`),
+   *   pagination info and `retentionDays`
+   */
+  getTrash: async (params = {}) => {
+    try {
+      const response = await api.get("/api/blogs/trash", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching trash:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch the trash"
+      );
+    }
+  },
+
+  /**
+   * @function restoreBlog
+   * @description Restores a blog post from the trash.
+   * @param {string} id - The ID of the blog post to restore
+   * @returns {Promise<Object>} The restored blog post
+   */
+  restoreBlog: async (id) => {
+    try {
+      const response = await api.put(`/api/blogs/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error("Error restoring blog:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to restore blog post"
+      );
+    }
+  },
+
+  /**
+   * @function deleteBlogPermanently
+   * @description Permanently deletes a blog post from the trash. This cannot be undone.
+   * @param {string} id - The ID of the trashed blog post
+   * @returns {Promise<Object>} The response data
+   */
+  deleteBlogPermanently: async (id) => {
+    try {
+      const response = await api.delete(`/api/blogs/${id}/permanent`);
+      return response.data;
+    } catch (error) {
+      console.error("Error deleting blog permanently:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to delete blog post"
+      );
+    }
+  },
+
+  /**
+   * @function getRevisions
+   * @description Fetches the revision history of a blog post (newest first, without content).
+   * @param {string} id - The ID of the blog post
+   * @returns {Promise<Array>} The list of revisions
+   */
+  getRevisions: async (id) => {
+    try {
+      const response = await api.get(`/api/blogs/${id}/revisions`);
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching revisions:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch revision history"
+      );
+    }
+  },
+
+  /**
+   * @function getRevision
+   * @description Fetches a single revision of a blog post, including its content.
+   * @param {string} id - The ID of the blog post
+   * @param {number} number - The revision number
+   * @returns {Promise<Object>} The revision data
+   */
+  getRevision: async (id, number) => {
+    try {
+      const response = await api.get(`/api/blogs/${id}/revisions/${number}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching revision:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch revision"
+      );
+    }
+  },
+
+  /**
+   * @function diffRevisions
+   * @description Compares two revisions of a blog post.
+   * @param {string} id - The ID of the blog post
+   * @param {number} from - The older revision number
+   * @param {number} [to] - The newer revision number; omit to compare against the current post
+   * @returns {Promise<Object>} The changed fields, with a line diff for the content
+   */
+  diffRevisions: async (id, from, to) => {
+    try {
+      const params = { from };
+      if (to) params.to = to;
+      const response = await api.get(`/api/blogs/${id}/revisions/diff`, {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error comparing revisions:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to compare revisions"
+      );
+    }
+  },
+
+  /**
+   * @function restoreRevision
+   * @description Restores a blog post's title, category, content and image from an older revision.
+   * @param {string} id - The ID of the blog post
+   * @param {number} number - The revision number to restore
+   * @returns {Promise<Object>} The restored blog post data
+   */
+  restoreRevision: async (id, number) => {
+    try {
+      const response = await api.post(
+        `/api/blogs/${id}/revisions/${number}/restore`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to restore revision"
+      );
+    }
+  },
 };
 
 export default blogService;
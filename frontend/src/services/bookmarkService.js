@@ -0,0 +1,220 @@
+import api from "../utils/api";
+
+/**
+ * @service bookmarkService
+ * @description Service module for bookmarks (posts saved for later) and named reading lists.
+ */
+const bookmarkService = {
+  /**
+   * @function getBookmarks
+   * @description Fetches the current user's bookmarked posts, most recently saved first.
+   * @param {Object} [params] - Query parameters
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=10] - Number of posts per page
+   * @returns {Promise<Object>} Object containing `blogs` (each with `savedAt`), `page`, `pages` and `count`
+   */
+  getBookmarks: async (params = {}) => {
+    try {
+      const response = await api.get("/api/bookmarks", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching bookmarks:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch bookmarks"
+      );
+    }
+  },
+
+  /**
+   * @function addBookmark
+   * @description Bookmarks a blog post. Safe to repeat.
+   * @param {string} blogId - The ID of the blog post
+   * @returns {Promise<Object>} Object containing `blogId` and `isBookmarked`
+   */
+  addBookmark: async (blogId) => {
+    try {
+      const response = await api.put(`/api/bookmarks/${blogId}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error adding bookmark:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to bookmark post"
+      );
+    }
+  },
+
+  /**
+   * @function removeBookmark
+   * @description Removes the bookmark of a blog post. Safe to repeat.
+   * @param {string} blogId - The ID of the blog post
+   * @returns {Promise<Object>} Object containing `blogId` and `isBookmarked`
+   */
+  removeBookmark: async (blogId) => {
+    try {
+      const response = await api.delete(`/api/bookmarks/${blogId}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error removing bookmark:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to remove bookmark"
+      );
+    }
+  },
+
+  /**
+   * @function getLists
+   * @description Fetches the current user's reading lists, most recently changed first.
+   * @param {Object} [params] - Query parameters
+   * @param {string} [params.blogId] - A blog post ID; each list then says whether it contains the post (`containsBlog`)
+   * @returns {Promise<Array<Object>>} The lists, each with `itemCount`
+   */
+  getLists: async (params = {}) => {
+    try {
+      const response = await api.get("/api/lists", { params });
+      return response.data.lists;
+    } catch (error) {
+      console.error("Error fetching reading lists:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch reading lists"
+      );
+    }
+  },
+
+  /**
+   * @function getList
+   * @description Fetches a reading list with its posts in order. Public lists can be fetched by anyone.
+   * @param {string} id - The ID of the list
+   * @returns {Promise<Object>} The list with `owner`, `isOwner` and `blogs` (each with `addedAt`)
+   */
+  getList: async (id) => {
+    try {
+      const response = await api.get(`/api/lists/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching reading list:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch reading list"
+      );
+    }
+  },
+
+  /**
+   * @function createList
+   * @description Creates a reading list.
+   * @param {Object} listData - The list data
+   * @param {string} listData.name - The list name
+   * @param {string} [listData.description] - A short description
+   * @param {boolean} [listData.isPublic=false] - Whether anyone with the link may view the list
+   * @returns {Promise<Object>} The created list
+   */
+  createList: async (listData) => {
+    try {
+      const response = await api.post("/api/lists", listData);
+      return response.data;
+    } catch (error) {
+      console.error("Error creating reading list:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to create reading list"
+      );
+    }
+  },
+
+  /**
+   * @function updateList
+   * @description Updates a reading list's name, description or visibility.
+   * @param {string} id - The ID of the list
+   * @param {Object} listData - The fields to change (`name`, `description`, `isPublic`)
+   * @returns {Promise<Object>} The updated list
+   */
+  updateList: async (id, listData) => {
+    try {
+      const response = await api.put(`/api/lists/${id}`, listData);
+      return response.data;
+    } catch (error) {
+      console.error("Error updating reading list:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to update reading list"
+      );
+    }
+  },
+
+  /**
+   * @function deleteList
+   * @description Deletes a reading list. The posts and bookmarks are not affected.
+   * @param {string} id - The ID of the list
+   * @returns {Promise<Object>} Success message
+   */
+  deleteList: async (id) => {
+    try {
+      const response = await api.delete(`/api/lists/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error deleting reading list:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to delete reading list"
+      );
+    }
+  },
+
+  /**
+   * @function addToList
+   * @description Adds a blog post to the end of a reading list. Safe to repeat.
+   * @param {string} listId - The ID of the list
+   * @param {string} blogId - The ID of the blog post
+   * @returns {Promise<Object>} The updated list with `blogIds` in order
+   */
+  addToList: async (listId, blogId) => {
+    try {
+      const response = await api.put(`/api/lists/${listId}/items/${blogId}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error adding post to reading list:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to add post to reading list"
+      );
+    }
+  },
+
+  /**
+   * @function removeFromList
+   * @description Removes a blog post from a reading list. Safe to repeat.
+   * @param {string} listId - The ID of the list
+   * @param {string} blogId - The ID of the blog post
+   * @returns {Promise<Object>} The updated list with `blogIds` in order
+   */
+  removeFromList: async (listId, blogId) => {
+    try {
+      const response = await api.delete(`/api/lists/${listId}/items/${blogId}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error removing post from reading list:", error);
+      throw new Error(
+        error.response?.data?.message ||
+          "Failed to remove post from reading list"
+      );
+    }
+  },
+
+  /**
+   * @function reorderList
+   * @description Puts the posts of a reading list in a new order.
+   * @param {string} listId - The ID of the list
+   * @param {Array<string>} blogIds - The post IDs in the new order; posts left out keep their order after them
+   * @returns {Promise<Object>} The updated list with `blogIds` in order
+   */
+  reorderList: async (listId, blogIds) => {
+    try {
+      const response = await api.put(`/api/lists/${listId}/items`, {
+        blogIds,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error reordering reading list:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to reorder reading list"
+      );
+    }
+  },
+};
+
+export default bookmarkService;
@@ -0,0 +1,84 @@
+import api from "../utils/api";
+
+/**
+ * @service categoryService
+ * @description Service module for blog post categories. Changing categories requires an admin account.
+ */
+const categoryService = {
+  /**
+   * @function getCategories
+   * @description Fetches all categories in display order, with their published post counts.
+   * @returns {Promise<Array<Object>>} The categories (`_id`, `name`, `slug`, `description`, `order`, `postCount`)
+   */
+  getCategories: async () => {
+    try {
+      const response = await api.get("/api/categories");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching categories:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch categories"
+      );
+    }
+  },
+
+  /**
+   * @function createCategory
+   * @description Creates a category.
+   * @param {Object} categoryData - The category data
+   * @param {string} categoryData.name - The category name
+   * @param {string} [categoryData.description] - A short description
+   * @param {number} [categoryData.order] - Position in category lists (lower comes first)
+   * @returns {Promise<Object>} The created category
+   */
+  createCategory: async (categoryData) => {
+    try {
+      const response = await api.post("/api/categories", categoryData);
+      return response.data;
+    } catch (error) {
+      console.error("Error creating category:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to create category"
+      );
+    }
+  },
+
+  /**
+   * @function updateCategory
+   * @description Updates a category. Renaming it also renames it on every post.
+   * @param {string} id - The ID of the category
+   * @param {Object} categoryData - The fields to update (`name`, `description`, `order`)
+   * @returns {Promise<Object>} The updated category
+   */
+  updateCategory: async (id, categoryData) => {
+    try {
+      const response = await api.put(`/api/categories/${id}`, categoryData);
+      return response.data;
+    } catch (error) {
+      console.error("Error updating category:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to update category"
+      );
+    }
+  },
+
+  /**
+   * @function deleteCategory
+   * @description Deletes a category that is not used by any post.
+   * @param {string} id - The ID of the category
+   * @returns {Promise<Object>} Success message
+   */
+  deleteCategory: async (id) => {
+    try {
+      const response = await api.delete(`/api/categories/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error deleting category:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to delete category"
+      );
+    }
+  },
+};
+
+export default categoryService;
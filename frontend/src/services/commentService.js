@@ -0,0 +1,100 @@
+import api from "../utils/api";
+
+/**
+ * @service commentService
+ * @description Service module for comments on blog posts.
+ */
+const commentService = {
+  /**
+   * @function getComments
+   * @description Fetches the comment threads of a blog post, paginated by top-level comment.
+   * @param {string} blogId - The ID of the blog post
+   * @param {Object} params - Query parameters for pagination
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Number of top-level comments per page
+   * @returns {Promise<Object>} Object containing the comments (with nested `replies`), pagination info
+   *   and `total`, the number of comments including replies
+   */
+  getComments: async (blogId, params = {}) => {
+    try {
+      const response = await api.get(`/api/blogs/${blogId}/comments`, {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching comments:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch comments"
+      );
+    }
+  },
+
+  /**
+   * @function createComment
+   * @description Comments on a blog post, or replies to a comment.
+   * @param {string} blogId - The ID of the blog post
+   * @param {string} body - The comment text
+   * @param {string} [parentId] - The ID of the comment being replied to
+   * @returns {Promise<Object>} The created comment
+   */
+  createComment: async (blogId, body, parentId) => {
+    try {
+      const response = await api.post(`/api/blogs/${blogId}/comments`, {
+        body,
+        parentId,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error creating comment:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to post comment"
+      );
+    }
+  },
+
+  /**
+   * @function updateComment
+   * @description Edits the text of a comment.
+   * @param {string} blogId - The ID of the blog post
+   * @param {string} commentId - The ID of the comment
+   * @param {string} body - The new comment text
+   * @returns {Promise<Object>} The updated comment
+   */
+  updateComment: async (blogId, commentId, body) => {
+    try {
+      const response = await api.put(
+        `/api/blogs/${blogId}/comments/${commentId}`,
+        { body }
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error updating comment:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to update comment"
+      );
+    }
+  },
+
+  /**
+   * @function deleteComment
+   * @description Deletes a comment.
+   * @param {string} blogId - The ID of the blog post
+   * @param {string} commentId - The ID of the comment
+   * @returns {Promise<Object>} Success message
+   */
+  deleteComment: async (blogId, commentId) => {
+    try {
+      const response = await api.delete(
+        `/api/blogs/${blogId}/comments/${commentId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error deleting comment:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to delete comment"
+      );
+    }
+  },
+};
+
+export default commentService;
@@ -0,0 +1,125 @@
+import api from "../utils/api";
+
+/**
+ * @service followService
+ * @description Service module for following authors and the personalized feed of followed authors' posts.
+ */
+const followService = {
+  /**
+   * @function getFollowStatus
+   * @description Fetches a user's follower and following counts and whether the current user follows them.
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Object>} Object containing `followerCount`, `followingCount` and `isFollowing`
+   */
+  getFollowStatus: async (userId) => {
+    try {
+      const response = await api.get(`/api/users/${userId}/follow`);
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching follow status:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch follow status"
+      );
+    }
+  },
+
+  /**
+   * @function followUser
+   * @description Follows a user. Safe to repeat.
+   * @param {string} userId - The ID of the user to follow
+   * @returns {Promise<Object>} The updated follow status
+   */
+  followUser: async (userId) => {
+    try {
+      const response = await api.put(`/api/users/${userId}/follow`);
+      return response.data;
+    } catch (error) {
+      console.error("Error following user:", error);
+      throw new Error(error.response?.data?.message || "Failed to follow user");
+    }
+  },
+
+  /**
+   * @function unfollowUser
+   * @description Unfollows a user. Safe to repeat.
+   * @param {string} userId - The ID of the user to unfollow
+   * @returns {Promise<Object>} The updated follow status
+   */
+  unfollowUser: async (userId) => {
+    try {
+      const response = await api.delete(`/api/users/${userId}/follow`);
+      return response.data;
+    } catch (error) {
+      console.error("Error unfollowing user:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to unfollow user"
+      );
+    }
+  },
+
+  /**
+   * @function getFollowers
+   * @description Fetches the users following a user, newest first.
+   * @param {string} userId - The ID of the user
+   * @param {Object} params - Query parameters for pagination
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Number of users per page
+   * @returns {Promise<Object>} Object containing the users array and pagination info
+   */
+  getFollowers: async (userId, params = {}) => {
+    try {
+      const response = await api.get(`/api/users/${userId}/followers`, {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching followers:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch followers"
+      );
+    }
+  },
+
+  /**
+   * @function getFollowing
+   * @description Fetches the users a user follows, newest first.
+   * @param {string} userId - The ID of the user
+   * @param {Object} params - Query parameters for pagination
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Number of users per page
+   * @returns {Promise<Object>} Object containing the users array and pagination info
+   */
+  getFollowing: async (userId, params = {}) => {
+    try {
+      const response = await api.get(`/api/users/${userId}/following`, {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching followed users:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch followed users"
+      );
+    }
+  },
+
+  /**
+   * @function getFeed
+   * @description Fetches published posts from the authors the current user follows, newest first.
+   * @param {Object} params - Query parameters for cursor pagination
+   * @param {string} [params.cursor] - The `nextCursor` of the previous page; omit for the first page
+   * @param {number} [params.limit=10] - Number of posts per page
+   * @returns {Promise<Object>} Object containing the blogs array and `nextCursor` (null on the last page)
+   */
+  getFeed: async (params = {}) => {
+    try {
+      const response = await api.get("/api/feed", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching feed:", error);
+      throw new Error(error.response?.data?.message || "Failed to fetch feed");
+    }
+  },
+};
+
+export default followService;
@@ -0,0 +1,77 @@
+import api from "../utils/api";
+
+/**
+ * @service mediaService
+ * @description Service module for the logged-in user's media library (image uploads).
+ */
+const mediaService = {
+  /**
+   * @function uploadMedia
+   * @description Uploads an image to the user's media library.
+   * @param {File} file - The image file (JPEG, PNG, GIF or WebP)
+   * @param {function(number): void} [onProgress] - Called with the upload progress in percent
+   * @returns {Promise<Object>} The created media item, including `url` and `thumbnailUrl`
+   */
+  uploadMedia: async (file, onProgress) => {
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+
+      const response = await api.post("/api/media", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+        timeout: 60000, // Uploads can take longer than regular requests
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) {
+            onProgress(Math.round((event.loaded * 100) / event.total));
+          }
+        },
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error uploading media:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to upload image"
+      );
+    }
+  },
+
+  /**
+   * @function getMyMedia
+   * @description Fetches the user's media library, newest first.
+   * @param {Object} params - Query parameters for pagination
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=24] - Number of items per page
+   * @returns {Promise<Object>} Object containing the media array and pagination info
+   */
+  getMyMedia: async (params = {}) => {
+    try {
+      const response = await api.get("/api/media", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching media:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch media library"
+      );
+    }
+  },
+
+  /**
+   * @function deleteMedia
+   * @description Deletes an item from the user's media library.
+   * @param {string} id - The ID of the media item
+   * @returns {Promise<Object>} Success message
+   */
+  deleteMedia: async (id) => {
+    try {
+      const response = await api.delete(`/api/media/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error deleting media:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to delete image"
+      );
+    }
+  },
+};
+
+export default mediaService;
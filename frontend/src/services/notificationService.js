@@ -0,0 +1,122 @@
+import api from "../utils/api";
+
+/**
+ * @service notificationService
+ * @description Service module for in-app notifications and notification preferences.
+ */
+const notificationService = {
+  /**
+   * @function getNotifications
+   * @description Fetches the current user's notifications, newest first.
+   * @param {Object} [params] - Query parameters
+   * @param {boolean} [params.unread] - Only unread notifications
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Number of notifications per page
+   * @returns {Promise<Object>} Object containing `notifications`, `page`, `pages`, `count` and `unreadCount`
+   */
+  getNotifications: async (params = {}) => {
+    try {
+      const response = await api.get("/api/notifications", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch notifications"
+      );
+    }
+  },
+
+  /**
+   * @function getUnreadCount
+   * @description Fetches the number of unread notifications of the current user.
+   * @returns {Promise<number>} The unread count
+   */
+  getUnreadCount: async () => {
+    try {
+      const response = await api.get("/api/notifications/unread-count");
+      return response.data.unreadCount;
+    } catch (error) {
+      console.error("Error fetching unread count:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch unread count"
+      );
+    }
+  },
+
+  /**
+   * @function markRead
+   * @description Marks a notification as read. Safe to repeat.
+   * @param {string} id - The ID of the notification
+   * @returns {Promise<Object>} Object containing `_id`, `isRead` and the new `unreadCount`
+   */
+  markRead: async (id) => {
+    try {
+      const response = await api.put(`/api/notifications/${id}/read`);
+      return response.data;
+    } catch (error) {
+      console.error("Error marking notification as read:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to mark notification as read"
+      );
+    }
+  },
+
+  /**
+   * @function markAllRead
+   * @description Marks all of the current user's notifications as read.
+   * @returns {Promise<Object>} Object containing `markedRead` and `unreadCount`
+   */
+  markAllRead: async () => {
+    try {
+      const response = await api.put("/api/notifications/read-all");
+      return response.data;
+    } catch (error) {
+      console.error("Error marking notifications as read:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to mark notifications as read"
+      );
+    }
+  },
+
+  /**
+   * @function getPreferences
+   * @description Fetches which types of notifications the current user receives.
+   * @returns {Promise<Object<string, boolean>>} Whether each notification type is on
+   */
+  getPreferences: async () => {
+    try {
+      const response = await api.get("/api/notifications/preferences");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching notification preferences:", error);
+      throw new Error(
+        error.response?.data?.message ||
+          "Failed to fetch notification preferences"
+      );
+    }
+  },
+
+  /**
+   * @function updatePreferences
+   * @description Turns types of notifications on or off for the current user.
+   * @param {Object<string, boolean>} preferences - The types to change, e.g. `{ reaction: false }`
+   * @returns {Promise<Object<string, boolean>>} The updated preferences
+   */
+  updatePreferences: async (preferences) => {
+    try {
+      const response = await api.put(
+        "/api/notifications/preferences",
+        preferences
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error updating notification preferences:", error);
+      throw new Error(
+        error.response?.data?.message ||
+          "Failed to update notification preferences"
+      );
+    }
+  },
+};
+
+export default notificationService;
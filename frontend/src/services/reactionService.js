@@ -0,0 +1,95 @@
+import api from "../utils/api";
+
+/**
+ * @service reactionService
+ * @description Service module for reactions (likes and emoji) on blog posts.
+ */
+const reactionService = {
+  /**
+   * @function getReactions
+   * @description Fetches the reactions of a blog post: counts per type, the user's own reactions
+   * and a paginated list of who reacted.
+   * @param {string} blogId - The ID of the blog post
+   * @param {Object} params - Query parameters for filtering and pagination
+   * @param {string} [params.type] - Only list reactions of this type
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Number of reactions per page
+   * @returns {Promise<Object>} Object containing `reactionCounts`, `myReactions`, `reactions` and pagination info
+   */
+  getReactions: async (blogId, params = {}) => {
+    try {
+      const response = await api.get(`/api/blogs/${blogId}/reactions`, {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching reactions:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch reactions"
+      );
+    }
+  },
+
+  /**
+   * @function toggleReaction
+   * @description Adds the reaction if the user has not left it yet, removes it otherwise.
+   * @param {string} blogId - The ID of the blog post
+   * @param {string} type - The reaction type
+   * @returns {Promise<Object>} Object containing the post's `reactionCounts` and the user's `myReactions`
+   */
+  toggleReaction: async (blogId, type) => {
+    try {
+      const response = await api.post(`/api/blogs/${blogId}/reactions`, {
+        type,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error toggling reaction:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to update reaction"
+      );
+    }
+  },
+
+  /**
+   * @function addReaction
+   * @description Adds a reaction. Safe to repeat: reacting twice with the same type counts once.
+   * @param {string} blogId - The ID of the blog post
+   * @param {string} type - The reaction type
+   * @returns {Promise<Object>} Object containing the post's `reactionCounts` and the user's `myReactions`
+   */
+  addReaction: async (blogId, type) => {
+    try {
+      const response = await api.put(`/api/blogs/${blogId}/reactions/${type}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error adding reaction:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to add reaction"
+      );
+    }
+  },
+
+  /**
+   * @function removeReaction
+   * @description Removes a reaction. Safe to repeat.
+   * @param {string} blogId - The ID of the blog post
+   * @param {string} type - The reaction type
+   * @returns {Promise<Object>} Object containing the post's `reactionCounts` and the user's `myReactions`
+   */
+  removeReaction: async (blogId, type) => {
+    try {
+      const response = await api.delete(
+        `/api/blogs/${blogId}/reactions/${type}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error removing reaction:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to remove reaction"
+      );
+    }
+  },
+};
+
+export default reactionService;
@@ -0,0 +1,101 @@
+import api from "../utils/api";
+
+/**
+ * @service reportService
+ * @description Service module for reporting posts and comments, and for the moderators' queue of reports.
+ */
+const reportService = {
+  /**
+   * @function createReport
+   * @description Reports a post or comment to the moderators.
+   * @param {Object} report - The report
+   * @param {string} report.targetType - "blog" or "comment"
+   * @param {string} report.targetId - The ID of the post or comment
+   * @param {string} report.reason - "spam", "harassment", "hate", "misinformation" or "other"
+   * @param {string} [report.details] - An explanation for the moderators
+   * @returns {Promise<Object>} The created report
+   */
+  createReport: async (report) => {
+    try {
+      const response = await api.post("/api/reports", report);
+      return response.data;
+    } catch (error) {
+      console.error("Error reporting content:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to report content"
+      );
+    }
+  },
+
+  /**
+   * @function getModerationQueue
+   * @description Fetches the open reports grouped by reported content, the most reported first
+   *   (moderators and admins only).
+   * @param {Object} [params] - Query parameters
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=20] - Number of entries per page
+   * @returns {Promise<Object>} Object containing `items` (each with `targetType`, `targetId`, `target`,
+   *   `reportCount`, `firstReportedAt`, `lastReportedAt` and `reports`), `page`, `pages` and `count`
+   */
+  getModerationQueue: async (params = {}) => {
+    try {
+      const response = await api.get("/api/reports/queue", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching moderation queue:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch moderation queue"
+      );
+    }
+  },
+
+  /**
+   * @function resolveReports
+   * @description Closes the open reports of a post or comment with a moderation action
+   *   (moderators and admins only).
+   * @param {string} targetType - "blog" or "comment"
+   * @param {string} targetId - The ID of the post or comment
+   * @param {Object} decision - The decision
+   * @param {string} decision.action - "dismiss", "hide" or "suspend" (hide and suspend the author)
+   * @param {string} [decision.note] - A note for the record, also shown to a suspended author
+   * @param {number} [decision.days=7] - Length of the suspension in days (1 to 30)
+   * @returns {Promise<Object>} Object containing `action`, `resolvedCount` and the updated `target`
+   */
+  resolveReports: async (targetType, targetId, decision) => {
+    try {
+      const response = await api.put(
+        `/api/reports/queue/${targetType}/${targetId}`,
+        decision
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error resolving reports:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to resolve reports"
+      );
+    }
+  },
+
+  /**
+   * @function unhideContent
+   * @description Makes a post or comment hidden by a moderator visible again (moderators and admins only).
+   * @param {string} targetType - "blog" or "comment"
+   * @param {string} targetId - The ID of the post or comment
+   * @returns {Promise<Object>} Object containing the updated `target`
+   */
+  unhideContent: async (targetType, targetId) => {
+    try {
+      const response = await api.put(
+        `/api/reports/unhide/${targetType}/${targetId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error unhiding content:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to unhide content"
+      );
+    }
+  },
+};
+
+export default reportService;
@@ -0,0 +1,27 @@
+import api from "../utils/api";
+
+/**
+ * @service tagService
+ * @description Service module for blog post tags.
+ */
+const tagService = {
+  /**
+   * @function getTags
+   * @description Fetches the tags used by published posts with their usage counts, most used first.
+   * @param {Object} params - Query parameters
+   * @param {string} [params.q] - Only return tags starting with this text (for autocomplete)
+   * @param {number} [params.limit=50] - Maximum number of tags to return
+   * @returns {Promise<Array<{ name: string, count: number }>>} The tags
+   */
+  getTags: async (params = {}) => {
+    try {
+      const response = await api.get("/api/tags", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching tags:", error);
+      throw new Error(error.response?.data?.message || "Failed to fetch tags");
+    }
+  },
+};
+
+export default tagService;
@@ -0,0 +1,49 @@
+import api from "../utils/api";
+
+/**
+ * @service userService
+ * @description Service module for public user profiles and user roles.
+ */
+const userService = {
+  /**
+   * @function getUserProfile
+   * @description Fetches a user's public profile.
+   * @param {string} handleOrId - The user's handle or ID
+   * @returns {Promise<Object>} The profile (name, handle, role, bio, avatar, website, socialLinks, createdAt)
+   *   with `postCount`, `followerCount`, `followingCount` and `isFollowing`
+   */
+  getUserProfile: async (handleOrId) => {
+    try {
+      const response = await api.get(
+        `/api/users/${encodeURIComponent(handleOrId)}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching user profile:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to fetch user profile"
+      );
+    }
+  },
+
+  /**
+   * @function updateUserRole
+   * @description Changes a user's role (admins only).
+   * @param {string} id - The user's ID
+   * @param {string} role - The new role: "reader", "author", "moderator" or "admin"
+   * @returns {Promise<Object>} The updated public profile
+   */
+  updateUserRole: async (id, role) => {
+    try {
+      const response = await api.put(`/api/users/${id}/role`, { role });
+      return response.data;
+    } catch (error) {
+      console.error("Error updating user role:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to update user role"
+      );
+    }
+  },
+};
+
+export default userService;
@@ -0,0 +1,12 @@
+// Manual mock of the shared API client for service tests.
+// The real module reads Vite's `import.meta.env`, which Jest cannot load.
+export const BASE_URL = "";
+
+const api = {
+  get: jest.fn(),
+  post: jest.fn(),
+  put: jest.fn(),
+  delete: jest.fn(),
+};
+
+export default api;
@@ -0,0 +1,3 @@
+// Manual mock of the build environment for tests.
+// The real module reads Vite's `import.meta.env`, which Jest cannot load.
+export const BASE_URL = "";
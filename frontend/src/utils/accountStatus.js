@@ -0,0 +1,19 @@
+/**
+ * @constant ACCOUNT_STATUSES
+ * @description Account statuses a user can have, mirroring the backend User model,
+ * with a display label and a Chakra UI color scheme for badges.
+ */
+export const ACCOUNT_STATUSES = [
+  { value: "active", label: "Active", colorScheme: "green" },
+  { value: "suspended", label: "Suspended", colorScheme: "orange" },
+  { value: "banned", label: "Banned", colorScheme: "red" },
+];
+
+/**
+ * @function getAccountStatusInfo
+ * @description Looks up the display info for an account status.
+ * @param {string} [status] - The account status.
+ * @returns {{ value: string, label: string, colorScheme: string }} The matching status entry.
+ */
+export const getAccountStatusInfo = (status) =>
+  ACCOUNT_STATUSES.find((s) => s.value === status) || ACCOUNT_STATUSES[0];
@@ -1,10 +1,12 @@
 import axios from "axios";
+import { BASE_URL } from "./env";
 
+export { BASE_URL };
+
+// Shared axios instance for API calls that need the logged-in user's token
 const api = axios.create({
-  baseURL: import.meta.env.PROD
-    ? "https://multi-user-blogging-app.onrender.com"
-    : import.meta.env.VITE_API_URL || "http://localhost:5000",
-  withCredentials: true,
+  baseURL: BASE_URL,
+  timeout: 10000,
   headers: {
     "Content-Type": "application/json",
   },
@@ -13,9 +15,16 @@ const api = axios.create({
 // Add request interceptor for authentication
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem("token");
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+    const storedUser = localStorage.getItem("blogUser");
+    if (storedUser) {
+      try {
+        const userData = JSON.parse(storedUser);
+        if (userData.token) {
+          config.headers.Authorization = `Bearer ${userData.token}`;
+        }
+      } catch (error) {
+        console.error("Error parsing user token:", error);
+      }
     }
     return config;
   },
@@ -0,0 +1,19 @@
+/**
+ * @constant SOCIAL_NETWORKS
+ * @description Networks a user can link to from their public profile, mirroring the backend User model.
+ */
+export const SOCIAL_NETWORKS = [
+  { value: "twitter", label: "Twitter / X" },
+  { value: "github", label: "GitHub" },
+  { value: "linkedin", label: "LinkedIn" },
+];
+
+/**
+ * @function getAuthorPath
+ * @description Builds the link to an author's public profile page.
+ * Blog posts only know their author's ID; the profile page switches the URL to the handle once loaded.
+ * @param {string} handleOrId - The author's handle or user ID.
+ * @returns {string} The profile page path.
+ */
+export const getAuthorPath = (handleOrId) =>
+  `/author/${encodeURIComponent(handleOrId)}`;
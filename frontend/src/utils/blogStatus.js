@@ -0,0 +1,29 @@
+/**
+ * @constant BLOG_STATUSES
+ * @description Lifecycle statuses a blog post can have, mirroring the backend Blog model,
+ * with a display label and a Chakra UI color scheme for badges.
+ */
+export const BLOG_STATUSES = [
+  { value: "draft", label: "Draft", colorScheme: "gray" },
+  { value: "published", label: "Published", colorScheme: "green" },
+  { value: "unlisted", label: "Unlisted", colorScheme: "purple" },
+  { value: "archived", label: "Archived", colorScheme: "orange" },
+];
+
+/**
+ * @function getStatusInfo
+ * @description Looks up the display info for a status. Posts without a status are treated as published,
+ * and drafts with a publish date are shown as scheduled.
+ * @param {string} [status] - The blog post status.
+ * @param {string} [scheduledFor] - The scheduled publish date, if any.
+ * @returns {{ value: string, label: string, colorScheme: string }} The matching status entry.
+ */
+export const getStatusInfo = (status, scheduledFor) => {
+  if (status === "draft" && scheduledFor) {
+    return { value: "draft", label: "Scheduled", colorScheme: "blue" };
+  }
+  return (
+    BLOG_STATUSES.find((s) => s.value === (status || "published")) ||
+    BLOG_STATUSES[1]
+  );
+};
@@ -0,0 +1,25 @@
+/**
+ * @function toDateTimeLocalValue
+ * @description Converts a date into the "YYYY-MM-DDTHH:mm" local-time format used by
+ * `<input type="datetime-local">`.
+ * @param {string|Date} [date] - The date to convert.
+ * @returns {string} The formatted value, or an empty string if no valid date is given.
+ */
+export const toDateTimeLocalValue = (date) => {
+  if (!date) return "";
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(
+    d.getHours()
+  )}:${pad(d.getMinutes())}`;
+};
+
+/**
+ * @function fromDateTimeLocalValue
+ * @description Converts a `datetime-local` input value (interpreted in local time) into an ISO string.
+ * @param {string} value - The input value.
+ * @returns {string|null} The ISO date string, or null if the value is empty.
+ */
+export const fromDateTimeLocalValue = (value) =>
+  value ? new Date(value).toISOString() : null;
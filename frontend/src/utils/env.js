@@ -0,0 +1,8 @@
+/**
+ * @constant BASE_URL
+ * @description Address of the backend: the deployed API in production builds, and the current origin
+ * (proxied to the backend by the Vite dev server) otherwise.
+ */
+export const BASE_URL = import.meta.env.PROD
+  ? "https://multi-user-blogging-app.onrender.com"
+  : "";
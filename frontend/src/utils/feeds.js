@@ -0,0 +1,34 @@
+import { BASE_URL } from "./api";
+
+/**
+ * @function getFeedLinks
+ * @description Builds the RSS and Atom feed links of the whole site, a category or an author,
+ * mirroring the backend's feed routes.
+ * @param {Object} [scope] - What the feeds cover; omit for the whole site.
+ * @param {Object} [scope.category] - A category, with `name` and `slug`.
+ * @param {Object} [scope.author] - An author, with `name` and `handle`.
+ * @returns {Array<{ title: string, href: string, type: string }>} The RSS and Atom links.
+ */
+export const getFeedLinks = ({ category, author } = {}) => {
+  let base = BASE_URL;
+  let title = "BlogApp";
+  if (category) {
+    base = `${BASE_URL}/feeds/categories/${encodeURIComponent(category.slug)}`;
+    title = `${category.name} - BlogApp`;
+  } else if (author) {
+    base = `${BASE_URL}/feeds/authors/${encodeURIComponent(author.handle)}`;
+    title = `${author.name} - BlogApp`;
+  }
+  return [
+    {
+      title: `${title} (RSS)`,
+      href: `${base}/feed.xml`,
+      type: "application/rss+xml",
+    },
+    {
+      title: `${title} (Atom)`,
+      href: `${base}/atom.xml`,
+      type: "application/atom+xml",
+    },
+  ];
+};
@@ -0,0 +1,53 @@
+import { REACTIONS } from "./reactions";
+import { getAuthorPath } from "./authors";
+
+/**
+ * @constant NOTIFICATION_TYPES
+ * @description Types of in-app notifications, mirroring the backend Notification model,
+ * with the label shown in the notification settings.
+ */
+export const NOTIFICATION_TYPES = [
+  { value: "comment", label: "Comments on my posts" },
+  { value: "reply", label: "Replies to my comments" },
+  { value: "reaction", label: "Reactions to my posts" },
+  { value: "follow", label: "New followers" },
+];
+
+/**
+ * @function describeNotification
+ * @description Builds the text shown for a notification, e.g. "Jane reacted 👍 to My Post".
+ * @param {object} notification - The notification (`type`, `actor`, `blog` and `reactionType` are used).
+ * @returns {string} The notification text.
+ */
+export const describeNotification = ({ type, actor, blog, reactionType }) => {
+  const name = actor?.name || "Someone";
+  const title = blog?.title || "a deleted post";
+  switch (type) {
+    case "comment":
+      return `${name} commented on ${title}`;
+    case "reply":
+      return `${name} replied to your comment on ${title}`;
+    case "reaction": {
+      const reaction = REACTIONS.find((r) => r.type === reactionType);
+      return `${name} reacted ${reaction ? reaction.emoji : ""} to ${title}`;
+    }
+    case "follow":
+      return `${name} started following you`;
+    default:
+      return `${name} interacted with you`;
+  }
+};
+
+/**
+ * @function getNotificationPath
+ * @description Builds the link a notification opens: the post for comments, replies and reactions,
+ * the follower's profile for follows.
+ * @param {object} notification - The notification (`type`, `actor` and `blog` are used).
+ * @returns {string|null} The path, or null if there is nothing to open.
+ */
+export const getNotificationPath = ({ type, actor, blog }) => {
+  if (type === "follow") {
+    return actor ? getAuthorPath(actor.handle || actor._id) : null;
+  }
+  return blog ? `/blog/${blog.slug || blog._id}` : null;
+};
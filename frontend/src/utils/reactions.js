@@ -0,0 +1,12 @@
+/**
+ * @constant REACTIONS
+ * @description Reaction types readers can leave on a blog post, mirroring the backend Reaction model,
+ * with the emoji and label shown on the reaction buttons.
+ */
+export const REACTIONS = [
+  { type: "like", emoji: "👍", label: "Like" },
+  { type: "love", emoji: "❤️", label: "Love" },
+  { type: "laugh", emoji: "😂", label: "Funny" },
+  { type: "wow", emoji: "😮", label: "Wow" },
+  { type: "insightful", emoji: "💡", label: "Insightful" },
+];
@@ -0,0 +1,20 @@
+/**
+ * @constant REPORT_REASONS
+ * @description Reasons a reader can give when reporting a post or comment, mirroring the backend Report model.
+ */
+export const REPORT_REASONS = [
+  { value: "spam", label: "Spam or advertising" },
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "hate", label: "Hate speech" },
+  { value: "misinformation", label: "Misinformation" },
+  { value: "other", label: "Something else" },
+];
+
+/**
+ * @function getReasonLabel
+ * @description Looks up the display label of a report reason.
+ * @param {string} reason - The reason.
+ * @returns {string} The label.
+ */
+export const getReasonLabel = (reason) =>
+  REPORT_REASONS.find((r) => r.value === reason)?.label || reason;
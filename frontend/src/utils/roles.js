@@ -0,0 +1,57 @@
+/**
+ * @constant ROLES
+ * @description User roles, mirroring the backend User model, with a display label and a Chakra UI
+ * color scheme for badges.
+ */
+export const ROLES = [
+  { value: "reader", label: "Reader", colorScheme: "gray" },
+  { value: "author", label: "Author", colorScheme: "teal" },
+  { value: "moderator", label: "Moderator", colorScheme: "purple" },
+  { value: "admin", label: "Admin", colorScheme: "red" },
+];
+
+/**
+ * @function getRole
+ * @description Returns a user's role. Sessions stored before roles existed have none; those users are authors.
+ * @param {Object} [user] - The user.
+ * @returns {string|null} The role, or null without a user.
+ */
+export const getRole = (user) => {
+  if (!user) return null;
+  return user.role || "author";
+};
+
+/**
+ * @function getRoleInfo
+ * @description Looks up the display info for a role.
+ * @param {string} role - The role.
+ * @returns {{ value: string, label: string, colorScheme: string }} The matching role entry.
+ */
+export const getRoleInfo = (role) =>
+  ROLES.find((r) => r.value === role) || ROLES[1];
+
+/**
+ * @function canWritePosts
+ * @description Whether a user may create blog posts (every role except reader).
+ * @param {Object} [user] - The user.
+ * @returns {boolean}
+ */
+export const canWritePosts = (user) =>
+  ["author", "moderator", "admin"].includes(getRole(user));
+
+/**
+ * @function canModerate
+ * @description Whether a user may edit or delete other users' posts and comments.
+ * @param {Object} [user] - The user.
+ * @returns {boolean}
+ */
+export const canModerate = (user) =>
+  ["moderator", "admin"].includes(getRole(user));
+
+/**
+ * @function isAdmin
+ * @description Whether a user may manage categories and change users' roles.
+ * @param {Object} [user] - The user.
+ * @returns {boolean}
+ */
+export const isAdmin = (user) => getRole(user) === "admin";
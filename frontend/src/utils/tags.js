@@ -0,0 +1,36 @@
+/**
+ * @constant MAX_TAGS
+ * @description Maximum number of tags per blog post, mirroring the backend Blog model.
+ */
+export const MAX_TAGS = 10;
+
+/**
+ * @constant MAX_TAG_LENGTH
+ * @description Maximum length of a single tag, mirroring the backend Blog model.
+ */
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * @function normalizeTag
+ * @description Normalizes a tag the same way the backend does: lowercased, without a leading "#",
+ * with whitespace turned into hyphens and only letters, digits, "-", "+" and "." kept.
+ * @param {string} tag - The raw tag.
+ * @returns {string} The normalized tag, or an empty string if nothing usable is left.
+ */
+export const normalizeTag = (tag) =>
+  String(tag || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, "-")
+    .replace(/[^\p{L}\p{N}+.-]/gu, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * @function getTagPath
+ * @description Builds the link to the home page filtered by a tag.
+ * @param {string} tag - The tag.
+ * @returns {string} The path.
+ */
+export const getTagPath = (tag) => `/?tags=${encodeURIComponent(tag)}`;
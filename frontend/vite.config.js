@@ -29,6 +29,15 @@ export default defineConfig({
           });
         },
       },
+      // Feeds, sitemaps and robots.txt are served by the backend outside /api
+      "/feed.xml": "http://localhost:5000",
+      "/atom.xml": "http://localhost:5000",
+      "/feeds": "http://localhost:5000",
+      "/sitemap.xml": "http://localhost:5000",
+      "/sitemaps": "http://localhost:5000",
+      "/robots.txt": "http://localhost:5000",
+      // Images uploaded with the local storage driver
+      "/uploads": "http://localhost:5000",
     },
   },
   // Build configuration